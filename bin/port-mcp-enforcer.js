@@ -1,30 +1,79 @@
 #!/usr/bin/env node
 
-const { runPlanner } = require("../src/planner");
+const { runPlanner, EXIT_CODES } = require("../src/planner");
 
 const args = process.argv.slice(2);
 const command = args[0];
 
+function has(flag) {
+    return args.includes(flag);
+}
+
+function valueOf(flag) {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+}
+
+function printHelp() {
+    console.log("Usage:");
+    console.log("  port-mcp-enforcer plan [options]");
+    console.log("");
+    console.log("Options:");
+    console.log("  --mcp-url <url>          Port-MCP base URL (default: $PORT_MCP_URL or http://127.0.0.1:4100)");
+    console.log("  --policy <file>          Policy file (default: $POLICY_FILE or built-in policy)");
+    console.log("  --overrides <file>       Category overrides JSON ({ \"name\": { \"category\": \"games\" } })");
+    console.log("  --allocations <file>     Allocation ledger JSON (keeps layout ports sticky)");
+    console.log("  --knowledge <file>       Image knowledge JSON (default: $IMAGE_KNOWLEDGE_FILE or built-ins)");
+    console.log("  --enforce <names|all>    Comma-separated containers to enforce, or \"all\"");
+    console.log("  --repack                 Ignore the allocation ledger and compact every layout");
+    console.log("  --reconcile-registry     Reserve / release Port-MCP entries that drifted from live ports");
+    console.log("  --rewrite-references     Rewrite env vars / labels of other containers that hardcode moved ports");
+    console.log("  --rewrite-files          Rewrite proxy / dashboard files in $REFERENCE_SCAN_DIRS that hardcode moved ports");
+    console.log("  --format <format>        console (default), json or diff");
+    console.log("");
+    console.log("Exit codes:");
+    console.log(`  ${EXIT_CODES.compliant}  compliant`);
+    console.log(`  ${EXIT_CODES.error}  error (state, policy or input files unreadable)`);
+    console.log(`  ${EXIT_CODES.changes}  non-compliant: changes proposed for enforced containers`);
+    console.log(`  ${EXIT_CODES.attention}  attention required: manual review, blocked enforcement, port collisions or network violations`);
+}
+
+function parseEnforce(value) {
+    if (value === undefined) return null;
+    if (value === "all") return "all";
+    return value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
 async function main() {
-    if (!command || command === "help") {
-        console.log("Usage:");
-        console.log("  port-mcp-enforcer plan");
+    if (!command || command === "help" || has("--help")) {
+        printHelp();
         process.exit(0);
     }
 
     if (command === "plan") {
         try {
-            await runPlanner({});
-            console.log("Planner executed (no logic yet).");
-            process.exit(0);
+            const { exitCode } = await runPlanner({
+                mcpUrl: valueOf("--mcp-url"),
+                policyFile: valueOf("--policy"),
+                overridesFile: valueOf("--overrides"),
+                allocationsFile: valueOf("--allocations"),
+                knowledgeFile: valueOf("--knowledge"),
+                enforce: parseEnforce(valueOf("--enforce")),
+                repack: has("--repack"),
+                reconcileRegistry: has("--reconcile-registry"),
+                rewriteReferences: has("--rewrite-references"),
+                rewriteFiles: has("--rewrite-files"),
+                format: valueOf("--format")
+            });
+            process.exit(exitCode);
         } catch (err) {
             console.error("Planner error:", err.message);
-            process.exit(1);
+            process.exit(EXIT_CODES.error);
         }
     }
 
     console.error(`Unknown command: ${command}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
 }
 
 main();
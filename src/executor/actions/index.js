@@ -3,5 +3,8 @@
 module.exports = {
     "reserve-port": require("./reserve-port"),
     "release-port": require("./release-port"),
-    "update-container-ports": require("./update-container-ports")
+    "update-container-ports": require("./update-container-ports"),
+    "update-container-networks": require("./update-container-networks"),
+    "update-container-config": require("./update-container-config"),
+    "rewrite-file": require("./rewrite-file")
 };
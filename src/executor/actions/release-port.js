@@ -5,6 +5,7 @@
  *
  * Responsibility:
  * - Release ports owned by a container via Port-MCP
+ * - With action.ports, only those ports; otherwise every port of the owner
  *
  * HARD RULES:
  * - NO Docker mutation
@@ -21,12 +22,19 @@ module.exports = async function releasePort(action, opts = {}) {
     const baseUrl = opts.baseUrl || "http://127.0.0.1:4100";
 
     const payload = {
-        owner: {
+        owner: action.owner || {
             type: "enforcer",
             id: action.container
         }
     };
 
+    if (action.ports !== undefined) {
+        if (!Array.isArray(action.ports) || action.ports.length === 0) {
+            throw new Error("release-port ports must be a non-empty array when given");
+        }
+        payload.ports = action.ports;
+    }
+
     if (opts.dryRun) {
         console.log("[executor] DRY-RUN release-port:", payload);
         return { status: "validated" };
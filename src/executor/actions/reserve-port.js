@@ -23,7 +23,7 @@ module.exports = async function reservePort(action, opts = {}) {
     const baseUrl = opts.baseUrl || "http://127.0.0.1:4100";
 
     const payload = {
-        owner: {
+        owner: action.owner || {
             type: "enforcer",
             id: action.container
         },
@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Executor Action: rewrite-file
+ * Location: src/executor/actions/rewrite-file.js
+ *
+ * Responsibility:
+ * - Rewrite lines of a reverse-proxy / dashboard config file that hardcode
+ *   a moved host port ("url: http://192.168.1.10:7878" -> ":7979")
+ *
+ * Action shape:
+ *   { container, file, changes: [{ line, from, to }] }
+ *   line is 1-based; from / to are whole lines without line ending
+ *
+ * Before writing, a copy of the file is kept next to it
+ * (<file>.<timestamp>.port-mcp.bak) and returned as `backup`
+ * (see executor/line-edits.js).
+ *
+ * No Docker mutation: services that read the file pick the change up on
+ * their own (Traefik / Homepage watch their files) or on their next restart.
+ *
+ * HARD RULES:
+ * - Only files inside REFERENCE_SCAN_DIRS are touched
+ * - Every "from" must match the file's current line exactly
+ * - Only the listed lines change
+ * ============================================================================
+ */
+
+"use strict";
+
+const { writeLineChanges } = require("../line-edits");
+const { referenceScanDirs, isInsideScanDirs } = require("../../planner/inputs/reference-files");
+
+function reqChanges(v) {
+    if (!Array.isArray(v) || v.length === 0 || v.some(c =>
+        !c || !Number.isInteger(c.line) || c.line < 1 ||
+        typeof c.from !== "string" || typeof c.to !== "string")) {
+        throw new Error("rewrite-file requires [{ line, from, to }] changes");
+    }
+    return v;
+}
+
+module.exports = async function rewriteFile(action, opts = {}) {
+    if (!action || !action.container || typeof action.file !== "string") {
+        throw new Error("rewrite-file requires { container, file, changes[] }");
+    }
+
+    const file = action.file;
+    const changes = reqChanges(action.changes);
+
+    if (!isInsideScanDirs(file, referenceScanDirs())) {
+        throw new Error(`refusing to rewrite ${file}: not inside REFERENCE_SCAN_DIRS`);
+    }
+
+    if (opts.dryRun) {
+        console.log("[executor] DRY-RUN rewrite-file:", { file, changes });
+        return { status: "validated" };
+    }
+
+    const backup = writeLineChanges(file, changes, action.backup ? ` (backup: ${action.backup})` : "");
+
+    return { status: "success", container: action.container, file, backup };
+};
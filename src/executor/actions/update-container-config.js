@@ -0,0 +1,106 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Executor Action: update-container-config
+ * Location: src/executor/actions/update-container-config.js
+ *
+ * Responsibility:
+ * - Rewrite env var and label values of a running container
+ *   (companion of a port move: "http://192.168.1.10:7878" -> ":7979")
+ *
+ * Action shape:
+ *   { container, env: [{ name, from, to }], labels: [{ key, from, to }] }
+ *
+ * Env and labels are fixed at create time, so the container is recreated
+ * through the same path as update-container-ports (docker/recreate.js);
+ * its port bindings (HostConfig.PortBindings, host IPs included) are
+ * carried over unchanged.
+ *
+ * HARD RULES:
+ * - Every "from" must match the container's current value exactly
+ * - Only the listed values change
+ * ============================================================================
+ */
+
+"use strict";
+
+const Docker = require("../docker/docker-cli");
+const { recreateContainer } = require("../docker/recreate");
+
+function reqChanges(v, keyField) {
+    if (v === undefined) return [];
+    if (!Array.isArray(v) || v.some(c =>
+        !c || typeof c[keyField] !== "string" || typeof c.from !== "string" || typeof c.to !== "string")) {
+        throw new Error(`update-container-config requires [{ ${keyField}, from, to }] changes`);
+    }
+    return v;
+}
+
+function envValue(env, name) {
+    const line = env.find(l => l.split("=")[0] === name);
+    return line === undefined ? undefined : line.slice(name.length + 1);
+}
+
+module.exports = async function updateContainerConfig(action, opts = {}) {
+    if (!action || !action.container) {
+        throw new Error("update-container-config requires { container, env[], labels[] }");
+    }
+
+    const name = action.container;
+    const envChanges = reqChanges(action.env, "name");
+    const labelChanges = reqChanges(action.labels, "key");
+
+    if (envChanges.length === 0 && labelChanges.length === 0) {
+        throw new Error("update-container-config requires at least one env or label change");
+    }
+
+    if (opts.dryRun) {
+        console.log("[executor] DRY-RUN update-container-config:", {
+            container: name,
+            env: envChanges,
+            labels: labelChanges
+        });
+        return { status: "validated" };
+    }
+
+    // Preflight: container exists and running
+    const exists = await Docker.containerExists(name);
+    if (!exists) throw new Error(`container not found: ${name}`);
+
+    const running = await Docker.isRunning(name);
+    if (!running) {
+        throw new Error(`container is not running: ${name} (refusing to mutate)`);
+    }
+
+    const inspect = await Docker.inspectContainer(name);
+    const env = inspect?.Config?.Env || [];
+    const labels = inspect?.Config?.Labels || {};
+
+    // Hard check: every "from" must match the current value
+    for (const c of envChanges) {
+        if (envValue(env, c.name) !== c.from) {
+            throw new Error(`preflight mismatch: env ${c.name} of ${name} no longer has the planned value`);
+        }
+    }
+    for (const c of labelChanges) {
+        if (labels[c.key] !== c.from) {
+            throw new Error(`preflight mismatch: label ${c.key} of ${name} no longer has the planned value`);
+        }
+    }
+
+    const newEnv = env.map(line => {
+        const change = envChanges.find(c => line.split("=")[0] === c.name);
+        return change ? `${change.name}=${change.to}` : line;
+    });
+    const newLabels = { ...labels };
+    for (const c of labelChanges) newLabels[c.key] = c.to;
+
+    const updated = {
+        ...inspect,
+        Config: { ...inspect.Config, Env: newEnv, Labels: newLabels }
+    };
+
+    // Port bindings stay exactly as configured (host IPs included)
+    await recreateContainer(name, updated);
+
+    return { status: "success", container: name };
+};
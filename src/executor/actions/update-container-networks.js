@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Executor Action: update-container-networks
+ * Location: src/executor/actions/update-container-networks.js
+ *
+ * Responsibility:
+ * - Connect / disconnect a running container to / from Docker networks
+ *
+ * Action shape:
+ *   { container, from: [network], connect: [network], disconnect: [network] }
+ *
+ * If a step fails, the steps already done are undone in reverse order
+ * (disconnected networks are reconnected with their address, aliases and
+ * links from the preflight inspect); the error lists what ran
+ * (err.steps) and how the undo went (err.undo).
+ *
+ * HARD RULES:
+ * - "from" must match the container's current networks exactly
+ * - Connect first, disconnect second (never leave a container without a network)
+ * - host / none network modes are never touched (they need a recreate)
+ * ============================================================================
+ */
+
+"use strict";
+
+const Docker = require("../docker/docker-cli");
+const { networkConnectArgs } = require("../docker/recreate");
+
+const SPECIAL_NETWORKS = ["host", "none"];
+
+function reqList(v, name) {
+    if (!Array.isArray(v) || v.some(n => typeof n !== "string" || n.trim() === "")) {
+        throw new Error(`update-container-networks requires ${name}[] of network names`);
+    }
+}
+
+function sameNetworks(a, b) {
+    const sa = new Set(a);
+    const sb = new Set(b);
+    return sa.size === sb.size && [...sa].every(n => sb.has(n));
+}
+
+function currentNetworks(inspect) {
+    return Object.keys(inspect?.NetworkSettings?.Networks || {}).sort();
+}
+
+function describeSteps(steps) {
+    return steps.map(s => `${s.op} ${s.network}`).join(", ") || "none";
+}
+
+/**
+ * Undo completed steps, last first (reconnects before disconnects). Returns
+ * the steps that could not be undone.
+ */
+async function undoSteps(name, steps, inspect) {
+    const failed = [];
+    for (const step of [...steps].reverse()) {
+        // A network that could not be reconnected may have been the last one
+        if (step.op === "connect" && failed.length > 0) {
+            failed.push({ ...step, error: "kept, a reconnect failed" });
+            continue;
+        }
+        try {
+            if (step.op === "connect") {
+                await Docker.runDocker(["network", "disconnect", step.network, name]);
+            } else {
+                const endpoint = inspect.NetworkSettings.Networks[step.network];
+                await Docker.runDocker([
+                    "network", "connect", ...networkConnectArgs(endpoint, inspect.Id), step.network, name
+                ]);
+            }
+        } catch (err) {
+            failed.push({ ...step, error: err.message });
+        }
+    }
+    return failed;
+}
+
+module.exports = async function updateContainerNetworks(action, opts = {}) {
+    if (!action || !action.container) {
+        throw new Error("update-container-networks requires { container, from[], connect[], disconnect[] }");
+    }
+
+    reqList(action.from, "from");
+    reqList(action.connect || [], "connect");
+    reqList(action.disconnect || [], "disconnect");
+
+    const name = action.container;
+    const connect = action.connect || [];
+    const disconnect = action.disconnect || [];
+
+    for (const net of [...connect, ...disconnect]) {
+        if (SPECIAL_NETWORKS.includes(net)) {
+            throw new Error(`refusing to change "${net}" network mode of ${name} (requires recreate)`);
+        }
+    }
+
+    if (opts.dryRun) {
+        console.log("[executor] DRY-RUN update-container-networks:", {
+            container: name,
+            from: action.from,
+            connect,
+            disconnect
+        });
+        return { status: "validated" };
+    }
+
+    // Preflight: container exists and running
+    const exists = await Docker.containerExists(name);
+    if (!exists) throw new Error(`container not found: ${name}`);
+
+    const running = await Docker.isRunning(name);
+    if (!running) {
+        throw new Error(`container is not running: ${name} (refusing to mutate)`);
+    }
+
+    const inspect = await Docker.inspectContainer(name);
+    const current = currentNetworks(inspect);
+
+    // Hard check: "from" must match current networks exactly
+    if (!sameNetworks(current, action.from)) {
+        throw new Error(
+            `preflight mismatch: plan.from (${action.from.join(", ")}) does not match current networks for ${name} (${current.join(", ")})`
+        );
+    }
+
+    if (current.some(n => SPECIAL_NETWORKS.includes(n))) {
+        throw new Error(`container ${name} uses ${current.join(", ")} network mode (refusing to reconnect)`);
+    }
+
+    const steps = [];
+    try {
+        for (const net of connect) {
+            console.log(`[executor] Connecting ${name} to network: ${net}`);
+            await Docker.runDocker(["network", "connect", net, name]);
+            steps.push({ op: "connect", network: net });
+        }
+
+        for (const net of disconnect) {
+            console.log(`[executor] Disconnecting ${name} from network: ${net}`);
+            await Docker.runDocker(["network", "disconnect", net, name]);
+            steps.push({ op: "disconnect", network: net });
+        }
+    } catch (err) {
+        const failed = await undoSteps(name, steps, inspect);
+        const undo = steps.length === 0
+            ? "nothing to undo"
+            : failed.length === 0
+                ? "undone"
+                : `undo FAILED for ${failed.map(f => `${f.op} ${f.network} (${f.error})`).join(", ")}`;
+        const error = new Error(
+            `network change of ${name} failed: ${err.message} (done before the failure: ${describeSteps(steps)}; ${undo})`
+        );
+        error.steps = steps;
+        error.undo = { failed };
+        throw error;
+    }
+
+    return {
+        status: "success",
+        container: name,
+        networks: [...current.filter(n => !disconnect.includes(n)), ...connect].sort()
+    };
+};
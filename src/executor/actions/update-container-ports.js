@@ -1,20 +1,56 @@
 /**
  * ============================================================================
- * Port-MCP Enforcer – Executor Action: update-container-ports
- * v1.0.8 - VPN Capabilities + Multi-Network Fix
- * 
- * FIXES:
- * - Preserve --cap-add=NET_ADMIN (VPN routing)
- * - Preserve --device /dev/net/tun (VPN tunnel)
- * - Preserve --privileged mode
- * - Preserve --sysctl settings
- * - Handle multiple networks properly
+ * Port-MCP Enforcer — Executor Action: update-container-ports
+ * Location: src/executor/actions/update-container-ports.js
+ *
+ * Responsibility:
+ * - Move a running container's published host ports
+ *   (radarr 7878->7878/tcp -> 7979->7878/tcp)
+ *
+ * Action shape:
+ *   { container, from: [{ host, container, protocol }], to: [...],
+ *     compose?, template? }
+ *
+ * Plain containers:
+ * - Recreated through docker/recreate.js with the moved host ports swapped
+ *   into the current PortBindings (host IPs kept). The replacement is
+ *   created and verified against the old inspect before the original is
+ *   touched; every other create-time setting is carried over.
+ *
+ * Compose-managed containers (action.compose, see plan/compose-edit.js):
+ * - The move is written to the compose file(s) first (backup kept next to
+ *   each file, see executor/line-edits.js), then the service is recreated
+ *   with `docker compose up -d --no-deps <service>`, so the next
+ *   `docker compose up` keeps the new ports
+ * - If compose fails, the compose files are put back from their backups
+ *
+ * Containers with an Unraid user template (action.template, see
+ * plan/unraid-template.js):
+ * - The template is written (backup kept next to it) before the container
+ *   is recreated, and put back from its backup if the move fails
+ *
+ * HARD RULES:
+ * - "from" must match the container's published ports exactly
+ * - Compose edits only touch the files of the container's live
+ *   com.docker.compose.project.config_files label (same project and
+ *   service); a template edit only touches
+ *   UNRAID_TEMPLATES_DIR/my-<container>.xml
+ * - Every compose / template line must still read as planned
  * ============================================================================
  */
 
 "use strict";
 
 const Docker = require("../docker/docker-cli");
+const { checkLineChanges, writeLineChanges, restoreBackup } = require("../line-edits");
+const { composeProject } = require("../../planner/inputs/compose-files");
+const { unraidTemplateDir, templatePath } = require("../../planner/inputs/unraid-templates");
+const {
+    portFlag,
+    movePortBindings,
+    extractPublishedPortsFromInspect,
+    recreateContainer
+} = require("../docker/recreate");
 
 function reqArray(v, name) {
     if (!Array.isArray(v) || v.length === 0) {
@@ -26,24 +62,6 @@ function normProto(p) {
     return String(p || "").toLowerCase();
 }
 
-function portFlag(binding) {
-    const proto = normProto(binding.protocol);
-    if (!["tcp", "udp"].includes(proto)) {
-        throw new Error(`invalid protocol "${binding.protocol}" (expected tcp/udp)`);
-    }
-    const host = Number(binding.host);
-    const cont = Number(binding.container);
-
-    if (!Number.isInteger(host) || host < 1 || host > 65535) {
-        throw new Error(`invalid host port "${binding.host}"`);
-    }
-    if (!Number.isInteger(cont) || cont < 1 || cont > 65535) {
-        throw new Error(`invalid container port "${binding.container}"`);
-    }
-
-    return `${host}:${cont}/${proto}`;
-}
-
 function samePortList(a, b) {
     const sa = new Set(a.map(x => `${x.host}:${x.container}/${normProto(x.protocol)}`));
     const sb = new Set(b.map(x => `${x.host}:${x.container}/${normProto(x.protocol)}`));
@@ -52,149 +70,76 @@ function samePortList(a, b) {
     return true;
 }
 
-function extractPublishedPortsFromInspect(inspect) {
-    const ports = [];
-    const pb = inspect?.NetworkSettings?.Ports || {};
-    for (const key of Object.keys(pb)) {
-        const [containerPortStr, proto] = key.split("/");
-        const containerPort = Number(containerPortStr);
-        const bindings = pb[key];
-        if (!Array.isArray(bindings)) continue;
-        for (const b of bindings) {
-            const hostPort = Number(b.HostPort);
-            ports.push({
-                host: hostPort,
-                container: containerPort,
-                protocol: proto
-            });
-        }
-    }
-    return ports;
-}
-
-function buildCreateArgsFromInspect(inspect, newPortFlags) {
-    const args = [];
-
-    const name = inspect?.Name?.replace(/^\//, "");
-    if (!name) throw new Error("cannot derive container name from inspect");
-
-    args.push("--name", name);
-
-    // restart policy
-    const restart = inspect?.HostConfig?.RestartPolicy;
-    if (restart?.Name) {
-        if (restart.Name === "no") {
-            // omit
-        } else if (restart.Name === "on-failure") {
-            const max = restart.MaximumRetryCount || 0;
-            args.push("--restart", `on-failure:${max}`);
-        } else {
-            args.push("--restart", restart.Name);
-        }
-    }
-
-    // network mode - primary network
-    const netMode = inspect?.HostConfig?.NetworkMode;
-    if (netMode && netMode !== "default") {
-        args.push("--network", netMode);
-    }
-    
-    // Collect additional networks for post-create connection
-    const networks = inspect?.NetworkSettings?.Networks || {};
-    const additionalNetworks = [];
-    
-    for (const netName of Object.keys(networks)) {
-        // Skip the primary network (already added via NetworkMode)
-        if (netName === netMode) continue;
-        additionalNetworks.push(netName);
-    }
-
-    // env
-    const env = inspect?.Config?.Env || [];
-    for (const e of env) args.push("-e", e);
-
-    // labels
-    const labels = inspect?.Config?.Labels || {};
-    for (const [k, v] of Object.entries(labels)) {
-        args.push("--label", `${k}=${v}`);
+/**
+ * The plan's compose target must be the one the container's compose labels
+ * point at right now: same project and service, and only its config files.
+ */
+function checkComposeTarget(name, compose, inspect) {
+    const live = composeProject({ labels: inspect.Config?.Labels || {} });
+    if (!live) {
+        throw new Error(`${name} is no longer managed by docker compose (refusing to edit compose files)`);
     }
-
-    // volumes/binds
-    const binds = inspect?.HostConfig?.Binds || [];
-    for (const b of binds) args.push("-v", b);
-
-    // mounts (named volumes)
-    const mounts = inspect?.Mounts || [];
-    for (const m of mounts) {
-        if (m.Type === "volume") {
-            const mode = m.RW ? "rw" : "ro";
-            args.push("-v", `${m.Name}:${m.Destination}:${mode}`);
-        }
+    if (live.project !== compose.project || live.service !== compose.service) {
+        throw new Error(
+            `${name} now belongs to compose service ${live.project}/${live.service}, ` +
+            `not ${compose.project}/${compose.service}`
+        );
     }
-
-    // working dir
-    if (inspect?.Config?.WorkingDir) {
-        args.push("-w", inspect.Config.WorkingDir);
+    const files = new Set(live.configFiles);
+    const foreign = [...compose.configFiles, ...compose.edits.map(e => e.file)].filter(f => !files.has(f));
+    if (foreign.length > 0) {
+        throw new Error(
+            `${[...new Set(foreign)].join(", ")} not among the compose files of ${name} ` +
+            `(${live.configFiles.join(", ") || "none"})`
+        );
     }
+}
 
-    // entrypoint - FIXED: Use first element only, not joined
-    if (Array.isArray(inspect?.Config?.Entrypoint) && inspect.Config.Entrypoint.length) {
-        args.push("--entrypoint", inspect.Config.Entrypoint[0]);
+/**
+ * The plan's template must be the container's user template in UNRAID_TEMPLATES_DIR.
+ */
+function checkTemplateTarget(name, template) {
+    const dir = unraidTemplateDir();
+    if (!dir) {
+        throw new Error(`template edit of ${name} needs UNRAID_TEMPLATES_DIR`);
     }
-
-    // user
-    if (inspect?.Config?.User) {
-        args.push("-u", inspect.Config.User);
+    const expected = templatePath(dir, name);
+    if (template.file !== expected) {
+        throw new Error(`template ${template.file} is not the user template of ${name} (${expected})`);
     }
+}
 
-    // ========================================================================
-    // CRITICAL VPN FIXES - v1.0.8
-    // ========================================================================
-
-    // capabilities (CRITICAL for VPN - NET_ADMIN for routing)
-    const capAdd = inspect?.HostConfig?.CapAdd || [];
-    for (const cap of capAdd) {
-        args.push("--cap-add", cap);
-    }
+async function applyThroughCompose(name, compose) {
+    // Hard check: every compose line still reads as planned
+    for (const edit of compose.edits) checkLineChanges(edit.file, edit.changes);
 
-    // devices (CRITICAL for VPN - /dev/net/tun for tunnel)
-    const devices = inspect?.HostConfig?.Devices || [];
-    for (const dev of devices) {
-        if (dev.PathOnHost && dev.PathInContainer) {
-            args.push("--device", `${dev.PathOnHost}:${dev.PathInContainer}`);
+    const written = [];
+    try {
+        for (const edit of compose.edits) {
+            written.push({ file: edit.file, backup: writeLineChanges(edit.file, edit.changes) });
         }
+        await Docker.composeUp(compose);
+    } catch (err) {
+        for (const w of written) restoreBackup(w.file, w.backup);
+        throw new Error(`compose update of ${name} failed, compose files restored: ${err.message}`);
     }
 
-    // privileged mode
-    if (inspect?.HostConfig?.Privileged === true) {
-        args.push("--privileged");
-    }
-
-    // sysctls (kernel parameters for VPN)
-    const sysctls = inspect?.HostConfig?.Sysctls || {};
-    for (const [k, v] of Object.entries(sysctls)) {
-        args.push("--sysctl", `${k}=${v}`);
-    }
+    return { status: "success", container: name, compose: { service: compose.service, files: written } };
+}
 
-    // ========================================================================
-    // END VPN FIXES
-    // ========================================================================
+async function withTemplate(template, move) {
+    if (!template) return move();
 
-    // published ports (THIS IS THE MUTATION)
-    for (const pf of newPortFlags) {
-        args.push("-p", pf);
+    const written = { file: template.file, backup: writeLineChanges(template.file, template.changes) };
+    let result;
+    try {
+        result = await move();
+    } catch (err) {
+        restoreBackup(written.file, written.backup);
+        throw new Error(`${err.message} (template ${written.file} restored)`);
     }
 
-    // image
-    const image = inspect?.Config?.Image;
-    if (!image) throw new Error("cannot derive image from inspect");
-    args.push(image);
-
-    // cmd
-    const cmd = inspect?.Config?.Cmd || [];
-    for (const c of cmd) args.push(c);
-
-    return { args, additionalNetworks };
+    return { ...result, template: written };
 }
 
 module.exports = async function updateContainerPorts(action, opts = {}) {
@@ -214,7 +159,10 @@ module.exports = async function updateContainerPorts(action, opts = {}) {
             container: name,
             from: action.from,
             to: action.to,
-            dockerFlags: flags
+            ...(action.compose
+                ? { compose: `${action.compose.project}/${action.compose.service}`, edits: action.compose.edits }
+                : { dockerFlags: flags }),
+            ...(action.template ? { template: action.template } : {})
         });
         return { status: "validated" };
     }
@@ -240,24 +188,28 @@ module.exports = async function updateContainerPorts(action, opts = {}) {
         );
     }
 
-    // Stop → remove → recreate → reconnect networks → start
-    const newPortFlags = action.to.map(portFlag);
+    // Hard check: files are only written where the container's own
+    // compose labels / user template point, and still read as planned
+    if (action.compose) checkComposeTarget(name, action.compose, inspect);
+    if (action.template) {
+        checkTemplateTarget(name, action.template);
+        checkLineChanges(action.template.file, action.template.changes);
+    }
 
-    // Build docker create args from inspect with updated -p flags
-    const { args: createArgs, additionalNetworks } = buildCreateArgsFromInspect(inspect, newPortFlags);
+    return withTemplate(action.template, async () => {
+        if (action.compose) return applyThroughCompose(name, action.compose);
 
-    // IMPORTANT: remove old container only after stop
-    await Docker.stop(name);
-    await Docker.remove(name);
-    await Docker.create(createArgs);
-    
-    // Reconnect additional networks before starting (v1.0.8)
-    for (const netName of additionalNetworks) {
-        console.log(`[executor] Reconnecting network: ${netName}`);
-        await Docker.runDocker(["network", "connect", netName, name]);
-    }
-    
-    await Docker.start(name);
+        // Create → verify → swap with the original (see docker/recreate.js),
+        // with the moved host ports swapped into the current bindings
+        action.to.forEach(portFlag); // validates the target bindings
+        await recreateContainer(name, {
+            ...inspect,
+            HostConfig: {
+                ...inspect.HostConfig,
+                PortBindings: movePortBindings(inspect.HostConfig?.PortBindings, action.from, action.to)
+            }
+        });
 
-    return { status: "success", container: name };
+        return { status: "success", container: name };
+    });
 };
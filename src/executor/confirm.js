@@ -31,7 +31,7 @@ async function confirmApply(plan) {
     console.log("\nYou are about to APPLY the following actions:\n");
 
     plan.actions.forEach((a, i) => {
-        console.log(` ${i + 1}. ${a.type} → ${a.container}`);
+        console.log(` ${i + 1}. ${a.type} → ${a.type === "rewrite-file" ? a.file : a.container}`);
     });
 
     console.log(
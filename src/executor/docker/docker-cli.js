@@ -55,6 +55,35 @@ async function inspectContainer(name) {
     return parsed[0];
 }
 
+/**
+ * Inspect several containers with one docker call.
+ * Containers docker no longer knows are left out (docker still prints
+ * the others before failing), so the result may be shorter than `names`.
+ */
+async function inspectContainers(names) {
+    if (!Array.isArray(names) || names.length === 0) return [];
+
+    let out;
+    try {
+        out = (await runDocker(["inspect", ...names])).out;
+    } catch (e) {
+        out = e.result?.out;
+        if (!out) throw e;
+    }
+
+    const parsed = JSON.parse(out);
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+async function inspectImage(ref) {
+    const r = await runDocker(["image", "inspect", ref]);
+    const parsed = JSON.parse(r.out);
+    if (!Array.isArray(parsed) || !parsed[0]) {
+        throw new Error(`docker image inspect returned no object for image "${ref}"`);
+    }
+    return parsed[0];
+}
+
 async function containerExists(name) {
     try {
         await runDocker(["inspect", name]);
@@ -81,17 +110,39 @@ async function start(name) {
     return runDocker(["start", name]);
 }
 
+async function rename(name, newName) {
+    return runDocker(["rename", name, newName]);
+}
+
 async function create(args) {
     return runDocker(["create", ...args]);
 }
 
+/**
+ * Recreate one compose service from its (edited) compose files.
+ * --no-deps: services it depends on are left alone.
+ */
+async function composeUp({ project, workingDir, configFiles, service }) {
+    return runDocker([
+        "compose",
+        "--project-name", project,
+        ...(workingDir ? ["--project-directory", workingDir] : []),
+        ...configFiles.flatMap(f => ["--file", f]),
+        "up", "--detach", "--no-deps", service
+    ]);
+}
+
 module.exports = {
     runDocker,
     inspectContainer,
+    inspectContainers,
+    inspectImage,
     containerExists,
     isRunning,
     stop,
     remove,
     start,
-    create
+    rename,
+    create,
+    composeUp
 };
@@ -0,0 +1,262 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Recreate Verifier (PURE)
+ * Location: src/executor/docker/inspect-verifier.js
+ *
+ * Responsibility:
+ * - Compare the `docker inspect` a recreate was meant to produce (the old
+ *   inspect with the intended changes applied, e.g. moved PortBindings)
+ *   with the new container's, and list every difference:
+ *
+ *   HostConfig.Memory: 536870912 -> (unset)
+ *   NetworkSettings.Networks.br0.IPAMConfig: {"IPv4Address":"192.168.1.50"} -> (unset)
+ *
+ * Compared:
+ * - Image (ID) and name
+ * - Config and HostConfig, key by key, including Entrypoint and Cmd and
+ *   PortBindings (host IPs and ports)
+ * - Legacy links as "target:alias": Docker stores them with the owning
+ *   container's name (/db:/web/database), which is still the temporary
+ *   name while the replacement is verified
+ * - Binds and HostConfig.Mounts as sets; a named or anonymous volume the
+ *   recreate re-attached with -v may show up as an extra bind
+ * - Mounts, as Docker resolved them, by destination
+ * - Per network: static IPs (IPAMConfig), MAC address, user aliases,
+ *   links, driver opts. Older engines keep the primary network's MAC in
+ *   Config.MacAddress; it is compared as that network's.
+ *
+ * Not compared:
+ * - Config.ExposedPorts / Config.Volumes: follow from the port bindings
+ *   and mounts above
+ * - Attach* / StdinOnce / ConsoleSize / ContainerIDFile: how the original
+ *   `docker run` was invoked, no effect on the running container
+ * - Runtime state: IDs, IP addresses handed out by IPAM, MAC addresses,
+ *   state, paths
+ *
+ * Unset, empty and zero values are treated alike (the API reports null,
+ * [] or 0 depending on how a container was created).
+ *
+ * HARD RULES:
+ * - Pure: never mutates its inputs
+ * ============================================================================
+ */
+
+"use strict";
+
+const IGNORED = {
+    // MacAddress is compared below, with the primary network
+    Config: new Set([
+        "ExposedPorts", "Volumes", "AttachStdin", "AttachStdout", "AttachStderr", "StdinOnce",
+        "MacAddress"
+    ]),
+    // PortBindings, Binds and Links are compared below, item by item
+    HostConfig: new Set(["PortBindings", "Binds", "Links", "ConsoleSize", "ContainerIDFile"])
+};
+
+// Lists whose order carries no meaning
+const UNORDERED = new Set([
+    "Env", "CapAdd", "CapDrop", "SecurityOpt", "GroupAdd", "ExtraHosts",
+    "Links", "DeviceCgroupRules", "Aliases", "Mounts"
+]);
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+/**
+ * Comparable form: empty values become null, object keys are sorted.
+ *
+ * @param {string} key       - Key the value sits under (see UNORDERED)
+ * @param {boolean} unordered - Treat a list as a set
+ */
+function canonical(value, key = null, unordered = UNORDERED.has(key)) {
+    if (value === undefined || value === null || value === "" || value === 0 || value === false) return null;
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return null;
+        const items = value.map(v => canonical(v));
+        return unordered
+            ? items.map(v => JSON.stringify(v)).sort().map(v => JSON.parse(v))
+            : items;
+    }
+
+    if (typeof value === "object") {
+        const out = {};
+        for (const k of Object.keys(value).sort()) {
+            const v = canonical(value[k], k);
+            if (v !== null) out[k] = v;
+        }
+        return Object.keys(out).length === 0 ? null : out;
+    }
+
+    return value;
+}
+
+function show(value) {
+    if (value === null) return "(unset)";
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function compare(path, before, after, differences, key = null, unordered = UNORDERED.has(key)) {
+    const a = canonical(before, key, unordered);
+    const b = canonical(after, key, unordered);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+        differences.push(`${path}: ${show(a)} -> ${show(b)}`);
+    }
+}
+
+function compareSection(section, before, after, differences) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of [...keys].sort()) {
+        if (IGNORED[section]?.has(key)) continue;
+        compare(`${section}.${key}`, before?.[key], after?.[key], differences, key);
+    }
+}
+
+/**
+ * -v bind as a comparable string: "src:dst:opts", options sorted, the
+ * default "rw" left out.
+ */
+function normalizeBind(bind) {
+    const [src, dst, opts = ""] = String(bind).split(":");
+    if (dst === undefined) return src;
+    const options = opts.split(",").filter(o => o && o !== "rw").sort();
+    return [src, dst, ...(options.length ? [options.join(",")] : [])].join(":");
+}
+
+/**
+ * Legacy link as "target:alias" ("/db:/web/database" -> "db:database").
+ */
+function normalizeLink(link) {
+    const [target, alias = target] = String(link).split(":");
+    return `${target.replace(/^\//, "")}:${alias.split("/").pop()}`;
+}
+
+function bindDestination(bind) {
+    const parts = String(bind).split(":");
+    return parts.length === 1 ? parts[0] : parts[1];
+}
+
+/**
+ * Destinations of volumes a recreate re-attaches with "-v name:dst"
+ * (mounted, but not through Binds or HostConfig.Mounts).
+ */
+function reattachedVolumes(inspect) {
+    const covered = new Set([
+        ...(inspect?.HostConfig?.Binds || []).map(bindDestination),
+        ...(inspect?.HostConfig?.Mounts || []).map(m => m.Target)
+    ]);
+    return new Set((inspect?.Mounts || [])
+        .filter(m => m.Type === "volume" && !covered.has(m.Destination))
+        .map(m => m.Destination));
+}
+
+/**
+ * Mounts by destination.
+ */
+function mountsByDestination(mounts) {
+    const byDestination = {};
+    for (const m of mounts || []) {
+        byDestination[m.Destination] = {
+            Type: m.Type,
+            Source: m.Type === "volume" ? m.Name : m.Source,
+            RW: m.RW
+        };
+    }
+    return byDestination;
+}
+
+/**
+ * Network of the container's network mode (its MAC may sit in
+ * Config.MacAddress).
+ */
+function primaryNetwork(inspect) {
+    const mode = inspect?.HostConfig?.NetworkMode;
+    return !mode || mode === "default" ? "bridge" : mode;
+}
+
+function endpointSummary(endpoint, inspect, primary) {
+    const shortId = String(inspect?.Id || "").slice(0, 12);
+    return {
+        IPAMConfig: endpoint?.IPAMConfig,
+        MacAddress: endpoint?.MacAddress || (primary ? inspect?.Config?.MacAddress : null),
+        Aliases: (endpoint?.Aliases || []).filter(a => a !== shortId),
+        Links: (endpoint?.Links || []).map(normalizeLink),
+        DriverOpts: endpoint?.DriverOpts
+    };
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Everything that differs between the inspect a recreate was meant to
+ * produce and the recreated container's.
+ *
+ * @param {Object} before - Expected inspect (old inspect + intended changes)
+ * @param {Object} after  - Inspect of the recreated container
+ * @returns {[string]} "path: before -> after", empty when they match
+ */
+function inspectDifferences(before, after) {
+    const differences = [];
+
+    compare("Image", before?.Image, after?.Image, differences);
+    compare("Name", before?.Name, after?.Name, differences);
+    compareSection("Config", before?.Config, after?.Config, differences);
+    compareSection("HostConfig", before?.HostConfig, after?.HostConfig, differences);
+    compare(
+        "HostConfig.Links",
+        (before?.HostConfig?.Links || []).map(normalizeLink),
+        (after?.HostConfig?.Links || []).map(normalizeLink),
+        differences,
+        "Links"
+    );
+
+    const beforePorts = before?.HostConfig?.PortBindings || {};
+    const afterPorts = after?.HostConfig?.PortBindings || {};
+    const ports = new Set([...Object.keys(beforePorts), ...Object.keys(afterPorts)]);
+    for (const port of [...ports].sort()) {
+        compare(`HostConfig.PortBindings[${port}]`, beforePorts[port], afterPorts[port], differences, null, true);
+    }
+
+    const reattached = reattachedVolumes(before);
+    const beforeBinds = (before?.HostConfig?.Binds || []).map(normalizeBind);
+    const afterBinds = (after?.HostConfig?.Binds || [])
+        .filter(b => !reattached.has(bindDestination(b)))
+        .map(normalizeBind);
+    for (const bind of beforeBinds.filter(b => !afterBinds.includes(b)).sort()) {
+        differences.push(`HostConfig.Binds: ${bind} -> (unset)`);
+    }
+    for (const bind of afterBinds.filter(b => !beforeBinds.includes(b)).sort()) {
+        differences.push(`HostConfig.Binds: (unset) -> ${bind}`);
+    }
+
+    const beforeMounts = mountsByDestination(before?.Mounts);
+    const afterMounts = mountsByDestination(after?.Mounts);
+    const destinations = new Set([...Object.keys(beforeMounts), ...Object.keys(afterMounts)]);
+    for (const destination of [...destinations].sort()) {
+        compare(`Mounts[${destination}]`, beforeMounts[destination], afterMounts[destination], differences);
+    }
+
+    const beforeNets = before?.NetworkSettings?.Networks || {};
+    const afterNets = after?.NetworkSettings?.Networks || {};
+    const names = new Set([...Object.keys(beforeNets), ...Object.keys(afterNets)]);
+    for (const name of [...names].sort()) {
+        const path = `NetworkSettings.Networks.${name}`;
+        if (!beforeNets[name] || !afterNets[name]) {
+            differences.push(`${path}: ${beforeNets[name] ? "connected" : "(unset)"} -> ${afterNets[name] ? "connected" : "(unset)"}`);
+            continue;
+        }
+        const a = endpointSummary(beforeNets[name], before, name === primaryNetwork(before));
+        const b = endpointSummary(afterNets[name], after, name === primaryNetwork(after));
+        for (const key of Object.keys(a)) compare(`${path}.${key}`, a[key], b[key], differences, key);
+    }
+
+    return differences;
+}
+
+module.exports = {
+    inspectDifferences
+};
@@ -0,0 +1,767 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Container Recreate (HIGH RISK)
+ * Location: src/executor/docker/recreate.js
+ *
+ * Responsibility:
+ * - Turn `docker inspect` output back into `docker create` arguments:
+ *   every HostConfig / Config setting docker create has a flag for
+ *   (restart policy, resources, healthcheck, logging, DNS, mounts, devices
+ *   and GPUs, security, namespaces, ...), static IPs and aliases on every
+ *   network, published ports, image, cmd
+ * - Recreate a container from those arguments: create the replacement next
+ *   to the running original, verify it against the old inspect (anything
+ *   but the intended change fails it, docker/inspect-verifier.js), then
+ *   swap it in; the original is put back if the swap fails
+ *
+ * Shared by every action that changes something Docker only sets at
+ * create time (update-container-ports, update-container-config). Callers
+ * change the inspect object (HostConfig.PortBindings, env, labels);
+ * everything else is carried over unchanged.
+ *
+ * HARD RULES:
+ * - No retries
+ * - Fail fast (a failed step stops the recreate)
+ * - The old container is removed only after it stopped and its
+ *   replacement started
+ * - Settings docker create cannot reproduce (API-only fields, CMD-form
+ *   healthchecks, multi-element entrypoint overrides) refuse the recreate
+ *   before anything is stopped
+ * ============================================================================
+ */
+
+"use strict";
+
+const Docker = require("./docker-cli");
+const { inspectDifferences } = require("./inspect-verifier");
+
+// Set on a container only through the API; docker create has no flag
+const UNSUPPORTED = {
+    HostConfig: [
+        "Cgroup", "KernelMemory", "KernelMemoryTCP",
+        "CpuCount", "CpuPercent", "IOMaximumIOps", "IOMaximumBandwidth"
+    ],
+    Config: ["NetworkDisabled"]
+};
+
+function normProto(p) {
+    return String(p || "").toLowerCase();
+}
+
+// Host IPs Docker reports for "all addresses"
+const UNSPECIFIED_IPS = new Set(["", "0.0.0.0", "::"]);
+
+/**
+ * "[ip:]" prefix of a -p flag (IPv6 in brackets).
+ */
+function hostIpPrefix(ip) {
+    if (!ip) return "";
+    return ip.includes(":") ? `[${ip}]:` : `${ip}:`;
+}
+
+/**
+ * -p flag of a binding: "[ip:]host:container/proto".
+ */
+function portFlag(binding) {
+    const proto = normProto(binding.protocol);
+    if (!["tcp", "udp"].includes(proto)) {
+        throw new Error(`invalid protocol "${binding.protocol}" (expected tcp/udp)`);
+    }
+    const host = Number(binding.host);
+    const cont = Number(binding.container);
+
+    if (!Number.isInteger(host) || host < 1 || host > 65535) {
+        throw new Error(`invalid host port "${binding.host}"`);
+    }
+    if (!Number.isInteger(cont) || cont < 1 || cont > 65535) {
+        throw new Error(`invalid container port "${binding.container}"`);
+    }
+
+    return `${hostIpPrefix(binding.hostIp)}${host}:${cont}/${proto}`;
+}
+
+/**
+ * -p flags that reproduce HostConfig.PortBindings exactly (host IPs and
+ * Docker-assigned host ports included).
+ */
+function publishFlags(portBindings) {
+    const flags = [];
+    for (const [key, bindings] of Object.entries(portBindings || {})) {
+        const [container, proto = "tcp"] = key.split("/");
+        for (const b of bindings || []) {
+            const ip = hostIpPrefix(b.HostIp);
+            const hostPort = b.HostPort || "";
+            const target = `${container}/${normProto(proto)}`;
+            flags.push(ip ? `${ip}${hostPort}:${target}` : hostPort ? `${hostPort}:${target}` : target);
+        }
+    }
+    return flags;
+}
+
+/**
+ * HostConfig.PortBindings after a port move. Moved host ports are swapped
+ * in place (host IPs kept), bindings missing from `to` are dropped and new
+ * ones added.
+ *
+ * @param {Object} portBindings - Current HostConfig.PortBindings
+ * @param {Array} from          - Current bindings [{ host, container, protocol }]
+ * @param {Array} to            - Target bindings
+ */
+function movePortBindings(portBindings, from, to) {
+    const keyOf = b => `${b.container}/${normProto(b.protocol)}`;
+    const hostsOf = (list, key) => [...new Set((list || []).filter(b => keyOf(b) === key).map(b => String(b.host)))];
+    const keys = new Set([...Object.keys(portBindings || {}), ...(from || []).map(keyOf), ...(to || []).map(keyOf)]);
+
+    const result = {};
+    for (const key of keys) {
+        const fromHosts = hostsOf(from, key);
+        const toHosts = hostsOf(to, key);
+        const gone = fromHosts.filter(h => !toHosts.includes(h));
+        const added = toHosts.filter(h => !fromHosts.includes(h));
+        const moved = new Map(gone.slice(0, added.length).map((h, i) => [h, added[i]]));
+
+        const bindings = [];
+        for (const b of portBindings?.[key] || []) {
+            if (!gone.includes(String(b.HostPort))) bindings.push(b);
+            else if (moved.has(String(b.HostPort))) bindings.push({ ...b, HostPort: moved.get(String(b.HostPort)) });
+        }
+        for (const h of added.slice(gone.length)) bindings.push({ HostIp: "", HostPort: h });
+
+        if (bindings.length > 0) result[key] = bindings;
+    }
+    return result;
+}
+
+function extractPublishedPortsFromInspect(inspect) {
+    const ports = [];
+    const pb = inspect?.NetworkSettings?.Ports || {};
+    for (const key of Object.keys(pb)) {
+        const [containerPortStr, proto] = key.split("/");
+        const containerPort = Number(containerPortStr);
+        const bindings = pb[key];
+        if (!Array.isArray(bindings)) continue;
+        for (const b of bindings) {
+            const hostPort = Number(b.HostPort);
+            ports.push({
+                host: hostPort,
+                container: containerPort,
+                protocol: proto,
+                ...(UNSPECIFIED_IPS.has(b.HostIp || "") ? {} : { hostIp: b.HostIp })
+            });
+        }
+    }
+    return ports;
+}
+
+/* ============================================================================
+   Helpers: create flags
+============================================================================ */
+
+function isEmpty(value) {
+    if (value === null || value === undefined || value === "" || value === 0 || value === false) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === "object") return Object.keys(value).length === 0;
+    return false;
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Quote one field of a CSV-style flag value (--gpus, --mount).
+ */
+function csvField(value) {
+    return /[",]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+
+function pushEach(args, flag, values) {
+    for (const v of values || []) args.push(flag, String(v));
+}
+
+function pushIf(args, flag, value) {
+    if (!isEmpty(value)) args.push(flag, String(value));
+}
+
+/**
+ * Network modes that share another namespace: no hostname, no per-network
+ * settings.
+ */
+function sharesNetwork(netMode) {
+    return netMode === "host" || String(netMode).startsWith("container:");
+}
+
+function primaryNetwork(netMode) {
+    return !netMode || netMode === "default" ? "bridge" : netMode;
+}
+
+/**
+ * User aliases of an endpoint (older Docker adds the short container ID).
+ */
+function userAliases(endpoint, containerId) {
+    const shortId = String(containerId || "").slice(0, 12);
+    return (endpoint?.Aliases || []).filter(a => a !== shortId);
+}
+
+/**
+ * Per-network flags, for `docker create` (primary network) or
+ * `docker network connect` (others).
+ */
+function endpointArgs(endpoint, containerId, aliasFlag) {
+    const args = [];
+    const ipam = endpoint?.IPAMConfig || {};
+    pushIf(args, "--ip", ipam.IPv4Address);
+    pushIf(args, "--ip6", ipam.IPv6Address);
+    pushEach(args, "--link-local-ip", ipam.LinkLocalIPs);
+    pushEach(args, aliasFlag, userAliases(endpoint, containerId));
+    return args;
+}
+
+/**
+ * `docker network connect` flags that reattach a network endpoint as it
+ * was (address, aliases, links, driver options).
+ */
+function networkConnectArgs(endpoint, containerId) {
+    const args = endpointArgs(endpoint, containerId, "--alias");
+    for (const link of endpoint?.Links || []) args.push("--link", link);
+    for (const [k, v] of Object.entries(endpoint?.DriverOpts || {})) {
+        args.push("--driver-opt", `${k}=${v}`);
+    }
+    return args;
+}
+
+/**
+ * Advanced --network value of a non-primary network whose MAC address has
+ * to be kept (docker network connect has no flag for it; Docker 25+).
+ * Legacy links cannot be expressed there.
+ */
+function networkFlag(netName, endpoint, containerId) {
+    if ((endpoint?.Links || []).length > 0) {
+        throw new Error(
+            `network ${netName} has both a MAC address and links; docker create cannot set both`
+        );
+    }
+    const ipam = endpoint?.IPAMConfig || {};
+    const fields = [`name=${netName}`];
+    if (ipam.IPv4Address) fields.push(`ip=${ipam.IPv4Address}`);
+    if (ipam.IPv6Address) fields.push(`ip6=${ipam.IPv6Address}`);
+    for (const ip of ipam.LinkLocalIPs || []) fields.push(`link-local-ip=${ip}`);
+    for (const alias of userAliases(endpoint, containerId)) fields.push(`alias=${alias}`);
+    fields.push(`mac-address=${endpoint.MacAddress}`);
+    for (const [k, v] of Object.entries(endpoint?.DriverOpts || {})) fields.push(`driver-opt=${k}=${v}`);
+    return fields.map(csvField).join(",");
+}
+
+/**
+ * --gpus value of a device request; throws for requests the flag cannot
+ * express.
+ */
+function gpusFlag(request) {
+    const fields = [];
+    if (request.Driver) fields.push(`driver=${request.Driver}`);
+    if (Array.isArray(request.DeviceIDs) && request.DeviceIDs.length > 0) {
+        fields.push(`device=${request.DeviceIDs.join(",")}`);
+    } else if (request.Count === -1) {
+        fields.push("all");
+    } else {
+        fields.push(`count=${request.Count || 0}`);
+    }
+
+    const caps = request.Capabilities || [];
+    if (caps.length !== 1 || caps[0][caps[0].length - 1] !== "gpu") {
+        throw new Error(
+            `device request ${JSON.stringify(caps)} cannot be recreated with --gpus`
+        );
+    }
+    if (caps[0].length > 1) fields.push(`capabilities=${caps[0].slice(0, -1).join(",")}`);
+
+    const options = Object.entries(request.Options || {}).map(([k, v]) => csvField(`${k}=${v}`));
+    if (options.length > 0) fields.push(`options=${options.join(",")}`);
+
+    return fields.map(csvField).join(",");
+}
+
+/**
+ * --mount value of a HostConfig.Mounts entry.
+ */
+function mountFlag(m) {
+    const fields = [`type=${m.Type}`];
+    if (m.Source) fields.push(`source=${m.Source}`);
+    fields.push(`target=${m.Target}`);
+    if (m.ReadOnly) fields.push("readonly");
+    if (m.Consistency) fields.push(`consistency=${m.Consistency}`);
+    if (m.BindOptions?.Propagation) fields.push(`bind-propagation=${m.BindOptions.Propagation}`);
+    if (m.BindOptions?.NonRecursive) fields.push("bind-recursive=disabled");
+    if (m.VolumeOptions?.NoCopy) fields.push("volume-nocopy");
+    if (m.VolumeOptions?.Subpath) fields.push(`volume-subpath=${m.VolumeOptions.Subpath}`);
+    if (m.VolumeOptions?.DriverConfig?.Name) fields.push(`volume-driver=${m.VolumeOptions.DriverConfig.Name}`);
+    for (const [k, v] of Object.entries(m.VolumeOptions?.DriverConfig?.Options || {})) {
+        fields.push(`volume-opt=${k}=${v}`);
+    }
+    for (const [k, v] of Object.entries(m.VolumeOptions?.Labels || {})) {
+        fields.push(`volume-label=${k}=${v}`);
+    }
+    if (m.TmpfsOptions?.SizeBytes) fields.push(`tmpfs-size=${m.TmpfsOptions.SizeBytes}`);
+    if (m.TmpfsOptions?.Mode) fields.push(`tmpfs-mode=${m.TmpfsOptions.Mode.toString(8)}`);
+    return fields.map(csvField).join(",");
+}
+
+/**
+ * Destination of a -v bind string ("src:dst[:opts]" or "dst").
+ */
+function bindDestination(bind) {
+    const parts = String(bind).split(":");
+    return parts.length === 1 ? parts[0] : parts[1];
+}
+
+/**
+ * Healthcheck flags for the parts that differ from the image's.
+ */
+function healthcheckArgs(health, imageHealth) {
+    const args = [];
+    if (!health || sameJson(health, imageHealth)) return args;
+
+    const test = health.Test || [];
+    if (test[0] === "NONE") return ["--no-healthcheck"];
+
+    if (test.length > 0 && !sameJson(test, imageHealth?.Test)) {
+        if (test[0] !== "CMD-SHELL" || test.length !== 2) {
+            throw new Error(
+                `healthcheck ${JSON.stringify(test)} cannot be recreated (docker create only takes a shell command)`
+            );
+        }
+        args.push("--health-cmd", test[1]);
+    }
+
+    const durations = [
+        ["Interval", "--health-interval"],
+        ["Timeout", "--health-timeout"],
+        ["StartPeriod", "--health-start-period"],
+        ["StartInterval", "--health-start-interval"]
+    ];
+    for (const [key, flag] of durations) {
+        if (health[key] && health[key] !== imageHealth?.[key]) args.push(flag, `${health[key]}ns`);
+    }
+    if (health.Retries && health.Retries !== imageHealth?.Retries) {
+        args.push("--health-retries", String(health.Retries));
+    }
+
+    return args;
+}
+
+/**
+ * Throws when a setting is in use that docker create cannot reproduce,
+ * before anything is stopped.
+ */
+function assertRecreatable(inspect) {
+    for (const [section, keys] of Object.entries(UNSUPPORTED)) {
+        for (const key of keys) {
+            if (!isEmpty(inspect?.[section]?.[key])) {
+                throw new Error(`${section}.${key} is set; docker create has no flag for it`);
+            }
+        }
+    }
+
+    for (const opt of inspect?.HostConfig?.SecurityOpt || []) {
+        if (/^seccomp[=:]\s*\{/.test(opt)) {
+            throw new Error("a custom seccomp profile cannot be recreated (docker create takes a file path)");
+        }
+    }
+}
+
+/* ============================================================================
+   Create arguments + recreate
+============================================================================ */
+
+/**
+ * docker create arguments that reproduce a container from its inspect
+ * output, with new port flags.
+ *
+ * Every HostConfig, Config and per-network setting docker create can
+ * express is carried over; settings that come from the image (entrypoint,
+ * healthcheck) are only passed when the container overrides them. An
+ * override docker create cannot express (multi-element entrypoint, CMD-form
+ * healthcheck) throws.
+ *
+ * @param {Object} inspect       - docker inspect of the container
+ * @param {Array} newPortFlags   - "-p" values (portFlag())
+ * @param {Object} image         - docker image inspect of its image (optional)
+ * @returns {{ args: [string], additionalNetworks: [{ name, args: [string] }] }}
+ */
+function buildCreateArgsFromInspect(inspect, newPortFlags, image = null) {
+    assertRecreatable(inspect);
+
+    const args = [];
+    const config = inspect?.Config || {};
+    const host = inspect?.HostConfig || {};
+
+    const name = inspect?.Name?.replace(/^\//, "");
+    if (!name) throw new Error("cannot derive container name from inspect");
+
+    args.push("--name", name);
+
+    // restart policy
+    const restart = host.RestartPolicy;
+    if (restart?.Name) {
+        if (restart.Name === "no") {
+            // omit
+        } else if (restart.Name === "on-failure") {
+            const max = restart.MaximumRetryCount || 0;
+            args.push("--restart", `on-failure:${max}`);
+        } else {
+            args.push("--restart", restart.Name);
+        }
+    }
+    if (host.AutoRemove) args.push("--rm");
+
+    // ========================================================================
+    // Networking: primary network with its static IPs / aliases / MAC; the
+    // others are connected after create with theirs, or attached at create
+    // (--network name=...,mac-address=...) when they carry a MAC address
+    // ========================================================================
+
+    const netMode = host.NetworkMode;
+    if (netMode && netMode !== "default") {
+        args.push("--network", netMode);
+    }
+
+    const networks = inspect?.NetworkSettings?.Networks || {};
+    const additionalNetworks = [];
+
+    if (!sharesNetwork(netMode)) {
+        pushIf(args, "--hostname", config.Hostname);
+        pushIf(args, "--domainname", config.Domainname);
+        // Older engines keep the primary network's MAC in Config.MacAddress
+        pushIf(args, "--mac-address",
+            networks[primaryNetwork(netMode)]?.MacAddress || config.MacAddress);
+
+        for (const [netName, endpoint] of Object.entries(networks)) {
+            if (netName === primaryNetwork(netMode)) {
+                args.push(...endpointArgs(endpoint, inspect.Id, "--network-alias"));
+                continue;
+            }
+            if (endpoint?.MacAddress) {
+                args.push("--network", networkFlag(netName, endpoint, inspect.Id));
+                continue;
+            }
+            additionalNetworks.push({ name: netName, args: networkConnectArgs(endpoint, inspect.Id) });
+        }
+    }
+
+    pushEach(args, "--dns", host.Dns);
+    pushEach(args, "--dns-option", host.DnsOptions);
+    pushEach(args, "--dns-search", host.DnsSearch);
+    pushEach(args, "--add-host", host.ExtraHosts);
+    for (const link of host.Links || []) {
+        // "/db:/web/database" -> "db:database"
+        const [target, alias] = link.split(":");
+        args.push("--link", `${target.replace(/^\//, "")}:${alias.split("/").pop()}`);
+    }
+
+    // env
+    const env = config.Env || [];
+    for (const e of env) args.push("-e", e);
+
+    // labels
+    const labels = config.Labels || {};
+    for (const [k, v] of Object.entries(labels)) {
+        args.push("--label", `${k}=${v}`);
+    }
+    for (const [k, v] of Object.entries(host.Annotations || {})) {
+        args.push("--annotation", `${k}=${v}`);
+    }
+
+    // ========================================================================
+    // Storage: -v binds, --mount mounts, then the remaining named / anonymous
+    // volumes by name (their destination is not covered by the first two)
+    // ========================================================================
+
+    const binds = host.Binds || [];
+    for (const b of binds) args.push("-v", b);
+
+    const hostMounts = host.Mounts || [];
+    for (const m of hostMounts) args.push("--mount", mountFlag(m));
+
+    const covered = new Set([...binds.map(bindDestination), ...hostMounts.map(m => m.Target)]);
+    const mounts = inspect?.Mounts || [];
+    for (const m of mounts) {
+        if (m.Type === "volume" && !covered.has(m.Destination)) {
+            const mode = m.RW ? "rw" : "ro";
+            args.push("-v", `${m.Name}:${m.Destination}:${mode}`);
+        }
+    }
+
+    pushEach(args, "--volumes-from", host.VolumesFrom);
+    pushIf(args, "--volume-driver", host.VolumeDriver);
+    for (const [path, options] of Object.entries(host.Tmpfs || {})) {
+        args.push("--tmpfs", options ? `${path}:${options}` : path);
+    }
+    for (const [k, v] of Object.entries(host.StorageOpt || {})) {
+        args.push("--storage-opt", `${k}=${v}`);
+    }
+    if (host.ReadonlyRootfs) args.push("--read-only");
+
+    // working dir
+    if (config.WorkingDir) {
+        args.push("-w", config.WorkingDir);
+    }
+
+    // entrypoint: only when it overrides the image's; an emptied entrypoint
+    // is passed as "". --entrypoint takes a single element, so a longer
+    // override cannot be reproduced
+    const entrypoint = config.Entrypoint || [];
+    const overridesEntrypoint = !sameJson(
+        entrypoint.length ? entrypoint : null,
+        image?.Config?.Entrypoint?.length ? image.Config.Entrypoint : null
+    );
+    if (overridesEntrypoint) {
+        if (entrypoint.length > 1) {
+            throw new Error(
+                `entrypoint ${JSON.stringify(entrypoint)} cannot be recreated (docker create takes a single-element --entrypoint)`
+            );
+        }
+        args.push("--entrypoint", entrypoint.length ? entrypoint[0] : "");
+    }
+
+    // user
+    if (config.User) {
+        args.push("-u", config.User);
+    }
+    pushEach(args, "--group-add", host.GroupAdd);
+
+    if (config.Tty) args.push("--tty");
+    if (config.OpenStdin) args.push("--interactive");
+    pushIf(args, "--stop-signal", config.StopSignal);
+    if (Number.isInteger(config.StopTimeout)) args.push("--stop-timeout", String(config.StopTimeout));
+    args.push(...healthcheckArgs(config.Healthcheck, image?.Config?.Healthcheck));
+
+    // ========================================================================
+    // CRITICAL VPN FIXES - v1.0.8
+    // ========================================================================
+
+    // capabilities (CRITICAL for VPN - NET_ADMIN for routing)
+    const capAdd = host.CapAdd || [];
+    for (const cap of capAdd) {
+        args.push("--cap-add", cap);
+    }
+    pushEach(args, "--cap-drop", host.CapDrop);
+
+    // devices (CRITICAL for VPN - /dev/net/tun for tunnel)
+    const devices = host.Devices || [];
+    for (const dev of devices) {
+        if (dev.PathOnHost && dev.PathInContainer) {
+            const perms = dev.CgroupPermissions && dev.CgroupPermissions !== "rwm" ? `:${dev.CgroupPermissions}` : "";
+            args.push("--device", `${dev.PathOnHost}:${dev.PathInContainer}${perms}`);
+        }
+    }
+    pushEach(args, "--device-cgroup-rule", host.DeviceCgroupRules);
+    for (const request of host.DeviceRequests || []) args.push("--gpus", gpusFlag(request));
+
+    // privileged mode
+    if (host.Privileged === true) {
+        args.push("--privileged");
+    }
+
+    // sysctls (kernel parameters for VPN)
+    const sysctls = host.Sysctls || {};
+    for (const [k, v] of Object.entries(sysctls)) {
+        args.push("--sysctl", `${k}=${v}`);
+    }
+
+    // ========================================================================
+    // END VPN FIXES
+    // ========================================================================
+
+    pushEach(args, "--security-opt", host.SecurityOpt);
+    pushIf(args, "--runtime", host.Runtime);
+    if (host.Init) args.push("--init");
+    pushIf(args, "--ipc", host.IpcMode);
+    pushIf(args, "--pid", host.PidMode);
+    pushIf(args, "--uts", host.UTSMode);
+    pushIf(args, "--userns", host.UsernsMode);
+    pushIf(args, "--cgroupns", host.CgroupnsMode);
+    pushIf(args, "--cgroup-parent", host.CgroupParent);
+    pushIf(args, "--isolation", host.Isolation);
+    pushIf(args, "--shm-size", host.ShmSize);
+
+    // logging
+    const log = host.LogConfig || {};
+    pushIf(args, "--log-driver", log.Type);
+    for (const [k, v] of Object.entries(log.Config || {})) {
+        args.push("--log-opt", `${k}=${v}`);
+    }
+
+    // ========================================================================
+    // Resources
+    // ========================================================================
+
+    pushIf(args, "--memory", host.Memory);
+    pushIf(args, "--memory-reservation", host.MemoryReservation);
+    pushIf(args, "--memory-swap", host.MemorySwap);
+    if (Number.isInteger(host.MemorySwappiness) && host.MemorySwappiness >= 0) {
+        args.push("--memory-swappiness", String(host.MemorySwappiness));
+    }
+    if (host.OomKillDisable) args.push("--oom-kill-disable");
+    pushIf(args, "--oom-score-adj", host.OomScoreAdj);
+    if (host.NanoCpus) args.push("--cpus", String(host.NanoCpus / 1e9));
+    pushIf(args, "--cpu-shares", host.CpuShares);
+    pushIf(args, "--cpu-period", host.CpuPeriod);
+    pushIf(args, "--cpu-quota", host.CpuQuota);
+    pushIf(args, "--cpu-rt-period", host.CpuRealtimePeriod);
+    pushIf(args, "--cpu-rt-runtime", host.CpuRealtimeRuntime);
+    pushIf(args, "--cpuset-cpus", host.CpusetCpus);
+    pushIf(args, "--cpuset-mems", host.CpusetMems);
+    pushIf(args, "--pids-limit", host.PidsLimit);
+    pushIf(args, "--blkio-weight", host.BlkioWeight);
+    for (const d of host.BlkioWeightDevice || []) args.push("--blkio-weight-device", `${d.Path}:${d.Weight}`);
+    for (const d of host.BlkioDeviceReadBps || []) args.push("--device-read-bps", `${d.Path}:${d.Rate}`);
+    for (const d of host.BlkioDeviceWriteBps || []) args.push("--device-write-bps", `${d.Path}:${d.Rate}`);
+    for (const d of host.BlkioDeviceReadIOps || []) args.push("--device-read-iops", `${d.Path}:${d.Rate}`);
+    for (const d of host.BlkioDeviceWriteIOps || []) args.push("--device-write-iops", `${d.Path}:${d.Rate}`);
+    for (const u of host.Ulimits || []) args.push("--ulimit", `${u.Name}=${u.Soft}:${u.Hard}`);
+
+    // published ports (THIS IS THE MUTATION)
+    if (host.PublishAllPorts) args.push("--publish-all");
+    for (const pf of newPortFlags) {
+        args.push("-p", pf);
+    }
+
+    // image
+    const ref = config.Image;
+    if (!ref) throw new Error("cannot derive image from inspect");
+    args.push(ref);
+
+    // cmd
+    for (const c of config.Cmd || []) args.push(c);
+
+    return { args, additionalNetworks };
+}
+
+/**
+ * Wait until an auto-remove container is gone after stopping (up to 10s).
+ */
+async function waitUntilRemoved(name) {
+    for (let i = 0; i < 50; i++) {
+        if (!(await Docker.containerExists(name))) return;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`auto-remove container ${name} was not removed after stopping`);
+}
+
+/**
+ * Put the original back after the replacement failed to start.
+ */
+async function restoreOriginal(name, asideName, replacementName) {
+    await Docker.remove(replacementName);
+    await Docker.rename(asideName, name);
+    await Docker.start(name);
+}
+
+/**
+ * Recreate a container as described by `expected`: its inspect, with the
+ * intended changes applied (HostConfig.PortBindings, env / labels).
+ *
+ * 1. create the replacement under a temporary name, next to the running
+ *    original, reconnect its networks and compare its inspect with
+ *    `expected` (docker/inspect-verifier.js); on a mismatch it is removed
+ *    and the original keeps running
+ * 2. stop the original and rename it aside, give the replacement the name
+ *    and start it; if that fails, the original is put back and started
+ * 3. remove the original
+ *
+ * Auto-remove (--rm) containers disappear when stopped, so they cannot be
+ * put back in step 2.
+ *
+ * @param {string} name
+ * @param {Object} expected - Inspect to reproduce
+ */
+async function recreateContainer(name, expected) {
+    // Preflight: the image reference must still be the image the container
+    // runs, or create would silently switch images
+    const ref = expected?.Config?.Image;
+    let image;
+    try {
+        image = await Docker.inspectImage(ref);
+    } catch (err) {
+        throw new Error(`image ${ref} of ${name} is no longer available locally (refusing to recreate)`);
+    }
+    if (expected.Image && image.Id !== expected.Image) {
+        throw new Error(
+            `image ${ref} no longer points to the image ${name} runs (updated since?); ` +
+            "recreating would change the image (refusing to recreate)"
+        );
+    }
+
+    const replacementName = `${name}-port-mcp-new`;
+    const asideName = `${name}-port-mcp-old`;
+    const replacement = { ...expected, Name: `/${replacementName}` };
+
+    const { args, additionalNetworks } = buildCreateArgsFromInspect(
+        replacement,
+        publishFlags(expected.HostConfig?.PortBindings),
+        image
+    );
+
+    // 1. Create + verify next to the running original
+    await Docker.create(args);
+    try {
+        // Reconnect additional networks before starting (v1.0.8)
+        for (const net of additionalNetworks) {
+            console.log(`[executor] Reconnecting network: ${net.name}`);
+            await Docker.runDocker(["network", "connect", ...net.args, net.name, replacementName]);
+        }
+
+        const differences = inspectDifferences(replacement, await Docker.inspectContainer(replacementName));
+        if (differences.length > 0) {
+            throw new Error(
+                `recreated ${name} would differ from the original: ${differences.join("; ")}`
+            );
+        }
+    } catch (err) {
+        await Docker.remove(replacementName);
+        throw new Error(`${err.message} (original left running)`);
+    }
+
+    // 2. Swap. IMPORTANT: the original is renamed / removed only after stop
+    const autoRemove = expected.HostConfig?.AutoRemove === true;
+    try {
+        await Docker.stop(name);
+        if (autoRemove) {
+            await waitUntilRemoved(name);
+        } else {
+            await Docker.rename(name, asideName);
+        }
+    } catch (err) {
+        await Docker.remove(replacementName);
+        throw err;
+    }
+
+    try {
+        await Docker.rename(replacementName, name);
+        await Docker.start(name);
+    } catch (err) {
+        if (autoRemove) throw err;
+        const current = (await Docker.containerExists(replacementName)) ? replacementName : name;
+        try {
+            await restoreOriginal(name, asideName, current);
+        } catch (restoreErr) {
+            throw new Error(
+                `${err.message}; restoring the original (${asideName}) failed too: ${restoreErr.message}`
+            );
+        }
+        throw new Error(`${err.message} (original restored)`);
+    }
+
+    // 3. Remove the original
+    if (!autoRemove) await Docker.remove(asideName);
+}
+
+module.exports = {
+    portFlag,
+    publishFlags,
+    movePortBindings,
+    extractPublishedPortsFromInspect,
+    networkConnectArgs,
+    buildCreateArgsFromInspect,
+    recreateContainer
+};
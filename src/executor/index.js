@@ -5,9 +5,16 @@ const preflight = require("./preflight");
 const { confirmApply, confirmDockerDowntime } = require("./confirm");
 const actions = require("./actions");
 const audit = require("./audit-log");
+const { isRunnableAction } = require("../planner/plan/plan-schema");
+const { loadState } = require("../planner/inputs/state-loader");
+const { checkPlanFreshness } = require("./stale-check");
+
+const DEFAULT_MCP_URL = "http://127.0.0.1:4100";
+
+const DOCKER_MUTATION_TYPES = ["update-container-ports", "update-container-networks", "update-container-config"];
 
 function planHasDockerMutation(plan) {
-    return plan.actions.some(a => a.type === "update-container-ports");
+    return plan.actions.some(a => isRunnableAction(a) && DOCKER_MUTATION_TYPES.includes(a.type));
 }
 
 /**
@@ -27,6 +34,56 @@ function emitProgress(opts, evt) {
     }
 }
 
+/**
+ * Re-fetch state and compare it with the plan before anything runs.
+ * A stale plan is refused unless opts.allowStale is set; dry-runs only warn.
+ */
+async function ensurePlanIsFresh(plan, opts) {
+    if (!plan.actions.some(isRunnableAction)) return;
+
+    const override = "re-plan, or pass --allow-stale (allowStale) to apply anyway";
+
+    let liveState;
+    try {
+        liveState = await loadState({
+            baseUrl: opts.baseUrl || process.env.PORT_MCP_URL || DEFAULT_MCP_URL
+        });
+    } catch (err) {
+        const message = `Cannot verify plan against current state: ${err.message}`;
+        if (opts.dryRun || opts.allowStale) {
+            console.warn(`[executor] WARNING: ${message}`);
+            return;
+        }
+        throw new Error(`${message} (${override})`);
+    }
+
+    const { stale, drift } = checkPlanFreshness(plan, liveState);
+
+    emitProgress(opts, {
+        type: "preflight:freshness",
+        stale,
+        drift: drift.map(d => d.detail)
+    });
+
+    if (!stale) return;
+
+    const message =
+        "Plan is stale; state changed since it was built:\n  - " +
+        drift.map(d => d.detail).join("\n  - ");
+
+    if (opts.dryRun || opts.allowStale) {
+        console.warn(`[executor] WARNING: ${message}`);
+        return;
+    }
+
+    audit({ status: "aborted", reason: "stale-plan", drift });
+    emitProgress(opts, { type: "job:aborted", reason: "stale-plan" });
+
+    const err = new Error(`${message}\n${override[0].toUpperCase()}${override.slice(1)}.`);
+    err.drift = drift;
+    throw err;
+}
+
 module.exports = async function runExecutor(opts = {}) {
     if (!opts.apply) {
         throw new Error("Refusing to execute without --apply");
@@ -49,6 +106,8 @@ module.exports = async function runExecutor(opts = {}) {
 
     await preflight(plan);
 
+    await ensurePlanIsFresh(plan, opts);
+
     emitProgress(opts, { type: "preflight:complete" });
 
     if (!opts.yes) {
@@ -77,17 +136,19 @@ module.exports = async function runExecutor(opts = {}) {
         }
     }
 
+    // Informational and blocked actions are carried for context only
+    const runnable = plan.actions.filter(isRunnableAction);
     const results = [];
 
-    for (let i = 0; i < plan.actions.length; i++) {
-        const action = plan.actions[i];
+    for (let i = 0; i < runnable.length; i++) {
+        const action = runnable[i];
         const handler = actions[action.type];
         if (!handler) throw new Error(`No handler for ${action.type}`);
 
         emitProgress(opts, {
             type: "action:start",
             index: i,
-            total: plan.actions.length,
+            total: runnable.length,
             actionType: action.type,
             container: action.container
         });
@@ -99,7 +160,7 @@ module.exports = async function runExecutor(opts = {}) {
             emitProgress(opts, {
                 type: "action:success",
                 index: i,
-                total: plan.actions.length,
+                total: runnable.length,
                 actionType: action.type,
                 container: action.container
             });
@@ -107,25 +168,27 @@ module.exports = async function runExecutor(opts = {}) {
             emitProgress(opts, {
                 type: "action:error",
                 index: i,
-                total: plan.actions.length,
+                total: runnable.length,
                 actionType: action.type,
                 container: action.container,
                 error: err instanceof Error ? err.message : String(err)
             });
+            // What already ran, for callers recording a partial apply
+            if (err instanceof Error) err.results = results;
             throw err;
         }
     }
 
     audit({
         status: "success",
-        actions: plan.actions,
+        actions: runnable,
         results
     });
 
     emitProgress(opts, {
         type: "job:complete",
         status: "success",
-        actionCount: plan.actions.length
+        actionCount: runnable.length
     });
 
     return { status: "success", results };
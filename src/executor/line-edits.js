@@ -0,0 +1,82 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Executor Line Edits (HIGH RISK)
+ * Location: src/executor/line-edits.js
+ *
+ * Responsibility:
+ * - Check and apply whole-line changes to a text file
+ *   ([{ line, from, to }], 1-based, without line endings)
+ * - Keep a backup next to the file (<file>.<timestamp>.port-mcp.bak)
+ *   and write through a temp file + rename
+ *
+ * Shared by rewrite-file (reference files) and port moves written back to
+ * compose files and Unraid templates.
+ *
+ * HARD RULES:
+ * - Every "from" must match the file's current line before anything is
+ *   written
+ * - Line endings and file mode are preserved
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+function readLines(file) {
+    return fs.readFileSync(file, "utf8").split("\n");
+}
+
+/**
+ * Throws unless every change's "from" matches the file.
+ *
+ * @param {string} hint - Appended to the mismatch error (e.g. a backup path)
+ */
+function checkLineChanges(file, changes, hint = "") {
+    const lines = readLines(file);
+    for (const c of changes) {
+        const current = lines[c.line - 1];
+        if (current === undefined || current.replace(/\r$/, "") !== c.from) {
+            throw new Error(
+                `preflight mismatch: line ${c.line} of ${file} no longer has the planned content${hint}`
+            );
+        }
+    }
+    return lines;
+}
+
+/**
+ * Check, back up and write. Returns the backup path.
+ */
+function writeLineChanges(file, changes, hint = "") {
+    const lines = checkLineChanges(file, changes, hint);
+
+    for (const c of changes) {
+        const ending = lines[c.line - 1].endsWith("\r") ? "\r" : "";
+        lines[c.line - 1] = c.to + ending;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backup = `${file}.${stamp}.port-mcp.bak`;
+    const temp = `${file}.port-mcp.tmp`;
+    const { mode } = fs.statSync(file);
+
+    fs.copyFileSync(file, backup);
+    fs.writeFileSync(temp, lines.join("\n"), { mode });
+    fs.renameSync(temp, file);
+
+    return backup;
+}
+
+/**
+ * Put a backup taken by writeLineChanges back in place.
+ */
+function restoreBackup(file, backup) {
+    fs.copyFileSync(backup, file);
+}
+
+module.exports = {
+    checkLineChanges,
+    writeLineChanges,
+    restoreBackup
+};
@@ -1,13 +1,55 @@
 "use strict";
 
 const fs = require("fs");
+const path = require("path");
 
+const { migratePlan, validatePlan } = require("../planner/plan/plan-schema");
+const { PlanError } = require("../planner/utils/errors");
+
+function readPlanFile(file) {
+    const source = path.resolve(file);
+
+    let raw;
+    try {
+        raw = fs.readFileSync(source, "utf8");
+    } catch (err) {
+        throw new PlanError(`Cannot read plan file ${source}: ${err.message}`, { source });
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        throw new PlanError(`Plan file ${source} is not valid JSON: ${err.message}`, { source });
+    }
+}
+
+/**
+ * Load a plan (file or object), migrate it to the current schema version
+ * and validate it. Invalid plans throw PlanError listing every problem.
+ */
 module.exports = async function loadPlan(opts) {
+    let doc;
+    let source = null;
+
     if (opts.plan) {
-        return JSON.parse(fs.readFileSync(opts.plan, "utf8"));
+        source = path.resolve(opts.plan);
+        doc = readPlanFile(opts.plan);
+    } else if (opts.planObject) {
+        doc = opts.planObject;
+    } else {
+        throw new Error("No plan provided");
     }
-    if (opts.planObject) {
-        return opts.planObject;
+
+    const plan = migratePlan(doc);
+    const problems = validatePlan(plan);
+
+    if (problems.length > 0) {
+        const where = source ? ` in ${source}` : "";
+        throw new PlanError(`Invalid plan${where}:\n  - ${problems.join("\n  - ")}`, {
+            source,
+            problems
+        });
     }
-    throw new Error("No plan provided");
+
+    return plan;
 };
@@ -5,29 +5,25 @@
  *
  * Responsibility:
  * - Validate plan safety before execution
+ * - Re-check the plan schema (plans may be built in-process and never
+ *   pass through loadPlan's file path)
  * - NO mutation
  * ============================================================================
  */
 
 "use strict";
 
+const { validatePlan } = require("../planner/plan/plan-schema");
+const { PlanError } = require("../planner/utils/errors");
+
 module.exports = async function preflight(plan) {
-    if (!Array.isArray(plan.actions)) {
+    if (!plan || !Array.isArray(plan.actions)) {
         throw new Error("Invalid plan: actions[] missing");
     }
 
-    const allowedTypes = [
-        "review-game-ports",
-        "manual-review",
-        "reserve-port",
-        "release-port",
-        "update-container-ports"
-    ];
-
-    for (const a of plan.actions) {
-        if (!allowedTypes.includes(a.type)) {
-            throw new Error(`Unsupported action type: ${a.type}`);
-        }
+    const problems = validatePlan(plan);
+    if (problems.length > 0) {
+        throw new PlanError(`Invalid plan:\n  - ${problems.join("\n  - ")}`, { problems });
     }
 
     console.log("Preflight checks passed.");
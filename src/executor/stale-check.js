@@ -0,0 +1,256 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Executor Stale-Plan Check (READ-ONLY)
+ * Location: src/executor/stale-check.js
+ *
+ * Responsibility:
+ * - Compare a plan against freshly fetched state BEFORE any action runs
+ * - Report exactly what drifted:
+ *   - plan.basis fingerprint no longer matches (ports / networks / running)
+ *   - update-container-ports `from` no longer matches the published ports
+ *   - update-container-networks `from` no longer matches the networks
+ *   - a target host port is now held by another container
+ *   - a planned container no longer exists
+ *   - reserve-port ports were registered or unpublished meanwhile
+ *   - release-port ports are published again
+ *   (update-container-config only checks the container exists; its `from`
+ *   values are verified by the action itself against a fresh inspect;
+ *   rewrite-file lines are likewise verified by the action itself)
+ *   (registry steps that follow a port move in the same plan are checked
+ *   against the move's target, not the current bindings)
+ *
+ * Plans without a basis (older plans, rollback / restore plans, modal
+ * plans) still get the per-action checks.
+ *
+ * HARD RULES:
+ * - NO mutation
+ * - Never throws on drift; the executor decides what to do
+ * ============================================================================
+ */
+
+"use strict";
+
+const { diffState, describeChange, containerBindings } = require("../planner/utils/diff");
+const { fingerprintFor, basisAsState } = require("../planner/utils/state-fingerprint");
+const { isRunnableAction } = require("../planner/plan/plan-schema");
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function bindingKey(b) {
+    return `${b.host}:${b.container}/${String(b.protocol).toLowerCase()}`;
+}
+
+/**
+ * Published bindings of a container as executor bindings, deduped across host IPs.
+ */
+function publishedBindings(state, name) {
+    const seen = new Map();
+    for (const b of containerBindings(state, name)) {
+        const binding = { host: b.host, container: b.containerPort, protocol: b.protocol };
+        seen.set(bindingKey(binding), binding);
+    }
+    return [...seen.values()];
+}
+
+function sameList(a, b) {
+    const sa = new Set(a.map(bindingKey));
+    const sb = new Set(b.map(bindingKey));
+    return sa.size === sb.size && [...sa].every(k => sb.has(k));
+}
+
+function formatList(list) {
+    return list.length > 0
+        ? list.map(b => `${b.host}->${b.container}/${b.protocol}`).join(", ")
+        : "none";
+}
+
+function restrictState(state, names) {
+    return {
+        containers: (state?.containers || []).filter(c => names.has(c.name)),
+        ports: (state?.ports || []).filter(p => names.has(p.container))
+    };
+}
+
+function liveNetworks(state, name) {
+    const c = (state?.containers || []).find(x => x.name === name);
+    return [...new Set((c?.networks || []).map(n => (typeof n === "string" ? n : n?.name)).filter(Boolean))].sort();
+}
+
+function containerExists(state, name) {
+    return (state?.containers || []).some(c => c.name === name) ||
+        (state?.ports || []).some(p => p.container === name);
+}
+
+/**
+ * "<host>/<proto>" -> [container] for every published host port in the state.
+ */
+function hostPortHolders(state) {
+    const holders = new Map();
+    for (const p of state?.ports || []) {
+        const key = `${p.host}/${String(p.protocol || "tcp").toLowerCase()}`;
+        if (!holders.has(key)) holders.set(key, new Set());
+        if (p.container) holders.get(key).add(p.container);
+    }
+    return holders;
+}
+
+/**
+ * "<host>/<proto>" keys of every Port-MCP registry entry in the state.
+ */
+function registeredPorts(state) {
+    return new Set((state?.registry || [])
+        .filter(r => (r?.host ?? r?.port) !== undefined)
+        .map(r => `${Number(r.host ?? r.port)}/${String(r.protocol || "tcp").toLowerCase()}`));
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Check a plan against live state.
+ *
+ * @param {Object} plan      - Validated plan
+ * @param {Object} liveState - State fetched just now (state-loader shape)
+ * @returns {{
+ *   stale: boolean,
+ *   fingerprint: { expected, actual } | null,
+ *   drift: [{ container, detail }]
+ * }}
+ */
+function checkPlanFreshness(plan, liveState) {
+    const drift = [];
+    const reported = new Set();
+    const add = (container, detail) => {
+        drift.push({ container, detail });
+        reported.add(container);
+    };
+
+    let fingerprint = null;
+    const basis = plan.basis;
+
+    if (basis && Array.isArray(basis.containers)) {
+        const actual = fingerprintFor(liveState, basis);
+        fingerprint = { expected: basis.fingerprint, actual };
+
+        if (actual !== basis.fingerprint) {
+            const names = new Set(basis.containers.map(c => c.name));
+            for (const c of diffState(basisAsState(basis), restrictState(liveState, names))) {
+                add(c.container, describeChange(c));
+            }
+            if (drift.length === 0) {
+                add("(plan)", "state fingerprint changed");
+            }
+        }
+    }
+
+    const runnable = plan.actions.filter(isRunnableAction);
+    const holders = hostPortHolders(liveState);
+
+    // Host ports this plan frees up (in from, not in to) may be taken by other actions
+    const freed = new Set();
+    for (const a of runnable) {
+        if (a.type !== "update-container-ports") continue;
+        const to = new Set(a.to.map(b => `${b.host}/${b.protocol}`));
+        for (const b of a.from) {
+            if (!to.has(`${b.host}/${b.protocol}`)) freed.add(`${b.host}/${b.protocol}`);
+        }
+    }
+
+    for (const a of runnable) {
+        if (a.type !== "update-container-networks") continue;
+        const name = a.container;
+
+        if (!containerExists(liveState, name)) {
+            if (!reported.has(name)) add(name, `${name}: container no longer exists`);
+            continue;
+        }
+
+        const current = liveNetworks(liveState, name);
+        const expected = [...new Set(a.from)].sort();
+        if (!reported.has(name) && current.join(",") !== expected.join(",")) {
+            add(name, `${name}: networks are now ${current.join(", ") || "none"} (plan expects ${expected.join(", ")})`);
+        }
+    }
+
+    for (const a of runnable) {
+        if (a.type !== "update-container-ports") continue;
+        const name = a.container;
+
+        if (!containerExists(liveState, name)) {
+            if (!reported.has(name)) add(name, `${name}: container no longer exists`);
+            continue;
+        }
+
+        const current = publishedBindings(liveState, name);
+        if (!reported.has(name) && !sameList(current, a.from)) {
+            add(name, `${name}: published ports are now ${formatList(current)} (plan expects ${formatList(a.from)})`);
+        }
+
+        for (const b of a.to) {
+            const key = `${b.host}/${b.protocol}`;
+            if (freed.has(key)) continue;
+            const others = [...(holders.get(key) || [])].filter(holder => holder !== name);
+            if (others.length > 0) {
+                add(name, `${name}: target host port ${key} is now used by ${others.join(", ")}`);
+            }
+        }
+    }
+
+    for (const a of runnable) {
+        if (a.type !== "update-container-config") continue;
+        if (!containerExists(liveState, a.container) && !reported.has(a.container)) {
+            add(a.container, `${a.container}: container no longer exists`);
+        }
+    }
+
+    const registered = registeredPorts(liveState);
+
+    // Host ports each container will publish once this plan's moves ran
+    const planned = new Map();
+    for (const a of runnable) {
+        if (a.type !== "update-container-ports") continue;
+        planned.set(a.container, new Set(a.to.map(b => `${b.host}/${b.protocol}`)));
+    }
+
+    // Host ports this plan releases from the registry before reserving them again
+    const releasing = new Set(runnable
+        .filter(a => a.type === "release-port" && Array.isArray(a.ports))
+        .flatMap(a => a.ports.map(b => `${b.host}/${b.protocol}`)));
+
+    for (const a of runnable) {
+        if (a.type !== "reserve-port") continue;
+        const published = planned.get(a.container) || new Set([...holders.entries()]
+            .filter(([, names]) => names.has(a.container))
+            .map(([key]) => key));
+
+        for (const b of a.ports) {
+            const key = `${b.host}/${b.protocol}`;
+            if (registered.has(key) && !releasing.has(key)) {
+                add(a.container, `${a.container}: ${key} is already registered in Port-MCP`);
+            } else if (!published.has(key)) {
+                add(a.container, `${a.container}: no longer publishes ${key}`);
+            }
+        }
+    }
+
+    for (const a of runnable) {
+        if (a.type !== "release-port" || !Array.isArray(a.ports)) continue;
+        for (const b of a.ports) {
+            const key = `${b.host}/${b.protocol}`;
+            if (freed.has(key)) continue;
+            const users = [...(holders.get(key) || [])];
+            if (users.length > 0) {
+                add(a.container, `${a.container}: ${key} is published again by ${users.join(", ")}`);
+            }
+        }
+    }
+
+    return { stale: drift.length > 0, fingerprint, drift };
+}
+
+module.exports = {
+    checkPlanFreshness
+};
@@ -2,22 +2,30 @@
  * Analyzer (READ-ONLY)
  *
  * Orchestrates analysis modules. Produces findings only.
- * No policy application in Step 6.
+ * Network compliance is checked against policy when a classification
+ * is supplied (the role decides which network rules apply).
  */
 
 const { analyzePorts } = require("./port-analysis");
 const { analyzeNetworks } = require("./network-analysis");
+const { analyzeNetworkCompliance } = require("./network-compliance");
 
-function summarize(portsResult, networksResult) {
+function summarize(portsResult, networksResult, networkCompliance) {
     return {
         fetchedAt: Date.now(),
         ports: portsResult?.totals || null,
-        networks: networksResult?.totals || null
+        networks: networksResult?.totals || null,
+        networkCompliance: networkCompliance
+            ? {
+                containers: networkCompliance.length,
+                errors: networkCompliance.filter(c => c.findings.some(f => f.severity === "error")).length
+            }
+            : null
     };
 }
 
 async function runAnalysis(input = {}) {
-    const { state } = input;
+    const { state, classification = null, policy } = input;
 
     if (!state || typeof state !== "object") {
         throw new Error("Analyzer requires { state }");
@@ -25,11 +33,15 @@ async function runAnalysis(input = {}) {
 
     const ports = analyzePorts(state);
     const networks = analyzeNetworks(state);
+    const networkCompliance = classification
+        ? analyzeNetworkCompliance(state, { classification, policy })
+        : null;
 
     return {
-        summary: summarize(ports, networks),
+        summary: summarize(ports, networks, networkCompliance),
         ports,
-        networks
+        networks,
+        networkCompliance
     };
 }
 
@@ -0,0 +1,145 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Network Compliance (READ-ONLY)
+ * Location: src/planner/analyze/network-compliance.js
+ *
+ * Responsibility:
+ * - Compare each container's networks with its role's network policy
+ *   (roles.<role>.networks: preferred[], allowed[], allowHost)
+ * - Report findings and the connect / disconnect steps that would fix them
+ *
+ * Findings:
+ *   { id, severity: "error" | "warning", network, fixable, message }
+ *
+ *   host-network-not-allowed   on "host" while allowHost is false
+ *                              (not fixable: needs a recreate, not a reconnect)
+ *   network-not-allowed        on a network missing from allowed[]
+ *   preferred-network-missing  on none of the preferred[] networks
+ *   preferred-network-unknown  a preferred network does not exist on the host
+ *
+ * Fixes connect before they disconnect and never leave a container
+ * without a network.
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - Deterministic: same state + same policy = same findings
+ * ============================================================================
+ */
+
+"use strict";
+
+const { getPoliciesForCategory } = require("../policy/policies");
+
+// Network modes that cannot be changed with docker network connect/disconnect
+const SPECIAL_NETWORKS = ["host", "none"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function networkNames(container) {
+    return [...new Set((container?.networks || [])
+        .map(n => (typeof n === "string" ? n : n?.name))
+        .filter(Boolean))].sort();
+}
+
+function finding(id, severity, network, fixable, message) {
+    return { id, severity, network, fixable, message };
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Check one container against a role's network rules.
+ *
+ * @param {Object} container     - State container ({ name, networks })
+ * @param {Object|null} rules    - { preferred[], allowed[], allowHost } (null = no network policy)
+ * @param {Array<string>|null} knownNetworks - Networks that exist on the host (null = unknown)
+ * @returns {{ networks: string[], findings: Array, connect: string[], disconnect: string[] }}
+ */
+function checkNetworkCompliance(container, rules, knownNetworks = null) {
+    const networks = networkNames(container);
+    const result = { networks, findings: [], connect: [], disconnect: [] };
+
+    if (!rules || networks.length === 0) return result;
+
+    const preferred = rules.preferred || [];
+    const allowed = rules.allowed || [];
+    const exists = name => !knownNetworks || knownNetworks.includes(name);
+
+    if (networks.includes("host")) {
+        if (!rules.allowHost) {
+            result.findings.push(finding(
+                "host-network-not-allowed", "error", "host", false,
+                `${container.name} uses host networking, which this role does not allow (recreate it on ${preferred[0] || allowed[0] || "a bridge network"})`
+            ));
+        }
+        return result;
+    }
+    if (networks.some(n => SPECIAL_NETWORKS.includes(n))) return result;
+
+    for (const name of preferred.filter(n => !SPECIAL_NETWORKS.includes(n) && !exists(n))) {
+        result.findings.push(finding(
+            "preferred-network-unknown", "warning", name, false,
+            `Preferred network ${name} does not exist on this host`
+        ));
+    }
+
+    if (preferred.length > 0 && !networks.some(n => preferred.includes(n))) {
+        const target = preferred.find(n => !SPECIAL_NETWORKS.includes(n) && exists(n)) || null;
+        result.findings.push(finding(
+            "preferred-network-missing", "warning", preferred[0], Boolean(target),
+            `${container.name} is on none of the preferred networks (${preferred.join(", ")})`
+        ));
+        if (target) result.connect.push(target);
+    }
+
+    const disallowed = allowed.length > 0 ? networks.filter(n => !allowed.includes(n)) : [];
+    const remaining = [...networks.filter(n => !disallowed.includes(n)), ...result.connect];
+    const canDisconnect = remaining.length > 0;
+
+    for (const name of disallowed) {
+        result.findings.push(finding(
+            "network-not-allowed", "error", name, canDisconnect,
+            canDisconnect
+                ? `${container.name} is on ${name}, which is not in allowed networks (${allowed.join(", ")})`
+                : `${container.name} is on ${name}, which is not allowed, and no allowed network is available to move it to`
+        ));
+    }
+    if (canDisconnect) result.disconnect.push(...disallowed);
+
+    return result;
+}
+
+/**
+ * Network compliance for every classified container.
+ * Returns [{ container, role, networks, findings, connect, disconnect }]
+ * (containers without findings are omitted).
+ */
+function analyzeNetworkCompliance(state, { classification, policy } = {}) {
+    const knownNetworks = Array.isArray(state?.networks) && state.networks.length > 0
+        ? state.networks.map(n => n?.name).filter(Boolean)
+        : null;
+    const byName = new Map((state?.containers || []).map(c => [c.name, c]));
+    const out = [];
+
+    for (const c of classification?.containers || []) {
+        const container = byName.get(c.name);
+        if (!container) continue;
+
+        const rules = getPoliciesForCategory(c.category, policy)[0]?.networks || null;
+        const result = checkNetworkCompliance(container, rules, knownNetworks);
+        if (result.findings.length === 0) continue;
+
+        out.push({ container: c.name, role: c.category, ...result });
+    }
+
+    return out.sort((a, b) => a.container.localeCompare(b.container));
+}
+
+module.exports = {
+    checkNetworkCompliance,
+    analyzeNetworkCompliance
+};
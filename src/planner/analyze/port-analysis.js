@@ -18,9 +18,13 @@ function normalizeLivePorts(state) {
             const host = p?.host ?? p?.HostPort ?? p?.public ?? p?.publicPort;
             const protocol = (p?.protocol ?? p?.Protocol ?? p?.proto ?? "").toLowerCase() || "tcp";
 
+            // state-loader ports carry the container NAME in `container`
+            // and the container-side port in `containerPort`
+            const named = typeof p?.container === "string" ? p.container : null;
+
             const containerId = p?.containerId ?? p?.id ?? p?.container?.id ?? null;
-            const containerName = p?.containerName ?? p?.name ?? p?.container?.name ?? null;
-            const containerPort = p?.container ?? p?.containerPort ?? p?.private ?? p?.privatePort ?? null;
+            const containerName = p?.containerName ?? named ?? p?.name ?? p?.container?.name ?? null;
+            const containerPort = p?.containerPort ?? (named ? null : p?.container) ?? p?.private ?? p?.privatePort ?? null;
 
             const ip = p?.ip ?? p?.hostIp ?? p?.HostIp ?? null;
 
@@ -6,19 +6,48 @@
  * Responsibility:
  * - Analyze which containers might be affected by port changes
  * - SCAN for hardcoded port references in env vars, labels, and configs
- * - Detect network dependencies
+ *   (state must be loaded with config enrichment, see state-loader.js)
+ * - SCAN reverse-proxy / dashboard config files for the same references
+ *   (referenceFiles, see inputs/reference-files.js), by file and line
+ * - Classify each reference by addressing mode and rate its risk
+ *   (port-references.js): only references through the host port break
+ *   when a host port moves
+ *     high    breaking references (host IP / LAN address)
+ *     medium  unqualified port numbers (review)
+ *   Container-name / localhost references and shared networks are
+ *   reported separately as unaffected
+ * - Detect network peers
  * - Check port availability
  * - SUGGEST next available port in correct range
+ * - OFFER companion actions for a chosen new port: update-container-config
+ *   actions rewriting the references in dependent containers, and
+ *   rewrite-file actions for reference files
+ *   (see plan/config-rewrite.js for what is and is not rewritten)
  * 
  * v3 FIXES:
  * - Track already-suggested ports (no duplicates)
  * - Skip VPN/protected ports (58946)
  * - Start apps range at 5000 (not 1024)
+ *
+ * Game profiles:
+ * - Known game servers (game-profiles.js) move their port groups as a unit:
+ *   the suggestion keeps game/query/RCON offsets and TCP/UDP pairs intact
+ * - Moving one port of a group alone is reported as a warning
  * ============================================================================
  */
 
 "use strict";
 
+const { getGameProfiles, matchGameProfile, mapBindingsToProfile } = require("../policy/game-profiles");
+const { planConfigRewrites, planFileRewrites } = require("../plan/config-rewrite");
+const {
+    buildAddressBook,
+    findPortMentions,
+    classifyMention,
+    referenceRisk,
+    worseRisk
+} = require("./port-references");
+
 // Port ranges (must match policy)
 const PORT_RANGES = {
     system: [[1, 1023]],
@@ -47,8 +76,11 @@ const PORT_RANGES = {
  * @param {number} currentPort - Port being changed
  * @param {Array} usedPorts - All currently used ports
  * @param {Set|Array} alreadySuggested - Ports already suggested in this session
+ * @param {Object} block - Game profile port group (optional):
+ *   { offset, offsets } - the suggested port is only returned when every
+ *   sibling (base + offsets) is free and inside the same range
  */
-function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggested = new Set()) {
+function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggested = new Set(), block = null) {
     const ranges = PORT_RANGES[category] || PORT_RANGES.apps;
     
     // Convert alreadySuggested to Set if it's an array
@@ -62,6 +94,18 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
         ...Array.from(suggestedSet)
     ]);
     
+    // Is `port` usable? With a block, all its siblings must fit in [min, max] too
+    const fitsAt = (port, min, max) => {
+        if (!block) return !usedSet.has(port);
+        const base = port - block.offset;
+        return block.offsets.every(o =>
+            base + o >= min && base + o <= max && !usedSet.has(base + o)
+        );
+    };
+    const blockNote = block && block.offsets.length > 1
+        ? ` (keeps ${block.offsets.length} grouped ports together)`
+        : '';
+    
     // SMART GAMES LOGIC: Detect which range the current port is in
     if (category === 'games' && Array.isArray(ranges) && ranges.length === 2) {
         const [lowRange, highRange] = ranges;
@@ -93,11 +137,11 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
             : min;
         
         for (let port = start; port <= max; port++) {
-            if (!usedSet.has(port)) {
+            if (fitsAt(port, min, max)) {
                 return {
                     port,
                     range: `${min}-${max}`,
-                    reason: `Next available in ${category} ${rangeLabel} range`
+                    reason: `Next available in ${category} ${rangeLabel} range${blockNote}`
                 };
             }
         }
@@ -108,11 +152,11 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
         const [otherMin, otherMax] = otherRange;
         
         for (let port = otherMin; port <= otherMax; port++) {
-            if (!usedSet.has(port)) {
+            if (fitsAt(port, otherMin, otherMax)) {
                 return {
                     port,
                     range: `${otherMin}-${otherMax}`,
-                    reason: `Next available in ${category} ${otherLabel} range (${rangeLabel} range full)`
+                    reason: `Next available in ${category} ${otherLabel} range (${rangeLabel} range full)${blockNote}`
                 };
             }
         }
@@ -126,11 +170,11 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
         const startPort = Math.max(5000, min); // Start at 5000
         
         for (let port = startPort; port <= max; port++) {
-            if (!usedSet.has(port)) {
+            if (fitsAt(port, min, max)) {
                 return {
                     port,
                     range: `${min}-${max}`,
-                    reason: `Next available in ${category} range (starting at 5000)`
+                    reason: `Next available in ${category} range (starting at 5000)${blockNote}`
                 };
             }
         }
@@ -146,11 +190,11 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
             : min;
         
         for (let port = start; port <= max; port++) {
-            if (!usedSet.has(port)) {
+            if (fitsAt(port, min, max)) {
                 return {
                     port,
                     range: `${min}-${max}`,
-                    reason: `Next available in ${category} range`
+                    reason: `Next available in ${category} range${blockNote}`
                 };
             }
         }
@@ -166,72 +210,94 @@ function findNextAvailablePort(category, currentPort, usedPorts, alreadySuggeste
  * - Environment variables
  * - Labels (Traefik, Caddy, etc)
  * - Command/entrypoint args
+ *
+ * Each reference is classified by addressing mode (host / container /
+ * localhost / unqualified, see port-references.js) and rated for a
+ * host-port change. Mentions addressing other containers are ignored.
  */
-function findPortReferences(containerName, port, container) {
+function findPortReferences(containerName, port, container, book) {
     const references = [];
-    const portStr = String(port);
+    const isPort = p => p === Number(port);
     
-    // 1. Scan environment variables
-    if (container.env && Array.isArray(container.env)) {
-        for (const envLine of container.env) {
-            // Match patterns like:
-            // RADARR_URL=http://radarr:7878
-            // API_PORT=8080
-            // SERVICE_URL=http://service:9999/api
-            if (envLine.includes(`:${portStr}`) || 
-                envLine.includes(`=${portStr}`) ||
-                envLine.includes(` ${portStr}`)) {
-                
-                references.push({
-                    container: container.name,
-                    type: 'environment',
-                    location: 'ENV',
-                    detail: envLine.length > 80 ? envLine.substring(0, 77) + '...' : envLine,
-                    confidence: 'high',
-                    risk: 'breaking'
-                });
-            }
+    const addReference = (type, location, value, mentions) => {
+        let worst = null;
+        for (const mention of mentions) {
+            const { addressing, via } = classifyMention(mention, containerName, book);
+            if (addressing === 'other') continue;
+            const rated = { addressing, via, ...referenceRisk(addressing, container) };
+            if (!worst || worseRisk(rated.risk, worst.risk) !== worst.risk) worst = rated;
         }
+        if (!worst) return;
+        
+        references.push({
+            container: container.name,
+            type,
+            location,
+            detail: value.length > 80 ? value.substring(0, 77) + '...' : value,
+            addressing: worst.addressing,
+            via: worst.via,
+            confidence: worst.confidence,
+            risk: worst.risk,
+            note: worst.note
+        });
+    };
+    
+    // 1. Environment variables
+    // RADARR_URL=http://192.168.0.100:7878  -> host (breaking)
+    // RADARR_URL=http://radarr:7878         -> container (none)
+    // API_PORT=7878                         -> unqualified (potential)
+    for (const envLine of container.env || []) {
+        const eq = envLine.indexOf('=');
+        if (eq <= 0) continue;
+        addReference('environment', 'ENV', envLine, findPortMentions(envLine.slice(eq + 1), isPort));
     }
     
-    // 2. Scan labels (common in reverse proxies)
-    if (container.labels && typeof container.labels === 'object') {
-        for (const [key, value] of Object.entries(container.labels)) {
-            const valueStr = String(value);
-            
-            // Match Traefik/Caddy patterns:
-            // traefik.http.services.app.loadbalancer.server.port=8080
-            // caddy.reverse_proxy={{upstreams 8080}}
-            if (valueStr.includes(`:${portStr}`) || 
-                valueStr.includes(`=${portStr}`) ||
-                valueStr.includes(` ${portStr}`) ||
-                valueStr.includes(`{${portStr}}`)) {
-                
-                references.push({
-                    container: container.name,
-                    type: 'label',
-                    location: key,
-                    detail: valueStr.length > 80 ? valueStr.substring(0, 77) + '...' : valueStr,
-                    confidence: 'high',
-                    risk: 'breaking'
-                });
-            }
-        }
+    // 2. Labels (common in reverse proxies)
+    // traefik.http.services.app.loadbalancer.server.port=7878  -> container
+    // caddy.reverse_proxy={{upstreams 7878}}                   -> container
+    for (const [key, value] of Object.entries(container.labels || {})) {
+        const valueStr = String(value);
+        addReference('label', key, valueStr, findPortMentions(valueStr, isPort, { labelKey: key }));
     }
     
-    // 3. Scan command/entrypoint (less common but possible)
-    if (container.command && Array.isArray(container.command)) {
-        const cmdStr = container.command.join(' ');
-        if (cmdStr.includes(portStr)) {
+    // 3. Command/entrypoint (less common but possible)
+    const cmdStr = (container.command || []).join(' ');
+    if (cmdStr) {
+        addReference('command', 'CMD', cmdStr, findPortMentions(cmdStr, isPort));
+    }
+    
+    return references;
+}
+
+/**
+ * Find hardcoded port references in reference files, line by line.
+ *
+ * Lines are classified like container config; localhost is rated
+ * "potential" since the reader's network namespace is unknown.
+ */
+function findFileReferences(containerName, port, referenceFiles, book) {
+    const references = [];
+    const isPort = p => p === Number(port);
+    
+    for (const file of referenceFiles?.files || []) {
+        file.lines.forEach((text, i) => {
+            let worst = null;
+            for (const mention of findPortMentions(text, isPort)) {
+                const { addressing, via } = classifyMention(mention, containerName, book);
+                if (addressing === 'other') continue;
+                const rated = { addressing, via, ...referenceRisk(addressing, null) };
+                if (!worst || worseRisk(rated.risk, worst.risk) !== worst.risk) worst = rated;
+            }
+            if (!worst) return;
+            
+            const line = text.trim();
             references.push({
-                container: container.name,
-                type: 'command',
-                location: 'CMD',
-                detail: cmdStr.length > 80 ? cmdStr.substring(0, 77) + '...' : cmdStr,
-                confidence: 'medium',
-                risk: 'potential'
+                file: file.path,
+                line: i + 1,
+                text: line.length > 80 ? line.substring(0, 77) + '...' : line,
+                ...worst
             });
-        }
+        });
     }
     
     return references;
@@ -246,9 +312,19 @@ function findPortReferences(containerName, port, container) {
  * @param {number} params.newPort - Desired new port (optional for suggestions)
  * @param {Object} params.state - Current Docker state
  * @param {Array} params.alreadySuggested - Ports already suggested (optional)
+ * @param {Object} params.policy - Normalized policy (optional, for extra game profiles)
+ * @param {Object} params.referenceFiles - Loaded reference files (optional, see inputs/reference-files.js)
  * @returns {Object} Impact analysis
  */
-function analyzePortChangeImpact({ containerName, currentPort, newPort, state, alreadySuggested }) {
+function analyzePortChangeImpact({
+    containerName,
+    currentPort,
+    newPort,
+    state,
+    alreadySuggested,
+    policy = null,
+    referenceFiles = null
+}) {
     const affectedContainers = [];
     const warnings = [];
     const checks = {
@@ -283,14 +359,51 @@ function analyzePortChangeImpact({ containerName, currentPort, newPort, state, a
     // Get container category for smart suggestions
     const category = detectCategory(targetContainer);
     
+    // Game profile: find the port group the current port belongs to
+    const gameProfile = matchGameProfile(targetContainer, getGameProfiles(policy));
+    const profileGroup = gameProfile
+        ? findProfileGroup(gameProfile, state.ports.filter(p => p.container === containerName), Number(currentPort))
+        : null;
+    const block = profileGroup
+        ? {
+            offset: profileGroup.offset,
+            offsets: [...new Set(profileGroup.members.map(m => m.offset))].sort((a, b) => a - b)
+        }
+        : null;
+    
     // Suggest next available port if newPort not provided
     let suggestedPort = null;
+    let groupMoves = [];
     if (!newPort) {
         suggestedPort = findNextAvailablePort(
             category, 
             Number(currentPort), 
             state.ports,
-            alreadySuggested || []
+            alreadySuggested || [],
+            block
+        );
+        
+        // The whole group moves with the suggestion
+        if (suggestedPort && profileGroup) {
+            const base = suggestedPort.port - profileGroup.offset;
+            groupMoves = profileGroup.members.map(m => ({
+                host: m.binding.host,
+                containerPort: m.binding.containerPort,
+                protocol: m.protocol,
+                purpose: m.purpose,
+                suggested: base + m.offset
+            }));
+        }
+    }
+    
+    // Moving one port of a group alone breaks the server's port offsets
+    if (newPort && profileGroup && profileGroup.members.some(m => m.binding.host !== Number(currentPort))) {
+        const base = Number(newPort) - profileGroup.offset;
+        const ports = profileGroup.members
+            .map(m => `${m.binding.host}/${m.protocol} -> ${base + m.offset}`)
+            .join(', ');
+        warnings.push(
+            `${gameProfile.description || gameProfile.id}: ${profileGroup.group.name} ports move together (${ports})`
         );
     }
 
@@ -308,47 +421,97 @@ function analyzePortChangeImpact({ containerName, currentPort, newPort, state, a
 
     // SMART SCAN: Check ALL containers for hardcoded references to this port
     const hardcodedReferences = [];
-    const networkDependencies = [];
+    const unaffectedReferences = [];
+    const networkPeers = [];
     const targetNetworks = targetContainer.networks.map(n => n.name);
+    const book = buildAddressBook(state);
     
     for (const container of state.containers) {
         if (container.name === containerName) continue; // Skip self
         
         // Scan for hardcoded port references
-        const refs = findPortReferences(containerName, currentPort, container);
+        const refs = findPortReferences(containerName, currentPort, container, book);
         if (refs.length > 0) {
-            hardcodedReferences.push({
+            const risk = refs.map(r => r.risk).reduce(worseRisk);
+            const entry = {
                 name: container.name,
                 category: detectCategory(container),
                 references: refs,
-                confidence: 'high',
-                reason: refs.map(r => `${r.type}: ${r.detail}`).join(' | ')
-            });
+                risk,
+                confidence: risk === 'breaking' ? 'high' : 'medium',
+                reason: refs.map(r => `${r.type} (${r.addressing}): ${r.detail}`).join(' | ')
+            };
+            if (risk === 'none') unaffectedReferences.push(entry);
+            else hardcodedReferences.push(entry);
+            continue;
         }
         
-        // Also check for network-based dependencies (lower confidence)
+        // Shared networks: container-to-container traffic uses the container port
         const sharedNetworks = container.networks
             .map(n => n.name)
             .filter(n => targetNetworks.includes(n));
         
         if (sharedNetworks.length > 0) {
-            networkDependencies.push({
+            networkPeers.push({
                 name: container.name,
                 category: detectCategory(container),
-                confidence: 'low',
-                reason: `Shared network: ${sharedNetworks.join(', ')}`,
+                risk: 'none',
+                reason: `Shared network: ${sharedNetworks.join(', ')} (uses the container port, unaffected)`,
                 networks: sharedNetworks
             });
         }
     }
 
-    // Combine results: hardcoded refs first (high priority), then network deps
+    // Without env / command (see inputs/container-config.js) only labels were scanned
+    const config = state.containerConfig;
+    if (config && (config.error || !config.source)) {
+        warnings.push(
+            `${config.error || "Container env and command were not loaded"}: ` +
+            `hardcoded references were only searched in labels`
+        );
+    }
+
+    // Reference files: proxy / dashboard configs pointing at the port
+    const RISK_RANK = { breaking: 0, potential: 1, none: 2 };
+    const fileReferences = findFileReferences(containerName, currentPort, referenceFiles, book)
+        .sort((a, b) => RISK_RANK[a.risk] - RISK_RANK[b.risk] ||
+            a.file.localeCompare(b.file) || a.line - b.line);
+    const fileRisks = fileReferences.filter(r => r.risk !== 'none');
+    
+    if (referenceFiles?.skipped?.length > 0) {
+        warnings.push(
+            `${referenceFiles.skipped.length} reference file(s) or folder(s) could not be scanned: ` +
+            referenceFiles.skipped.map(s => `${s.path} (${s.reason})`).join(', ')
+        );
+    }
+    if (referenceFiles?.truncated) {
+        warnings.push(`Reference file scan stopped after ${referenceFiles.files.length} files`);
+    }
+
+    // Companion actions: rewrite the references that follow this move
+    let companionActions = [];
+    let skippedReferences = [];
+    if (newPort && currentPortBinding && Number(newPort) !== Number(currentPort)) {
+        const from = state.ports
+            .filter(p => p.container === containerName)
+            .map(p => ({ host: p.host, container: p.containerPort, protocol: p.protocol }));
+        const move = {
+            type: 'update-container-ports',
+            container: containerName,
+            from,
+            to: from.map(b => (b.host === Number(currentPort) ? { ...b, host: Number(newPort) } : b))
+        };
+        const rewrites = planConfigRewrites(state, [move]);
+        const fileRewrites = planFileRewrites(referenceFiles, [move], state);
+        companionActions = [...rewrites.actions, ...fileRewrites.actions];
+        skippedReferences = [...rewrites.skipped, ...fileRewrites.skipped];
+    }
+
+    // Breaking references first (high priority), then ones to review (medium)
     affectedContainers.push(
-        ...hardcodedReferences.map(c => ({ ...c, priority: 'high' })),
-        ...networkDependencies
-            .filter(nd => !hardcodedReferences.find(hr => hr.name === nd.name))
-            .map(c => ({ ...c, priority: 'low' }))
+        ...hardcodedReferences.map(c => ({ ...c, priority: c.risk === 'breaking' ? 'high' : 'medium' }))
     );
+    const breaking = affectedContainers.filter(c => c.priority === 'high').length;
 
     return {
         success: true,
@@ -357,6 +520,12 @@ function analyzePortChangeImpact({ containerName, currentPort, newPort, state, a
         currentPort: Number(currentPort),
         newPort: newPort ? Number(newPort) : null,
         suggestedPort,
+        gameProfile: gameProfile
+            ? { id: gameProfile.id, description: gameProfile.description || null, group: profileGroup?.group.name || null }
+            : null,
+        groupMoves,
+        companionActions,
+        skippedReferences,
         checks,
         warnings,
         affectedContainers: affectedContainers.sort((a, b) => {
@@ -366,16 +535,34 @@ function analyzePortChangeImpact({ containerName, currentPort, newPort, state, a
             }
             return a.name.localeCompare(b.name);
         }),
+        unaffectedReferences: unaffectedReferences.sort((a, b) => a.name.localeCompare(b.name)),
+        networkPeers: networkPeers.sort((a, b) => a.name.localeCompare(b.name)),
+        fileReferences,
         summary: {
             totalAffected: affectedContainers.length,
-            highConfidence: hardcodedReferences.length,
-            lowConfidence: networkDependencies.length - hardcodedReferences.length,
+            highConfidence: breaking,
+            lowConfidence: affectedContainers.length - breaking,
+            unaffected: unaffectedReferences.length + networkPeers.length,
+            fileReferences: fileRisks.length,
             portAvailable: newPort ? checks.portAvailable : null,
-            requiresManualUpdate: affectedContainers.length > 0
+            requiresManualUpdate: affectedContainers.length > 0 || fileRisks.length > 0
         }
     };
 }
 
+/**
+ * Profile port group containing the host port, with that port's offset.
+ * Returns { group, members, offset } or null.
+ */
+function findProfileGroup(profile, ports, hostPort) {
+    const { groups } = mapBindingsToProfile(profile, ports || []);
+    for (const g of groups) {
+        const member = g.members.find(m => m.binding.host === hostPort);
+        if (member) return { group: g.group, members: g.members, offset: member.offset };
+    }
+    return null;
+}
+
 /**
  * Simple category detection (matches classifier logic)
  */
@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Port Reference Addressing (PURE)
+ * Location: src/planner/analyze/port-references.js
+ *
+ * Responsibility:
+ * - Find mentions of a port in a config value (env value, label value,
+ *   command line) and classify how each one addresses its target:
+ *
+ *   host         "http://192.168.0.100:7878", "host.docker.internal:7878",
+ *                "nas.lan:7878"        -> goes through the published HOST port
+ *   container    "http://radarr:7878", "172.18.0.5:7878", Traefik
+ *                "loadbalancer.server.port", Caddy "{{upstreams 7878}}"
+ *                                      -> container DNS name / alias / IP,
+ *                                         uses the CONTAINER port
+ *   localhost    "localhost:7878", "127.0.0.1:7878"
+ *                                      -> the referring container itself,
+ *                                         unless it runs with network_mode host
+ *   unqualified  "API_PORT=7878"       -> a bare number, addressing unknown
+ *
+ * - Rate each mention for a host-port change (the only kind of change the
+ *   enforcer makes; container ports never move):
+ *
+ *   breaking   host, or localhost from a network_mode host container
+ *   potential  unqualified, or localhost in a config file (the namespace
+ *              of the service reading the file is unknown)
+ *   none       container, or localhost of another network namespace
+ *
+ * Used by the impact analysis (analyze/port-impact.js) and by reference
+ * rewrites (plan/config-rewrite.js), so both agree on what a move breaks.
+ * Values come from container config or from lines of reference files
+ * (inputs/reference-files.js).
+ *
+ * HARD RULES:
+ * - Pure functions only
+ * - Mentions of other containers ("sonarr:7878") are never references
+ *   to the target, whatever the port
+ * ============================================================================
+ */
+
+"use strict";
+
+// A port starts the value or follows ":", "=", ",", "{" or whitespace
+const PORT_TOKEN = /(^|[:=,{\s])(\d{1,5})(?!\d)/g;
+
+const LOOPBACK = /^(localhost|127(\.\d{1,3}){3}|::1|0\.0\.0\.0)$/i;
+
+// Reverse proxies reach the service over the Docker network (container port)
+const PROXY_PORT_LABEL = /(^|\.)server\.port$/i;
+const PROXY_UPSTREAMS = /upstreams\s*$/i;
+
+const RISK = {
+    host: { risk: "breaking", confidence: "high" },
+    container: { risk: "none", confidence: "high" },
+    localhost: { risk: "none", confidence: "medium" },
+    unqualified: { risk: "potential", confidence: "medium" }
+};
+
+const RISK_ORDER = ["none", "potential", "breaking"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function lower(v) {
+    return String(v || "").toLowerCase();
+}
+
+/**
+ * Names other containers can resolve this container by.
+ */
+function dnsNames(container) {
+    const names = [container.name, container.hostname];
+    if (typeof container.id === "string" && container.id.length >= 12) {
+        names.push(container.id.slice(0, 12));
+    }
+    const service = container.labels?.["com.docker.compose.service"];
+    if (service) names.push(service);
+    for (const n of container.networks || []) names.push(...(n.aliases || []));
+    return names.filter(Boolean).map(lower);
+}
+
+/**
+ * Host written right before ":<port>" at `offset`, or null.
+ * "[::1]:7878" -> "::1"
+ */
+function hostBefore(value, offset) {
+    const before = value.slice(0, offset);
+    const bracketed = before.match(/\[([0-9a-fA-F:.]+)\]$/);
+    if (bracketed) return bracketed[1];
+    const plain = before.match(/([A-Za-z0-9_.-]+)$/);
+    return plain ? plain[1] : null;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Who is who: DNS names and network IPs of every container in a state.
+ *
+ * @returns {{ names: Map, ips: Map }} lower-cased name / ip -> container name
+ */
+function buildAddressBook(state) {
+    const names = new Map();
+    const ips = new Map();
+    for (const c of state?.containers || []) {
+        for (const name of dnsNames(c)) {
+            if (!names.has(name)) names.set(name, c.name);
+        }
+        for (const n of c.networks || []) {
+            if (n.ip) ips.set(n.ip, c.name);
+        }
+    }
+    return { names, ips };
+}
+
+/**
+ * Every mention of the given ports in a value.
+ *
+ * @param {string} value
+ * @param {Function} isPort - (number) => boolean
+ * @param {Object} options
+ * @param {string} options.labelKey - Label the value belongs to (proxy port labels)
+ * @returns {Array<{ port, offset, lead, host, labelKey, before }>}
+ *   offset: index of the port digits; before: text ahead of the delimiter
+ */
+function findPortMentions(value, isPort, { labelKey = null } = {}) {
+    const mentions = [];
+    const text = String(value);
+
+    for (const m of text.matchAll(PORT_TOKEN)) {
+        const port = Number(m[2]);
+        if (!isPort(port)) continue;
+
+        const offset = m.index + m[1].length;
+        mentions.push({
+            port,
+            offset,
+            lead: m[1],
+            host: m[1] === ":" ? hostBefore(text, m.index) : null,
+            labelKey,
+            before: text.slice(0, m.index)
+        });
+    }
+
+    return mentions;
+}
+
+/**
+ * Addressing mode of a mention, seen from the container it points at.
+ *
+ * @param {Object} mention - From findPortMentions
+ * @param {string} target  - Name of the container that publishes the port
+ * @param {Object} book    - buildAddressBook(state)
+ * @returns {{ addressing: "host"|"container"|"localhost"|"unqualified"|"other", via: string|null }}
+ *   "other": addresses a different container, not a reference to the target
+ */
+function classifyMention(mention, target, book) {
+    const host = mention.host;
+
+    if (!host) {
+        if (mention.labelKey && PROXY_PORT_LABEL.test(mention.labelKey)) {
+            return { addressing: "container", via: `proxy label ${mention.labelKey}` };
+        }
+        if (PROXY_UPSTREAMS.test(mention.before)) {
+            return { addressing: "container", via: "proxy upstreams" };
+        }
+        return { addressing: "unqualified", via: null };
+    }
+
+    if (LOOPBACK.test(host)) return { addressing: "localhost", via: host };
+
+    const owner = book.names.get(lower(host)) || book.ips.get(host) || null;
+    if (owner === target) return { addressing: "container", via: host };
+    if (owner) return { addressing: "other", via: host };
+
+    return { addressing: "host", via: host };
+}
+
+/**
+ * Risk of a mention when the target's host port changes.
+ *
+ * @param {string} addressing - From classifyMention
+ * @param {Object} referrer   - Container holding the reference; null for a
+ *                              line of a reference file
+ * @returns {{ risk: "breaking"|"potential"|"none", confidence, note }}
+ */
+function referenceRisk(addressing, referrer) {
+    if (addressing === "localhost" && !referrer) {
+        return {
+            risk: "potential",
+            confidence: "low",
+            note: "localhost in a file: breaks if the service reading it runs with host networking"
+        };
+    }
+
+    if (addressing === "localhost" && lower(referrer?.networkMode) === "host") {
+        return {
+            risk: "breaking",
+            confidence: "high",
+            note: "host network mode: localhost is the Docker host, so the published port is used"
+        };
+    }
+
+    const notes = {
+        host: "goes through the published host port",
+        container: "container-to-container traffic uses the container port, which does not change",
+        localhost: "localhost is the referring container itself",
+        unqualified: "bare port number; check whether it is the host or the container port"
+    };
+
+    return { ...RISK[addressing], note: notes[addressing] };
+}
+
+/**
+ * The worse of two risks.
+ */
+function worseRisk(a, b) {
+    return RISK_ORDER.indexOf(a) >= RISK_ORDER.indexOf(b) ? a : b;
+}
+
+module.exports = {
+    buildAddressBook,
+    findPortMentions,
+    classifyMention,
+    referenceRisk,
+    worseRisk
+};
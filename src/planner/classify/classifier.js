@@ -16,11 +16,48 @@
  * Stage 3 add-on (minimal):
  * - If caller provides overrides, they are authoritative:
  *   category forced + confidence = 1.0 + reason "user override"
+ *
+ * Container labels (in-band, authoritative):
+ * - port-mcp.category wins over overrides, rules and heuristics
+ * - port-mcp.exclude / port-mcp.pin are surfaced as tags
+ *
+ * Every result carries `source`: label | override | learned | rule | knowledge | heuristic
+ *
+ * Learned from overrides (see override-learning.js):
+ * - After overrides, before policy rules: a container sharing an image
+ *   repository or name stem with an overridden container gets its category
+ *   (reason "learned from override of <name> ...", `learnedFrom` names the
+ *   teaching override). An override corrects the broad rules for that
+ *   app, so its siblings follow the correction.
+ *
+ * Policy rules:
+ * - classification.rules from the policy run after learned hints
+ *   (first match wins, reason "policy rule <id>")
+ *
+ * Image knowledge base (see image-knowledge.js):
+ * - After policy rules, before heuristics: a well-known image repository
+ *   (linuxserver/radarr) gets its known category (reason "known image
+ *   ...", `knownImage` names the entry). Built-in defaults never override
+ *   rules the operator wrote.
+ * - Without a policy file, the default policy's rules are built-in
+ *   defaults too: a known image beats their broad prefixes
+ *   (linuxserver/swag stays system, not linuxserver/ -> apps).
+ *
+ * Roles:
+ * - Heuristics only know apps / games / system
+ * - A heuristic category that is not a role in the active policy
+ *   becomes "unknown" (the policy decides which roles exist)
  * ============================================================================
  */
 
 "use strict";
 
+const { DEFAULT_POLICY, getRoleNames } = require("../policy/policies");
+const { getClassificationRules, evaluateRules, describeMatch } = require("./rules");
+const { LABELS, readContainerIntent } = require("../inputs/container-labels");
+const { learnFromOverrides, suggestFromOverrides } = require("./override-learning");
+const { DEFAULT_IMAGE_KNOWLEDGE, suggestFromKnowledge } = require("./image-knowledge");
+
 /* ============================================================================
    Heuristic keywords (v1, conservative)
 ============================================================================ */
@@ -109,7 +146,34 @@ function getOverrideCategory(overrides, containerName) {
    Core classification logic
 ============================================================================ */
 
-function classifyContainer(container, overrides) {
+function labelTags(intent) {
+    const tags = [];
+    if (intent.exclude) tags.push("excluded-by-label");
+    if (intent.pins.length > 0) tags.push("pinned-by-label");
+    return tags;
+}
+
+function classifyContainer(container, overrides, roles, rules, rulesAreDefaults, state, learned, knowledge) {
+    const intent = readContainerIntent(container);
+    const tags = labelTags(intent);
+
+    if (intent.category) {
+        const reasons = [`container label ${LABELS.category}=${intent.category}`];
+        if (!roles.includes(intent.category)) {
+            reasons.push(`label category "${intent.category}" is not a policy role`);
+        }
+        return {
+            id: container.id,
+            name: container.name,
+            image: container.image,
+            category: intent.category,
+            confidence: 1.0,
+            source: "label",
+            reasons,
+            tags
+        };
+    }
+
     const overrideCategory = getOverrideCategory(overrides, container.name);
     if (overrideCategory) {
         return {
@@ -118,8 +182,56 @@ function classifyContainer(container, overrides) {
             image: container.image,
             category: overrideCategory,
             confidence: 1.0,
+            source: "override",
             reasons: ["user override"],
-            tags: []
+            tags
+        };
+    }
+
+    const hint = suggestFromOverrides(container, learned);
+    if (hint && roles.includes(hint.category)) {
+        return {
+            id: container.id,
+            name: container.name,
+            image: container.image,
+            category: hint.category,
+            confidence: hint.confidence,
+            source: "learned",
+            reasons: [hint.reason],
+            learnedFrom: hint.learnedFrom,
+            tags
+        };
+    }
+
+    // Built-in default rules are broad prefixes (linuxserver/ -> apps): an
+    // exact known image beats them. Rules from a policy file beat it.
+    const rule = evaluateRules(rules, container, state);
+    const known = suggestFromKnowledge(container, knowledge);
+    const knownUsable = known !== null && roles.includes(known.category);
+    if (rule && (!rulesAreDefaults || !knownUsable)) {
+        return {
+            id: container.id,
+            name: container.name,
+            image: container.image,
+            category: rule.role,
+            confidence: rule.confidence,
+            source: "rule",
+            reasons: [`policy rule ${rule.id} (${describeMatch(rule.match)})`],
+            tags
+        };
+    }
+
+    if (knownUsable) {
+        return {
+            id: container.id,
+            name: container.name,
+            image: container.image,
+            category: known.category,
+            confidence: known.confidence,
+            source: "knowledge",
+            reasons: [known.reason],
+            knownImage: known.knownImage,
+            tags
         };
     }
 
@@ -177,14 +289,21 @@ function classifyContainer(container, overrides) {
         confidence = Math.min(0.95, ordered[0][1] / 5);
     }
 
+    if (category !== "unknown" && !roles.includes(category)) {
+        reasons.push(`heuristic category "${category}" is not a policy role`);
+        category = "unknown";
+        confidence = 0.2;
+    }
+
     return {
         id: container.id,
         name: container.name,
         image: container.image,
         category,
         confidence,
+        source: "heuristic",
         reasons,
-        tags: []
+        tags
     };
 }
 
@@ -196,6 +315,9 @@ function classifyContainer(container, overrides) {
  * Backward compatible:
  * - classify(state)
  * - classify(state, { overrides })
+ * - classify(state, { overrides, policy })
+ * - classify(state, { overrides, policy, knowledge })
+ *   (knowledge defaults to the built-in image knowledge base)
  */
 module.exports = function classify(state, options = {}) {
     if (!state || !Array.isArray(state.containers)) {
@@ -203,8 +325,16 @@ module.exports = function classify(state, options = {}) {
     }
 
     const overrides = options?.overrides || {};
+    const policy = options?.policy || DEFAULT_POLICY;
+    const roles = getRoleNames(policy);
+    const rules = getClassificationRules(policy);
+    const rulesAreDefaults = policy === DEFAULT_POLICY;
+    const learned = learnFromOverrides(state, overrides);
+    const knowledge = options?.knowledge || DEFAULT_IMAGE_KNOWLEDGE;
 
     return {
-        containers: state.containers.map(c => classifyContainer(c, overrides))
+        containers: state.containers.map(c =>
+            classifyContainer(c, overrides, roles, rules, rulesAreDefaults, state, learned, knowledge)
+        )
     };
 };
@@ -0,0 +1,388 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Image Knowledge Base (READ-ONLY)
+ * Location: src/planner/classify/image-knowledge.js
+ *
+ * Responsibility:
+ * - Know what well-known images are and which ports they use:
+ *
+ *   linuxserver/radarr  -> apps, 7878/tcp (canonical host port 7878)
+ *   pihole/pihole       -> system, 53/tcp + 53/udp + 80/tcp
+ *
+ * - Give the classifier a high-confidence category for a known image
+ * - Give the planner canonical host ports to prefer in incremental layouts
+ *
+ * Entry shape (keyed by entry id):
+ * {
+ *   description: "Radarr movie manager",
+ *   category: "apps",                       null = ports only, no category
+ *   images: ["linuxserver/radarr", ...],    repositories (registry / tag ignored)
+ *   ports: [{ container: 7878, host: 7878, protocol: "tcp", purpose: "web" }]
+ * }
+ *
+ * `host` is optional: an entry without it documents the container port
+ * only. Users add or replace entries with image-knowledge.json in the
+ * data dir (see inputs/knowledge-loader.js); a user entry wins over a
+ * built-in entry with the same id or image.
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - Deterministic: same image + same knowledge = same result
+ * ============================================================================
+ */
+
+"use strict";
+
+const { imageRepository } = require("../utils/images");
+
+const KNOWLEDGE_CONFIDENCE = 0.95;
+
+const port = (container, protocol = "tcp", purpose = "web", host = container) =>
+    ({ container, host, protocol, purpose });
+
+const BUILTIN_IMAGE_KNOWLEDGE = {
+    /* ---- apps: media management ---- */
+    radarr: {
+        description: "Radarr movie manager",
+        category: "apps",
+        images: ["linuxserver/radarr", "hotio/radarr", "binhex/arch-radarr"],
+        ports: [port(7878)]
+    },
+    sonarr: {
+        description: "Sonarr series manager",
+        category: "apps",
+        images: ["linuxserver/sonarr", "hotio/sonarr", "binhex/arch-sonarr"],
+        ports: [port(8989)]
+    },
+    lidarr: {
+        description: "Lidarr music manager",
+        category: "apps",
+        images: ["linuxserver/lidarr", "hotio/lidarr", "binhex/arch-lidarr"],
+        ports: [port(8686)]
+    },
+    readarr: {
+        description: "Readarr book manager",
+        category: "apps",
+        images: ["linuxserver/readarr", "hotio/readarr", "binhex/arch-readarr"],
+        ports: [port(8787)]
+    },
+    prowlarr: {
+        description: "Prowlarr indexer manager",
+        category: "apps",
+        images: ["linuxserver/prowlarr", "hotio/prowlarr", "binhex/arch-prowlarr"],
+        ports: [port(9696)]
+    },
+    bazarr: {
+        description: "Bazarr subtitle manager",
+        category: "apps",
+        images: ["linuxserver/bazarr", "hotio/bazarr", "binhex/arch-bazarr"],
+        ports: [port(6767)]
+    },
+    overseerr: {
+        description: "Overseerr request manager",
+        category: "apps",
+        images: ["linuxserver/overseerr", "sctx/overseerr", "hotio/overseerr"],
+        ports: [port(5055)]
+    },
+    jellyseerr: {
+        description: "Jellyseerr request manager",
+        category: "apps",
+        images: ["fallenbagel/jellyseerr", "hotio/jellyseerr"],
+        ports: [port(5055)]
+    },
+    tautulli: {
+        description: "Tautulli Plex monitoring",
+        category: "apps",
+        images: ["linuxserver/tautulli", "tautulli/tautulli", "hotio/tautulli"],
+        ports: [port(8181)]
+    },
+
+    /* ---- apps: media servers ---- */
+    jellyfin: {
+        description: "Jellyfin media server",
+        category: "apps",
+        images: ["linuxserver/jellyfin", "jellyfin/jellyfin", "hotio/jellyfin"],
+        ports: [port(8096), port(8920, "tcp", "https")]
+    },
+    emby: {
+        description: "Emby media server",
+        category: "apps",
+        images: ["linuxserver/emby", "emby/embyserver"],
+        ports: [port(8096), port(8920, "tcp", "https")]
+    },
+    plex: {
+        description: "Plex Media Server",
+        category: "apps",
+        images: ["linuxserver/plex", "plexinc/pms-docker", "hotio/plex", "binhex/arch-plex"],
+        ports: [port(32400)]
+    },
+    audiobookshelf: {
+        description: "Audiobookshelf",
+        category: "apps",
+        images: ["advplyr/audiobookshelf"],
+        ports: [port(80, "tcp", "web", 13378)]
+    },
+
+    /* ---- apps: downloads ---- */
+    qbittorrent: {
+        description: "qBittorrent client",
+        category: "apps",
+        images: ["linuxserver/qbittorrent", "hotio/qbittorrent", "binhex/arch-qbittorrentvpn"],
+        ports: [port(8080), port(6881, "tcp", "peer"), port(6881, "udp", "peer")]
+    },
+    transmission: {
+        description: "Transmission client",
+        category: "apps",
+        images: ["linuxserver/transmission", "haugene/transmission-openvpn"],
+        ports: [port(9091), port(51413, "tcp", "peer"), port(51413, "udp", "peer")]
+    },
+    sabnzbd: {
+        description: "SABnzbd Usenet client",
+        category: "apps",
+        images: ["linuxserver/sabnzbd", "hotio/sabnzbd", "binhex/arch-sabnzbd"],
+        ports: [port(8080)]
+    },
+    nzbget: {
+        description: "NZBGet Usenet client",
+        category: "apps",
+        images: ["linuxserver/nzbget", "nzbgetcom/nzbget"],
+        ports: [port(6789)]
+    },
+
+    /* ---- apps: general ---- */
+    homeassistant: {
+        description: "Home Assistant",
+        category: "apps",
+        images: ["homeassistant/home-assistant", "linuxserver/homeassistant", "home-assistant/home-assistant"],
+        ports: [port(8123)]
+    },
+    nextcloud: {
+        description: "Nextcloud",
+        category: "apps",
+        images: ["nextcloud", "linuxserver/nextcloud"],
+        ports: [port(80, "tcp", "web", null), port(443, "tcp", "https", null)]
+    },
+    vaultwarden: {
+        description: "Vaultwarden password manager",
+        category: "apps",
+        images: ["vaultwarden/server"],
+        ports: [port(80, "tcp", "web", null)]
+    },
+    gitea: {
+        description: "Gitea",
+        category: "apps",
+        images: ["gitea/gitea"],
+        ports: [port(3000), port(22, "tcp", "ssh", null)]
+    },
+    "uptime-kuma": {
+        description: "Uptime Kuma",
+        category: "apps",
+        images: ["louislam/uptime-kuma"],
+        ports: [port(3001)]
+    },
+    "code-server": {
+        description: "code-server",
+        category: "apps",
+        images: ["linuxserver/code-server", "codercom/code-server"],
+        ports: [port(8443)]
+    },
+    syncthing: {
+        description: "Syncthing",
+        category: "apps",
+        images: ["linuxserver/syncthing", "syncthing/syncthing"],
+        ports: [
+            port(8384),
+            port(22000, "tcp", "sync"),
+            port(22000, "udp", "sync"),
+            port(21027, "udp", "discovery")
+        ]
+    },
+    "calibre-web": {
+        description: "Calibre-Web",
+        category: "apps",
+        images: ["linuxserver/calibre-web"],
+        ports: [port(8083)]
+    },
+    "paperless-ngx": {
+        description: "Paperless-ngx",
+        category: "apps",
+        images: ["paperless-ngx/paperless-ngx"],
+        ports: [port(8000)]
+    },
+    photoprism: {
+        description: "PhotoPrism",
+        category: "apps",
+        images: ["photoprism/photoprism"],
+        ports: [port(2342)]
+    },
+
+    /* ---- system ---- */
+    traefik: {
+        description: "Traefik reverse proxy",
+        category: "system",
+        images: ["traefik"],
+        ports: [port(80, "tcp", "http"), port(443, "tcp", "https"), port(8080, "tcp", "dashboard")]
+    },
+    "nginx-proxy-manager": {
+        description: "Nginx Proxy Manager",
+        category: "system",
+        images: ["jc21/nginx-proxy-manager"],
+        ports: [port(80, "tcp", "http"), port(81, "tcp", "admin"), port(443, "tcp", "https")]
+    },
+    swag: {
+        description: "SWAG reverse proxy",
+        category: "system",
+        images: ["linuxserver/swag"],
+        ports: [port(80, "tcp", "http"), port(443, "tcp", "https")]
+    },
+    portainer: {
+        description: "Portainer",
+        category: "system",
+        images: ["portainer/portainer-ce", "portainer/portainer-ee"],
+        ports: [port(9000), port(9443, "tcp", "https")]
+    },
+    watchtower: {
+        description: "Watchtower",
+        category: "system",
+        images: ["containrrr/watchtower"],
+        ports: []
+    },
+    pihole: {
+        description: "Pi-hole DNS",
+        category: "system",
+        images: ["pihole/pihole"],
+        ports: [port(53, "tcp", "dns"), port(53, "udp", "dns"), port(80)]
+    },
+    adguardhome: {
+        description: "AdGuard Home DNS",
+        category: "system",
+        images: ["adguard/adguardhome"],
+        ports: [port(53, "tcp", "dns"), port(53, "udp", "dns"), port(3000)]
+    },
+    prometheus: {
+        description: "Prometheus",
+        category: "system",
+        images: ["prom/prometheus"],
+        ports: [port(9090)]
+    },
+    grafana: {
+        description: "Grafana",
+        category: "system",
+        images: ["grafana/grafana", "grafana/grafana-oss"],
+        ports: [port(3000)]
+    },
+
+    /* ---- games (ports are handled by game profiles) ---- */
+    "minecraft-server": {
+        description: "Minecraft Java server",
+        category: "games",
+        images: ["itzg/minecraft-server"],
+        ports: [port(25565, "tcp", "game")]
+    },
+    "valheim-server": {
+        description: "Valheim dedicated server",
+        category: "games",
+        images: ["lloesche/valheim-server"],
+        ports: [port(2456, "udp", "game"), port(2457, "udp", "query")]
+    },
+    "factorio-server": {
+        description: "Factorio headless server",
+        category: "games",
+        images: ["factoriotools/factorio"],
+        ports: [port(34197, "udp", "game"), port(27015, "tcp", "rcon")]
+    }
+};
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function indexImages(entries) {
+    const byImage = new Map();
+    for (const [id, entry] of Object.entries(entries)) {
+        for (const image of entry.images || []) {
+            const repo = imageRepository(image);
+            if (repo) byImage.set(repo, id);
+        }
+    }
+    return byImage;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Knowledge base from the built-ins plus (validated) user entries.
+ * User entries replace built-ins with the same id and take over their images.
+ *
+ * @param {Object} extra - { id: entry } (see inputs/knowledge-loader.js)
+ * @param {Object} options
+ * @param {string} options.source - File the user entries came from
+ * @returns {{ source, entries, byImage: Map }} byImage: repository -> entry id
+ */
+function createImageKnowledge(extra = {}, { source = null } = {}) {
+    const builtins = { ...BUILTIN_IMAGE_KNOWLEDGE };
+    for (const id of Object.keys(extra)) delete builtins[id];
+
+    // Index built-ins first so user entries win shared images
+    const byImage = indexImages(builtins);
+    for (const [repo, id] of indexImages(extra)) byImage.set(repo, id);
+
+    return { source, entries: { ...builtins, ...extra }, byImage };
+}
+
+const DEFAULT_IMAGE_KNOWLEDGE = createImageKnowledge();
+
+/**
+ * Knowledge entry for an image, or null.
+ *
+ * @returns {{ id, repository, entry } | null}
+ */
+function lookupImage(knowledge, image) {
+    const repository = imageRepository(image);
+    if (!repository || !knowledge) return null;
+
+    const id = knowledge.byImage.get(repository);
+    return id ? { id, repository, entry: knowledge.entries[id] } : null;
+}
+
+/**
+ * Classification hint for one container, or null when the image is not
+ * known or its entry has no category.
+ *
+ * @returns {{ category, confidence, reason, knownImage: { id, repository } } | null}
+ */
+function suggestFromKnowledge(container, knowledge) {
+    const known = lookupImage(knowledge, container.image);
+    if (!known || !known.entry.category) return null;
+
+    return {
+        category: known.entry.category,
+        confidence: KNOWLEDGE_CONFIDENCE,
+        reason: `known image ${known.repository} (${known.entry.description || known.id})`,
+        knownImage: { id: known.id, repository: known.repository }
+    };
+}
+
+/**
+ * Canonical bindings of an image that name a host port:
+ * [{ container, host, protocol }]
+ */
+function canonicalPorts(knowledge, image) {
+    const known = lookupImage(knowledge, image);
+    if (!known) return [];
+
+    return (known.entry.ports || [])
+        .filter(p => Number.isInteger(p.host))
+        .map(p => ({ container: p.container, host: p.host, protocol: p.protocol }));
+}
+
+module.exports = {
+    BUILTIN_IMAGE_KNOWLEDGE,
+    DEFAULT_IMAGE_KNOWLEDGE,
+    createImageKnowledge,
+    lookupImage,
+    suggestFromKnowledge,
+    canonicalPorts
+};
@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Override Learning (READ-ONLY)
+ * Location: src/planner/classify/override-learning.js
+ *
+ * Responsibility:
+ * - Derive classification hints from existing user overrides, so a new
+ *   container that looks like an overridden one starts with its category:
+ *
+ *   image repository   override of "radarr" (lscr.io/linuxserver/radarr)
+ *                      -> any container running linuxserver/radarr
+ *   name stem          override of "radarr"
+ *                      -> "radarr-4k", "radarr_2", "radarr-test"
+ *
+ * - Every hint records which override(s) taught it
+ *
+ * Notes:
+ * - A key taught different categories by different overrides is
+ *   ambiguous and dropped
+ * - Image hints need the overridden container in the current state
+ *   (the override file stores names only); name hints do not
+ *
+ * HARD RULES:
+ * - NO writes (overrides stay exactly as the user set them)
+ * - Deterministic: same state + same overrides = same hints
+ * ============================================================================
+ */
+
+"use strict";
+
+const { imageRepository } = require("../utils/images");
+
+const IMAGE_CONFIDENCE = 0.9;
+const NAME_CONFIDENCE = 0.85;
+
+// Trailing name tokens that mark a variant of the same app
+const VARIANT_TOKEN = /^(\d+|v\d+|4k|uhd|hd|sd|\d{3,4}p|anime|kids|dev|test|testing|staging|beta|alpha|nightly|old|new|backup|alt|secondary)$/;
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function overrideCategory(value) {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object" && typeof value.category === "string") return value.category;
+    return null;
+}
+
+/**
+ * Name without trailing variant tokens: "radarr-4k" -> "radarr".
+ * Returns null when nothing meaningful is left.
+ */
+function nameStem(name) {
+    const tokens = String(name || "").toLowerCase().split(/[-_.]/).filter(Boolean);
+    while (tokens.length > 1 && VARIANT_TOKEN.test(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+    const stem = tokens.join("-");
+    return stem.length >= 3 && !VARIANT_TOKEN.test(stem) ? stem : null;
+}
+
+function teach(map, key, category, teacher) {
+    if (!key) return;
+    const entry = map.get(key);
+    if (!entry) {
+        map.set(key, { category, taughtBy: [teacher] });
+    } else if (entry.category === category) {
+        entry.taughtBy.push(teacher);
+    } else {
+        entry.category = null; // conflicting overrides
+    }
+}
+
+function settled(map) {
+    for (const [key, entry] of map) {
+        if (!entry.category) map.delete(key);
+        else entry.taughtBy.sort();
+    }
+    return map;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Learn image-repository and name-stem hints from overrides.
+ *
+ * @param {Object} state     - Normalized state (containers[] with name / image)
+ * @param {Object} overrides - { name: "games" | { category } }
+ * @returns {{ byImage: Map, byStem: Map }} key -> { category, taughtBy: [name] }
+ */
+function learnFromOverrides(state, overrides) {
+    const byImage = new Map();
+    const byStem = new Map();
+    const images = new Map((state?.containers || []).map(c => [c.name, c.image]));
+
+    for (const name of Object.keys(overrides || {}).sort()) {
+        const category = overrideCategory(overrides[name]);
+        if (!category) continue;
+
+        teach(byImage, imageRepository(images.get(name)), category, name);
+        teach(byStem, nameStem(name), category, name);
+    }
+
+    return { byImage: settled(byImage), byStem: settled(byStem) };
+}
+
+/**
+ * Hint for one container, or null.
+ * Image matches win over name-stem matches.
+ *
+ * @returns {{ category, confidence, reason, learnedFrom: { via, key, containers } } | null}
+ */
+function suggestFromOverrides(container, learned) {
+    if (!learned) return null;
+
+    const repo = imageRepository(container.image);
+    const byImage = repo ? learned.byImage.get(repo) : null;
+    if (byImage) {
+        return {
+            category: byImage.category,
+            confidence: IMAGE_CONFIDENCE,
+            reason: `learned from override of ${byImage.taughtBy.join(", ")} (same image ${repo})`,
+            learnedFrom: { via: "image", key: repo, containers: byImage.taughtBy }
+        };
+    }
+
+    const stem = nameStem(container.name);
+    const byStem = stem ? learned.byStem.get(stem) : null;
+    if (byStem) {
+        return {
+            category: byStem.category,
+            confidence: NAME_CONFIDENCE,
+            reason: `learned from override of ${byStem.taughtBy.join(", ")} (same name stem "${stem}")`,
+            learnedFrom: { via: "name", key: stem, containers: byStem.taughtBy }
+        };
+    }
+
+    return null;
+}
+
+module.exports = {
+    learnFromOverrides,
+    suggestFromOverrides,
+    nameStem
+};
@@ -1,7 +1,214 @@
-function getClassificationRules() {
-    return [];
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Classification Rule Engine (READ-ONLY)
+ * Location: src/planner/classify/rules.js
+ *
+ * Responsibility:
+ * - Compile policy classification rules into matchers
+ * - Evaluate rules against a normalized container (first match wins)
+ *
+ * Matchers (all matchers in one rule must match):
+ * - imagePrefix   "itzg/"          image starts with (registry host ignored)
+ * - imageRegex    "^binhex/arch-"  regex against the image (case-insensitive)
+ * - nameContains  "radarr"         substring of the container name
+ * - nameRegex     "^sonarr(-\d+)?$" regex against the container name
+ * - network       "host"           container is attached to this network
+ * - label         "key" | "key=value"
+ * - exposedPort   7878 | "7878/tcp" container-side port is published
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - Deterministic: same container + same rules = same result
+ * ============================================================================
+ */
+
+"use strict";
+
+const { stripRegistry } = require("../utils/images");
+
+const DEFAULT_RULE_CONFIDENCE = 0.95;
+
+const MATCHERS = [
+    "imagePrefix",
+    "imageRegex",
+    "nameContains",
+    "nameRegex",
+    "network",
+    "label",
+    "exposedPort"
+];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function norm(v) {
+    return String(v || "").toLowerCase();
+}
+
+function parseExposedPort(value) {
+    const m = /^(\d{1,5})(?:\/(tcp|udp))?$/i.exec(String(value).trim());
+    if (!m) return null;
+    const port = Number(m[1]);
+    if (port < 1 || port > 65535) return null;
+    return { port, protocol: m[2] ? m[2].toLowerCase() : null };
+}
+
+function parseLabel(value) {
+    const idx = value.indexOf("=");
+    if (idx === -1) return { key: value, value: null };
+    return { key: value.slice(0, idx), value: value.slice(idx + 1) };
+}
+
+function containerPortsOf(container, state) {
+    const out = [];
+    for (const p of container.ports || []) {
+        const port = Number(p.containerPort ?? p.container ?? p.private);
+        if (port) out.push({ port, protocol: norm(p.protocol || "tcp") });
+    }
+    for (const p of state?.ports || []) {
+        if (p.container !== container.name) continue;
+        if (p.containerPort) out.push({ port: p.containerPort, protocol: norm(p.protocol || "tcp") });
+    }
+    return out;
+}
+
+/* ============================================================================
+   Validation (shared with policy-loader)
+============================================================================ */
+
+/**
+ * Validate a single matcher value.
+ * Returns an error message, or null when valid.
+ */
+function validateMatcher(key, value) {
+    if (!MATCHERS.includes(key)) {
+        return `unknown matcher (expected one of ${MATCHERS.join(", ")})`;
+    }
+
+    if (key === "exposedPort") {
+        if (typeof value !== "number" && typeof value !== "string") {
+            return `must be a port number or "port/protocol"`;
+        }
+        return parseExposedPort(value) ? null : `"${value}" is not a valid port (e.g. 8080 or "8080/tcp")`;
+    }
+
+    if (typeof value !== "string" || !value.trim()) {
+        return "must be a non-empty string";
+    }
+
+    if (key === "imageRegex" || key === "nameRegex") {
+        try {
+            new RegExp(value, "i");
+        } catch (err) {
+            return `invalid regular expression: ${err.message}`;
+        }
+    }
+
+    if (key === "label" && value.startsWith("=")) {
+        return `must be "key" or "key=value"`;
+    }
+
+    return null;
+}
+
+/* ============================================================================
+   Compilation
+============================================================================ */
+
+function compileMatcher(key, value) {
+    switch (key) {
+        case "imagePrefix": {
+            const prefix = norm(value);
+            return c => norm(c.image).startsWith(prefix) || stripRegistry(c.image).startsWith(prefix);
+        }
+        case "imageRegex": {
+            const re = new RegExp(value, "i");
+            return c => re.test(c.image || "") || re.test(stripRegistry(c.image));
+        }
+        case "nameContains": {
+            const needle = norm(value);
+            return c => norm(c.name).includes(needle);
+        }
+        case "nameRegex": {
+            const re = new RegExp(value, "i");
+            return c => re.test(c.name || "");
+        }
+        case "network": {
+            const network = norm(value);
+            return c => (c.networks || []).some(n => norm(n.name ?? n) === network);
+        }
+        case "label": {
+            const { key: labelKey, value: labelValue } = parseLabel(value);
+            return c => {
+                const labels = c.labels || {};
+                if (!Object.prototype.hasOwnProperty.call(labels, labelKey)) return false;
+                return labelValue === null || String(labels[labelKey]) === labelValue;
+            };
+        }
+        case "exposedPort": {
+            const { port, protocol } = parseExposedPort(value);
+            return (c, state) => containerPortsOf(c, state)
+                .some(p => p.port === port && (!protocol || p.protocol === protocol));
+        }
+        default:
+            throw new Error(`Unknown classification matcher: ${key}`);
+    }
+}
+
+/**
+ * Compile the classification rules of a policy.
+ * Rules keep their policy order; ids default to "rule-<n>".
+ */
+function getClassificationRules(policy) {
+    const rules = policy?.classification?.rules || [];
+
+    return rules.map((rule, i) => {
+        const matchers = Object.entries(rule.match || {})
+            .map(([key, value]) => compileMatcher(key, value));
+
+        return {
+            id: rule.id || `rule-${i + 1}`,
+            role: rule.role,
+            match: { ...rule.match },
+            description: rule.description || null,
+            confidence: rule.confidence ?? DEFAULT_RULE_CONFIDENCE,
+            matchers
+        };
+    });
+}
+
+/* ============================================================================
+   Evaluation
+============================================================================ */
+
+function matchRule(rule, container, state = null) {
+    if (rule.matchers.length === 0) return false;
+    return rule.matchers.every(m => m(container, state));
+}
+
+/**
+ * Return the first rule matching the container, or null.
+ */
+function evaluateRules(rules, container, state = null) {
+    for (const rule of rules) {
+        if (matchRule(rule, container, state)) return rule;
+    }
+    return null;
+}
+
+function describeMatch(match) {
+    return Object.entries(match)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(", ");
 }
 
 module.exports = {
-    getClassificationRules
+    MATCHERS,
+    DEFAULT_RULE_CONFIDENCE,
+    validateMatcher,
+    getClassificationRules,
+    matchRule,
+    evaluateRules,
+    describeMatch
 };
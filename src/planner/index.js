@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 
-const { runPlanner } = require("./planner-runner");
+const { runPlanner, generatePlan, assessPlan, EXIT_CODES } = require("./planner-runner");
 
 module.exports = {
-    runPlanner
+    runPlanner,
+    generatePlan,
+    assessPlan,
+    EXIT_CODES
 };
@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Compose Project Files (READ-ONLY)
+ * Location: src/planner/inputs/compose-files.js
+ *
+ * Responsibility:
+ * - Recognize compose-managed containers from the labels Docker Compose
+ *   puts on them:
+ *     com.docker.compose.project               project name
+ *     com.docker.compose.service               service name
+ *     com.docker.compose.project.working_dir   project directory
+ *     com.docker.compose.project.config_files  compose file(s), comma separated
+ * - Read the compose files of those projects, so port moves can be
+ *   written back to them (plan/compose-edit.js)
+ *
+ * The label paths are host paths; the enforcer reads them at the same path,
+ * so project directories must be mounted at their host location.
+ *
+ * HARD RULES:
+ * - Read-only
+ * - An unreadable compose file never fails the load; it is reported in
+ *   skipped[]
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const COMPOSE_LABELS = {
+    project: "com.docker.compose.project",
+    service: "com.docker.compose.service",
+    workingDir: "com.docker.compose.project.working_dir",
+    configFiles: "com.docker.compose.project.config_files"
+};
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Compose project of a normalized container, or null when it is not
+ * compose-managed.
+ *
+ * @returns {{ project, service, workingDir, configFiles: [string] } | null}
+ */
+function composeProject(container) {
+    const labels = container?.labels || {};
+    const project = labels[COMPOSE_LABELS.project];
+    const service = labels[COMPOSE_LABELS.service];
+    if (!project || !service) return null;
+
+    const workingDir = labels[COMPOSE_LABELS.workingDir] || null;
+    const configFiles = String(labels[COMPOSE_LABELS.configFiles] || "")
+        .split(",")
+        .map(f => f.trim())
+        .filter(Boolean)
+        .map(f => (workingDir && !path.isAbsolute(f) ? path.join(workingDir, f) : f));
+
+    return { project, service, workingDir, configFiles };
+}
+
+/**
+ * Read the compose files of every compose-managed container in a state.
+ *
+ * @returns {{ files: [{ path, lines: [string] }], skipped: [{ path, reason }] }}
+ */
+function loadComposeFiles(state) {
+    const result = { files: [], skipped: [] };
+    const seen = new Set();
+
+    for (const container of state?.containers || []) {
+        const project = composeProject(container);
+        for (const file of project?.configFiles || []) {
+            if (seen.has(file)) continue;
+            seen.add(file);
+
+            try {
+                const content = fs.readFileSync(file, "utf8");
+                result.files.push({ path: file, lines: content.split("\n").map(l => l.replace(/\r$/, "")) });
+            } catch (err) {
+                result.skipped.push({ path: file, reason: `cannot read compose file (${err.code || err.message})` });
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    COMPOSE_LABELS,
+    composeProject,
+    loadComposeFiles
+};
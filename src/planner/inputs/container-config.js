@@ -0,0 +1,113 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Container Config Enrichment (READ-ONLY)
+ * Location: src/planner/inputs/container-config.js
+ *
+ * Responsibility:
+ * - Fill in per-container config Port-MCP does not report:
+ *   env ["KEY=value"], command [entrypoint..., cmd...], labels,
+ *   hostname and network mode (reference addressing, see
+ *   analyze/port-references.js)
+ * - Read it with one batched inspect call for all containers that lack it
+ * - Cache it by container id
+ *
+ * Caching:
+ * - Env, command, labels, hostname and network mode are fixed when a
+ *   container is created;
+ *   changing them means recreating it, which gives a new id. An entry
+ *   keyed by id therefore never goes stale and needs no TTL.
+ * - Entries of containers that are gone are dropped on every load
+ *
+ * The inspect function is injected (the web server passes docker-cli's
+ * inspectContainers), so the planner itself never talks to Docker.
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - A failed inspect never fails state loading: containers keep empty
+ *   config and the error is reported in state.containerConfig
+ * ============================================================================
+ */
+
+"use strict";
+
+// container id -> { env, command, labels, hostname, networkMode }
+const cache = new Map();
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function stringArray(value) {
+    return Array.isArray(value) ? value.filter(v => typeof v === "string") : [];
+}
+
+function configFromInspect(obj) {
+    const config = obj?.Config || {};
+    return {
+        env: stringArray(config.Env),
+        command: [...stringArray(config.Entrypoint), ...stringArray(config.Cmd)],
+        labels: config.Labels && typeof config.Labels === "object" ? config.Labels : {},
+        hostname: typeof config.Hostname === "string" && config.Hostname ? config.Hostname : null,
+        networkMode: obj?.HostConfig?.NetworkMode || null
+    };
+}
+
+/**
+ * Docker reports ids in full; Port-MCP may report the short form.
+ */
+function findInspected(inspected, id, name) {
+    return inspected.find(o =>
+        (id && typeof o.Id === "string" && o.Id.startsWith(id)) ||
+        (name && String(o.Name || "").replace(/^\//, "") === name)
+    ) || null;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Config for containers, from cache or one inspect call.
+ *
+ * @param {Array} containers - [{ id, name }] needing config
+ * @param {Function} inspect - async (namesOrIds[]) => docker inspect objects
+ * @param {Array<string>} liveIds - Ids of every current container (cache pruning)
+ * @returns {Promise<{ configs: Map, info: { source, inspected, cached, error } }>}
+ *   configs: container id -> { env, command, labels, hostname, networkMode }
+ */
+async function loadContainerConfig(containers, inspect, liveIds = []) {
+    const live = new Set(liveIds);
+    for (const id of cache.keys()) {
+        if (!live.has(id)) cache.delete(id);
+    }
+
+    const configs = new Map();
+    const missing = [];
+    for (const c of containers) {
+        if (cache.has(c.id)) configs.set(c.id, cache.get(c.id));
+        else missing.push(c);
+    }
+
+    const info = { source: "docker", inspected: 0, cached: configs.size, error: null };
+    if (missing.length === 0) return { configs, info };
+
+    try {
+        const inspected = await inspect(missing.map(c => c.id || c.name));
+        for (const c of missing) {
+            const obj = findInspected(inspected, c.id, c.name);
+            if (!obj) continue;
+            const config = configFromInspect(obj);
+            if (c.id) cache.set(c.id, config);
+            configs.set(c.id, config);
+            info.inspected++;
+        }
+    } catch (err) {
+        info.error = `Container config unavailable (${err.message})`;
+    }
+
+    return { configs, info };
+}
+
+module.exports = {
+    loadContainerConfig
+};
@@ -0,0 +1,120 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Container Label Intent (READ-ONLY)
+ * Location: src/planner/inputs/container-labels.js
+ *
+ * Responsibility:
+ * - Read in-band configuration declared on the container itself
+ *
+ * Supported labels:
+ * - port-mcp.category=games          category (wins over overrides and rules)
+ * - port-mcp.exclude=true            never plan changes for this container
+ * - port-mcp.pin=8096/tcp            keep host port 8096 where it is
+ * - port-mcp.pin=18096:8096/tcp      container port 8096 must be on host 18096
+ *   (several pins: comma separated, protocol defaults to tcp)
+ *
+ * HARD RULES:
+ * - Pure parsing, no Docker access
+ * - Malformed values are reported, never guessed
+ * ============================================================================
+ */
+
+"use strict";
+
+const LABEL_PREFIX = "port-mcp.";
+
+const LABELS = {
+    category: `${LABEL_PREFIX}category`,
+    exclude: `${LABEL_PREFIX}exclude`,
+    pin: `${LABEL_PREFIX}pin`
+};
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off", ""];
+
+function isPort(n) {
+    return Number.isInteger(n) && n >= 1 && n <= 65535;
+}
+
+/**
+ * Parse a port-mcp.pin value into pins.
+ * { host, container (null = any), protocol }
+ */
+function parsePins(value, problems) {
+    const pins = [];
+
+    for (const raw of String(value).split(",")) {
+        const entry = raw.trim();
+        if (!entry) continue;
+
+        const m = /^(?:(\d{1,5}):)?(\d{1,5})(?:\/(tcp|udp))?$/i.exec(entry);
+        if (!m) {
+            problems.push(`${LABELS.pin}: "${entry}" is not "host/proto" or "host:container/proto"`);
+            continue;
+        }
+
+        const protocol = (m[3] || "tcp").toLowerCase();
+        const pin = m[1]
+            ? { host: Number(m[1]), container: Number(m[2]), protocol }
+            : { host: Number(m[2]), container: null, protocol };
+
+        if (!isPort(pin.host) || (pin.container !== null && !isPort(pin.container))) {
+            problems.push(`${LABELS.pin}: "${entry}" is outside 1-65535`);
+            continue;
+        }
+
+        pins.push(pin);
+    }
+
+    return pins;
+}
+
+/**
+ * Read label intent from a normalized container.
+ * Returns { category, exclude, pins, problems }
+ */
+function readContainerIntent(container) {
+    const labels = container?.labels || {};
+    const problems = [];
+
+    let category = null;
+    if (typeof labels[LABELS.category] === "string" && labels[LABELS.category].trim()) {
+        category = labels[LABELS.category].trim().toLowerCase();
+    }
+
+    let exclude = false;
+    if (labels[LABELS.exclude] !== undefined) {
+        const v = String(labels[LABELS.exclude]).trim().toLowerCase();
+        if (TRUE_VALUES.includes(v)) {
+            exclude = true;
+        } else if (!FALSE_VALUES.includes(v)) {
+            problems.push(`${LABELS.exclude}: "${labels[LABELS.exclude]}" is not true or false`);
+        }
+    }
+
+    const pins = labels[LABELS.pin] !== undefined
+        ? parsePins(labels[LABELS.pin], problems)
+        : [];
+
+    return { category, exclude, pins, problems };
+}
+
+/**
+ * Find the pin governing a binding, if any.
+ * A "host/proto" pin matches the binding currently on that host port;
+ * a "host:container/proto" pin matches the binding for that container port.
+ */
+function findPin(pins, binding) {
+    return pins.find(pin => {
+        if (pin.protocol !== binding.protocol) return false;
+        if (pin.container !== null) return pin.container === binding.container;
+        return pin.host === binding.host;
+    }) || null;
+}
+
+module.exports = {
+    LABEL_PREFIX,
+    LABELS,
+    readContainerIntent,
+    findPin
+};
@@ -0,0 +1,280 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Image Knowledge Loader
+ * Location: src/planner/inputs/knowledge-loader.js
+ *
+ * Responsibility:
+ * - Read a user image knowledge file (JSON) from disk
+ * - Validate it completely and report every problem with its path
+ * - Merge it over the built-in knowledge base (classify/image-knowledge.js)
+ *
+ * File shape:
+ * {
+ *   "version": "1.0",
+ *   "images": {
+ *     "myapp": {
+ *       "description": "In-house dashboard",
+ *       "category": "apps",
+ *       "images": ["ghcr.io/acme/myapp"],
+ *       "ports": [{ "container": 8080, "host": 8088, "protocol": "tcp", "purpose": "web" }]
+ *     }
+ *   }
+ * }
+ *
+ * "category": null keeps an entry's ports but drops its category hint
+ * (useful to silence a built-in entry for an image you classify yourself).
+ *
+ * HARD RULES:
+ * - Read-only (never writes the knowledge file)
+ * - Invalid files are rejected, never partially applied
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { KnowledgeError } = require("../utils/errors");
+const { imageRepository } = require("../utils/images");
+const { createImageKnowledge, DEFAULT_IMAGE_KNOWLEDGE } = require("../classify/image-knowledge");
+
+const SUPPORTED_VERSIONS = ["1.0"];
+const ENTRY_ID = /^[a-z0-9][a-z0-9_-]*$/;
+const PROTOCOLS = ["tcp", "udp"];
+
+const TOP_LEVEL_KEYS = ["$schema", "version", "description", "images"];
+const ENTRY_KEYS = ["description", "category", "images", "ports"];
+const PORT_KEYS = ["container", "host", "protocol", "purpose"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isPort(v) {
+    return Number.isInteger(v) && v >= 1 && v <= 65535;
+}
+
+function checkKeys(obj, allowed, at, problems) {
+    for (const key of Object.keys(obj)) {
+        if (!allowed.includes(key)) {
+            problems.push(`${at}.${key}: unknown field (expected one of ${allowed.join(", ")})`);
+        }
+    }
+}
+
+function optionalString(obj, key, at, problems) {
+    if (obj[key] === undefined || obj[key] === null) return null;
+    if (typeof obj[key] !== "string") {
+        problems.push(`${at}.${key}: must be a string`);
+        return null;
+    }
+    return obj[key];
+}
+
+/* ============================================================================
+   Entry validators
+============================================================================ */
+
+function validatePort(p, at, problems) {
+    if (!isPlainObject(p)) {
+        problems.push(`${at}: must be an object like { "container": 8080, "host": 8080, "protocol": "tcp" }`);
+        return null;
+    }
+    checkKeys(p, PORT_KEYS, at, problems);
+
+    let ok = true;
+    if (!isPort(p.container)) {
+        problems.push(`${at}.container: must be an integer between 1 and 65535`);
+        ok = false;
+    }
+    if (p.host !== undefined && p.host !== null && !isPort(p.host)) {
+        problems.push(`${at}.host: must be an integer between 1 and 65535 (or omitted)`);
+        ok = false;
+    }
+
+    const protocol = String(p.protocol ?? "tcp").toLowerCase();
+    if (!PROTOCOLS.includes(protocol)) {
+        problems.push(`${at}.protocol: "${p.protocol}" is not a supported protocol (${PROTOCOLS.join(", ")})`);
+        ok = false;
+    }
+
+    const purpose = optionalString(p, "purpose", at, problems);
+    if (!ok) return null;
+
+    return { container: p.container, host: p.host ?? null, protocol, purpose: purpose || "web" };
+}
+
+function validateEntry(id, def, problems) {
+    const at = `images.${id}`;
+    if (!ENTRY_ID.test(id)) {
+        problems.push(`${at}: entry id must be lowercase letters, digits, "-" or "_"`);
+        return null;
+    }
+    if (!isPlainObject(def)) {
+        problems.push(`${at}: must be an object`);
+        return null;
+    }
+    checkKeys(def, ENTRY_KEYS, at, problems);
+
+    let ok = true;
+
+    const images = [];
+    if (!Array.isArray(def.images) || def.images.length === 0) {
+        problems.push(`${at}.images: must be a non-empty array of image references`);
+        ok = false;
+    } else {
+        def.images.forEach((image, i) => {
+            const repo = typeof image === "string" ? imageRepository(image) : null;
+            if (!repo) {
+                problems.push(`${at}.images[${i}]: must be a non-empty image reference`);
+                ok = false;
+            } else if (!images.includes(repo)) {
+                images.push(repo);
+            }
+        });
+    }
+
+    let category = null;
+    if (def.category !== undefined && def.category !== null) {
+        if (typeof def.category !== "string" || !def.category.trim()) {
+            problems.push(`${at}.category: must be a role name or null`);
+            ok = false;
+        } else {
+            category = def.category;
+        }
+    }
+
+    const ports = [];
+    if (def.ports !== undefined) {
+        if (!Array.isArray(def.ports)) {
+            problems.push(`${at}.ports: must be an array`);
+            ok = false;
+        } else {
+            def.ports.forEach((p, i) => {
+                const binding = validatePort(p, `${at}.ports[${i}]`, problems);
+                if (!binding) {
+                    ok = false;
+                    return;
+                }
+                if (ports.some(x => x.container === binding.container && x.protocol === binding.protocol)) {
+                    problems.push(`${at}.ports[${i}]: ${binding.container}/${binding.protocol} is listed twice`);
+                    ok = false;
+                }
+                ports.push(binding);
+            });
+        }
+    }
+
+    if (category === null && ports.length === 0 && ok) {
+        problems.push(`${at}: needs a category or at least one port`);
+        ok = false;
+    }
+
+    const description = optionalString(def, "description", at, problems);
+    return ok ? { description, category, images, ports } : null;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Validate a parsed knowledge document and merge it over the built-ins.
+ * Throws KnowledgeError listing every problem found.
+ */
+function normalizeImageKnowledge(doc, { source = null } = {}) {
+    const problems = [];
+    const where = source ? ` (${source})` : "";
+
+    if (!isPlainObject(doc)) {
+        throw new KnowledgeError(`Invalid image knowledge${where}: document must be a JSON object`, {
+            source,
+            problems: ["(root): must be a JSON object"]
+        });
+    }
+
+    checkKeys(doc, TOP_LEVEL_KEYS, "(root)", problems);
+
+    if (doc.version === undefined) {
+        problems.push(`version: is required (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+    } else if (!SUPPORTED_VERSIONS.includes(String(doc.version))) {
+        problems.push(`version: "${doc.version}" is not supported (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+    }
+
+    const entries = {};
+    if (!isPlainObject(doc.images)) {
+        problems.push(`images: must be an object keyed by entry id`);
+    } else {
+        const owners = new Map();
+        for (const [id, def] of Object.entries(doc.images)) {
+            const entry = validateEntry(id, def, problems);
+            if (!entry) continue;
+            for (const repo of entry.images) {
+                if (owners.has(repo)) {
+                    problems.push(`images.${id}.images: "${repo}" is already listed by "${owners.get(repo)}"`);
+                } else {
+                    owners.set(repo, id);
+                }
+            }
+            entries[id] = entry;
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new KnowledgeError(
+            `Invalid image knowledge${where}:\n  - ${problems.join("\n  - ")}`,
+            { source, problems }
+        );
+    }
+
+    return createImageKnowledge(entries, { source });
+}
+
+/**
+ * Load, validate and merge an image knowledge file.
+ */
+function loadImageKnowledge(knowledgePath) {
+    if (!knowledgePath) {
+        throw new KnowledgeError("Image knowledge path is required");
+    }
+
+    const source = path.resolve(knowledgePath);
+
+    let raw;
+    try {
+        raw = fs.readFileSync(source, "utf8");
+    } catch (err) {
+        throw new KnowledgeError(`Cannot read image knowledge file ${source}: ${err.message}`, { source });
+    }
+
+    let doc;
+    try {
+        doc = JSON.parse(raw);
+    } catch (err) {
+        throw new KnowledgeError(`Image knowledge file ${source} is not valid JSON: ${err.message}`, { source });
+    }
+
+    return normalizeImageKnowledge(doc, { source });
+}
+
+/**
+ * Load the knowledge file if it exists, otherwise use the built-ins only.
+ * An existing but invalid file is still an error.
+ */
+function loadImageKnowledgeOrDefault(knowledgePath) {
+    if (knowledgePath && fs.existsSync(knowledgePath)) {
+        return loadImageKnowledge(knowledgePath);
+    }
+    return DEFAULT_IMAGE_KNOWLEDGE;
+}
+
+module.exports = {
+    loadImageKnowledge,
+    loadImageKnowledgeOrDefault,
+    normalizeImageKnowledge
+};
@@ -1,7 +1,611 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Policy Loader
+ * Location: src/planner/inputs/policy-loader.js
+ *
+ * Responsibility:
+ * - Read a policy document (JSON) from disk
+ * - Validate it completely and report every problem with its path
+ * - Normalize it into the shape consumed by policies.js / plan-builder
+ *
+ * HARD RULES:
+ * - Read-only (never writes the policy file)
+ * - Invalid policies are rejected, never partially applied
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const { PolicyError } = require("../utils/errors");
+const { DEFAULT_POLICY } = require("../policy/policies");
+const { MATCHERS, validateMatcher } = require("../classify/rules");
+
+const SUPPORTED_VERSIONS = ["1.0"];
+const ROLE_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+const RESERVED_ROLE_NAMES = ["unknown"];
+const MODES = ["incremental", "block", "manual", "protected"];
+const PROTOCOLS = ["tcp", "udp"];
+
+const TOP_LEVEL_KEYS = ["$schema", "version", "description", "roles", "reserved", "classification", "gameProfiles"];
+const ROLE_KEYS = ["description", "ports", "networks", "enforcement"];
+const PORTS_KEYS = ["ranges", "protocols"];
+const RANGE_KEYS = ["from", "to", "description"];
+const NETWORKS_KEYS = ["preferred", "allowed", "allowHost"];
+const ENFORCEMENT_KEYS = ["id", "mode", "enforceable", "startPort", "protocol", "description", "rationale"];
+const RULE_KEYS = ["id", "match", "role", "description", "confidence"];
+const PROFILE_KEYS = ["description", "keywords", "groups"];
+const GROUP_KEYS = ["name", "port", "optional", "members"];
+const MEMBER_KEYS = ["offset", "protocol", "purpose", "optional"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isPort(v) {
+    return Number.isInteger(v) && v >= 1 && v <= 65535;
+}
+
+function checkKeys(obj, allowed, at, problems) {
+    for (const key of Object.keys(obj)) {
+        if (!allowed.includes(key)) {
+            problems.push(`${at}.${key}: unknown field (expected one of ${allowed.join(", ")})`);
+        }
+    }
+}
+
+function optionalString(obj, key, at, problems) {
+    if (obj[key] === undefined || obj[key] === null) return null;
+    if (typeof obj[key] !== "string") {
+        problems.push(`${at}.${key}: must be a string`);
+        return null;
+    }
+    return obj[key];
+}
+
+function stringList(value, at, problems) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+        problems.push(`${at}: must be an array of strings`);
+        return [];
+    }
+    const out = [];
+    value.forEach((v, i) => {
+        if (typeof v !== "string" || !v.trim()) {
+            problems.push(`${at}[${i}]: must be a non-empty string`);
+        } else if (!out.includes(v)) {
+            out.push(v);
+        }
+    });
+    return out;
+}
+
+function validateRange(range, at, problems) {
+    if (!isPlainObject(range)) {
+        problems.push(`${at}: must be an object like { "from": 5000, "to": 5999 }`);
+        return null;
+    }
+    checkKeys(range, RANGE_KEYS, at, problems);
+
+    let ok = true;
+    if (!isPort(range.from)) {
+        problems.push(`${at}.from: must be an integer between 1 and 65535`);
+        ok = false;
+    }
+    if (!isPort(range.to)) {
+        problems.push(`${at}.to: must be an integer between 1 and 65535`);
+        ok = false;
+    }
+    if (ok && range.from > range.to) {
+        problems.push(`${at}: "from" (${range.from}) must not be greater than "to" (${range.to})`);
+        ok = false;
+    }
+
+    const description = optionalString(range, "description", at, problems);
+    if (!ok) return null;
+
+    return description
+        ? { from: range.from, to: range.to, description }
+        : { from: range.from, to: range.to };
+}
+
+function inRanges(port, ranges) {
+    return ranges.some(r => port >= r.from && port <= r.to);
+}
+
+/* ============================================================================
+   Section validators
+============================================================================ */
+
+function validatePorts(ports, at, problems) {
+    if (!isPlainObject(ports)) {
+        problems.push(`${at}: is required and must be an object with ranges[] and protocols[]`);
+        return { ranges: [], protocols: [] };
+    }
+    checkKeys(ports, PORTS_KEYS, at, problems);
+
+    const ranges = [];
+    if (!Array.isArray(ports.ranges) || ports.ranges.length === 0) {
+        problems.push(`${at}.ranges: must be a non-empty array`);
+    } else {
+        ports.ranges.forEach((r, i) => {
+            const range = validateRange(r, `${at}.ranges[${i}]`, problems);
+            if (range) ranges.push(range);
+        });
+    }
+
+    const protocols = stringList(ports.protocols, `${at}.protocols`, problems)
+        .map(p => p.toLowerCase());
+    if (protocols.length === 0) {
+        problems.push(`${at}.protocols: must list at least one of ${PROTOCOLS.join(", ")}`);
+    }
+    protocols.forEach((p, i) => {
+        if (!PROTOCOLS.includes(p)) {
+            problems.push(`${at}.protocols[${i}]: "${p}" is not a supported protocol (${PROTOCOLS.join(", ")})`);
+        }
+    });
+
+    return { ranges, protocols: protocols.filter(p => PROTOCOLS.includes(p)) };
+}
+
+function validateNetworks(networks, at, problems) {
+    if (networks === undefined || networks === null) return null;
+    if (!isPlainObject(networks)) {
+        problems.push(`${at}: must be an object with preferred[], allowed[] and allowHost`);
+        return null;
+    }
+    checkKeys(networks, NETWORKS_KEYS, at, problems);
+
+    const preferred = stringList(networks.preferred, `${at}.preferred`, problems);
+    const allowed = stringList(networks.allowed, `${at}.allowed`, problems);
+
+    let allowHost = false;
+    if (networks.allowHost !== undefined) {
+        if (typeof networks.allowHost !== "boolean") {
+            problems.push(`${at}.allowHost: must be true or false`);
+        } else {
+            allowHost = networks.allowHost;
+        }
+    }
+
+    if (allowed.length > 0) {
+        for (const name of preferred) {
+            if (!allowed.includes(name)) {
+                problems.push(`${at}.preferred: "${name}" is preferred but not listed in allowed[]`);
+            }
+        }
+    }
+
+    if (!allowHost && (preferred.includes("host") || allowed.includes("host"))) {
+        problems.push(`${at}: "host" network is listed but allowHost is false`);
+    }
+
+    return { preferred, allowed, allowHost };
+}
+
+function validateEnforcement(enforcement, role, ports, at, problems) {
+    if (enforcement !== undefined && enforcement !== null && !isPlainObject(enforcement)) {
+        problems.push(`${at}: must be an object`);
+        enforcement = null;
+    }
+    const e = enforcement || {};
+    if (enforcement) checkKeys(e, ENFORCEMENT_KEYS, at, problems);
+
+    const id = optionalString(e, "id", at, problems) || `${role}-port-policy`;
+
+    let mode = "manual";
+    if (e.mode !== undefined) {
+        if (!MODES.includes(e.mode)) {
+            problems.push(`${at}.mode: "${e.mode}" is not a supported mode (${MODES.join(", ")})`);
+        } else {
+            mode = e.mode;
+        }
+    }
+
+    let enforceable = true;
+    if (e.enforceable !== undefined) {
+        if (typeof e.enforceable !== "boolean") {
+            problems.push(`${at}.enforceable: must be true or false`);
+        } else {
+            enforceable = e.enforceable;
+        }
+    }
+
+    let protocol = null;
+    if (e.protocol !== undefined && e.protocol !== null) {
+        const p = String(e.protocol).toLowerCase();
+        if (!PROTOCOLS.includes(p)) {
+            problems.push(`${at}.protocol: "${e.protocol}" is not a supported protocol (${PROTOCOLS.join(", ")})`);
+        } else if (ports.protocols.length && !ports.protocols.includes(p)) {
+            problems.push(`${at}.protocol: "${p}" is not listed in ports.protocols`);
+        } else {
+            protocol = p;
+        }
+    }
+
+    let startPort = null;
+    if (e.startPort !== undefined && e.startPort !== null) {
+        if (!isPort(e.startPort)) {
+            problems.push(`${at}.startPort: must be an integer between 1 and 65535`);
+        } else if (ports.ranges.length && !inRanges(e.startPort, ports.ranges)) {
+            problems.push(`${at}.startPort: ${e.startPort} is outside the role's port ranges`);
+        } else {
+            startPort = e.startPort;
+        }
+    }
+
+    if (mode === "incremental") {
+        if (startPort === null && ports.ranges.length) startPort = ports.ranges[0].from;
+        if (protocol === null) protocol = ports.protocols.includes("tcp") ? "tcp" : ports.protocols[0] || null;
+    }
+
+    return {
+        id,
+        mode,
+        enforceable,
+        startPort,
+        protocol,
+        description: optionalString(e, "description", at, problems),
+        rationale: optionalString(e, "rationale", at, problems)
+    };
+}
+
+function validateRole(name, def, at, problems) {
+    if (!ROLE_NAME.test(name)) {
+        problems.push(`${at}: role name must be lowercase letters, digits, "-" or "_"`);
+    }
+    if (RESERVED_ROLE_NAMES.includes(name)) {
+        problems.push(`${at}: "${name}" is reserved and cannot be defined as a role`);
+    }
+    if (!isPlainObject(def)) {
+        problems.push(`${at}: must be an object`);
+        return null;
+    }
+    checkKeys(def, ROLE_KEYS, at, problems);
+
+    const ports = validatePorts(def.ports, `${at}.ports`, problems);
+
+    return {
+        description: optionalString(def, "description", at, problems),
+        ports,
+        networks: validateNetworks(def.networks, `${at}.networks`, problems),
+        enforcement: validateEnforcement(def.enforcement, name, ports, `${at}.enforcement`, problems)
+    };
+}
+
+function validateRule(rule, at, roleNames, problems) {
+    if (!isPlainObject(rule)) {
+        problems.push(`${at}: must be an object like { "match": { ... }, "role": "..." }`);
+        return null;
+    }
+    checkKeys(rule, RULE_KEYS, at, problems);
+
+    let ok = true;
+
+    if (!isPlainObject(rule.match) || Object.keys(rule.match).length === 0) {
+        problems.push(`${at}.match: must be an object with at least one matcher (${MATCHERS.join(", ")})`);
+        ok = false;
+    } else {
+        for (const [key, value] of Object.entries(rule.match)) {
+            const error = validateMatcher(key, value);
+            if (error) {
+                problems.push(`${at}.match.${key}: ${error}`);
+                ok = false;
+            }
+        }
+    }
+
+    if (typeof rule.role !== "string" || !rule.role) {
+        problems.push(`${at}.role: is required`);
+        ok = false;
+    } else if (!roleNames.includes(rule.role)) {
+        problems.push(`${at}.role: "${rule.role}" is not defined in roles (${roleNames.join(", ") || "none"})`);
+        ok = false;
+    }
+
+    let confidence = null;
+    if (rule.confidence !== undefined) {
+        if (typeof rule.confidence !== "number" || rule.confidence <= 0 || rule.confidence > 1) {
+            problems.push(`${at}.confidence: must be a number greater than 0 and at most 1`);
+            ok = false;
+        } else {
+            confidence = rule.confidence;
+        }
+    }
+
+    const id = optionalString(rule, "id", at, problems);
+    const description = optionalString(rule, "description", at, problems);
+    if (!ok) return null;
+
+    const out = {
+        id,
+        match: { ...rule.match },
+        role: rule.role,
+        description
+    };
+    if (confidence !== null) out.confidence = confidence;
+    return out;
+}
+
+function validateClassification(classification, roleNames, problems) {
+    if (classification === undefined || classification === null) return { rules: [] };
+    if (!isPlainObject(classification)) {
+        problems.push(`classification: must be an object with rules[]`);
+        return { rules: [] };
+    }
+    checkKeys(classification, ["rules"], "classification", problems);
+
+    if (classification.rules === undefined) return { rules: [] };
+    if (!Array.isArray(classification.rules)) {
+        problems.push(`classification.rules: must be an array`);
+        return { rules: [] };
+    }
+
+    const rules = [];
+    const ids = new Set();
+    classification.rules.forEach((r, i) => {
+        const rule = validateRule(r, `classification.rules[${i}]`, roleNames, problems);
+        if (!rule) return;
+        rule.id = rule.id || `rule-${i + 1}`;
+        if (ids.has(rule.id)) {
+            problems.push(`classification.rules[${i}].id: "${rule.id}" is used by more than one rule`);
+        }
+        ids.add(rule.id);
+        rules.push(rule);
+    });
+
+    return { rules };
+}
+
+function validateProfileMember(m, group, at, problems) {
+    if (!isPlainObject(m)) {
+        problems.push(`${at}: must be an object like { "offset": 0, "protocol": "udp" }`);
+        return null;
+    }
+    checkKeys(m, MEMBER_KEYS, at, problems);
+
+    let ok = true;
+    if (!Number.isInteger(m.offset) || m.offset < 0) {
+        problems.push(`${at}.offset: must be a non-negative integer`);
+        ok = false;
+    } else if (group.port !== null && !isPort(group.port + m.offset)) {
+        problems.push(`${at}.offset: port ${group.port} + ${m.offset} is outside 1-65535`);
+        ok = false;
+    }
+
+    const protocol = String(m.protocol ?? "tcp").toLowerCase();
+    if (!PROTOCOLS.includes(protocol)) {
+        problems.push(`${at}.protocol: "${m.protocol}" is not a supported protocol (${PROTOCOLS.join(", ")})`);
+        ok = false;
+    }
+
+    if (m.optional !== undefined && typeof m.optional !== "boolean") {
+        problems.push(`${at}.optional: must be true or false`);
+        ok = false;
+    }
+
+    const purpose = optionalString(m, "purpose", at, problems);
+    if (!ok) return null;
+
+    return { offset: m.offset, protocol, purpose: purpose || "game", optional: m.optional === true };
+}
+
+function validateProfileGroup(g, at, problems) {
+    if (!isPlainObject(g)) {
+        problems.push(`${at}: must be an object like { "name": "game", "port": 2456, "members": [ ... ] }`);
+        return null;
+    }
+    checkKeys(g, GROUP_KEYS, at, problems);
+
+    let ok = true;
+    if (typeof g.name !== "string" || !g.name.trim()) {
+        problems.push(`${at}.name: is required`);
+        ok = false;
+    }
+    if (!isPort(g.port)) {
+        problems.push(`${at}.port: must be an integer between 1 and 65535`);
+        ok = false;
+    }
+    if (g.optional !== undefined && typeof g.optional !== "boolean") {
+        problems.push(`${at}.optional: must be true or false`);
+        ok = false;
+    }
+
+    const group = { name: g.name, port: isPort(g.port) ? g.port : null, optional: g.optional === true, members: [] };
+
+    if (!Array.isArray(g.members) || g.members.length === 0) {
+        problems.push(`${at}.members: must be a non-empty array`);
+        ok = false;
+    } else {
+        g.members.forEach((m, i) => {
+            const member = validateProfileMember(m, group, `${at}.members[${i}]`, problems);
+            if (!member) {
+                ok = false;
+                return;
+            }
+            if (group.members.some(x => x.offset === member.offset && x.protocol === member.protocol)) {
+                problems.push(`${at}.members[${i}]: offset ${member.offset}/${member.protocol} is listed twice`);
+                ok = false;
+            }
+            group.members.push(member);
+        });
+    }
+
+    return ok ? group : null;
+}
+
+function validateGameProfiles(profiles, problems) {
+    if (profiles === undefined || profiles === null) return {};
+    if (!isPlainObject(profiles)) {
+        problems.push(`gameProfiles: must be an object keyed by profile id`);
+        return {};
+    }
+
+    const out = {};
+    for (const [id, def] of Object.entries(profiles)) {
+        const at = `gameProfiles.${id}`;
+        if (!ROLE_NAME.test(id)) {
+            problems.push(`${at}: profile id must be lowercase letters, digits, "-" or "_"`);
+            continue;
+        }
+        if (!isPlainObject(def)) {
+            problems.push(`${at}: must be an object`);
+            continue;
+        }
+        checkKeys(def, PROFILE_KEYS, at, problems);
+
+        let ok = true;
+        const keywords = stringList(def.keywords, `${at}.keywords`, problems);
+        if (keywords.length === 0) {
+            problems.push(`${at}.keywords: at least one keyword is required`);
+            ok = false;
+        }
+
+        const groups = [];
+        if (!Array.isArray(def.groups) || def.groups.length === 0) {
+            problems.push(`${at}.groups: must be a non-empty array`);
+            ok = false;
+        } else {
+            def.groups.forEach((g, i) => {
+                const group = validateProfileGroup(g, `${at}.groups[${i}]`, problems);
+                if (group) groups.push(group);
+                else ok = false;
+            });
+        }
+
+        const description = optionalString(def, "description", at, problems);
+        if (ok) out[id] = { description, keywords, groups };
+    }
+
+    return out;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Validate and normalize a parsed policy document.
+ * Throws PolicyError listing every problem found.
+ */
+function normalizePolicy(doc, { source = null } = {}) {
+    const problems = [];
+    const where = source ? ` (${source})` : "";
+
+    if (!isPlainObject(doc)) {
+        throw new PolicyError(`Invalid policy${where}: document must be a JSON object`, {
+            source,
+            problems: ["(root): must be a JSON object"]
+        });
+    }
+
+    checkKeys(doc, TOP_LEVEL_KEYS, "(root)", problems);
+
+    if (doc.version === undefined) {
+        problems.push(`version: is required (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+    } else if (!SUPPORTED_VERSIONS.includes(String(doc.version))) {
+        problems.push(`version: "${doc.version}" is not supported (supported: ${SUPPORTED_VERSIONS.join(", ")})`);
+    }
+
+    const roles = {};
+    if (!isPlainObject(doc.roles) || Object.keys(doc.roles).length === 0) {
+        problems.push(`roles: must be an object defining at least one role`);
+    } else {
+        for (const [name, def] of Object.entries(doc.roles)) {
+            const role = validateRole(name, def, `roles.${name}`, problems);
+            if (role) roles[name] = role;
+        }
+    }
+
+    const seenIds = new Map();
+    for (const [name, role] of Object.entries(roles)) {
+        const id = role.enforcement.id;
+        if (seenIds.has(id)) {
+            problems.push(`roles.${name}.enforcement.id: "${id}" is already used by role "${seenIds.get(id)}"`);
+        } else {
+            seenIds.set(id, name);
+        }
+    }
+
+    const reserved = [];
+    if (doc.reserved !== undefined) {
+        if (!Array.isArray(doc.reserved)) {
+            problems.push(`reserved: must be an array of port ranges`);
+        } else {
+            doc.reserved.forEach((r, i) => {
+                const range = validateRange(r, `reserved[${i}]`, problems);
+                if (range) reserved.push(range);
+            });
+        }
+    }
+
+    const classification = validateClassification(doc.classification, Object.keys(roles), problems);
+    const gameProfiles = validateGameProfiles(doc.gameProfiles, problems);
+
+    if (problems.length > 0) {
+        throw new PolicyError(
+            `Invalid policy${where}:\n  - ${problems.join("\n  - ")}`,
+            { source, problems }
+        );
+    }
+
+    return {
+        version: String(doc.version),
+        description: typeof doc.description === "string" ? doc.description : null,
+        source,
+        roles,
+        reserved,
+        classification,
+        gameProfiles
+    };
+}
+
+/**
+ * Load, validate and normalize a policy file.
+ */
 function loadPolicy(policyPath) {
-    throw new Error("Policy loader not implemented");
+    if (!policyPath) {
+        throw new PolicyError("Policy path is required");
+    }
+
+    const source = path.resolve(policyPath);
+
+    let raw;
+    try {
+        raw = fs.readFileSync(source, "utf8");
+    } catch (err) {
+        throw new PolicyError(`Cannot read policy file ${source}: ${err.message}`, { source });
+    }
+
+    let doc;
+    try {
+        doc = JSON.parse(raw);
+    } catch (err) {
+        throw new PolicyError(`Policy file ${source} is not valid JSON: ${err.message}`, { source });
+    }
+
+    return normalizePolicy(doc, { source });
+}
+
+/**
+ * Load the policy file if it exists, otherwise fall back to the built-in
+ * default policy. An existing but invalid file is still an error.
+ */
+function loadPolicyOrDefault(policyPath) {
+    if (policyPath && fs.existsSync(policyPath)) {
+        return loadPolicy(policyPath);
+    }
+    return DEFAULT_POLICY;
 }
 
 module.exports = {
-    loadPolicy
+    loadPolicy,
+    loadPolicyOrDefault,
+    normalizePolicy
 };
@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Reference File Loader (READ-ONLY)
+ * Location: src/planner/inputs/reference-files.js
+ *
+ * Responsibility:
+ * - Read the config files of reverse proxies and dashboards that may
+ *   hardcode published host ports (Traefik dynamic YAML, Caddyfiles,
+ *   nginx confs, Homepage / Homer services.yaml, ...)
+ * - From the host directories listed in REFERENCE_SCAN_DIRS
+ *   (comma-separated; mount them into the enforcer container)
+ *
+ * Only text config files are read (see CONFIG_EXTENSIONS / CONFIG_NAMES).
+ * Hidden directories, node_modules, backups and files over MAX_FILE_BYTES
+ * are skipped; at most MAX_FILES files are read per load.
+ *
+ * HARD RULES:
+ * - Read-only (rewrites are executor actions, see actions/rewrite-file.js)
+ * - An unreadable directory or file never fails the load; it is reported
+ *   in skipped[]
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_EXTENSIONS = [
+    ".yml", ".yaml", ".toml", ".json", ".conf", ".cfg", ".ini", ".env", ".caddy", ".txt"
+];
+const CONFIG_NAMES = ["caddyfile"];
+
+const SKIP_DIRS = ["node_modules"];
+const BACKUP_SUFFIX = /\.(bak|orig|old)$|~$/i;
+
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_FILES = 2000;
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function isConfigFile(name) {
+    const lower = name.toLowerCase();
+    if (BACKUP_SUFFIX.test(lower)) return false;
+    return CONFIG_NAMES.includes(lower) || CONFIG_EXTENSIONS.includes(path.extname(lower));
+}
+
+function isInside(file, dir) {
+    const rel = path.relative(dir, file);
+    return rel !== "" && !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+function realpath(p) {
+    try {
+        return fs.realpathSync(p);
+    } catch {
+        return null;
+    }
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Directories to scan, from REFERENCE_SCAN_DIRS (or the given value).
+ * Returns absolute paths; [] when nothing is configured.
+ */
+function referenceScanDirs(value = process.env.REFERENCE_SCAN_DIRS) {
+    if (Array.isArray(value)) return value.filter(Boolean).map(d => path.resolve(d));
+    return String(value || "")
+        .split(",")
+        .map(d => d.trim())
+        .filter(Boolean)
+        .map(d => path.resolve(d));
+}
+
+/**
+ * Is `file` inside one of the scan directories (symlinks resolved)?
+ * The executor only rewrites files that pass this check.
+ */
+function isInsideScanDirs(file, dirs) {
+    const real = realpath(file);
+    if (!real) return false;
+    return dirs.some(d => {
+        const dir = realpath(d);
+        return dir !== null && isInside(real, dir);
+    });
+}
+
+/**
+ * Read every config file below the scan directories.
+ *
+ * @param {Array<string>} dirs - Absolute directories (referenceScanDirs())
+ * @returns {{
+ *   dirs: Array<string>,
+ *   files: [{ path, lines: [string] }],
+ *   skipped: [{ path, reason }],
+ *   truncated: boolean
+ * }}
+ */
+function loadReferenceFiles(dirs) {
+    const result = { dirs: [...dirs], files: [], skipped: [], truncated: false };
+    const seen = new Set();
+
+    const walk = dir => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (err) {
+            result.skipped.push({ path: dir, reason: `cannot read directory (${err.code || err.message})` });
+            return;
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            if (result.files.length >= MAX_FILES) {
+                result.truncated = true;
+                return;
+            }
+
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name.startsWith(".") || SKIP_DIRS.includes(entry.name)) continue;
+                walk(full);
+                continue;
+            }
+            if (!entry.isFile() || !isConfigFile(entry.name)) continue;
+
+            const real = realpath(full);
+            if (!real || seen.has(real)) continue;
+            seen.add(real);
+
+            try {
+                const { size } = fs.statSync(full);
+                if (size > MAX_FILE_BYTES) {
+                    result.skipped.push({ path: full, reason: `larger than ${MAX_FILE_BYTES} bytes` });
+                    continue;
+                }
+                const content = fs.readFileSync(full, "utf8");
+                result.files.push({ path: full, lines: content.split("\n").map(l => l.replace(/\r$/, "")) });
+            } catch (err) {
+                result.skipped.push({ path: full, reason: `cannot read file (${err.code || err.message})` });
+            }
+        }
+    };
+
+    for (const dir of dirs) walk(dir);
+
+    return result;
+}
+
+module.exports = {
+    referenceScanDirs,
+    isInsideScanDirs,
+    loadReferenceFiles
+};
@@ -7,14 +7,37 @@
  * - Fetch authoritative state from Port-MCP
  * - Normalize containers, ports, and networks
  * - Guarantee planner/UI-safe contracts
+ * - Optionally enrich containers with env / command / labels through an
+ *   injected inspect function when Port-MCP does not report them
+ *   (see container-config.js). Planning needs the labels (port-mcp.*
+ *   category / exclude / pin), reference scanning the env and command.
+ * - List containers whose labels could not be read either way
+ *   (containerConfig.labelsUnavailable): their port-mcp.* labels are
+ *   ignored, so callers warn about them
  * ============================================================================
  */
 
 const { createMcpClient } = require("./mcp-client");
+const { loadContainerConfig } = require("./container-config");
 
+function reportsLabels(c) {
+    return Boolean(c.labels) && typeof c.labels === "object" && !Array.isArray(c.labels);
+}
+
+function hasConfig(c) {
+    return Array.isArray(c.env) && Array.isArray(c.command) && reportsLabels(c);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl - Port-MCP base URL
+ * @param {Function} options.inspect - async (idsOrNames[]) => docker inspect
+ *   objects; enables config enrichment (optional)
+ */
 async function loadState(options = {}) {
     const {
-        baseUrl = "http://127.0.0.1:4100"
+        baseUrl = "http://127.0.0.1:4100",
+        inspect = null
     } = options;
 
     const client = createMcpClient({ baseUrl });
@@ -51,24 +74,75 @@ async function loadState(options = {}) {
        CONTAINER NORMALIZATION
     ============================ */
 
-    const containers = containersRes.containers.map(c => ({
+    let containers = containersRes.containers.map(c => ({
         id: c.id,
         name: c.name,
         image: c.image || null,
         state: c.state || null,
         running: Boolean(c.running),
 
+        // Guaranteed object (used by label classification rules)
+        labels: reportsLabels(c) ? c.labels : {},
+
         // Guaranteed arrays
+        env: Array.isArray(c.env) ? c.env : [],
+        command: Array.isArray(c.command) ? c.command : [],
         ports: Array.isArray(c.ports) ? c.ports : [],
         networks: Array.isArray(c.networks)
             ? c.networks.map(n => ({
                   name: n.name,
                   ip: n.ip || null,
-                  gateway: n.gateway || null
+                  gateway: n.gateway || null,
+                  aliases: Array.isArray(n.aliases) ? n.aliases : []
               }))
-            : []
+            : [],
+
+        // How other containers can address this one (null = unknown)
+        hostname: c.hostname || null,
+        networkMode: c.networkMode || null
     }));
 
+    /* ============================
+       CONTAINER CONFIG ENRICHMENT
+    ============================ */
+
+    let containerConfig = {
+        source: containersRes.containers.every(hasConfig) ? "port-mcp" : null,
+        inspected: 0,
+        cached: 0,
+        error: null
+    };
+    let configs = new Map();
+
+    if (inspect && !containerConfig.source) {
+        const lacking = containersRes.containers.filter(c => !hasConfig(c));
+        let info;
+        ({ configs, info } = await loadContainerConfig(
+            lacking.map(c => ({ id: c.id, name: c.name })),
+            inspect,
+            containers.map(c => c.id)
+        ));
+        containerConfig = info;
+
+        containers = containers.map(c => {
+            const config = configs.get(c.id);
+            if (!config) return c;
+            return {
+                ...c,
+                env: config.env,
+                command: config.command,
+                // Port-MCP labels win when it reports them
+                labels: Object.keys(c.labels).length > 0 ? c.labels : config.labels,
+                hostname: c.hostname || config.hostname,
+                networkMode: c.networkMode || config.networkMode
+            };
+        });
+    }
+
+    containerConfig.labelsUnavailable = containersRes.containers
+        .filter(c => !reportsLabels(c) && !configs.has(c.id))
+        .map(c => c.name);
+
     /* ============================
        PORT NORMALIZATION (HOST VIEW)
     ============================ */
@@ -78,7 +152,8 @@ async function loadState(options = {}) {
         containerId: p.containerId || null,
         host: Number(p.host),
         containerPort: Number(p.container),
-        protocol: p.protocol || "tcp"
+        protocol: p.protocol || "tcp",
+        ip: p.ip || null
     }));
 
     /* ============================
@@ -122,7 +197,8 @@ async function loadState(options = {}) {
         containers,
         ports,
         networks: networksRes.networks,
-        registry: registryEntries
+        registry: registryEntries,
+        containerConfig
     };
 }
 
@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Unraid Docker Templates (READ-ONLY)
+ * Location: src/planner/inputs/unraid-templates.js
+ *
+ * Responsibility:
+ * - Read the dockerMan user templates of containers in a state
+ *   (<UNRAID_TEMPLATES_DIR>/my-<container name>.xml), so port moves can be
+ *   written back to them (plan/unraid-template.js)
+ *
+ * Optional: nothing is read unless UNRAID_TEMPLATES_DIR is set. On Unraid
+ * the templates live in /boot/config/plugins/dockerMan/templates-user;
+ * mount that directory into the enforcer container and point the variable
+ * at the mount.
+ *
+ * HARD RULES:
+ * - Read-only
+ * - A container without a template is not an error (not every container
+ *   is created from the Docker tab); unreadable templates are reported in
+ *   skipped[]
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Template directory from UNRAID_TEMPLATES_DIR (or the given value), or null.
+ */
+function unraidTemplateDir(value = process.env.UNRAID_TEMPLATES_DIR) {
+    const dir = String(value || "").trim();
+    return dir ? path.resolve(dir) : null;
+}
+
+/**
+ * Path of a container's user template.
+ */
+function templatePath(dir, containerName) {
+    return path.join(dir, `my-${containerName}.xml`);
+}
+
+/**
+ * Read the user templates of every container in a state.
+ *
+ * @param {Object} state
+ * @param {string} dir - unraidTemplateDir()
+ * @returns {{ dir, files: [{ path, container, lines: [string] }], skipped: [{ path, reason }] }}
+ */
+function loadUnraidTemplates(state, dir) {
+    const result = { dir, files: [], skipped: [] };
+    if (!dir) return result;
+
+    for (const container of state?.containers || []) {
+        if (!container?.name) continue;
+        const file = templatePath(dir, container.name);
+
+        try {
+            const content = fs.readFileSync(file, "utf8");
+            result.files.push({
+                path: file,
+                container: container.name,
+                lines: content.split("\n").map(l => l.replace(/\r$/, ""))
+            });
+        } catch (err) {
+            if (err.code === "ENOENT") continue;
+            result.skipped.push({ path: file, reason: `cannot read template (${err.code || err.message})` });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    unraidTemplateDir,
+    templatePath,
+    loadUnraidTemplates
+};
@@ -5,6 +5,8 @@
  *
  * Responsibility:
  * - Render a human-readable plan summary
+ * - Show analysis findings and the compliance verdict when the runner
+ *   passes them in ({ analysis, assessment })
  * - NO mutation
  * - NO execution
  * ============================================================================
@@ -12,23 +14,101 @@
 
 "use strict";
 
+const VERDICTS = {
+    compliant: "COMPLIANT — nothing to change",
+    changes: "NON-COMPLIANT — changes proposed",
+    attention: "ATTENTION REQUIRED — review the items below"
+};
+
+function formatPorts(ports) {
+    if (!Array.isArray(ports)) return String(ports);
+    if (ports.length === 0) return "none";
+    return ports.map(p => `${p.host}->${p.container}/${p.protocol}`).join(", ");
+}
+
+function formatRegistryPorts(ports) {
+    return ports.map(p => `${p.host}/${p.protocol}`).join(", ");
+}
+
 function renderAction(action, idx) {
-    const base =
+    let out =
         `${String(idx + 1).padStart(2, " ")}. ` +
-        `${action.type.padEnd(20)} ` +
+        `${action.type.padEnd(25)} ` +
         `${action.container}`;
 
-    if (action.reason) {
-        return base + `\n    Reason    : ${action.reason}` +
-            (action.confidence !== undefined
-                ? `\n    Confidence: ${action.confidence}`
-                : "");
+    const ctx = action.policyContext;
+    const reason = action.reason || ctx?.reason;
+
+    if (ctx?.status) out += `\n    Status    : ${ctx.status}`;
+    if (reason) out += `\n    Reason    : ${reason}`;
+    if (action.type === "update-container-networks") {
+        out += `\n    Networks  : ${action.from.join(", ")}`;
+        if (action.connect?.length) out += `\n    Connect   : ${action.connect.join(", ")}`;
+        if (action.disconnect?.length) out += `\n    Disconnect: ${action.disconnect.join(", ")}`;
+    } else if (action.type === "reserve-port" || action.type === "release-port") {
+        out += `\n    Ports     : ${action.ports ? formatRegistryPorts(action.ports) : "all owned"}`;
+        if (action.owner) out += `\n    Owner     : ${action.owner.type}:${action.owner.id}`;
+    } else if (action.type === "update-container-config") {
+        for (const c of action.env || []) out += `\n    Env       : ${c.name}: ${c.from} -> ${c.to}`;
+        for (const c of action.labels || []) out += `\n    Label     : ${c.key}: ${c.from} -> ${c.to}`;
+    } else if (action.type === "rewrite-file") {
+        out += `\n    File      : ${action.file}`;
+        for (const c of action.changes) out += `\n    Line ${String(c.line).padEnd(5)}: ${c.from.trim()} -> ${c.to.trim()}`;
+    } else {
+        if (action.from !== undefined) out += `\n    From      : ${formatPorts(action.from)}`;
+        if (action.to !== undefined) out += `\n    To        : ${formatPorts(action.to)}`;
+    }
+    if (action.compose) {
+        out += `\n    Compose   : ${action.compose.project}/${action.compose.service}`;
+        for (const e of action.compose.edits) {
+            for (const c of e.changes) out += `\n    Edit      : ${e.file}:${c.line}: ${c.from.trim()} -> ${c.to.trim()}`;
+        }
     }
+    if (action.composeWarning) out += `\n    Warning   : ${action.composeWarning}`;
+    if (action.template) {
+        for (const c of action.template.changes) {
+            out += `\n    Template  : ${action.template.file}:${c.line}: ${c.from.trim()} -> ${c.to.trim()}`;
+        }
+    }
+    if (action.templateWarning) out += `\n    Warning   : ${action.templateWarning}`;
+    if (ctx?.drift) {
+        out += `\n    Layout    : ${formatPorts(ctx.drift.from)} -> ${formatPorts(ctx.drift.to)} (not enforced)`;
+    }
+    for (const warning of ctx?.warnings || []) {
+        out += `\n    Warning   : ${warning}`;
+    }
+    // Findings are listed on the container's main action; the network action carries the fix
+    if (action.type !== "update-container-networks") {
+        for (const f of ctx?.networkFindings || []) {
+            out += `\n    Network   : ${f.message}`;
+        }
+    }
+
+    const confidence = action.confidence ?? ctx?.confidenceUsed;
+    if (reason && confidence !== undefined && confidence !== null) {
+        out += `\n    Confidence: ${confidence}`;
+    }
+
+    return out;
+}
+
+function renderAnalysis(analysis) {
+    const totals = analysis?.ports?.totals;
+    if (!totals) return;
 
-    return base;
+    console.log(
+        `Ports: ${totals.livePorts} published, ${totals.collisions} collision(s), ` +
+        `${totals.unregisteredInUse} unregistered, ${totals.staleRegistry} stale registry entr(ies)`
+    );
+
+    for (const c of analysis.ports.collisions || []) {
+        const users = c.usedBy.map(u => u.containerName || u.containerId).join(", ");
+        console.log(`  COLLISION ${c.host}/${c.protocol}: ${users}`);
+    }
+    console.log();
 }
 
-module.exports = function renderConsole(plan) {
+module.exports = function renderConsole(plan, { analysis = null, assessment = null } = {}) {
     if (!plan || typeof plan !== "object") {
         throw new Error("Console renderer requires a plan object");
     }
@@ -40,17 +120,46 @@ module.exports = function renderConsole(plan) {
         console.log();
     }
 
+    renderAnalysis(analysis);
+
     if (!Array.isArray(plan.actions) || plan.actions.length === 0) {
         console.log("No actions proposed.");
-        return;
+    } else {
+        console.log(`Proposed actions (${plan.actionCount ?? plan.actions.length}):\n`);
+
+        plan.actions.forEach((a, i) => {
+            console.log(renderAction(a, i));
+            console.log();
+        });
     }
 
-    console.log(`Proposed actions (${plan.actionCount}):\n`);
+    for (const s of plan.reconciliation?.skipped || []) {
+        console.log(`Registry drift left alone: ${s.host}/${s.protocol}${s.container ? ` (${s.container})` : ""} — ${s.reason}`);
+    }
+    if (plan.reconciliation?.skipped?.length) console.log();
 
-    plan.actions.forEach((a, i) => {
-        console.log(renderAction(a, i));
-        console.log();
-    });
+    for (const s of plan.configRewrites?.skipped || []) {
+        console.log(`Reference left alone: ${s.file ? s.location : `${s.container} ${s.location}`} — ${s.reason}`);
+    }
+    if (plan.configRewrites?.skipped?.length) console.log();
+
+    if (plan.labelsUnavailable?.length) {
+        console.log(`WARNING: labels unavailable for ${plan.labelsUnavailable.join(", ")} — port-mcp.* labels (category, exclude, pin) were ignored\n`);
+    }
+
+    for (const s of plan.allocations?.stale || []) {
+        console.log(`Stale ledger entry: ${s.container} (${s.role}, ${formatPorts(s.ports)}) — container no longer exists, dropped on the next apply`);
+    }
+    if (plan.allocations?.stale?.length) console.log();
+
+    if (assessment) {
+        console.log(`Result: ${VERDICTS[assessment.status] || assessment.status}`);
+        console.log(
+            `  ${assessment.changes} change(s), ${assessment.attention} item(s) needing review, ` +
+            `${assessment.collisions} collision(s), ` +
+            `${assessment.networkViolations || 0} network policy violation(s)\n`
+        );
+    }
 
     console.log("NOTE: This is a dry-run only. No changes have been made.\n");
 };
@@ -5,6 +5,8 @@
  *
  * Responsibility:
  * - Render a preview of proposed plan changes
+ * - Only actions that change something are shown (executable actions,
+ *   or any action carrying from / to for saved plans)
  * - NO execution
  * - NO mutation
  * ============================================================================
@@ -12,6 +14,25 @@
 
 "use strict";
 
+function formatPorts(ports) {
+    if (!Array.isArray(ports)) return String(ports);
+    if (ports.length === 0) return "none";
+    return ports.map(p => `${p.host}->${p.container}/${p.protocol}`).join(", ");
+}
+
+/**
+ * Per-port lines ("- old" / "+ new") for full-list port updates.
+ */
+function portLines(from, to) {
+    const key = p => `${p.host}->${p.container}/${p.protocol}`;
+    const before = new Set(from.map(key));
+    const after = new Set(to.map(key));
+    return [
+        ...from.filter(p => !after.has(key(p))).map(p => `   - ${key(p)}`),
+        ...to.filter(p => !before.has(key(p))).map(p => `   + ${key(p)}`)
+    ];
+}
+
 module.exports = function renderDiff(plan) {
     if (!plan || !Array.isArray(plan.actions)) {
         throw new Error("Diff renderer requires a plan with actions[]");
@@ -19,17 +40,68 @@ module.exports = function renderDiff(plan) {
 
     console.log("\n=== Proposed Changes (DIFF / DRY-RUN) ===\n");
 
-    if (plan.actions.length === 0) {
+    const changes = plan.actions.filter(a =>
+        a.executable === true || a.from !== undefined || a.to !== undefined
+    );
+
+    if (changes.length === 0) {
         console.log("No changes proposed.");
         return;
     }
 
-    plan.actions.forEach((a, i) => {
+    changes.forEach((a, i) => {
         console.log(`${i + 1}. ${a.type}`);
         console.log(`   container : ${a.container}`);
-        if (a.reason) console.log(`   reason    : ${a.reason}`);
-        if (a.from !== undefined) console.log(`   from      : ${a.from}`);
-        if (a.to !== undefined) console.log(`   to        : ${a.to}`);
+        const reason = a.reason || a.policyContext?.reason;
+        if (reason) console.log(`   reason    : ${reason}`);
+
+        if (a.type === "update-container-networks") {
+            for (const net of a.connect || []) console.log(`   + network ${net}`);
+            for (const net of a.disconnect || []) console.log(`   - network ${net}`);
+        } else if (a.type === "reserve-port") {
+            for (const p of a.ports) console.log(`   + registry ${p.host}/${p.protocol}`);
+        } else if (a.type === "release-port") {
+            for (const p of a.ports || []) console.log(`   - registry ${p.host}/${p.protocol}`);
+            if (!a.ports) console.log("   - registry (every port of this owner)");
+        } else if (a.type === "update-container-config") {
+            for (const c of a.env || []) {
+                console.log(`   - env ${c.name}=${c.from}`);
+                console.log(`   + env ${c.name}=${c.to}`);
+            }
+            for (const c of a.labels || []) {
+                console.log(`   - label ${c.key}=${c.from}`);
+                console.log(`   + label ${c.key}=${c.to}`);
+            }
+        } else if (a.type === "rewrite-file") {
+            console.log(`   file      : ${a.file}`);
+            for (const c of a.changes) {
+                console.log(`   - ${c.line}: ${c.from}`);
+                console.log(`   + ${c.line}: ${c.to}`);
+            }
+        } else if (Array.isArray(a.from) && Array.isArray(a.to)) {
+            for (const line of portLines(a.from, a.to)) console.log(line);
+            if (a.compose) {
+                console.log(`   compose   : ${a.compose.project}/${a.compose.service} (docker compose up)`);
+                for (const e of a.compose.edits) {
+                    for (const c of e.changes) {
+                        console.log(`   - ${e.file}:${c.line}: ${c.from}`);
+                        console.log(`   + ${e.file}:${c.line}: ${c.to}`);
+                    }
+                }
+            }
+            if (a.composeWarning) console.log(`   warning   : ${a.composeWarning}`);
+            if (a.template) {
+                console.log(`   template  : ${a.template.file}`);
+                for (const c of a.template.changes) {
+                    console.log(`   - ${c.line}: ${c.from}`);
+                    console.log(`   + ${c.line}: ${c.to}`);
+                }
+            }
+            if (a.templateWarning) console.log(`   warning   : ${a.templateWarning}`);
+        } else {
+            if (a.from !== undefined) console.log(`   from      : ${formatPorts(a.from)}`);
+            if (a.to !== undefined) console.log(`   to        : ${formatPorts(a.to)}`);
+        }
         console.log();
     });
 
@@ -5,6 +5,8 @@
  *
  * Responsibility:
  * - Emit machine-readable plan output
+ * - When the runner passes analysis / assessment, they are emitted
+ *   alongside the plan: { plan, analysis, assessment }
  * - NO mutation
  * - NO execution
  * ============================================================================
@@ -12,10 +14,31 @@
 
 "use strict";
 
-module.exports = function renderJson(plan) {
+// Internal analysis inputs stay out of the report
+function withoutDebug(result) {
+    if (!result) return null;
+    const { _debug, ...rest } = result;
+    return rest;
+}
+
+module.exports = function renderJson(plan, { analysis = null, assessment = null } = {}) {
     if (!plan || typeof plan !== "object") {
         throw new Error("JSON renderer requires a plan object");
     }
 
-    console.log(JSON.stringify(plan, null, 2));
+    if (!analysis && !assessment) {
+        console.log(JSON.stringify(plan, null, 2));
+        return;
+    }
+
+    console.log(JSON.stringify({
+        plan,
+        analysis: analysis ? {
+            summary: analysis.summary,
+            ports: withoutDebug(analysis.ports),
+            networks: withoutDebug(analysis.networks),
+            networkCompliance: analysis.networkCompliance || null
+        } : null,
+        assessment
+    }, null, 2));
 };
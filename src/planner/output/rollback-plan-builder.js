@@ -9,9 +9,19 @@
  * - Build a rollback plan that reverts port bindings
  *   from postState -> preState
  * - Emit executor-compatible actions ONLY
+ *   (one update-container-ports per container, full from[] / to[] lists,
+ *   each followed by its registry sync steps, see plan/registry-sync.js)
+ * - Undo env / label rewrites the job made for dependents of moved
+ *   containers (plan/config-rewrite.js): a container's port rollback
+ *   always carries the rewrites that followed its move
+ *
+ * Changes are detected with diffState (planner/utils/diff.js); anything
+ * that is not a port change on a container present in both states
+ * (added / removed containers, networks, running state, host-IP only)
+ * is reported in `skipped` instead of becoming an action.
  *
  * HARD RULES:
- * - Ports only (no networks, no env, no volumes)
+ * - Ports only, plus the job's own config and file rewrites (no networks, no volumes)
  * - No Docker access
  * - No side effects
  * - Output must be indistinguishable from a normal plan
@@ -20,94 +30,165 @@
 
 "use strict";
 
-/**
- * Build a rollback plan.
- *
- * @param {Object} params
- * @param {Array}  params.prePorts   Ports before execution (desired state)
- * @param {Array}  params.postPorts  Ports after execution (current state)
- * @param {Array}  params.selectedContainers Containers allowed to rollback
- *
- * @returns {Object} rollback plan
- */
-function buildRollbackPlan({ prePorts, postPorts, selectedContainers }) {
-    const actions = [];
+const { diffState, describeChange, containerBindings } = require("../utils/diff");
+const { PLAN_SCHEMA_VERSION } = require("../plan/plan-schema");
+const { addRegistrySync } = require("../plan/registry-sync");
+const { invertConfigAction, isReferenceRewrite } = require("../plan/config-rewrite");
 
-    const allowed = new Set(selectedContainers || []);
+/* ============================================================================
+   Helpers
+============================================================================ */
 
-    function key(p) {
-        // container + protocol + containerPort uniquely identify intent
-        return `${p.container}::${p.protocol}::${p.containerPort}`;
+/**
+ * Executor bindings ({ host, container, protocol }), deduped across host IPs.
+ */
+function executorBindings(state, name) {
+    const seen = new Set();
+    const out = [];
+    for (const b of containerBindings(state, name)) {
+        const key = `${b.host}:${b.containerPort}/${b.protocol}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        out.push({ host: b.host, container: b.containerPort, protocol: b.protocol });
     }
+    return out.sort((a, b) => a.container - b.container || a.protocol.localeCompare(b.protocol) || a.host - b.host);
+}
 
-    const preMap = new Map();
-    const postMap = new Map();
+function sameList(a, b) {
+    const key = x => `${x.host}:${x.container}/${x.protocol}`;
+    const sa = new Set(a.map(key));
+    return sa.size === new Set(b.map(key)).size && b.every(x => sa.has(key(x)));
+}
 
-    for (const p of Array.isArray(prePorts) ? prePorts : []) {
-        if (!allowed.has(p.container)) continue;
-        preMap.set(key(p), p);
-    }
+/* ============================================================================
+   Public API
+============================================================================ */
 
-    for (const p of Array.isArray(postPorts) ? postPorts : []) {
-        if (!allowed.has(p.container)) continue;
-        postMap.set(key(p), p);
-    }
+/**
+ * Actions that move every selected container's ports from `current`
+ * back to `target`.
+ *
+ * @param {Object} params
+ * @param {Object} params.current - State now ({ containers?, ports })
+ * @param {Object} params.target  - State to restore
+ * @param {Array|null} params.selectedContainers - Limit to these (null = all)
+ * @param {string} params.reason  - Reason recorded on each action
+ * @returns {{ actions: Array, skipped: Array }}
+ */
+function buildPortRestoreActions({ current, target, selectedContainers = null, reason = null }) {
+    const allowed = Array.isArray(selectedContainers) ? new Set(selectedContainers) : null;
+    const changes = diffState(current, target)
+        .filter(c => !allowed || allowed.has(c.container));
 
-    /* ---------------------------------------------------------------------
-       REMOVE: exists now, but did not exist before
-       ------------------------------------------------------------------ */
-
-    for (const [k, post] of postMap.entries()) {
-        if (!preMap.has(k)) {
-            actions.push({
-                type: "update-container-ports",
-                container: post.container,
-                protocol: post.protocol,
-                from: post.host,
-                to: null
-            });
+    const actions = [];
+    const skipped = [];
+    const portContainers = new Set();
+
+    for (const c of changes) {
+        if (c.kind === "port") {
+            portContainers.add(c.container);
+        } else {
+            skipped.push({ ...c, note: `${describeChange(c)} (not restorable by a port rollback)` });
         }
     }
 
-    /* ---------------------------------------------------------------------
-       ADD or CHANGE: existed before, but missing or different now
-       ------------------------------------------------------------------ */
-
-    for (const [k, pre] of preMap.entries()) {
-        const post = postMap.get(k);
-
-        // ADD (missing entirely)
-        if (!post) {
-            actions.push({
-                type: "update-container-ports",
-                container: pre.container,
-                protocol: pre.protocol,
-                from: null,
-                to: pre.host
+    for (const name of [...portContainers].sort()) {
+        const from = executorBindings(current, name);
+        const to = executorBindings(target, name);
+
+        if (sameList(from, to)) {
+            skipped.push({
+                kind: "port",
+                container: name,
+                note: `${name}: host IP changes only (not restorable by a port rollback)`
             });
             continue;
         }
 
-        // CHANGE (same port, different host binding)
-        if (post.host !== pre.host) {
-            actions.push({
-                type: "update-container-ports",
-                container: pre.container,
-                protocol: pre.protocol,
-                from: post.host,
-                to: pre.host
+        if (from.length === 0 || to.length === 0) {
+            skipped.push({
+                kind: "port",
+                container: name,
+                note: `${name}: ${from.length === 0 ? "no published ports now" : "no published ports to restore"}`
             });
+            continue;
         }
+
+        const action = {
+            type: "update-container-ports",
+            container: name,
+            from,
+            to
+        };
+        if (reason) action.reason = reason;
+        actions.push(action);
     }
 
-    return {
+    return { actions, skipped };
+}
+
+/**
+ * Actions that undo a job's config and file rewrites, for the selected
+ * containers. A rewrite is selected with any container whose move it followed.
+ *
+ * @param {Array} configActions - update-container-config / rewrite-file actions the job ran
+ * @param {Array|null} selectedContainers - Limit to these (null = all)
+ * @param {string} reason - Reason recorded on each action
+ * @returns {Array} Inverted actions, in reverse execution order
+ */
+function buildConfigRestoreActions(configActions, selectedContainers = null, reason = null) {
+    const allowed = Array.isArray(selectedContainers) ? new Set(selectedContainers) : null;
+
+    return (Array.isArray(configActions) ? configActions : [])
+        .filter(isReferenceRewrite)
+        .filter(a => !allowed ||
+            allowed.has(a.container) ||
+            (a.movedContainers || []).some(name => allowed.has(name)))
+        .map(a => {
+            const inverted = invertConfigAction(a);
+            if (reason) inverted.reason = reason;
+            delete inverted.executable;
+            return inverted;
+        })
+        .reverse();
+}
+
+/**
+ * Build a rollback plan.
+ *
+ * @param {Object} params
+ * @param {Array}  params.prePorts   Ports before execution (desired state)
+ * @param {Array}  params.postPorts  Ports after execution (current state)
+ * @param {Array}  params.selectedContainers Containers allowed to rollback (null = all)
+ * @param {Array}  params.registry   Current Port-MCP registry entries (optional)
+ * @param {Array}  params.configActions Config / file rewrites the job ran (optional)
+ *
+ * @returns {Object} rollback plan
+ */
+function buildRollbackPlan({ prePorts, postPorts, selectedContainers, registry = null, configActions = [] }) {
+    const selected = Array.isArray(selectedContainers) ? selectedContainers : null;
+    const { actions, skipped } = buildPortRestoreActions({
+        current: { ports: Array.isArray(postPorts) ? postPorts : [] },
+        target: { ports: Array.isArray(prePorts) ? prePorts : [] },
+        selectedContainers: selected
+    });
+    const configRestores = buildConfigRestoreActions(configActions, selected);
+
+    const plan = addRegistrySync({
+        schemaVersion: PLAN_SCHEMA_VERSION,
         kind: "rollback",
         dryRun: true,
-        summary: `Rollback ${actions.length} port change(s)`,
-        actions
-    };
+        summary: `Rollback ${actions.length} container(s)` +
+            (configRestores.length > 0 ? `, restore config of ${configRestores.length}` : ""),
+        actions,
+        skipped
+    }, registry);
+
+    return { ...plan, actions: [...plan.actions, ...configRestores] };
 }
 
 module.exports = {
-    buildRollbackPlan
+    buildRollbackPlan,
+    buildPortRestoreActions,
+    buildConfigRestoreActions
 };
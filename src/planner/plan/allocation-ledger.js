@@ -0,0 +1,194 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Allocation Ledger (PURE)
+ * Location: src/planner/plan/allocation-ledger.js
+ *
+ * Responsibility:
+ * - Describe the ledger of sticky layout assignments (incremental and block modes)
+ * - Look up a container's previously assigned ports
+ * - Fold a plan's proposed allocations into the ledger after an apply
+ * - Drop entries of containers that no longer exist (removed, renamed);
+ *   they would otherwise hold their host ports forever
+ *
+ * Ledger shape:
+ * {
+ *   version: 1,
+ *   updatedAt: <ms>,
+ *   assignments: { <role>: { <container>: [{ host, container, protocol }] } }
+ * }
+ *
+ * HARD RULES:
+ * - Pure functions only (persistence lives with the caller)
+ * - Never mutates its inputs
+ * ============================================================================
+ */
+
+"use strict";
+
+const LEDGER_VERSION = 1;
+
+function emptyLedger() {
+    return {
+        version: LEDGER_VERSION,
+        updatedAt: null,
+        assignments: {}
+    };
+}
+
+function normalizeBinding(b) {
+    const host = Number(b?.host);
+    const container = Number(b?.container);
+    if (!Number.isInteger(host) || !Number.isInteger(container)) return null;
+    return { host, container, protocol: String(b.protocol || "tcp").toLowerCase() };
+}
+
+/**
+ * Tolerant read of a persisted ledger; junk entries are dropped.
+ */
+function normalizeLedger(raw) {
+    const ledger = emptyLedger();
+    if (!raw || typeof raw !== "object" || typeof raw.assignments !== "object") {
+        return ledger;
+    }
+
+    ledger.updatedAt = raw.updatedAt ?? null;
+
+    for (const [role, byName] of Object.entries(raw.assignments || {})) {
+        if (!byName || typeof byName !== "object") continue;
+        for (const [name, ports] of Object.entries(byName)) {
+            if (!Array.isArray(ports)) continue;
+            const clean = ports.map(normalizeBinding).filter(Boolean);
+            if (clean.length === 0) continue;
+            (ledger.assignments[role] ||= {})[name] = clean;
+        }
+    }
+
+    return ledger;
+}
+
+/**
+ * Previously assigned ports of a container within a role ([] if none).
+ */
+function getLedgerPorts(ledger, role, name) {
+    return ledger?.assignments?.[role]?.[name] || [];
+}
+
+/**
+ * Every host port held by the ledger: [{ host, protocol, name, role }]
+ */
+function ledgerHolds(ledger) {
+    const holds = [];
+    for (const [role, byName] of Object.entries(ledger?.assignments || {})) {
+        for (const [name, ports] of Object.entries(byName)) {
+            for (const p of ports) {
+                holds.push({ host: p.host, protocol: p.protocol, name, role });
+            }
+        }
+    }
+    return holds;
+}
+
+function withoutContainer(assignments, name) {
+    const out = {};
+    for (const [role, byName] of Object.entries(assignments)) {
+        const rest = { ...byName };
+        delete rest[name];
+        if (Object.keys(rest).length > 0) out[role] = rest;
+    }
+    return out;
+}
+
+/**
+ * Drop entries of containers missing from `state` (stopped containers are
+ * still in state; removed or renamed ones are not).
+ *
+ * A state without containers proves nothing (Port-MCP may have answered
+ * with an empty list), so the ledger is then kept as it is.
+ *
+ * @param {Object} ledger - Normalized ledger
+ * @param {Object} state  - Normalized state
+ * @returns {{ ledger: Object, stale: [{ role, name, ports }] }}
+ */
+function pruneLedger(ledger, state) {
+    const containers = state?.containers;
+    if (!Array.isArray(containers) || containers.length === 0) return { ledger, stale: [] };
+
+    const present = new Set(containers.map(c => c.name));
+    const stale = [];
+    const assignments = {};
+    for (const [role, byName] of Object.entries(ledger?.assignments || {})) {
+        for (const [name, ports] of Object.entries(byName)) {
+            if (present.has(name)) {
+                (assignments[role] ||= {})[name] = ports;
+            } else {
+                stale.push({ role, name, ports });
+            }
+        }
+    }
+
+    return { ledger: { ...ledger, assignments }, stale };
+}
+
+/**
+ * Fold a plan's proposed allocations into the ledger.
+ *
+ * Only assignments that are actually live in `postState` are recorded,
+ * so failed or skipped actions never poison the ledger. A repack also
+ * drops the entries listed in `allocations.released`; entries of
+ * containers missing from `postState` are always dropped (see pruneLedger).
+ *
+ * @param {Object} ledger - Current ledger
+ * @param {Object} allocations - plan.allocations { repack, assignments, released }
+ * @param {Object} postState - Normalized state after apply
+ * @returns {Object} New ledger
+ */
+function commitAllocations(ledger, allocations, postState) {
+    const normalized = normalizeLedger(ledger);
+    if (!allocations || typeof allocations.assignments !== "object") return normalized;
+    const base = pruneLedger(normalized, postState).ledger;
+
+    const live = new Set(
+        (postState?.ports || []).map(p =>
+            `${p.container}|${p.host}:${p.containerPort}/${p.protocol || "tcp"}`
+        )
+    );
+
+    let assignments = base.assignments;
+
+    if (allocations.repack) {
+        for (const name of allocations.released || []) {
+            assignments = withoutContainer(assignments, name);
+        }
+    }
+
+    for (const [role, byName] of Object.entries(allocations.assignments)) {
+        for (const [name, ports] of Object.entries(byName || {})) {
+            const clean = (ports || []).map(normalizeBinding).filter(Boolean);
+            if (clean.length === 0) continue;
+
+            const isLive = clean.every(p =>
+                live.has(`${name}|${p.host}:${p.container}/${p.protocol}`)
+            );
+            if (!isLive) continue;
+
+            assignments = withoutContainer(assignments, name);
+            assignments[role] = { ...(assignments[role] || {}), [name]: clean };
+        }
+    }
+
+    return {
+        version: LEDGER_VERSION,
+        updatedAt: Date.now(),
+        assignments
+    };
+}
+
+module.exports = {
+    LEDGER_VERSION,
+    emptyLedger,
+    normalizeLedger,
+    getLedgerPorts,
+    ledgerHolds,
+    pruneLedger,
+    commitAllocations
+};
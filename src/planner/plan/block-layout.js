@@ -0,0 +1,288 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Block Port Layout (READ-ONLY)
+ * Location: src/planner/plan/block-layout.js
+ *
+ * Responsibility:
+ * - Move multi-port servers (game servers) as contiguous port blocks
+ * - Keep the relative offsets between a server's ports (game / query / RCON)
+ * - Move TCP/UDP pairs on the same host port together
+ *
+ * How blocks are formed:
+ * - Containers matching a game profile: one block per profile port group,
+ *   using the profile's offsets (a drifted query port is put back at game+1)
+ * - Everything else: host ports are sorted and split into blocks wherever two
+ *   neighbouring ports are more than MAX_BLOCK_GAP apart
+ *   (e.g. ARK 7777/7778 + 27015 = two blocks)
+ *
+ * Placement per block (first that fits wins):
+ * 1. Pinned by label  -> anchored on the pinned host port (claimed first)
+ * 2. Already compliant (offsets intact, inside one role range, not shared) -> unchanged
+ * 3. Ledger entry     -> previously assigned position (sticky)
+ * 4. Lowest free position, preferring the range the block sits in now
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - A block never straddles two ranges
+ * ============================================================================
+ */
+
+"use strict";
+
+const { findPin } = require("../inputs/container-labels");
+const { matchGameProfile, mapBindingsToProfile } = require("../policy/game-profiles");
+
+const MAX_BLOCK_GAP = 10;
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function rangeOf(port, ranges) {
+    return ranges.find(r => port >= r.from && port <= r.to) || null;
+}
+
+/**
+ * Build a block from [{ binding, offset }].
+ * Returns { entries, offsets, base, span, aligned, label }
+ */
+function makeBlock(entries, label = null) {
+    const offsets = [...new Set(entries.map(e => e.offset))].sort((a, b) => a - b);
+    const base = entries[0].binding.host - entries[0].offset;
+    return {
+        entries,
+        offsets,
+        base,
+        span: offsets[offsets.length - 1],
+        aligned: entries.every(e => e.binding.host - e.offset === base),
+        label
+    };
+}
+
+/**
+ * Split bindings into blocks of nearby host ports.
+ */
+function splitIntoBlocks(bindings) {
+    const hosts = [...new Set(bindings.map(b => b.host))].sort((a, b) => a - b);
+    const groups = [];
+
+    for (const host of hosts) {
+        const last = groups[groups.length - 1];
+        if (last && host - last[last.length - 1] <= MAX_BLOCK_GAP) {
+            last.push(host);
+        } else {
+            groups.push([host]);
+        }
+    }
+
+    return groups.map(group => makeBlock(
+        bindings
+            .filter(b => group.includes(b.host))
+            .map(b => ({ binding: b, offset: b.host - group[0] }))
+    ));
+}
+
+/**
+ * One block per profile port group. Unmatched bindings on a member's host
+ * port join that member (keeps TCP/UDP pairs together); the rest are split
+ * by gap as usual.
+ */
+function profileBlocks(profile, bindings) {
+    const { groups, unmatched } = mapBindingsToProfile(profile, bindings);
+    const blocks = [];
+    let rest = unmatched;
+
+    for (const { group, members } of groups) {
+        const entries = members.map(m => ({ binding: m.binding, offset: m.offset }));
+        for (const m of members) {
+            for (const b of rest.filter(x => x.host === m.binding.host)) {
+                entries.push({ binding: b, offset: m.offset });
+            }
+            rest = rest.filter(x => x.host !== m.binding.host);
+        }
+        blocks.push(makeBlock(entries, `${profile.id} ${group.name}`));
+    }
+
+    return rest.length > 0 ? [...blocks, ...splitIntoBlocks(rest)] : blocks;
+}
+
+/**
+ * Can the block be placed at `base`? (all ports free, one range)
+ */
+function fits(block, base, ranges, allocator, name) {
+    const range = rangeOf(base, ranges);
+    if (!range || base + block.span > range.to) return false;
+    return block.offsets.every(o => allocator.isFree(base + o, name));
+}
+
+/**
+ * Ranges to search: the one the block sits in now first,
+ * then the remaining ones from largest to smallest.
+ */
+function searchOrder(block, ranges) {
+    const current = rangeOf(block.base, ranges);
+    const rest = ranges
+        .filter(r => r !== current)
+        .sort((a, b) => (b.to - b.from) - (a.to - a.from));
+    return current ? [current, ...rest] : rest;
+}
+
+function findBase(block, ranges, allocator, name) {
+    for (const range of searchOrder(block, ranges)) {
+        for (let base = range.from; base + block.span <= range.to; base++) {
+            if (fits(block, base, ranges, allocator, name)) return base;
+        }
+    }
+    return null;
+}
+
+/**
+ * Base implied by ledger entries for every binding of the block, if consistent.
+ */
+function ledgerBase(block, ledgerPorts) {
+    let base = null;
+    for (const { binding, offset } of block.entries) {
+        const entry = ledgerPorts.find(l => l.container === binding.container && l.protocol === binding.protocol);
+        if (!entry) return null;
+        const b = entry.host - offset;
+        if (base !== null && b !== base) return null;
+        base = b;
+    }
+    return base;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Generate block assignments for a role.
+ *
+ * Returns {
+ *   assignments: container -> [{ host, container, protocol }],
+ *   blocked:     container -> { status, reason },
+ *   profiles:    container -> game profile (matched containers only)
+ * }
+ */
+function generateBlockLayout(containers, portMap, {
+    ranges = [],
+    pinsByName = new Map(),
+    ledgerPortsByName = new Map(),
+    profiles = [],
+    allocator
+}) {
+    const assignments = new Map();
+    const blocked = new Map();
+    const profileByName = new Map();
+
+    const sortedContainers = [...containers].sort((a, b) =>
+        a.name.localeCompare(b.name)
+    );
+
+    // container -> [{ block, base }]
+    const plans = new Map();
+    for (const container of sortedContainers) {
+        const bindings = portMap.get(container.name) || [];
+        if (bindings.length === 0) continue;
+
+        const profile = matchGameProfile(container, profiles);
+        if (profile) profileByName.set(container.name, profile);
+
+        const blocks = profile ? profileBlocks(profile, bindings) : splitIntoBlocks(bindings);
+        plans.set(container.name, blocks.map(block => ({ block, base: null })));
+    }
+
+    // Pinned blocks claim their ports before anything is handed out.
+    // Like incremental pins, they are honored even outside the role ranges.
+    for (const [name, entries] of plans) {
+        const pins = pinsByName.get(name) || [];
+        for (const entry of entries) {
+            const { block } = entry;
+            const pinned = block.entries
+                .map(e => ({ e, pin: findPin(pins, e.binding) }))
+                .find(x => x.pin);
+            if (!pinned) continue;
+
+            const base = pinned.pin.host - pinned.e.offset;
+            const blocker = block.offsets
+                .map(o => base + o < 1 || base + o > 65535
+                    ? { type: "out of range" }
+                    : allocator.blockerOf(base + o, name))
+                .find(Boolean);
+
+            if (blocker) {
+                blocked.set(name, {
+                    status: "blocked-port-conflict",
+                    reason: `Pinned block ${base}-${base + block.span} is held by ${allocator.describeHolder(blocker)}`
+                });
+                break;
+            }
+
+            for (const o of block.offsets) allocator.claim(base + o, name);
+            entry.base = base;
+        }
+    }
+
+    for (const [name, entries] of plans) {
+        if (blocked.has(name)) continue;
+
+        const ledgerPorts = ledgerPortsByName.get(name) || [];
+
+        for (const entry of entries) {
+            if (entry.base !== null) continue;
+            const { block } = entry;
+            let base = null;
+
+            // Already compliant: leave it where it is
+            if (block.aligned && fits(block, block.base, ranges, allocator, name)) {
+                base = block.base;
+            }
+
+            // Sticky ledger position
+            if (base === null) {
+                const fromLedger = ledgerBase(block, ledgerPorts);
+                if (fromLedger !== null && fits(block, fromLedger, ranges, allocator, name)) {
+                    base = fromLedger;
+                }
+            }
+
+            // Lowest free position
+            if (base === null) {
+                base = findBase(block, ranges, allocator, name);
+            }
+
+            if (base === null) {
+                const rangeText = ranges.map(r => `${r.from}-${r.to}`).join(", ");
+                const what = block.label ? ` for ${block.label}` : "";
+                blocked.set(name, {
+                    status: "blocked-range-exhausted",
+                    reason: `No free block of ${block.span + 1} consecutive port(s)${what} left in ${rangeText}`
+                });
+                break;
+            }
+
+            for (const o of block.offsets) allocator.claim(base + o, name);
+            entry.base = base;
+        }
+
+        if (blocked.has(name)) continue;
+
+        const newHost = new Map();
+        for (const { block, base } of entries) {
+            for (const e of block.entries) newHost.set(e.binding, base + e.offset);
+        }
+
+        assignments.set(name, (portMap.get(name) || []).map(b => ({
+            host: newHost.get(b),
+            container: b.container,
+            protocol: b.protocol
+        })));
+    }
+
+    return { assignments, blocked, profiles: profileByName };
+}
+
+module.exports = {
+    MAX_BLOCK_GAP,
+    generateBlockLayout
+};
@@ -0,0 +1,472 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Compose File Port Edits (PURE)
+ * Location: src/planner/plan/compose-edit.js
+ *
+ * Responsibility:
+ * - Write port moves of compose-managed containers back to the compose
+ *   file, so the next `docker compose up -d` does not revert them:
+ *
+ *   radarr 7878 -> 7979
+ *   docker-compose.yml:14   - "7878:7878"   ->   - "7979:7878"
+ *
+ * - Attach the edits to the move (update-container-ports `compose`); the
+ *   executor then applies the move with `docker compose up -d <service>`
+ *   instead of recreating the container itself
+ *
+ * Compose files are edited line by line, never re-serialized: only the
+ * host port digits change, so quotes, comments, anchors and formatting
+ * stay as they are. Understood port entries:
+ *   - "7878:7878"  - 127.0.0.1:7878:7878/udp  - "[::1]:7878:7878"
+ *   ports: ["7878:7878", "9696:9696"]          (one-line flow lists)
+ *   - target: 7878                             (long syntax)
+ *     published: 7878
+ * Entries with variables ("${RADARR_PORT}:7878") or port ranges that
+ * cover a moved port cannot be edited safely; the move is then blocked
+ * (status "blocked-compose") rather than recreated without compose, which
+ * the next `docker compose up` would silently revert.
+ *
+ * HARD RULES:
+ * - Pure: never mutates its inputs
+ * - Every moved binding must be found in the compose files, or nothing
+ *   is edited for that move
+ * ============================================================================
+ */
+
+"use strict";
+
+const { composeProject } = require("../inputs/compose-files");
+
+const KEY_LINE = /^( *)(?:"([^"]*)"|'([^']*)'|([^\s#'"\-][^:#]*?))\s*:(?=\s|$)(.*)$/;
+
+/* ============================================================================
+   Helpers: YAML lines
+============================================================================ */
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function isSkippable(line) {
+    return /^\s*(#.*)?$/.test(line) || /^(---|\.\.\.)\s*$/.test(line);
+}
+
+/**
+ * Text before an unquoted " #" comment.
+ */
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === "\"" || ch === "'") {
+            quote = ch;
+        } else if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * "  key: value # comment" -> { indent, key, rest: "value", restOffset }
+ * restOffset: index of rest in the line
+ */
+function parseKey(line) {
+    const m = KEY_LINE.exec(line);
+    if (!m) return null;
+    const rest = stripComment(m[5]).trim();
+    return {
+        indent: m[1].length,
+        key: m[2] ?? m[3] ?? m[4],
+        rest,
+        restOffset: line.length - m[5].length + (rest ? m[5].indexOf(rest) : 0)
+    };
+}
+
+/**
+ * Index of the `key:` line among the children of [start, end), or -1.
+ */
+function findChild(lines, start, end, key) {
+    let childIndent = null;
+    for (let i = start; i < end; i++) {
+        if (isSkippable(lines[i])) continue;
+        const indent = indentOf(lines[i]);
+        if (childIndent === null) childIndent = indent;
+        if (indent !== childIndent) continue;
+        const parsed = parseKey(lines[i]);
+        if (parsed && parsed.key === key) return i;
+    }
+    return -1;
+}
+
+/**
+ * End (exclusive) of the block nested under the line at `at`.
+ */
+function blockEnd(lines, at) {
+    const indent = indentOf(lines[at]);
+    let i = at + 1;
+    for (; i < lines.length; i++) {
+        if (isSkippable(lines[i])) continue;
+        if (indentOf(lines[i]) <= indent) break;
+    }
+    return i;
+}
+
+function unquote(value) {
+    const m = /^(["'])(.*)\1$/.exec(value);
+    return m ? { text: m[2], offset: 1 } : { text: value, offset: 0 };
+}
+
+/* ============================================================================
+   Helpers: port entries
+============================================================================ */
+
+/**
+ * Parse a short-syntax port ("[ip:]host:container[/proto]").
+ * Returns null for container-only entries (Docker picks the host port).
+ *
+ * @returns {{ kind: "port"|"range"|"variable", host, hostOffset, container, protocol, low, high }}
+ */
+function parseShortPort(value) {
+    if (value.includes("$")) return { kind: "variable" };
+
+    let rest = value;
+    let protocol = "tcp";
+    const slash = rest.lastIndexOf("/");
+    if (slash >= 0) {
+        protocol = rest.slice(slash + 1).toLowerCase();
+        rest = rest.slice(0, slash);
+    }
+
+    const last = rest.lastIndexOf(":");
+    if (last < 0) return null;
+
+    const container = rest.slice(last + 1);
+    const left = rest.slice(0, last);
+    const hostOffset = left.lastIndexOf(":") + 1;
+    const host = left.slice(hostOffset);
+    if (host === "") return null;
+
+    const range = /^(\d+)-(\d+)$/.exec(host);
+    if (range) return { kind: "range", low: Number(range[1]), high: Number(range[2]), protocol };
+    if (!/^\d+$/.test(host) || !/^\d+$/.test(container)) return { kind: "variable" };
+
+    return { kind: "port", host: Number(host), hostOffset, container: Number(container), protocol };
+}
+
+/**
+ * Port entries of the `ports:` key at `at`.
+ * Editable entries carry { line, offset, length } of their host digits.
+ */
+function portEntries(lines, at) {
+    const entries = [];
+    const key = parseKey(lines[at]);
+
+    const addShort = (line, raw, start) => {
+        const { text, offset } = unquote(raw);
+        const parsed = parseShortPort(text);
+        if (!parsed) return;
+        if (parsed.kind !== "port") {
+            entries.push({ ...parsed, text });
+            return;
+        }
+        entries.push({
+            ...parsed,
+            text,
+            line,
+            offset: start + offset + parsed.hostOffset,
+            length: String(parsed.host).length
+        });
+    };
+
+    // ports: ["7878:7878", "9696:9696"]
+    if (key.rest.startsWith("[")) {
+        const open = lines[at].indexOf("[", key.restOffset);
+        const close = lines[at].indexOf("]", open);
+        if (close < 0) return { entries, unsupported: "multi-line flow list" };
+        let cursor = open + 1;
+        for (const item of lines[at].slice(open + 1, close).split(",")) {
+            const trimmed = item.trim();
+            if (trimmed) addShort(at, trimmed, cursor + item.indexOf(trimmed));
+            cursor += item.length + 1;
+        }
+        return { entries, unsupported: null };
+    }
+    if (key.rest !== "") return { entries, unsupported: `"ports: ${key.rest}"` };
+
+    // Block list; items may sit at the key's own indentation
+    let itemIndent = null;
+    let long = null;
+    const flushLong = () => {
+        if (!long) return;
+        const published = long.published;
+        if (published) {
+            const value = unquote(published.value);
+            const low = /^(\d+)(?:-(\d+))?$/.exec(value.text);
+            const target = Number(long.target);
+            const protocol = String(long.protocol || "tcp").toLowerCase();
+            if (value.text.includes("$") || !low) {
+                entries.push({ kind: "variable", text: published.value });
+            } else if (low[2]) {
+                entries.push({ kind: "range", low: Number(low[1]), high: Number(low[2]), protocol, text: published.value });
+            } else if (Number.isInteger(target)) {
+                entries.push({
+                    kind: "port",
+                    host: Number(low[1]),
+                    container: target,
+                    protocol,
+                    text: `published: ${published.value}`,
+                    line: published.line,
+                    offset: published.offset + value.offset,
+                    length: low[1].length
+                });
+            }
+        }
+        long = null;
+    };
+    // `base` blanks out the item dash, so offsets stay those of the line
+    const readLongKey = (line, base) => {
+        const parsed = parseKey(" ".repeat(base) + lines[line].slice(base));
+        if (!parsed) return;
+        if (parsed.key === "published") {
+            long.published = { value: parsed.rest, line, offset: parsed.restOffset };
+        } else {
+            long[parsed.key] = unquote(parsed.rest).text;
+        }
+    };
+
+    for (let i = at + 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (isSkippable(line)) continue;
+        const indent = indentOf(line);
+        const isItem = line.slice(indent).startsWith("-");
+
+        if (itemIndent === null) {
+            if (!isItem || indent < key.indent) break;
+            itemIndent = indent;
+        }
+
+        if (indent === itemIndent && isItem) {
+            flushLong();
+            const dash = indent + 1;
+            const content = line.slice(dash).replace(/^\s+/, "");
+            const start = line.length - line.slice(dash).replace(/^\s+/, "").length;
+            if (KEY_LINE.test(content)) {
+                long = {};
+                readLongKey(i, start);
+            } else {
+                const value = stripComment(content).trim();
+                if (value) addShort(i, value, start);
+            }
+        } else if (indent > itemIndent && long) {
+            readLongKey(i, indent);
+        } else if (indent <= itemIndent) {
+            break;
+        }
+    }
+    flushLong();
+
+    return { entries, unsupported: null };
+}
+
+/**
+ * Port entries of a service across its compose files.
+ */
+function servicePorts(composeFiles, project) {
+    const found = [];
+    const problems = [];
+
+    for (const file of project.configFiles) {
+        const loaded = (composeFiles?.files || []).find(f => f.path === file);
+        if (!loaded) {
+            problems.push(`compose file ${file} is not readable (mount the project directory at the same path)`);
+            continue;
+        }
+
+        const lines = loaded.lines;
+        const services = lines.findIndex(l => {
+            const parsed = parseKey(l);
+            return parsed && parsed.indent === 0 && parsed.key === "services";
+        });
+        if (services < 0) continue;
+
+        const service = findChild(lines, services + 1, blockEnd(lines, services), project.service);
+        if (service < 0) continue;
+
+        const ports = findChild(lines, service + 1, blockEnd(lines, service), "ports");
+        if (ports < 0) continue;
+
+        const { entries, unsupported } = portEntries(lines, ports);
+        if (unsupported) problems.push(`${file}:${ports + 1}: ${unsupported} is not supported`);
+        for (const entry of entries) found.push({ ...entry, file });
+    }
+
+    return { entries: found, problems };
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Compose file edits for one container's port move.
+ *
+ * @param {Object} composeFiles - inputs/compose-files.js loadComposeFiles()
+ * @param {Object} project      - composeProject(container)
+ * @param {Array} from          - Current bindings [{ host, container, protocol }]
+ * @param {Array} to            - Target bindings
+ * @returns {{ edits: [{ file, changes: [{ line, from, to }] }], error: string|null }}
+ */
+function planComposePortEdit(composeFiles, project, from, to) {
+    const moves = [];
+    const seen = new Set();
+    for (const b of from || []) {
+        const protocol = String(b.protocol).toLowerCase();
+        const target = (to || []).find(t =>
+            t.container === b.container && String(t.protocol).toLowerCase() === protocol
+        );
+        const key = `${b.host}:${b.container}/${protocol}`;
+        if (!target || target.host === b.host || seen.has(key)) continue;
+        seen.add(key);
+        moves.push({ host: b.host, container: b.container, protocol, to: target.host });
+    }
+    if (moves.length === 0) return { edits: [], error: null };
+
+    if (project.configFiles.length === 0) {
+        return { edits: [], error: "compose project does not record its compose files" };
+    }
+
+    const { entries, problems } = servicePorts(composeFiles, project);
+    if (problems.length > 0) return { edits: [], error: problems.join("; ") };
+
+    // file -> line -> [{ offset, length, value }]
+    const replacements = new Map();
+    for (const move of moves) {
+        const matches = entries.filter(e =>
+            e.kind === "port" &&
+            e.host === move.host &&
+            e.container === move.container &&
+            e.protocol === move.protocol
+        );
+
+        if (matches.length === 0) {
+            const blocker = entries.find(e =>
+                e.kind === "variable" ||
+                (e.kind === "range" && e.protocol === move.protocol && move.host >= e.low && move.host <= e.high)
+            );
+            return {
+                edits: [],
+                error: blocker
+                    ? `ports of service ${project.service} use "${blocker.text}", which cannot be edited safely`
+                    : `no ports entry for ${move.host}:${move.container}/${move.protocol} in service ${project.service}`
+            };
+        }
+
+        for (const match of matches) {
+            if (!replacements.has(match.file)) replacements.set(match.file, new Map());
+            const byLine = replacements.get(match.file);
+            if (!byLine.has(match.line)) byLine.set(match.line, []);
+            byLine.get(match.line).push({ offset: match.offset, length: match.length, value: String(move.to) });
+        }
+    }
+
+    const edits = [];
+    for (const [file, byLine] of replacements) {
+        const lines = composeFiles.files.find(f => f.path === file).lines;
+        const changes = [];
+        for (const [line, parts] of [...byLine].sort((a, b) => a[0] - b[0])) {
+            let text = lines[line];
+            // Right to left, so earlier offsets stay valid
+            for (const p of parts.sort((a, b) => b.offset - a.offset)) {
+                text = text.slice(0, p.offset) + p.value + text.slice(p.offset + p.length);
+            }
+            changes.push({ line: line + 1, from: lines[line], to: text });
+        }
+        edits.push({ file, changes });
+    }
+
+    return { edits, error: null };
+}
+
+/**
+ * Attach compose edits to every port move of a compose-managed container.
+ * Moves already carrying `compose` are left as they are; moves whose
+ * compose file cannot be edited are blocked (executable: false, status
+ * "blocked-compose", `composeWarning`), together with their registry
+ * steps and reference rewrites.
+ *
+ * @param {Object} plan
+ * @param {Object} state        - Normalized state (container labels)
+ * @param {Object} composeFiles - loadComposeFiles(state)
+ * @returns {{ plan: Object, warnings: [{ container, message }] }}
+ */
+function addComposeEdits(plan, state, composeFiles) {
+    if (!plan || !Array.isArray(plan.actions)) return { plan, warnings: [] };
+
+    const warnings = [];
+    const blocked = new Set();
+    const edited = plan.actions.map(action => {
+        if (action?.type !== "update-container-ports" ||
+            action.executable === false ||
+            action.compose !== undefined) {
+            return action;
+        }
+
+        const container = (state?.containers || []).find(c => c.name === action.container);
+        const project = composeProject(container);
+        if (!project) return action;
+
+        const { edits, error } = planComposePortEdit(composeFiles, project, action.from, action.to);
+        if (error) {
+            const message = `${error}; the next "docker compose up" would undo this move`;
+            warnings.push({ container: action.container, message });
+            blocked.add(action.container);
+            return {
+                ...action,
+                executable: false,
+                composeWarning: message,
+                policyContext: {
+                    ...action.policyContext,
+                    status: "blocked-compose",
+                    reason: `Compose file cannot be edited: ${message}`
+                }
+            };
+        }
+        if (edits.length === 0) return action;
+
+        return {
+            ...action,
+            compose: {
+                project: project.project,
+                service: project.service,
+                workingDir: project.workingDir,
+                configFiles: project.configFiles,
+                edits
+            }
+        };
+    });
+
+    // Registry steps and reference rewrites of a blocked move must not run on their own
+    const actions = blocked.size === 0 ? edited : edited.map(action => {
+        const dependent = (action.movedContainers || []).some(name => blocked.has(name));
+        return dependent && action.executable !== false ? { ...action, executable: false } : action;
+    });
+
+    return {
+        plan: {
+            ...plan,
+            actions,
+            ...(plan.executableCount !== undefined
+                ? { executableCount: actions.filter(a => a.executable === true).length }
+                : {})
+        },
+        warnings
+    };
+}
+
+module.exports = {
+    planComposePortEdit,
+    addComposeEdits
+};
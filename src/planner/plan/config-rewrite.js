@@ -0,0 +1,358 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Config Rewrites for Port Moves (PURE)
+ * Location: src/planner/plan/config-rewrite.js
+ *
+ * Responsibility:
+ * - Find env vars and labels of OTHER containers that hardcode a host
+ *   port a plan moves, and turn them into update-container-config actions:
+ *
+ *   radarr 7878 -> 7979
+ *   overseerr  RADARR_URL=http://192.168.1.10:7878  -> ...:7979
+ *
+ * - Do the same for lines of reference files (proxy / dashboard configs
+ *   read by inputs/reference-files.js), as rewrite-file actions:
+ *
+ *   /srv/traefik/dynamic.yml:12  - url: "http://192.168.1.10:7878"  -> ...:7979
+ *
+ * - Report references it deliberately leaves alone (skipped[])
+ *
+ * Matching uses the impact scan's addressing modes (analyze/port-references.js):
+ * - Only references that break are rewritten: host-port addressing, and
+ *   localhost from a network_mode host container
+ * - Container addressing ("radarr:7878", proxy port labels) is left alone:
+ *   over a Docker network the container is reached on its container
+ *   port, which a move keeps
+ * - Bare port numbers ("API_PORT=7878") are reported, not rewritten
+ * - "<other container>:<port>" is someone else's port and ignored
+ * - Command arguments are reported, never rewritten
+ * - localhost in a file is reported, not rewritten (who reads the file,
+ *   and from which network namespace, is unknown)
+ * - Several moves (including swaps) are applied in one pass per value
+ *
+ * Needs container env (state loaded with config enrichment, see
+ * inputs/container-config.js); without it only labels are rewritten.
+ *
+ * HARD RULES:
+ * - Pure: never mutates its inputs
+ * - Moved containers are never rewritten themselves
+ * - Deterministic: same state + same moves = same actions
+ * ============================================================================
+ */
+
+"use strict";
+
+const {
+    buildAddressBook,
+    findPortMentions,
+    classifyMention,
+    referenceRisk
+} = require("../analyze/port-references");
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function isMove(action) {
+    return action?.type === "update-container-ports" &&
+        action.executable !== false &&
+        Array.isArray(action.from) &&
+        Array.isArray(action.to);
+}
+
+/**
+ * Old host port -> { to, container } for every host port a move changes.
+ * A host port moved to two different targets is ambiguous and dropped.
+ */
+function hostPortMoves(moves) {
+    const byPort = new Map();
+    const ambiguous = new Set();
+
+    for (const move of moves) {
+        for (const b of move.from) {
+            const target = move.to.find(t =>
+                t.container === b.container &&
+                String(t.protocol).toLowerCase() === String(b.protocol).toLowerCase()
+            );
+            if (!target || target.host === b.host) continue;
+
+            const known = byPort.get(b.host);
+            if (known && (known.to !== target.host || known.container !== move.container)) {
+                ambiguous.add(b.host);
+            }
+            byPort.set(b.host, { to: target.host, container: move.container });
+        }
+    }
+
+    for (const port of ambiguous) byPort.delete(port);
+    return byPort;
+}
+
+/**
+ * Rewrite one value held by `referrer` (null for a file line).
+ * Returns { value, skipped: [reason], movedFor: [container] }.
+ */
+function rewriteValue(value, referrer, portMoves, book, { labelKey = null } = {}) {
+    const skipped = [];
+    const movedFor = [];
+    let rewritten = value;
+
+    const mentions = findPortMentions(value, port => portMoves.has(port), { labelKey });
+
+    // Right to left, so earlier offsets stay valid
+    for (const mention of mentions.reverse()) {
+        const move = portMoves.get(mention.port);
+        const { addressing, via } = classifyMention(mention, move.container, book);
+        if (addressing === "other") continue;
+
+        const { risk, note } = referenceRisk(addressing, referrer);
+        if (risk !== "breaking") {
+            if (addressing !== "localhost" || risk !== "none") {
+                const where = mention.host
+                    ? `${via}:${mention.port}`
+                    : via ? `${mention.port} (${via})` : String(mention.port);
+                skipped.push(`${where}: ${note}`);
+            }
+            continue;
+        }
+
+        movedFor.push(move.container);
+        rewritten =
+            rewritten.slice(0, mention.offset) +
+            move.to +
+            rewritten.slice(mention.offset + String(mention.port).length);
+    }
+
+    return { value: rewritten, skipped: skipped.reverse(), movedFor };
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Config rewrites for a set of port moves.
+ *
+ * @param {Object} state - Normalized state (containers[] with env / labels / command)
+ * @param {Array} moves  - update-container-ports actions
+ * @returns {{
+ *   actions: [{ type: "update-container-config", container, env, labels, movedContainers, reason }],
+ *   skipped: [{ container, location, detail, reason }]
+ * }}
+ */
+function planConfigRewrites(state, moves) {
+    const actions = [];
+    const skipped = [];
+
+    const runnable = (moves || []).filter(isMove);
+    const portMoves = hostPortMoves(runnable);
+    if (portMoves.size === 0) return { actions, skipped };
+
+    const moved = new Set(runnable.map(m => m.container));
+    const containers = [...(state?.containers || [])]
+        .filter(c => !moved.has(c.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const book = buildAddressBook(state);
+
+    for (const container of containers) {
+        const targets = new Set();
+        const rewrite = (location, value, options) => {
+            const result = rewriteValue(value, container, portMoves, book, options);
+            for (const reason of result.skipped) {
+                skipped.push({ container: container.name, location, detail: value, reason });
+            }
+            result.movedFor.forEach(name => targets.add(name));
+            return result.value;
+        };
+
+        const env = [];
+        for (const line of container.env || []) {
+            const eq = line.indexOf("=");
+            if (eq <= 0) continue;
+            const name = line.slice(0, eq);
+            const from = line.slice(eq + 1);
+            const to = rewrite(`ENV ${name}`, from);
+            if (to !== from) env.push({ name, from, to });
+        }
+
+        const labels = [];
+        for (const key of Object.keys(container.labels || {}).sort()) {
+            const from = String(container.labels[key]);
+            const to = rewrite(`label ${key}`, from, { labelKey: key });
+            if (to !== from) labels.push({ key, from, to });
+        }
+
+        const command = (container.command || []).join(" ");
+        if (command && rewriteValue(command, container, portMoves, book).value !== command) {
+            skipped.push({
+                container: container.name,
+                location: "CMD",
+                detail: command,
+                reason: "command arguments are not rewritten; update them by hand"
+            });
+        }
+
+        if (env.length === 0 && labels.length === 0) continue;
+
+        const movedContainers = [...targets].sort();
+        actions.push({
+            type: "update-container-config",
+            container: container.name,
+            executable: true,
+            ...(env.length > 0 ? { env } : {}),
+            ...(labels.length > 0 ? { labels } : {}),
+            movedContainers,
+            reason: `Rewrite hardcoded ports of ${movedContainers.join(", ")}`
+        });
+    }
+
+    return { actions, skipped };
+}
+
+/**
+ * File rewrites for a set of port moves, one rewrite-file action per file.
+ * The action's container is the (first) moved container the file follows.
+ *
+ * @param {Object} referenceFiles - inputs/reference-files.js loadReferenceFiles()
+ * @param {Array} moves           - update-container-ports actions
+ * @param {Object} state          - Normalized state (address book)
+ * @returns {{
+ *   actions: [{ type: "rewrite-file", container, file, changes: [{ line, from, to }], movedContainers, reason }],
+ *   skipped: [{ file, line, location, detail, reason }]
+ * }}
+ */
+function planFileRewrites(referenceFiles, moves, state) {
+    const actions = [];
+    const skipped = [];
+
+    const portMoves = hostPortMoves((moves || []).filter(isMove));
+    if (portMoves.size === 0) return { actions, skipped };
+
+    const book = buildAddressBook(state);
+    const files = [...(referenceFiles?.files || [])].sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const file of files) {
+        const targets = new Set();
+        const changes = [];
+
+        file.lines.forEach((from, i) => {
+            const result = rewriteValue(from, null, portMoves, book);
+            for (const reason of result.skipped) {
+                skipped.push({ file: file.path, line: i + 1, location: `${file.path}:${i + 1}`, detail: from, reason });
+            }
+            result.movedFor.forEach(name => targets.add(name));
+            if (result.value !== from) changes.push({ line: i + 1, from, to: result.value });
+        });
+
+        if (changes.length === 0) continue;
+
+        const movedContainers = [...targets].sort();
+        actions.push({
+            type: "rewrite-file",
+            container: movedContainers[0],
+            executable: true,
+            file: file.path,
+            changes,
+            movedContainers,
+            reason: `Rewrite hardcoded ports of ${movedContainers.join(", ")}`
+        });
+    }
+
+    return { actions, skipped };
+}
+
+/**
+ * Is this action a reference rewrite (container config or file)?
+ * Rollbacks and snapshots keep these to invert them later.
+ */
+function isReferenceRewrite(action) {
+    return action?.type === "update-container-config" || action?.type === "rewrite-file";
+}
+
+/**
+ * The reference rewrites of an executed plan that actually ran, as kept for
+ * rollback. After a failed apply, the results stop at the failing action,
+ * so only the rewrites before it are returned.
+ * rewrite-file actions carry the backup their run left next to the file.
+ *
+ * @param {Array} actions - Actions of the executed plan
+ * @param {Array} results - Executor results ([{ action, container, result }])
+ */
+function executedRewrites(actions, results = []) {
+    const pending = (results || []).filter(r => isReferenceRewrite({ type: r?.action }));
+
+    const executed = [];
+    for (const action of (actions || []).filter(isReferenceRewrite)) {
+        const index = pending.findIndex(r =>
+            r.action === action.type &&
+            (action.type === "rewrite-file"
+                ? r.result?.file === action.file
+                : r.container === action.container)
+        );
+        if (index === -1) continue;
+
+        const [run] = pending.splice(index, 1);
+        executed.push(run.result?.backup ? { ...action, backup: run.result.backup } : action);
+    }
+    return executed;
+}
+
+/**
+ * Append reference rewrites for every port move of a plan (after the moves
+ * and their registry steps, so dependents restart against the new ports).
+ *
+ * @param {Object} options
+ * @param {boolean} options.containers - Rewrite container env / labels (default)
+ * @param {Object} options.files       - Reference files to rewrite (loadReferenceFiles()), or null
+ * @returns {{ plan: Object, skipped: Array }} New plan and skipped references
+ */
+function addConfigRewrites(plan, state, { containers = true, files = null } = {}) {
+    if (!plan || !Array.isArray(plan.actions)) return { plan, skipped: [] };
+
+    const configs = containers
+        ? planConfigRewrites(state, plan.actions)
+        : { actions: [], skipped: [] };
+    const fileRewrites = files
+        ? planFileRewrites(files, plan.actions, state)
+        : { actions: [], skipped: [] };
+
+    const skipped = [...configs.skipped, ...fileRewrites.skipped];
+    const actions = [...plan.actions, ...configs.actions, ...fileRewrites.actions];
+
+    return {
+        plan: {
+            ...plan,
+            ...(plan.actionCount !== undefined ? { actionCount: actions.length } : {}),
+            ...(plan.executableCount !== undefined
+                ? { executableCount: actions.filter(a => a.executable === true).length }
+                : {}),
+            actions
+        },
+        skipped
+    };
+}
+
+/**
+ * The action that undoes a reference rewrite (config or file).
+ */
+function invertConfigAction(action) {
+    const swap = list => list.map(c => ({ ...c, from: c.to, to: c.from }));
+    return {
+        ...action,
+        ...(Array.isArray(action.env) ? { env: swap(action.env) } : {}),
+        ...(Array.isArray(action.labels) ? { labels: swap(action.labels) } : {}),
+        ...(Array.isArray(action.changes) ? { changes: swap(action.changes) } : {}),
+        reason: action.type === "rewrite-file"
+            ? `Restore ${action.file}`
+            : `Restore config of ${action.container}`
+    };
+}
+
+module.exports = {
+    planConfigRewrites,
+    planFileRewrites,
+    isReferenceRewrite,
+    executedRewrites,
+    addConfigRewrites,
+    invertConfigAction
+};
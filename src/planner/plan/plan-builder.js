@@ -17,7 +17,28 @@
 
 "use strict";
 
-const { getPoliciesForCategory } = require("../policy/policies");
+const {
+    DEFAULT_POLICY,
+    getPoliciesForCategory,
+    getRoleNames
+} = require("../policy/policies");
+const { LABELS, readContainerIntent, findPin } = require("../inputs/container-labels");
+const { createPortAllocator } = require("./port-allocator");
+const { normalizeLedger, getLedgerPorts, pruneLedger } = require("./allocation-ledger");
+const { generateBlockLayout } = require("./block-layout");
+const { getGameProfiles, validateGameLayout } = require("../policy/game-profiles");
+const { PLAN_SCHEMA_VERSION } = require("./plan-schema");
+const { createStateBasis } = require("../utils/state-fingerprint");
+const { checkNetworkCompliance } = require("../analyze/network-compliance");
+const { planRegistryReconciliation } = require("./registry-reconcile");
+const { addRegistrySync } = require("./registry-sync");
+const { planConfigRewrites, planFileRewrites } = require("./config-rewrite");
+const { addComposeEdits } = require("./compose-edit");
+const { addTemplateEdits } = require("./unraid-template");
+const { DEFAULT_IMAGE_KNOWLEDGE, canonicalPorts } = require("../classify/image-knowledge");
+
+// Modes whose enforcement produces a concrete port layout
+const LAYOUT_MODES = ["incremental", "block"];
 
 /**
  * Build a port lookup map from state.
@@ -68,44 +89,135 @@ function buildContainerMap(state) {
 }
 
 /**
- * Generate port assignments for apps using incremental layout.
- * Returns { container -> [{ host, container, protocol }] }
+ * Generate port assignments for a role using incremental layout.
+ * Only ports of `protocol` are reassigned; other protocols are preserved.
+ * Host ports come from the shared allocator, so they never collide with
+ * live bindings, registry reservations, reserved ranges or each other.
+ * Bindings pinned by container labels keep their pinned host port.
+ * Bindings with a ledger entry keep their previously assigned host port
+ * while it is still free and in range (sticky layout).
+ * Bindings of well-known images get their canonical host port (7878 for
+ * Radarr) while it is free and in range, before the next free port.
+ *
+ * Returns {
+ *   assignments: container -> [{ host, container, protocol }],
+ *   blocked:     container -> { status, reason }
+ * }
  */
-function generateIncrementalLayout(containers, portMap, startPort = 5000) {
+function generateIncrementalLayout(containers, portMap, {
+    startPort = 5000,
+    protocol = "tcp",
+    ranges = [],
+    pinsByName = new Map(),
+    ledgerPortsByName = new Map(),
+    canonicalByName = new Map(),
+    allocator
+}) {
     const assignments = new Map();
-    let nextPort = startPort;
+    const blocked = new Map();
     
     // Sort containers by name for deterministic assignment
     const sortedContainers = [...containers].sort((a, b) => 
         a.name.localeCompare(b.name)
     );
     
+    // Pins claim their host ports before anything is handed out
     for (const container of sortedContainers) {
+        const pins = pinsByName.get(container.name) || [];
+        for (const binding of portMap.get(container.name) || []) {
+            const pin = findPin(pins, binding);
+            if (!pin || pin.protocol !== protocol) continue;
+            
+            const blocker = allocator.blockerOf(pin.host, container.name);
+            if (blocker) {
+                blocked.set(container.name, {
+                    status: "blocked-port-conflict",
+                    reason: `Pinned host port ${pin.host}/${protocol} is held by ${allocator.describeHolder(blocker)}`
+                });
+            } else {
+                allocator.claim(pin.host, container.name);
+            }
+        }
+    }
+    
+    for (const container of sortedContainers) {
+        if (blocked.has(container.name)) continue;
+        
         const currentPorts = portMap.get(container.name) || [];
+        const pins = pinsByName.get(container.name) || [];
         const newPorts = [];
+        let missing = 0;
+        
+        // Only reassign ports of the layout protocol; preserve the rest unchanged
+        const layoutPorts = currentPorts.filter(p => p.protocol === protocol);
+        const otherPorts = currentPorts.filter(p => p.protocol !== protocol);
         
-        // Only reassign TCP ports; preserve UDP unchanged
-        const tcpPorts = currentPorts.filter(p => p.protocol === "tcp");
-        const udpPorts = currentPorts.filter(p => p.protocol === "udp");
+        const ledgerPorts = ledgerPortsByName.get(container.name) || [];
+        const canonical = canonicalByName.get(container.name) || [];
         
-        // Assign new sequential TCP host ports
-        for (const tcpPort of tcpPorts) {
+        // Assign host ports: pin > sticky ledger port > canonical port > next free port
+        for (const port of layoutPorts) {
+            const pin = findPin(pins, port);
+            let host = pin ? pin.host : null;
+            
+            if (host === null) {
+                const sticky = ledgerPorts.find(l =>
+                    l.container === port.container && l.protocol === protocol
+                );
+                if (sticky &&
+                    ranges.some(r => sticky.host >= r.from && sticky.host <= r.to) &&
+                    allocator.isFree(sticky.host, container.name)) {
+                    allocator.claim(sticky.host, container.name);
+                    host = sticky.host;
+                }
+            }
+            
+            if (host === null) {
+                const known = canonical.find(c =>
+                    c.container === port.container && c.protocol === protocol
+                );
+                if (known &&
+                    ranges.some(r => known.host >= r.from && known.host <= r.to) &&
+                    allocator.isFree(known.host, container.name)) {
+                    allocator.claim(known.host, container.name);
+                    host = known.host;
+                }
+            }
+            
+            if (host === null) {
+                host = allocator.allocate({ ranges, startPort, forContainer: container.name });
+            }
+            
+            if (host === null) {
+                missing++;
+                continue;
+            }
+            
             newPorts.push({
-                host: nextPort++,
-                container: tcpPort.container,
-                protocol: "tcp"
+                host,
+                container: port.container,
+                protocol
             });
         }
         
-        // Preserve UDP ports unchanged
-        newPorts.push(...udpPorts);
+        if (missing > 0) {
+            const rangeText = ranges.map(r => `${r.from}-${r.to}`).join(", ");
+            blocked.set(container.name, {
+                status: "blocked-range-exhausted",
+                reason: `No free ${protocol} host port left in ${rangeText} for ${missing} binding(s)`
+            });
+            continue;
+        }
+        
+        // Preserve other protocols unchanged
+        newPorts.push(...otherPorts);
         
         if (newPorts.length > 0) {
             assignments.set(container.name, newPorts);
         }
     }
     
-    return assignments;
+    return { assignments, blocked };
 }
 
 /**
@@ -138,13 +250,35 @@ function portsChanged(fromPorts, toPorts) {
  * @param {Object} params.state - Current state from state-loader (optional)
  * @param {Object} params.overrides - Category overrides (optional)
  * @param {Object} params.policyEnforcement - User opt-in enforcement map (optional)
+ * @param {Object} params.policy - Normalized policy document (optional, defaults to built-in)
+ * @param {Object} params.allocations - Allocation ledger of sticky assignments (optional)
+ * @param {boolean} params.repack - Ignore the ledger and compact every port layout
+ * @param {boolean} params.reconcileRegistry - Add reserve / release actions for registry drift
+ * @param {Object} params.knowledge - Image knowledge base for canonical ports (optional, defaults to built-in)
+ * @param {boolean} params.rewriteReferences - Rewrite env / labels of containers that hardcode moved ports
+ *   (state must carry container env, see inputs/container-config.js)
+ * @param {Object} params.referenceFiles - Reference files to rewrite where they hardcode moved ports
+ *   (optional, see inputs/reference-files.js)
+ * @param {Object} params.composeFiles - Compose files of compose-managed containers; their moves
+ *   are written back to them (optional, see inputs/compose-files.js)
+ * @param {Object} params.unraidTemplates - Unraid user templates; moves are written back to them
+ *   (optional, see inputs/unraid-templates.js)
  * @returns {Object} Plan with actions array
  */
 function buildPlan({
     classification,
     state = null,
     overrides = {},
-    policyEnforcement = {}
+    policyEnforcement = {},
+    policy = DEFAULT_POLICY,
+    allocations = null,
+    repack = false,
+    reconcileRegistry = false,
+    knowledge = DEFAULT_IMAGE_KNOWLEDGE,
+    rewriteReferences = false,
+    referenceFiles = null,
+    composeFiles = null,
+    unraidTemplates = null
 }) {
     const actions = [];
     
@@ -164,50 +298,211 @@ function buildPlan({
         }));
     }
     
-    // Group containers by category for batch processing
-    const byCategory = new Map();
-    for (const container of containers) {
-        const category = container.category || "unknown";
-        if (!byCategory.has(category)) {
-            byCategory.set(category, []);
+    // Resolve effective category once
+    // (container labels > overrides > classifier)
+    const roleNames = getRoleNames(policy);
+    const resolved = containers.map(container => {
+        const labelIntent = readContainerIntent(containerMap.get(container.name));
+        // A label category the policy does not define (typo) is malformed
+        const intent = labelIntent.category && !roleNames.includes(labelIntent.category)
+            ? {
+                ...labelIntent,
+                problems: [
+                    ...labelIntent.problems,
+                    `${LABELS.category}: "${labelIntent.category}" is not a policy role (${roleNames.join(", ")})`
+                ]
+            }
+            : labelIntent;
+        const override = overrides[container.name];
+        const fromLabel = container.source === "label" || Boolean(intent.category);
+        
+        let effectiveCategory;
+        let confidenceUsed;
+        if (fromLabel) {
+            effectiveCategory = intent.category || container.category;
+            confidenceUsed = 1.0;
+        } else {
+            effectiveCategory = override?.category || container.category || "unknown";
+            confidenceUsed = override?.category ? 1.0 : container.confidence ?? null;
         }
-        byCategory.get(category).push(container);
-    }
+        
+        return { container, effectiveCategory, confidenceUsed, intent };
+    });
     
-    // Pre-calculate port assignments for apps (if needed)
-    const appsContainers = byCategory.get("apps") || [];
-    const appsWithEnforcement = appsContainers.filter(c => 
-        policyEnforcement?.[c.name] === true
+    const pinsByName = new Map(
+        resolved.map(r => [r.container.name, r.intent.pins])
     );
     
-    let incrementalAssignments = new Map();
-    if (appsWithEnforcement.length > 0 && state) {
-        incrementalAssignments = generateIncrementalLayout(
-            appsWithEnforcement,
-            portMap,
-            5000
+    // Pre-calculate port assignments for every layout role (if needed).
+    // One allocator per plan: roles with overlapping ranges never collide.
+    const layoutAssignments = new Map();
+    const layoutBlocked = new Map();
+    const layoutProfiles = new Map();
+    const gameProfiles = getGameProfiles(policy);
+    // Entries of containers that no longer exist hold no ports; reported
+    // as `stale` and dropped from the ledger on the next apply
+    const { ledger, stale } = pruneLedger(normalizeLedger(allocations), state);
+    const allocator = createPortAllocator({
+        state,
+        reserved: policy?.reserved || [],
+        ledger: repack ? null : ledger
+    });
+    const proposedAllocations = {
+        repack: repack === true,
+        assignments: {},
+        released: [],
+        stale: stale.map(({ role, name, ports }) => ({ role, container: name, ports }))
+    };
+    // Layout of one role's containers, with `allocator` handing out ports
+    function layoutRole(rolePolicy, containers, roleAllocator, role) {
+        const ledgerPortsByName = new Map(
+            repack ? [] : containers.map(c => [c.name, getLedgerPorts(ledger, role, c.name)])
+        );
+        const canonicalByName = new Map(
+            containers.map(c => [c.name, canonicalPorts(knowledge, containerMap.get(c.name)?.image)])
         );
+        
+        // Block mode moves every binding; incremental only its layout protocol
+        return rolePolicy.mode === "block"
+            ? generateBlockLayout(containers, portMap, {
+                ranges: rolePolicy.ranges,
+                pinsByName,
+                ledgerPortsByName,
+                profiles: gameProfiles,
+                allocator: roleAllocator
+            })
+            : generateIncrementalLayout(containers, portMap, {
+                startPort: rolePolicy.startPort ?? 5000,
+                protocol: rolePolicy.protocol || "tcp",
+                ranges: rolePolicy.ranges,
+                pinsByName,
+                ledgerPortsByName,
+                canonicalByName,
+                allocator: roleAllocator
+            });
     }
     
-    // Process each container
-    for (const container of containers) {
-        const { name, category, confidence } = container;
+    const layoutCandidates = role => resolved
+        .filter(r => r.effectiveCategory === role)
+        .filter(r => !r.intent.exclude && r.intent.problems.length === 0)
+        .filter(r => containerMap.get(r.container.name)?.running);
+    
+    if (state) {
+        for (const role of getRoleNames(policy)) {
+            const rolePolicy = getPoliciesForCategory(role, policy)[0];
+            if (!rolePolicy || !LAYOUT_MODES.includes(rolePolicy.mode) || !rolePolicy.enforceable) continue;
+            
+            const enforcedContainers = layoutCandidates(role)
+                .filter(r => policyEnforcement?.[r.container.name] === true)
+                .map(r => r.container);
+            
+            if (enforcedContainers.length === 0) continue;
+            
+            const isBlock = rolePolicy.mode === "block";
+            const protocol = rolePolicy.protocol || "tcp";
+            const layout = layoutRole(rolePolicy, enforcedContainers, allocator, role);
+            
+            for (const [name, ports] of layout.assignments) {
+                layoutAssignments.set(name, ports);
+                const layoutPorts = isBlock ? ports : ports.filter(p => p.protocol === protocol);
+                if (layoutPorts.length > 0) {
+                    (proposedAllocations.assignments[role] ||= {})[name] = layoutPorts;
+                }
+            }
+            for (const [name, info] of layout.blocked) {
+                layoutBlocked.set(name, info);
+            }
+            for (const [name, profile] of layout.profiles || []) {
+                layoutProfiles.set(name, profile);
+            }
+        }
+    }
+    
+    // Where every other layout-mode container would go (read-only: own
+    // allocator, after the enforced ones), so a plan without opt-ins still
+    // reports containers that are off their role's layout
+    const driftAssignments = new Map();
+    if (state) {
+        const driftAllocator = createPortAllocator({
+            state,
+            reserved: policy?.reserved || [],
+            ledger: repack ? null : ledger
+        });
+        for (const [name, ports] of layoutAssignments) {
+            for (const p of ports) driftAllocator.claim(p.host, name);
+        }
         
-        const override = overrides[name];
-        const effectiveCategory = override?.category || category;
-        const confidenceUsed = override?.category ? 1.0 : confidence ?? null;
+        for (const role of getRoleNames(policy)) {
+            const rolePolicy = getPoliciesForCategory(role, policy)[0];
+            if (!rolePolicy || !LAYOUT_MODES.includes(rolePolicy.mode)) continue;
+            
+            const others = layoutCandidates(role)
+                .filter(r => !layoutAssignments.has(r.container.name) && !layoutBlocked.has(r.container.name))
+                .map(r => r.container);
+            if (others.length === 0) continue;
+            
+            const layout = layoutRole(rolePolicy, others, driftAllocator, role);
+            for (const [name, ports] of layout.assignments) driftAssignments.set(name, ports);
+        }
+    }
+    
+    // Process each container
+    for (const { container, effectiveCategory, confidenceUsed, intent } of resolved) {
+        const { name } = container;
         
-        const policies = getPoliciesForCategory(effectiveCategory);
+        const policies = getPoliciesForCategory(effectiveCategory, policy);
         const primaryPolicy = policies[0] || null;
         
         const userEnforced = policyEnforcement?.[name] === true;
         const containerState = containerMap.get(name);
         
+        /* =================================================================
+           Labels: malformed port-mcp.* labels block planning
+        ================================================================= */
+        
+        if (intent.problems.length > 0) {
+            actions.push({
+                type: "manual-review",
+                container: name,
+                executable: false,
+                policyContext: {
+                    id: "invalid-container-labels",
+                    status: "blocking",
+                    enforceable: false,
+                    source: "label",
+                    reason: `Invalid container labels: ${intent.problems.join("; ")}`,
+                    confidenceUsed
+                }
+            });
+            continue;
+        }
+        
+        /* =================================================================
+           Labels: port-mcp.exclude=true (never planned)
+        ================================================================= */
+        
+        if (intent.exclude) {
+            actions.push({
+                type: "no-op",
+                container: name,
+                executable: false,
+                policyContext: {
+                    id: "label-exclusion",
+                    status: "excluded",
+                    enforceable: false,
+                    source: "label",
+                    reason: `Excluded by container label ${LABELS.exclude}`,
+                    confidenceUsed
+                }
+            });
+            continue;
+        }
+        
         /* =================================================================
            Policy: Unknown classification
         ================================================================= */
         
-        if (!effectiveCategory || effectiveCategory === "unknown") {
+        if (effectiveCategory === "unknown") {
             actions.push({
                 type: "manual-review",
                 container: name,
@@ -244,19 +539,20 @@ function buildPlan({
         }
         
         /* =================================================================
-           Policy: Games require explicit review
+           Mode: manual (explicit review; games keep their own action type)
         ================================================================= */
         
-        if (effectiveCategory === "games") {
+        if (primaryPolicy?.mode === "manual") {
             actions.push({
-                type: "review-game-ports",
+                type: effectiveCategory === "games" ? "review-game-ports" : "manual-review",
                 container: name,
                 executable: false,
                 policyContext: {
-                    id: "games-port-review",
+                    id: primaryPolicy.id,
                     status: "blocking",
                     enforceable: false,
-                    reason: "Game servers require explicit review of port assignments",
+                    reason: primaryPolicy.description ||
+                        `Containers in role "${effectiveCategory}" require explicit review of port assignments`,
                     confidenceUsed
                 }
             });
@@ -264,21 +560,19 @@ function buildPlan({
         }
         
         /* =================================================================
-           Policy: System (protected - never mutate)
+           Mode: protected (never mutate)
         ================================================================= */
         
-        if (effectiveCategory === "system") {
-            const systemPolicy = policies.find(p => p.id === "system-protection");
-            
+        if (primaryPolicy?.mode === "protected") {
             actions.push({
                 type: "no-op",
                 container: name,
                 executable: false,
                 policyContext: {
-                    id: "system-protection",
+                    id: primaryPolicy.id,
                     status: "protected",
                     enforceable: true,
-                    reason: "System containers are protected from automatic mutation",
+                    reason: `Containers in role "${effectiveCategory}" are protected from automatic mutation`,
                     confidenceUsed
                 }
             });
@@ -286,21 +580,27 @@ function buildPlan({
         }
         
         /* =================================================================
-           Policy: Apps (incremental layout - enforceable when enabled)
+           Mode: incremental / block (layout - enforceable when enabled)
         ================================================================= */
         
-        if (effectiveCategory === "apps" && primaryPolicy) {
+        if (LAYOUT_MODES.includes(primaryPolicy?.mode)) {
             const enforceable = Boolean(primaryPolicy.enforceable);
             const enforced = enforceable && userEnforced;
             
             // Check if we can actually execute this
             const canExecute = enforced && 
                                containerState?.running && 
-                               incrementalAssignments.has(name);
+                               layoutAssignments.has(name);
             
             if (canExecute) {
                 const currentPorts = portMap.get(name) || [];
-                const desiredPorts = incrementalAssignments.get(name) || [];
+                const desiredPorts = layoutAssignments.get(name) || [];
+                
+                // Game profile: name it and flag ports the server still lacks
+                const profile = layoutProfiles.get(name);
+                const profileContext = profile
+                    ? { gameProfile: profile.id, warnings: validateGameLayout(profile, desiredPorts) }
+                    : {};
                 
                 // Only create action if ports actually need to change
                 if (portsChanged(currentPorts, desiredPorts)) {
@@ -314,8 +614,9 @@ function buildPlan({
                             id: primaryPolicy.id,
                             status: "enforced",
                             enforceable: true,
-                            reason: "Applying incremental port layout per user opt-in",
-                            confidenceUsed
+                            reason: `Applying ${primaryPolicy.mode} port layout per user opt-in`,
+                            confidenceUsed,
+                            ...profileContext
                         }
                     });
                 } else {
@@ -328,11 +629,27 @@ function buildPlan({
                             id: primaryPolicy.id,
                             status: "compliant",
                             enforceable: true,
-                            reason: "Container already complies with incremental layout",
-                            confidenceUsed
+                            reason: `Container already complies with ${primaryPolicy.mode} layout`,
+                            confidenceUsed,
+                            ...profileContext
                         }
                     });
                 }
+            } else if (enforced && containerState?.running && layoutBlocked.has(name)) {
+                // Allocator could not produce a safe layout (exhausted / conflict)
+                const info = layoutBlocked.get(name);
+                actions.push({
+                    type: "no-op",
+                    container: name,
+                    executable: false,
+                    policyContext: {
+                        id: primaryPolicy.id,
+                        status: info.status,
+                        enforceable: true,
+                        reason: info.reason,
+                        confidenceUsed
+                    }
+                });
             } else if (enforced && !containerState?.running) {
                 // User wants enforcement but container not running
                 actions.push({
@@ -349,6 +666,11 @@ function buildPlan({
                 });
             } else {
                 // Enforceable but not enforced (waiting for user opt-in)
+                const currentPorts = portMap.get(name) || [];
+                const desiredPorts = driftAssignments.get(name);
+                const drift = desiredPorts && portsChanged(currentPorts, desiredPorts)
+                    ? { from: currentPorts, to: desiredPorts }
+                    : null;
                 actions.push({
                     type: "no-op",
                     container: name,
@@ -360,7 +682,9 @@ function buildPlan({
                         reason: enforceable
                             ? "Policy may be enforced if user opts in"
                             : "Policy exists but enforcement is disabled",
-                        confidenceUsed
+                        confidenceUsed,
+                        // Off the role's layout: where enforcing would move it
+                        ...(drift ? { drift } : {})
                     }
                 });
             }
@@ -385,11 +709,143 @@ function buildPlan({
         });
     }
     
+    /* =====================================================================
+       Networks: role network policy (fixes follow port enforcement opt-in)
+    ===================================================================== */
+    
+    const knownNetworks = Array.isArray(state?.networks) && state.networks.length > 0
+        ? state.networks.map(n => n?.name).filter(Boolean)
+        : null;
+    
+    for (const { container, effectiveCategory, confidenceUsed } of resolved) {
+        const { name } = container;
+        const rolePolicy = getPoliciesForCategory(effectiveCategory, policy)[0];
+        if (!rolePolicy?.networks || !containerMap.has(name)) continue;
+        
+        const check = checkNetworkCompliance(containerMap.get(name), rolePolicy.networks, knownNetworks);
+        if (check.findings.length === 0) continue;
+        
+        const index = actions.findIndex(a => a.container === name);
+        const main = actions[index];
+        if (main?.policyContext) main.policyContext.networkFindings = check.findings;
+        
+        // Only containers whose port enforcement went through are reconnected
+        const status = main?.policyContext?.status;
+        if (status !== "enforced" && status !== "compliant") continue;
+        if (check.connect.length === 0 && check.disconnect.length === 0) continue;
+        
+        actions.splice(index + 1, 0, {
+            type: "update-container-networks",
+            container: name,
+            executable: true,
+            from: check.networks,
+            connect: check.connect,
+            disconnect: check.disconnect,
+            policyContext: {
+                id: rolePolicy.id,
+                status: "enforced",
+                enforceable: true,
+                reason: `Applying "${effectiveCategory}" network policy per user opt-in`,
+                confidenceUsed,
+                networkFindings: check.findings
+            }
+        });
+    }
+    
+    /* =====================================================================
+       Registry: release / reserve alongside every port move
+    ===================================================================== */
+    
+    const synced = addRegistrySync({ actions }, state ? state.registry ?? null : null).actions;
+    actions.splice(0, actions.length, ...synced);
+    
+    /* =====================================================================
+       Compose: write moves back to compose files
+    ===================================================================== */
+    
+    if (composeFiles && state) {
+        const edited = addComposeEdits({ actions }, state, composeFiles).actions;
+        actions.splice(0, actions.length, ...edited);
+    }
+    
+    /* =====================================================================
+       Unraid: write moves back to dockerMan user templates
+    ===================================================================== */
+    
+    if (unraidTemplates) {
+        const edited = addTemplateEdits({ actions }, unraidTemplates).actions;
+        actions.splice(0, actions.length, ...edited);
+    }
+    
+    /* =====================================================================
+       Registry: reconcile Port-MCP drift (opt-in, no Docker mutation)
+    ===================================================================== */
+    
+    let reconciliation = null;
+    if (reconcileRegistry && state) {
+        const moving = actions
+            .filter(a => a.type === "update-container-ports" && a.executable === true)
+            .map(a => a.container);
+        const { actions: registryActions, skipped } = planRegistryReconciliation(state, { moving });
+        
+        actions.push(...registryActions);
+        reconciliation = {
+            reserve: registryActions.filter(a => a.type === "reserve-port").length,
+            release: registryActions.filter(a => a.type === "release-port").length,
+            skipped
+        };
+    }
+    
+    /* =====================================================================
+       References: rewrite dependents' env / labels and reference files (opt-in)
+    ===================================================================== */
+    
+    let configRewrites = null;
+    if ((rewriteReferences || referenceFiles) && state) {
+        const configs = rewriteReferences
+            ? planConfigRewrites(state, actions)
+            : { actions: [], skipped: [] };
+        const files = referenceFiles
+            ? planFileRewrites(referenceFiles, actions, state)
+            : { actions: [], skipped: [] };
+        
+        actions.push(...configs.actions, ...files.actions);
+        configRewrites = {
+            containers: configs.actions.length,
+            files: files.actions.length,
+            skipped: [...configs.skipped, ...files.skipped]
+        };
+    }
+    
+    // A repack rebuilds the ledger from this plan's layout only
+    if (repack) {
+        for (const [role, byName] of Object.entries(ledger.assignments)) {
+            for (const name of Object.keys(byName)) {
+                if (!proposedAllocations.assignments[role]?.[name]) {
+                    proposedAllocations.released.push(name);
+                }
+            }
+        }
+    }
+    
+    // Fingerprint of what the executable actions were planned against
+    const basis = state
+        ? createStateBasis(state, actions.filter(a => a.executable === true).map(a => a.container))
+        : null;
+
     return {
+        schemaVersion: PLAN_SCHEMA_VERSION,
         generatedAt: Date.now(),
+        basis,
         actionCount: actions.length,
         executableCount: actions.filter(a => a.executable === true).length,
-        actions
+        actions,
+        allocations: proposedAllocations,
+        reconciliation,
+        configRewrites,
+        // port-mcp.* labels of these were unreadable (not reported by
+        // Port-MCP, docker inspect unavailable): planned without them
+        labelsUnavailable: state?.containerConfig?.labelsUnavailable || []
     };
 }
 
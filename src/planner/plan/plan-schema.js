@@ -1,3 +1,470 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Plan Schema (PURE)
+ * Location: src/planner/plan/plan-schema.js
+ *
+ * Responsibility:
+ * - Define the versioned plan document consumed by the executor
+ * - Validate plans completely and report every problem with its path
+ *   ("actions[2].to[0].host: must be an integer port (1-65535)")
+ * - Migrate plans written by older versions to the current schema
+ *
+ * Versions:
+ * - 1  Unversioned plans (before schemaVersion existed). Port bindings may
+ *      carry string ports, upper-case protocols or state-style
+ *      `containerPort` instead of `container`.
+ * - 2  Current. `schemaVersion: 2`, bindings are
+ *      { host: int, container: int, protocol: "tcp" | "udp" }.
+ *
+ * Action types:
+ * - update-container-ports  { container, from[], to[], compose?, composeWarning?,
+ *                             template?, templateWarning? }
+ *                                                         full binding lists;
+ *                                                         compose: { project, service,
+ *                                                         workingDir, configFiles[],
+ *                                                         edits: [{ file, changes[] }] }
+ *                                                         compose-file line edits;
+ *                                                         template: { file, changes[] }
+ *                                                         Unraid template line edits
+ * - update-container-networks { container, from[], connect[], disconnect[] }
+ *                                                         network names
+ * - reserve-port            { container, ports[], owner?, movedContainers? }
+ *                                                         [{ host, protocol }]
+ * - release-port            { container, ports?, owner?, movedContainers? }
+ *                                                         without ports, every
+ *                                                         port of the owner;
+ *                                                         movedContainers: the port
+ *                                                         move a sync step follows
+ * - update-container-config { container, env?[], labels?[], movedContainers? }
+ *                                                         [{ name, from, to }] /
+ *                                                         [{ key, from, to }] values;
+ *                                                         movedContainers: whose
+ *                                                         port moves it follows
+ * - rewrite-file            { container, file, changes[], movedContainers?, backup? }
+ *                                                         absolute path,
+ *                                                         [{ line, from, to }] whole
+ *                                                         lines (1-based); container:
+ *                                                         the moved container it follows
+ *   owner ({ type, id }) defaults to { type: "enforcer", id: container }
+ * - manual-review, review-game-ports, no-op                informational only,
+ *                                                          never executable
+ *   Any action with executable: false is blocked and never run (e.g. a move
+ *   whose compose file cannot be edited, and its registry steps)
+ *
+ * Optional `basis` (state fingerprint, see utils/state-fingerprint.js) lets
+ * the executor detect plans built against a state that has since changed.
+ *
+ * HARD RULES:
+ * - Pure functions only
+ * - Never mutates its inputs (migratePlan returns a copy)
+ * - Invalid plans are rejected, never partially executed
+ * ============================================================================
+ */
+
+"use strict";
+
+const PLAN_SCHEMA_VERSION = 2;
+
+const PROTOCOLS = ["tcp", "udp"];
+
+// Network modes, not networks: changing them needs a recreate
+const NETWORK_MODES = ["host", "none"];
+
+const INFORMATIONAL_ACTION_TYPES = ["manual-review", "review-game-ports", "no-op"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function isPlainObject(v) {
+    return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isPort(v) {
+    return Number.isInteger(v) && v >= 1 && v <= 65535;
+}
+
+function requireContainer(action, at, problems) {
+    if (typeof action.container !== "string" || action.container.trim() === "") {
+        problems.push(`${at}.container: must be a non-empty container name`);
+    }
+}
+
+function validateBinding(b, at, problems, { containerPort = true } = {}) {
+    if (!isPlainObject(b)) {
+        problems.push(`${at}: must be an object`);
+        return;
+    }
+    if (!isPort(b.host)) {
+        problems.push(`${at}.host: must be an integer port (1-65535)`);
+    }
+    if (containerPort && !isPort(b.container)) {
+        problems.push(`${at}.container: must be an integer port (1-65535)`);
+    }
+    if (!PROTOCOLS.includes(b.protocol)) {
+        problems.push(`${at}.protocol: must be one of ${PROTOCOLS.join(", ")}`);
+    }
+}
+
+function validateBindingList(list, at, problems, options) {
+    if (!Array.isArray(list) || list.length === 0) {
+        problems.push(`${at}: must be a non-empty array of port bindings`);
+        return;
+    }
+    list.forEach((b, i) => validateBinding(b, `${at}[${i}]`, problems, options));
+}
+
+function validateUpdateContainerPorts(action, at, problems) {
+    requireContainer(action, at, problems);
+
+    for (const key of ["from", "to"]) {
+        if (action[key] !== undefined && !Array.isArray(action[key])) {
+            problems.push(
+                `${at}.${key}: must be a full list of bindings ` +
+                "(per-port actions from older rollback plans cannot be migrated; regenerate the plan)"
+            );
+            continue;
+        }
+        validateBindingList(action[key], `${at}.${key}`, problems);
+    }
+
+    if (action.compose !== undefined) validateCompose(action.compose, `${at}.compose`, problems);
+    if (action.composeWarning !== undefined && typeof action.composeWarning !== "string") {
+        problems.push(`${at}.composeWarning: must be a string`);
+    }
+    if (action.template !== undefined) validateTemplate(action.template, action.container, `${at}.template`, problems);
+    if (action.templateWarning !== undefined && typeof action.templateWarning !== "string") {
+        problems.push(`${at}.templateWarning: must be a string`);
+    }
+
+    if (!Array.isArray(action.to)) return;
+
+    // Exact duplicates (IPv4 + IPv6 entries) are fine; one host port
+    // published to two container ports is not
+    const seen = new Map();
+    action.to.forEach((b, i) => {
+        if (!isPlainObject(b)) return;
+        const key = `${b.host}/${b.protocol}`;
+        const first = seen.get(key);
+        if (first === undefined) {
+            seen.set(key, i);
+        } else if (action.to[first].container !== b.container) {
+            problems.push(`${at}.to[${i}]: host port ${key} is already used by to[${first}]`);
+        }
+    });
+}
+
+function validateTemplate(template, container, at, problems) {
+    if (!isPlainObject(template)) {
+        problems.push(`${at}: must be an object`);
+        return;
+    }
+    // Only the container's own user template; the executor also checks the directory
+    if (typeof template.file !== "string" || !template.file.startsWith("/")) {
+        problems.push(`${at}.file: must be an absolute path`);
+    } else if (template.file.split("/").pop() !== `my-${container}.xml`) {
+        problems.push(`${at}.file: must be the container's user template (my-${container}.xml)`);
+    }
+    validateLineChanges(template.changes, `${at}.changes`, problems);
+}
+
+function validateCompose(compose, at, problems) {
+    if (!isPlainObject(compose)) {
+        problems.push(`${at}: must be an object`);
+        return;
+    }
+    for (const key of ["project", "service"]) {
+        if (typeof compose[key] !== "string" || compose[key] === "") {
+            problems.push(`${at}.${key}: must be a non-empty string`);
+        }
+    }
+    if (compose.workingDir !== null && typeof compose.workingDir !== "string") {
+        problems.push(`${at}.workingDir: must be a path or null`);
+    }
+    const files = Array.isArray(compose.configFiles) ? compose.configFiles : [];
+    if (files.length === 0 || files.some(f => typeof f !== "string" || !f.startsWith("/"))) {
+        problems.push(`${at}.configFiles: must be a non-empty array of absolute paths`);
+    }
+    if (!Array.isArray(compose.edits) || compose.edits.length === 0) {
+        problems.push(`${at}.edits: must be a non-empty array of { file, changes }`);
+        return;
+    }
+    compose.edits.forEach((edit, i) => {
+        const eat = `${at}.edits[${i}]`;
+        if (!isPlainObject(edit)) {
+            problems.push(`${eat}: must be an object`);
+            return;
+        }
+        if (!files.includes(edit.file)) {
+            problems.push(`${eat}.file: must be one of configFiles`);
+        }
+        validateLineChanges(edit.changes, `${eat}.changes`, problems);
+    });
+}
+
+function validateNetworkList(list, at, problems) {
+    if (!Array.isArray(list)) {
+        problems.push(`${at}: must be an array of network names`);
+        return [];
+    }
+    list.forEach((n, i) => {
+        if (typeof n !== "string" || n.trim() === "") {
+            problems.push(`${at}[${i}]: must be a non-empty network name`);
+        } else if (NETWORK_MODES.includes(n)) {
+            problems.push(`${at}[${i}]: "${n}" is a network mode and cannot be connected or disconnected`);
+        }
+    });
+    return list;
+}
+
+function validateUpdateContainerNetworks(action, at, problems) {
+    requireContainer(action, at, problems);
+
+    if (!Array.isArray(action.from) || action.from.length === 0) {
+        problems.push(`${at}.from: must be a non-empty array of the container's current networks`);
+    }
+    const from = Array.isArray(action.from) ? action.from : [];
+    const connect = validateNetworkList(action.connect ?? [], `${at}.connect`, problems);
+    const disconnect = validateNetworkList(action.disconnect ?? [], `${at}.disconnect`, problems);
+
+    if (connect.length === 0 && disconnect.length === 0) {
+        problems.push(`${at}: connect[] or disconnect[] must name at least one network`);
+    }
+    connect.forEach((n, i) => {
+        if (from.includes(n)) problems.push(`${at}.connect[${i}]: already connected to "${n}"`);
+    });
+    disconnect.forEach((n, i) => {
+        if (!from.includes(n)) problems.push(`${at}.disconnect[${i}]: not connected to "${n}"`);
+    });
+    if (from.length > 0 && from.every(n => disconnect.includes(n)) && connect.length === 0) {
+        problems.push(`${at}.disconnect: would leave the container without a network`);
+    }
+}
+
+function validateOwner(owner, at, problems) {
+    if (owner === undefined) return;
+    if (!isPlainObject(owner) ||
+        typeof owner.type !== "string" || owner.type.trim() === "" ||
+        typeof owner.id !== "string" || owner.id.trim() === "") {
+        problems.push(`${at}: must be { type, id } with non-empty strings`);
+    }
+}
+
+function validateReservePort(action, at, problems) {
+    requireContainer(action, at, problems);
+    validateOwner(action.owner, `${at}.owner`, problems);
+    validateMovedContainers(action, at, problems);
+    validateBindingList(action.ports, `${at}.ports`, problems, { containerPort: false });
+}
+
+function validateReleasePort(action, at, problems) {
+    requireContainer(action, at, problems);
+    validateOwner(action.owner, `${at}.owner`, problems);
+    validateMovedContainers(action, at, problems);
+    if (action.ports !== undefined) {
+        validateBindingList(action.ports, `${at}.ports`, problems, { containerPort: false });
+    }
+}
+
+function validateValueChanges(list, keyField, at, problems) {
+    if (list === undefined) return 0;
+    if (!Array.isArray(list)) {
+        problems.push(`${at}: must be an array of { ${keyField}, from, to }`);
+        return 0;
+    }
+    const seen = new Set();
+    list.forEach((c, i) => {
+        const cat = `${at}[${i}]`;
+        if (!isPlainObject(c)) {
+            problems.push(`${cat}: must be an object`);
+            return;
+        }
+        if (typeof c[keyField] !== "string" || c[keyField] === "") {
+            problems.push(`${cat}.${keyField}: must be a non-empty string`);
+        } else if (seen.has(c[keyField])) {
+            problems.push(`${cat}.${keyField}: "${c[keyField]}" is changed twice`);
+        } else {
+            seen.add(c[keyField]);
+        }
+        for (const key of ["from", "to"]) {
+            if (typeof c[key] !== "string") problems.push(`${cat}.${key}: must be a string`);
+        }
+        if (c.from === c.to) problems.push(`${cat}: from and to are identical`);
+    });
+    return list.length;
+}
+
+function validateMovedContainers(action, at, problems) {
+    if (action.movedContainers !== undefined &&
+        (!Array.isArray(action.movedContainers) || action.movedContainers.some(n => typeof n !== "string"))) {
+        problems.push(`${at}.movedContainers: must be an array of container names`);
+    }
+}
+
+function validateUpdateContainerConfig(action, at, problems) {
+    requireContainer(action, at, problems);
+    const changes =
+        validateValueChanges(action.env, "name", `${at}.env`, problems) +
+        validateValueChanges(action.labels, "key", `${at}.labels`, problems);
+    if (changes === 0) {
+        problems.push(`${at}: env[] or labels[] must change at least one value`);
+    }
+    validateMovedContainers(action, at, problems);
+}
+
+function validateLineChanges(list, at, problems) {
+    if (!Array.isArray(list) || list.length === 0) {
+        problems.push(`${at}: must be a non-empty array of { line, from, to }`);
+        return;
+    }
+    const seen = new Set();
+    list.forEach((c, i) => {
+        const cat = `${at}[${i}]`;
+        if (!isPlainObject(c)) {
+            problems.push(`${cat}: must be an object`);
+            return;
+        }
+        if (!Number.isInteger(c.line) || c.line < 1) {
+            problems.push(`${cat}.line: must be a line number (1 or more)`);
+        } else if (seen.has(c.line)) {
+            problems.push(`${cat}.line: line ${c.line} is changed twice`);
+        } else {
+            seen.add(c.line);
+        }
+        for (const key of ["from", "to"]) {
+            if (typeof c[key] !== "string") problems.push(`${cat}.${key}: must be a string`);
+            else if (c[key].includes("\n")) problems.push(`${cat}.${key}: must be a single line`);
+        }
+        if (c.from === c.to) problems.push(`${cat}: from and to are identical`);
+    });
+}
+
+function validateRewriteFile(action, at, problems) {
+    requireContainer(action, at, problems);
+    if (typeof action.file !== "string" || !action.file.startsWith("/")) {
+        problems.push(`${at}.file: must be an absolute path`);
+    }
+    validateLineChanges(action.changes, `${at}.changes`, problems);
+    if (action.backup !== undefined && typeof action.backup !== "string") {
+        problems.push(`${at}.backup: must be a file path`);
+    }
+    validateMovedContainers(action, at, problems);
+}
+
+function validateInformational(action, at, problems) {
+    requireContainer(action, at, problems);
+    if (action.executable === true) {
+        problems.push(`${at}.executable: ${action.type} actions are informational and cannot be executable`);
+    }
+}
+
+const ACTION_VALIDATORS = {
+    "update-container-ports": validateUpdateContainerPorts,
+    "update-container-networks": validateUpdateContainerNetworks,
+    "reserve-port": validateReservePort,
+    "release-port": validateReleasePort,
+    "update-container-config": validateUpdateContainerConfig,
+    "rewrite-file": validateRewriteFile,
+    "manual-review": validateInformational,
+    "review-game-ports": validateInformational,
+    "no-op": validateInformational
+};
+
+function validateAction(action, at, problems) {
+    if (!isPlainObject(action)) {
+        problems.push(`${at}: must be an object`);
+        return;
+    }
+
+    const validator = ACTION_VALIDATORS[action.type];
+    if (!validator) {
+        problems.push(
+            `${at}.type: unsupported action type "${action.type}" ` +
+            `(expected ${Object.keys(ACTION_VALIDATORS).join(", ")})`
+        );
+        return;
+    }
+
+    if (action.executable !== undefined && typeof action.executable !== "boolean") {
+        problems.push(`${at}.executable: must be a boolean`);
+    }
+    if (action.reason !== undefined && action.reason !== null && typeof action.reason !== "string") {
+        problems.push(`${at}.reason: must be a string`);
+    }
+    if (action.policyContext !== undefined && !isPlainObject(action.policyContext)) {
+        problems.push(`${at}.policyContext: must be an object`);
+    }
+
+    validator(action, at, problems);
+}
+
+function validateBasis(basis, problems) {
+    if (!isPlainObject(basis)) {
+        problems.push("basis: must be an object");
+        return;
+    }
+    if (typeof basis.fingerprint !== "string" || !basis.fingerprint.startsWith("sha256:")) {
+        problems.push("basis.fingerprint: must be a sha256 fingerprint string");
+    }
+    if (!Array.isArray(basis.containers)) {
+        problems.push("basis.containers: must be an array");
+        return;
+    }
+    basis.containers.forEach((c, i) => {
+        const at = `basis.containers[${i}]`;
+        if (!isPlainObject(c) || typeof c.name !== "string") {
+            problems.push(`${at}: must be an object with a container name`);
+            return;
+        }
+        if (c.missing) return;
+        if (!Array.isArray(c.networks)) problems.push(`${at}.networks: must be an array`);
+        if (!Array.isArray(c.ports)) problems.push(`${at}.ports: must be an array`);
+    });
+}
+
+/* ============================================================================
+   Migrations (version N -> N + 1)
+============================================================================ */
+
+function toPortNumber(v) {
+    if (typeof v === "string" && /^\d+$/.test(v.trim())) return Number(v.trim());
+    return v;
+}
+
+function migrateBinding(b) {
+    if (!isPlainObject(b)) return b;
+    const { containerPort, ...rest } = b;
+    const out = {
+        ...rest,
+        host: toPortNumber(b.host),
+        protocol: typeof b.protocol === "string" ? b.protocol.trim().toLowerCase() : b.protocol
+    };
+    if (out.container === undefined && containerPort !== undefined) out.container = containerPort;
+    if (out.container !== undefined) out.container = toPortNumber(out.container);
+    return out;
+}
+
+const MIGRATIONS = {
+    // 1 -> 2: normalize port bindings
+    1(plan) {
+        return {
+            ...plan,
+            actions: plan.actions.map(a => {
+                if (!isPlainObject(a)) return a;
+                const out = { ...a };
+                for (const key of ["from", "to", "ports"]) {
+                    if (Array.isArray(out[key])) out[key] = out[key].map(migrateBinding);
+                }
+                return out;
+            })
+        };
+    }
+};
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
 function createEmptyPlan(metadata = {}) {
     return {
         metadata,
@@ -10,6 +477,88 @@ function createEmptyPlan(metadata = {}) {
     };
 }
 
+/**
+ * Schema version of a plan document (unversioned plans are version 1).
+ */
+function planVersion(plan) {
+    return plan?.schemaVersion === undefined ? 1 : plan.schemaVersion;
+}
+
+/**
+ * Bring a plan written by an older version up to PLAN_SCHEMA_VERSION.
+ * Plans saved from the /api/plan response ({ plan: {...} }) are unwrapped.
+ * Unknown / newer versions are returned unchanged (validatePlan reports them).
+ */
+function migratePlan(plan) {
+    let doc = plan;
+    if (isPlainObject(doc) && !Array.isArray(doc.actions) && isPlainObject(doc.plan)) {
+        doc = doc.plan;
+    }
+    if (!isPlainObject(doc) || !Array.isArray(doc.actions)) return doc;
+
+    let version = planVersion(doc);
+    if (!Number.isInteger(version) || version < 1 || version > PLAN_SCHEMA_VERSION) return doc;
+
+    while (version < PLAN_SCHEMA_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version++;
+    }
+    return { ...doc, schemaVersion: PLAN_SCHEMA_VERSION };
+}
+
+/**
+ * Validate a (migrated) plan.
+ * Returns a list of problems as "<path>: <message>" ([] = valid).
+ */
+function validatePlan(plan) {
+    const problems = [];
+
+    if (!isPlainObject(plan)) {
+        return ["(root): plan must be a JSON object"];
+    }
+
+    if (plan.schemaVersion !== PLAN_SCHEMA_VERSION) {
+        problems.push(
+            `schemaVersion: unsupported plan version ${JSON.stringify(plan.schemaVersion)} ` +
+            `(this version reads up to ${PLAN_SCHEMA_VERSION})`
+        );
+    }
+
+    if (!Array.isArray(plan.actions)) {
+        problems.push("actions: must be an array");
+        return problems;
+    }
+
+    plan.actions.forEach((a, i) => validateAction(a, `actions[${i}]`, problems));
+
+    if (plan.basis !== undefined && plan.basis !== null) {
+        validateBasis(plan.basis, problems);
+    }
+
+    return problems;
+}
+
+/**
+ * Informational actions are carried in plans but never executed.
+ */
+function isInformationalAction(action) {
+    return INFORMATIONAL_ACTION_TYPES.includes(action?.type);
+}
+
+/**
+ * Actions the executor runs: not informational, not blocked (executable: false).
+ */
+function isRunnableAction(action) {
+    return !isInformationalAction(action) && action?.executable !== false;
+}
+
 module.exports = {
-    createEmptyPlan
+    PLAN_SCHEMA_VERSION,
+    ACTION_TYPES: Object.keys(ACTION_VALIDATORS),
+    createEmptyPlan,
+    planVersion,
+    migratePlan,
+    validatePlan,
+    isInformationalAction,
+    isRunnableAction
 };
@@ -0,0 +1,157 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Port Allocator (READ-ONLY)
+ * Location: src/planner/plan/port-allocator.js
+ *
+ * Responsibility:
+ * - Build the occupied host-port set for one planning pass from:
+ *   live bindings (state.ports), Port-MCP registry (state.registry),
+ *   the allocation ledger, policy-reserved ranges and ports already
+ *   handed out by this plan
+ * - Hand out free ports inside a role's ranges
+ * - Report exhaustion (null) instead of inventing a port
+ *
+ * Notes:
+ * - A host port counts as occupied regardless of protocol, so a new TCP
+ *   binding never lands on a port another container uses for UDP
+ * - A container's own current bindings / registry / ledger entries never block it
+ *   (it is recreated when its ports change)
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - NO Port-MCP writes (reservation happens in the executor)
+ * ============================================================================
+ */
+
+"use strict";
+
+const { ledgerHolds } = require("./allocation-ledger");
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function registryOwnerName(entry) {
+    const owner = entry?.owner;
+    if (!owner) return null;
+    if (typeof owner === "string") return owner;
+    return owner.id || owner.name || null;
+}
+
+function describeHolder(holder) {
+    switch (holder.type) {
+        case "container": return `container ${holder.name}`;
+        case "registry": return `registry reservation${holder.name ? ` (${holder.name})` : ""}`;
+        case "ledger": return `ledger assignment of ${holder.name}`;
+        case "reserved": return `reserved range${holder.description ? ` (${holder.description})` : ""}`;
+        case "planned": return `planned for ${holder.name}`;
+        default: return holder.type;
+    }
+}
+
+/**
+ * Iterate candidate ports: from startPort upwards through the ranges,
+ * then wrap to the parts of the ranges below startPort.
+ */
+function* candidatePorts(ranges, startPort) {
+    const sorted = [...ranges].sort((a, b) => a.from - b.from);
+    const start = startPort ?? (sorted[0]?.from || 1);
+
+    for (const r of sorted) {
+        for (let p = Math.max(r.from, start); p <= r.to; p++) yield p;
+    }
+    for (const r of sorted) {
+        for (let p = r.from; p <= Math.min(r.to, start - 1); p++) yield p;
+    }
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Create an allocator for one planning pass.
+ *
+ * @param {Object} params
+ * @param {Object} params.state - Normalized state (ports, registry)
+ * @param {Array}  params.reserved - Policy reserved ranges [{ from, to, description }]
+ * @param {Object} params.ledger - Allocation ledger (optional; omitted on repack)
+ */
+function createPortAllocator({ state = null, reserved = [], ledger = null } = {}) {
+    // host port -> [holder]
+    const holders = new Map();
+
+    const hold = (port, holder) => {
+        const n = Number(port);
+        if (!Number.isInteger(n) || n < 1 || n > 65535) return;
+        if (!holders.has(n)) holders.set(n, []);
+        holders.get(n).push(holder);
+    };
+
+    for (const p of state?.ports || []) {
+        hold(p.host, { type: "container", name: p.container || p.containerId || null, protocol: p.protocol || "tcp" });
+    }
+
+    for (const r of state?.registry || []) {
+        hold(r.host ?? r.port, { type: "registry", name: registryOwnerName(r), protocol: (r.protocol || "tcp").toLowerCase() });
+    }
+
+    for (const h of ledgerHolds(ledger)) {
+        hold(h.host, { type: "ledger", name: h.name, protocol: h.protocol });
+    }
+
+    const reservedRanges = (reserved || []).map(r => ({ from: r.from, to: r.to, description: r.description || null }));
+
+    function reservedRangeFor(port) {
+        return reservedRanges.find(r => port >= r.from && port <= r.to) || null;
+    }
+
+    /**
+     * Who blocks `port` for `forContainer`? Returns a holder or null.
+     */
+    function blockerOf(port, forContainer = null) {
+        const range = reservedRangeFor(port);
+        if (range) return { type: "reserved", description: range.description };
+
+        for (const h of holders.get(port) || []) {
+            if (forContainer && h.name === forContainer && h.type !== "planned") continue;
+            return h;
+        }
+        return null;
+    }
+
+    function isFree(port, forContainer = null) {
+        return blockerOf(port, forContainer) === null;
+    }
+
+    function claim(port, forContainer) {
+        hold(port, { type: "planned", name: forContainer });
+    }
+
+    /**
+     * Allocate the next free port in `ranges`, starting at `startPort`.
+     * Returns the port (already claimed) or null when the ranges are exhausted.
+     */
+    function allocate({ ranges, startPort = null, forContainer = null }) {
+        for (const port of candidatePorts(ranges || [], startPort)) {
+            if (isFree(port, forContainer)) {
+                claim(port, forContainer);
+                return port;
+            }
+        }
+        return null;
+    }
+
+    return {
+        isFree,
+        blockerOf,
+        claim,
+        allocate,
+        describeHolder
+    };
+}
+
+module.exports = {
+    createPortAllocator,
+    describeHolder
+};
@@ -0,0 +1,179 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Registry Reconciliation (READ-ONLY)
+ * Location: src/planner/plan/registry-reconcile.js
+ *
+ * Responsibility:
+ * - Turn Port-MCP registry drift (see analyze/port-analysis.js) into
+ *   executable registry actions:
+ *   - published port missing from the registry -> reserve-port for the
+ *     container that publishes it
+ *   - registry entry without a published port  -> release-port for the
+ *     entry's owner, scoped to that port
+ * - Report drift it will not touch, with the reason
+ *
+ * Registry actions need no container restart, so plans made only of
+ * them go through the lighter RECONCILE gate instead of the downtime gate.
+ *
+ * Skipped on purpose:
+ * - host ports published by more than one container (collision first)
+ * - containers this plan already moves (their old ports are going away)
+ * - registry entries without an owner
+ * - entries owned by a stopped container (reclaimed when it starts)
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - NO Port-MCP writes (the executor reserves / releases)
+ * ============================================================================
+ */
+
+"use strict";
+
+const { analyzePorts } = require("../analyze/port-analysis");
+const { createStateBasis } = require("../utils/state-fingerprint");
+const { PLAN_SCHEMA_VERSION } = require("./plan-schema");
+
+const POLICY_ID = "registry-reconcile";
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+/**
+ * Owner of a registry entry: { id, owner } where owner is the
+ * { type, id } to send back to Port-MCP (null = enforcer default).
+ */
+function registryOwner(entry) {
+    const owner = entry?.owner;
+    if (!owner) return null;
+    if (typeof owner === "string") return { id: owner, owner: null };
+    const id = owner.id || owner.name || null;
+    if (!id) return null;
+    return { id, owner: owner.type ? { type: owner.type, id } : null };
+}
+
+function portKey(p) {
+    return `${p.host}/${p.protocol}`;
+}
+
+function addPort(map, name, port, extra = {}) {
+    if (!map.has(name)) map.set(name, { ...extra, ports: new Map() });
+    map.get(name).ports.set(portKey(port), { host: port.host, protocol: port.protocol });
+}
+
+function sortedPorts(ports) {
+    return [...ports.values()].sort((a, b) => (a.host - b.host) || a.protocol.localeCompare(b.protocol));
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Plan registry reconciliation for a state.
+ *
+ * @param {Object} state - Normalized state (ports, containers, registry)
+ * @param {Object} options
+ * @param {Array<string>} options.moving - Containers whose ports this plan changes
+ * @returns {{ actions: Array, skipped: [{ host, protocol, container, reason }] }}
+ */
+function planRegistryReconciliation(state, { moving = [] } = {}) {
+    const { collisions, drift } = analyzePorts(state);
+    const collided = new Set(collisions.map(portKey));
+    const movingSet = new Set(moving);
+    const running = new Map(
+        (state?.containers || []).map(c => [
+            c.name,
+            typeof c.running === "boolean" ? c.running : c.state === "running"
+        ])
+    );
+
+    const skipped = [];
+    const reserve = new Map();
+    const release = new Map();
+
+    for (const p of drift.unregisteredInUse) {
+        const container = p.containerName;
+        const skip = reason => skipped.push({ host: p.host, protocol: p.protocol, container, reason });
+
+        if (!container) skip("publishing container has no name");
+        else if (collided.has(portKey(p))) skip("published by more than one container; resolve the collision first");
+        else if (movingSet.has(container)) skip("container is moved by this plan");
+        else addPort(reserve, container, p);
+    }
+
+    for (const r of drift.staleRegistry) {
+        const owner = registryOwner(r);
+        const container = owner?.id || null;
+        const skip = reason => skipped.push({ host: r.host, protocol: r.protocol, container, reason });
+
+        if (!owner) skip("registry entry has no owner");
+        else if (running.get(container) === false) skip("owner container is stopped; the port is reclaimed when it starts");
+        else addPort(release, container, r, { owner: owner.owner });
+    }
+
+    const actions = [];
+
+    for (const [container, { ports }] of [...reserve.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        const list = sortedPorts(ports);
+        actions.push({
+            type: "reserve-port",
+            container,
+            executable: true,
+            ports: list,
+            policyContext: {
+                id: POLICY_ID,
+                status: "reconcile",
+                enforceable: true,
+                reason: `Register ${list.length} published port(s) missing from Port-MCP`
+            }
+        });
+    }
+
+    for (const [container, { owner, ports }] of [...release.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        const list = sortedPorts(ports);
+        actions.push({
+            type: "release-port",
+            container,
+            executable: true,
+            ...(owner ? { owner } : {}),
+            ports: list,
+            policyContext: {
+                id: POLICY_ID,
+                status: "reconcile",
+                enforceable: true,
+                reason: `Release ${list.length} registry entr(ies) no container publishes`
+            }
+        });
+    }
+
+    return { actions, skipped };
+}
+
+/**
+ * Standalone plan holding only registry actions (the RECONCILE gate).
+ * Plans that also move containers use buildPlan({ reconcileRegistry: true }).
+ */
+function buildRegistryPlan(state) {
+    const { actions, skipped } = planRegistryReconciliation(state);
+
+    return {
+        schemaVersion: PLAN_SCHEMA_VERSION,
+        generatedAt: Date.now(),
+        basis: createStateBasis(state, actions.map(a => a.container)),
+        actionCount: actions.length,
+        executableCount: actions.length,
+        actions,
+        reconciliation: {
+            reserve: actions.filter(a => a.type === "reserve-port").length,
+            release: actions.filter(a => a.type === "release-port").length,
+            skipped
+        }
+    };
+}
+
+module.exports = {
+    planRegistryReconciliation,
+    buildRegistryPlan,
+    registryOwner
+};
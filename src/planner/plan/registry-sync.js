@@ -0,0 +1,193 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Registry Sync (PURE)
+ * Location: src/planner/plan/registry-sync.js
+ *
+ * Responsibility:
+ * - Keep the Port-MCP registry in step with port moves: after every
+ *   update-container-ports action, add
+ *   - release-port for host ports the container gives up
+ *   - reserve-port for host ports it newly takes
+ * - Used by normal plans, rollback plans and restore plans alike, so a
+ *   rollback releases what the original job reserved and reserves
+ *   what it released
+ *
+ * With the registry at hand (state.registry), releases use the owner the
+ * registry records and skip ports that were never registered; reserves skip
+ * ports that are already registered. Without it, both use the enforcer owner
+ * ({ type: "enforcer", id: container }), the owner reserve-port writes.
+ *
+ * When one container takes a host port another container gives up in
+ * the same plan (a swap), the reserve waits until that release ran.
+ *
+ * Steps carry policyContext { id: "registry-sync", status: "sync" } like
+ * reconcile steps, and movedContainers: [container] naming the move they
+ * follow.
+ *
+ * HARD RULES:
+ * - Pure: returns a new plan, never mutates its input
+ * - Registry steps always follow their port action (a failed Docker
+ *   change stops the job before the registry is touched)
+ * ============================================================================
+ */
+
+"use strict";
+
+const { registryOwner } = require("./registry-reconcile");
+
+const POLICY_ID = "registry-sync";
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function hostKey(b) {
+    return `${b.host}/${String(b.protocol || "tcp").toLowerCase()}`;
+}
+
+function uniqueHostPorts(bindings) {
+    const seen = new Map();
+    for (const b of bindings) seen.set(hostKey(b), { host: b.host, protocol: b.protocol });
+    return [...seen.values()];
+}
+
+/**
+ * "<host>/<proto>" -> registry entry
+ */
+function indexRegistry(registry) {
+    const index = new Map();
+    for (const r of registry || []) {
+        const host = r?.host ?? r?.port;
+        if (host === undefined || host === null) continue;
+        index.set(`${Number(host)}/${String(r.protocol || "tcp").toLowerCase()}`, r);
+    }
+    return index;
+}
+
+/**
+ * Registry steps for one port move: { releases: [action], reserve: action | null }
+ */
+function syncActions(action, registryIndex, releasedByPlan) {
+    const to = new Set(action.to.map(hostKey));
+    const from = new Set(action.from.map(hostKey));
+    const given = uniqueHostPorts(action.from.filter(b => !to.has(hostKey(b))));
+    const taken = uniqueHostPorts(action.to.filter(b => !from.has(hostKey(b))));
+
+    const base = {
+        ...(action.executable !== undefined ? { executable: action.executable } : {}),
+        movedContainers: [action.container],
+        policyContext: {
+            id: POLICY_ID,
+            status: "sync",
+            enforceable: true,
+            reason: `Registry sync for ${action.container} port change`
+        }
+    };
+    const releaseActions = [];
+
+    // Release per owner (the registry may record someone other than the enforcer)
+    const releases = new Map();
+    for (const p of given) {
+        let owner = null;
+        if (registryIndex) {
+            const entry = registryIndex.get(hostKey(p));
+            if (!entry) continue; // never registered, nothing to release
+            owner = registryOwner(entry);
+            if (!owner) continue;
+        }
+        const id = owner?.id || action.container;
+        if (!releases.has(id)) releases.set(id, { owner: owner?.owner || null, ports: [] });
+        releases.get(id).ports.push(p);
+    }
+
+    for (const [container, { owner, ports }] of releases) {
+        releaseActions.push({
+            type: "release-port",
+            container,
+            ...(owner ? { owner } : {}),
+            ports,
+            ...base
+        });
+    }
+
+    // Registered ports only count as taken if nobody in this plan releases them
+    const reserve = registryIndex
+        ? taken.filter(p => !registryIndex.has(hostKey(p)) || releasedByPlan.has(hostKey(p)))
+        : taken;
+
+    return {
+        releases: releaseActions,
+        reserve: reserve.length > 0
+            ? { type: "reserve-port", container: action.container, ports: reserve, ...base }
+            : null
+    };
+}
+
+function isSyncedMove(action) {
+    return action.type === "update-container-ports" &&
+        action.executable !== false &&
+        Array.isArray(action.from) &&
+        Array.isArray(action.to);
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Add registry steps after every port move of a plan.
+ *
+ * Call once per plan: steps already present are not detected.
+ *
+ * @param {Object} plan - Plan with actions[]
+ * @param {Array|null} registry - Port-MCP registry entries (state.registry), if known
+ * @returns {Object} New plan
+ */
+function addRegistrySync(plan, registry = null) {
+    if (!plan || !Array.isArray(plan.actions)) return plan;
+
+    const registryIndex = Array.isArray(registry) ? indexRegistry(registry) : null;
+
+    // Host ports given up by any move in this plan -> index of that move
+    const releasedAt = new Map();
+    plan.actions.forEach((action, i) => {
+        if (!isSyncedMove(action)) return;
+        const to = new Set(action.to.map(hostKey));
+        for (const b of action.from) {
+            if (!to.has(hostKey(b))) releasedAt.set(hostKey(b), i);
+        }
+    });
+
+    const steps = plan.actions.map(action =>
+        isSyncedMove(action) ? syncActions(action, registryIndex, releasedAt) : null
+    );
+
+    // A reserve runs after its own move and after every release of its ports
+    const reservesAt = new Map();
+    steps.forEach((step, i) => {
+        if (!step?.reserve) return;
+        const at = Math.max(i, ...step.reserve.ports.map(p => releasedAt.get(hostKey(p)) ?? -1));
+        if (!reservesAt.has(at)) reservesAt.set(at, []);
+        reservesAt.get(at).push(step.reserve);
+    });
+
+    const actions = [];
+    plan.actions.forEach((action, i) => {
+        actions.push(action);
+        if (steps[i]) actions.push(...steps[i].releases);
+        actions.push(...(reservesAt.get(i) || []));
+    });
+
+    return {
+        ...plan,
+        ...(plan.actionCount !== undefined ? { actionCount: actions.length } : {}),
+        ...(plan.executableCount !== undefined
+            ? { executableCount: actions.filter(a => a.executable === true).length }
+            : {}),
+        actions
+    };
+}
+
+module.exports = {
+    addRegistrySync
+};
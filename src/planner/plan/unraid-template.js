@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Unraid Template Port Edits (PURE)
+ * Location: src/planner/plan/unraid-template.js
+ *
+ * Responsibility:
+ * - Write port moves back to the container's dockerMan user template
+ *   (templates-user/my-<name>.xml), so editing or updating the container
+ *   from Unraid's Docker tab does not bring the old host port back:
+ *
+ *   radarr 7878 -> 7979
+ *   my-radarr.xml:31
+ *     <Config Name="WebUI" Target="7878" Default="7878" Mode="tcp" ... Type="Port" ...>7878</Config>
+ *     <Config Name="WebUI" Target="7878" Default="7878" Mode="tcp" ... Type="Port" ...>7979</Config>
+ *
+ * - Attach the edit to the move (update-container-ports `template`); the
+ *   executor writes it (with a backup) before recreating the container
+ *
+ * In a template, Target is the container port and the element text is the
+ * host port. Older templates also list the mapping under
+ * <Networking><Publish><Port>; its <HostPort> is updated as well. Default
+ * is left alone (it is the template author's default, not the mapping).
+ *
+ * Templates are edited line by line, never re-serialized: only the host
+ * port digits change.
+ *
+ * HARD RULES:
+ * - Pure: never mutates its inputs
+ * - Every moved binding must be found in the template, or nothing is
+ *   edited for that move
+ * ============================================================================
+ */
+
+"use strict";
+
+const { templatePath } = require("../inputs/unraid-templates");
+
+const CONFIG_PORT = /<Config\b([^>]*)>\s*(\d+)\s*<\/Config>/g;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function attributes(text) {
+    const attrs = {};
+    for (const m of text.matchAll(ATTRIBUTE)) attrs[m[1]] = m[2];
+    return attrs;
+}
+
+/**
+ * Port mappings of a template.
+ * Every entry carries { line, offset, length } of its host digits.
+ *
+ * @returns {[{ host, container, protocol, line, offset, length }]}
+ */
+function templatePorts(lines) {
+    const entries = [];
+
+    // <Config ... Type="Port" Target="7878" Mode="tcp">7878</Config>
+    lines.forEach((line, index) => {
+        for (const m of line.matchAll(CONFIG_PORT)) {
+            const attrs = attributes(m[1]);
+            if (attrs.Type !== "Port" || !/^\d+$/.test(attrs.Target || "")) continue;
+            const host = m[2];
+            entries.push({
+                host: Number(host),
+                container: Number(attrs.Target),
+                protocol: String(attrs.Mode || "tcp").toLowerCase(),
+                line: index,
+                offset: m.index + m[0].lastIndexOf(host),
+                length: host.length
+            });
+        }
+    });
+
+    // <Publish><Port><HostPort>7878</HostPort><ContainerPort>7878</ContainerPort>
+    // <Protocol>tcp</Protocol></Port></Publish>, usually one tag per line
+    let port = null;
+    lines.forEach((line, index) => {
+        if (/<Port>/.test(line)) port = {};
+        if (!port) return;
+
+        const host = /<HostPort>\s*(\d+)\s*<\/HostPort>/.exec(line);
+        if (host) {
+            port.host = {
+                value: Number(host[1]),
+                line: index,
+                offset: host.index + host[0].indexOf(host[1]),
+                length: host[1].length
+            };
+        }
+        const container = /<ContainerPort>\s*(\d+)\s*<\/ContainerPort>/.exec(line);
+        if (container) port.container = Number(container[1]);
+        const protocol = /<Protocol>\s*(\w+)\s*<\/Protocol>/.exec(line);
+        if (protocol) port.protocol = protocol[1].toLowerCase();
+
+        if (/<\/Port>/.test(line)) {
+            if (port.host && Number.isInteger(port.container)) {
+                entries.push({
+                    host: port.host.value,
+                    container: port.container,
+                    protocol: port.protocol || "tcp",
+                    line: port.host.line,
+                    offset: port.host.offset,
+                    length: port.host.length
+                });
+            }
+            port = null;
+        }
+    });
+
+    return entries;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Template edit for one container's port move.
+ *
+ * @param {Object} template - { path, lines } from loadUnraidTemplates()
+ * @param {Array} from      - Current bindings [{ host, container, protocol }]
+ * @param {Array} to        - Target bindings
+ * @returns {{ changes: [{ line, from, to }], error: string|null }}
+ */
+function planTemplatePortEdit(template, from, to) {
+    const moves = [];
+    const seen = new Set();
+    for (const b of from || []) {
+        const protocol = String(b.protocol).toLowerCase();
+        const target = (to || []).find(t =>
+            t.container === b.container && String(t.protocol).toLowerCase() === protocol
+        );
+        const key = `${b.host}:${b.container}/${protocol}`;
+        if (!target || target.host === b.host || seen.has(key)) continue;
+        seen.add(key);
+        moves.push({ host: b.host, container: b.container, protocol, to: target.host });
+    }
+    if (moves.length === 0) return { changes: [], error: null };
+
+    const entries = templatePorts(template.lines);
+
+    // line -> [{ offset, length, value }]
+    const replacements = new Map();
+    for (const move of moves) {
+        const matches = entries.filter(e =>
+            e.host === move.host &&
+            e.container === move.container &&
+            e.protocol === move.protocol
+        );
+        if (matches.length === 0) {
+            return {
+                changes: [],
+                error: `no Port config for ${move.host}:${move.container}/${move.protocol} in template ${template.path}`
+            };
+        }
+
+        for (const match of matches) {
+            if (!replacements.has(match.line)) replacements.set(match.line, []);
+            replacements.get(match.line).push({ offset: match.offset, length: match.length, value: String(move.to) });
+        }
+    }
+
+    const changes = [];
+    for (const [line, parts] of [...replacements].sort((a, b) => a[0] - b[0])) {
+        let text = template.lines[line];
+        // Right to left, so earlier offsets stay valid
+        for (const p of parts.sort((a, b) => b.offset - a.offset)) {
+            text = text.slice(0, p.offset) + p.value + text.slice(p.offset + p.length);
+        }
+        changes.push({ line: line + 1, from: template.lines[line], to: text });
+    }
+
+    return { changes, error: null };
+}
+
+/**
+ * Attach template edits to every port move of a container that has a user
+ * template. Moves already carrying `template` are left as they are; moves
+ * whose template cannot be edited get a `templateWarning`.
+ *
+ * @param {Object} plan
+ * @param {Object} templates - loadUnraidTemplates(state, dir)
+ * @returns {{ plan: Object, warnings: [{ container, message }] }}
+ */
+function addTemplateEdits(plan, templates) {
+    if (!plan || !Array.isArray(plan.actions)) return { plan, warnings: [] };
+
+    const warnings = [];
+    const actions = plan.actions.map(action => {
+        if (action?.type !== "update-container-ports" ||
+            action.executable === false ||
+            action.template !== undefined) {
+            return action;
+        }
+
+        const template = (templates?.files || []).find(f => f.container === action.container);
+        if (!template) {
+            const skipped = (templates?.skipped || []).find(s =>
+                s.path === templatePath(templates.dir, action.container)
+            );
+            if (!skipped) return action;
+            const message = `${skipped.reason}: ${skipped.path}; Unraid's Docker tab will restore the old ports`;
+            warnings.push({ container: action.container, message });
+            return { ...action, templateWarning: message };
+        }
+
+        const { changes, error } = planTemplatePortEdit(template, action.from, action.to);
+        if (error) {
+            const message = `${error}; Unraid's Docker tab will restore the old ports`;
+            warnings.push({ container: action.container, message });
+            return { ...action, templateWarning: message };
+        }
+        if (changes.length === 0) return action;
+
+        return { ...action, template: { file: template.path, changes } };
+    });
+
+    return { plan: { ...plan, actions }, warnings };
+}
+
+module.exports = {
+    planTemplatePortEdit,
+    addTemplateEdits
+};
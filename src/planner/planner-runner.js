@@ -1,7 +1,251 @@
-function runPlanner(options = {}) {
-    throw new Error("Planner runner not implemented yet");
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Planner Runner (READ-ONLY)
+ * Location: src/planner/planner-runner.js
+ *
+ * Responsibility:
+ * - Run the full planning pipeline for the CLI:
+ *     loadState -> classify -> runAnalysis -> buildPlan -> render
+ * - Read the inputs the web UI keeps on disk (policy, category overrides,
+ *   allocation ledger, image knowledge) from explicit file paths
+ * - Turn the result into an exit code cron jobs can act on:
+ *
+ *     0  compliant            nothing to change, nothing to review
+ *     1  error                state, policy or input files could not be read
+ *     2  changes proposed     enforced containers would be moved
+ *     3  attention required   manual review, blocked enforcement,
+ *                             host port collisions or network policy
+ *                             violations the plan does not fix
+ *
+ *   When a plan both proposes changes and needs attention, 3 wins.
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - NO writes (plans are saved by the executor CLI, ledgers by the server)
+ * ============================================================================
+ */
+
+"use strict";
+
+const fs = require("fs");
+
+const { loadState } = require("./inputs/state-loader");
+const { loadPolicy, loadPolicyOrDefault } = require("./inputs/policy-loader");
+const { loadImageKnowledge, loadImageKnowledgeOrDefault } = require("./inputs/knowledge-loader");
+const classify = require("./classify/classifier");
+const { runAnalysis } = require("./analyze/analyzer");
+const buildPlan = require("./plan/plan-builder");
+const { normalizeLedger } = require("./plan/allocation-ledger");
+const { referenceScanDirs, loadReferenceFiles } = require("./inputs/reference-files");
+const { loadComposeFiles } = require("./inputs/compose-files");
+const { unraidTemplateDir, loadUnraidTemplates } = require("./inputs/unraid-templates");
+const { PlannerError } = require("./utils/errors");
+const { inspectContainers } = require("../executor/docker/docker-cli");
+
+const renderConsole = require("./output/console-renderer");
+const renderJson = require("./output/json-renderer");
+const renderDiff = require("./output/diff-renderer");
+
+const DEFAULT_MCP_URL = "http://127.0.0.1:4100";
+
+const EXIT_CODES = {
+    compliant: 0,
+    error: 1,
+    changes: 2,
+    attention: 3
+};
+
+const RENDERERS = {
+    console: renderConsole,
+    json: renderJson,
+    diff: renderDiff
+};
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function readJsonFile(file, label) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, "utf8");
+    } catch (err) {
+        throw new PlannerError(`Cannot read ${label} file ${file}: ${err.message}`);
+    }
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        throw new PlannerError(`Invalid JSON in ${label} file ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Enforcement selection -> policyEnforcement map ({ name: true }).
+ * Accepts "all", a list of container names, or a ready-made map.
+ */
+function resolveEnforcement(enforce, classification) {
+    if (!enforce) return {};
+
+    const names = enforce === "all"
+        ? (classification.containers || []).map(c => c.name)
+        : Array.isArray(enforce)
+            ? enforce
+            : Object.keys(enforce).filter(name => enforce[name] === true);
+
+    const known = new Set((classification.containers || []).map(c => c.name));
+    const unknown = names.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+        throw new PlannerError(`Cannot enforce unknown container(s): ${unknown.join(", ")}`);
+    }
+
+    return Object.fromEntries(names.map(name => [name, true]));
+}
+
+/**
+ * Does this action need a human before the plan can be trusted?
+ */
+function needsAttention(action) {
+    const status = action.policyContext?.status || "";
+    return action.type === "manual-review" ||
+        action.type === "review-game-ports" ||
+        status === "blocking" ||
+        status.startsWith("blocked-");
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Compliance summary of a plan + analysis.
+ * Changes count executable actions and containers off their role's layout
+ * (policyContext.drift), enforced or not.
+ * Returns { status, exitCode, changes, attention, collisions, networkViolations }
+ */
+function assessPlan(plan, analysis = null) {
+    const changes = plan.actions.filter(a => a.executable === true || a.policyContext?.drift).length;
+    const attention = plan.actions.filter(needsAttention).length;
+    const collisions = analysis?.ports?.totals?.collisions || 0;
+
+    // Network errors count unless an executable network action fixes them
+    const fixed = new Set(plan.actions
+        .filter(a => a.type === "update-container-networks" && a.executable === true)
+        .map(a => a.container));
+    const networkViolations = (analysis?.networkCompliance || [])
+        .filter(c => c.findings.some(f => f.severity === "error" && !(f.fixable && fixed.has(c.container))))
+        .length;
+
+    let status = "compliant";
+    if (changes > 0) status = "changes";
+    if (attention > 0 || collisions > 0 || networkViolations > 0) status = "attention";
+
+    return {
+        status,
+        exitCode: EXIT_CODES[status],
+        changes,
+        attention,
+        collisions,
+        networkViolations
+    };
+}
+
+/**
+ * Run the pipeline without rendering.
+ *
+ * @param {Object} options
+ * @param {string} options.mcpUrl          - Port-MCP base URL
+ * @param {string} options.policyFile      - Policy file (optional; default policy otherwise)
+ * @param {string} options.overridesFile   - Category overrides JSON ({ name: { category } })
+ * @param {string} options.allocationsFile - Allocation ledger JSON (optional)
+ * @param {string} options.knowledgeFile   - Image knowledge JSON (optional; built-ins otherwise)
+ * @param {string|Array|Object} options.enforce - "all", container names, or { name: true }
+ * @param {boolean} options.repack         - Ignore the ledger and compact every layout
+ * @param {boolean} options.reconcileRegistry - Add reserve / release actions for registry drift
+ * @param {boolean} options.rewriteReferences - Rewrite dependents' env / labels that hardcode moved
+ *   ports (reads container env with docker inspect)
+ * @param {boolean} options.rewriteFiles - Rewrite lines of reference files (REFERENCE_SCAN_DIRS)
+ *   that hardcode moved ports
+ * @returns {Promise<{ state, classification, analysis, plan }>}
+ */
+async function generatePlan({
+    mcpUrl = process.env.PORT_MCP_URL || DEFAULT_MCP_URL,
+    policyFile = process.env.POLICY_FILE || null,
+    overridesFile = null,
+    allocationsFile = null,
+    knowledgeFile = process.env.IMAGE_KNOWLEDGE_FILE || null,
+    enforce = null,
+    repack = false,
+    reconcileRegistry = false,
+    rewriteReferences = false,
+    rewriteFiles = false
+} = {}) {
+    const policy = policyFile ? loadPolicy(policyFile) : loadPolicyOrDefault(null);
+    const overrides = overridesFile ? readJsonFile(overridesFile, "overrides") : {};
+    const allocations = allocationsFile && fs.existsSync(allocationsFile)
+        ? normalizeLedger(readJsonFile(allocationsFile, "allocations"))
+        : null;
+    const knowledge = knowledgeFile ? loadImageKnowledge(knowledgeFile) : loadImageKnowledgeOrDefault(null);
+
+    let referenceFiles = null;
+    if (rewriteFiles === true) {
+        const dirs = referenceScanDirs();
+        if (dirs.length === 0) {
+            throw new PlannerError("Rewriting reference files needs REFERENCE_SCAN_DIRS (comma-separated directories)");
+        }
+        referenceFiles = loadReferenceFiles(dirs);
+    }
+
+    // port-mcp.* labels come from docker inspect when Port-MCP lacks them
+    const state = await loadState({ baseUrl: mcpUrl, inspect: inspectContainers });
+    const classification = classify(state, { overrides, policy, knowledge });
+    const analysis = await runAnalysis({ state, classification, policy });
+
+    const plan = buildPlan({
+        classification,
+        state,
+        overrides,
+        policyEnforcement: resolveEnforcement(enforce, classification),
+        policy,
+        allocations,
+        repack: repack === true,
+        reconcileRegistry: reconcileRegistry === true,
+        knowledge,
+        rewriteReferences: rewriteReferences === true,
+        referenceFiles,
+        composeFiles: loadComposeFiles(state),
+        unraidTemplates: unraidTemplateDir() ? loadUnraidTemplates(state, unraidTemplateDir()) : null
+    });
+
+    return { state, classification, analysis, plan };
+}
+
+/**
+ * Run the pipeline and render the plan.
+ *
+ * @param {Object} options - generatePlan options, plus
+ * @param {string} options.format - "console" (default), "json" or "diff"
+ * @returns {Promise<{ plan, analysis, assessment, exitCode }>}
+ */
+async function runPlanner(options = {}) {
+    const format = options.format || "console";
+    const render = RENDERERS[format];
+    if (!render) {
+        throw new PlannerError(
+            `Unknown output format "${format}" (expected ${Object.keys(RENDERERS).join(", ")})`
+        );
+    }
+
+    const { analysis, plan } = await generatePlan(options);
+    const assessment = assessPlan(plan, analysis);
+
+    render(plan, { analysis, assessment });
+
+    return { plan, analysis, assessment, exitCode: assessment.exitCode };
 }
 
 module.exports = {
+    EXIT_CODES,
+    assessPlan,
+    generatePlan,
     runPlanner
 };
@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Game Port Profiles (READ-ONLY)
+ * Location: src/planner/policy/game-profiles.js
+ *
+ * Responsibility:
+ * - Describe the port semantics of well-known game servers
+ * - Map a container's bindings onto its profile's port groups
+ * - Report layouts that would leave a server unreachable
+ *
+ * Profile shape:
+ * {
+ *   description: "Valheim dedicated server",
+ *   keywords: ["valheim"],                  matched against name / image
+ *   groups: [{
+ *     name: "game",
+ *     port: 2456,                           default container-side base port
+ *     optional: false,                      whole group may be absent
+ *     members: [{ offset: 0, protocol: "udp", purpose: "game", optional: false }]
+ *   }]
+ * }
+ *
+ * A group is the unit that moves: every member keeps its offset from the
+ * group's base host port, and members sharing an offset (TCP/UDP pairs)
+ * share a host port. Policy files may add or replace profiles under
+ * "gameProfiles" (same shape, keyed by profile id).
+ *
+ * HARD RULES:
+ * - NO Docker mutation
+ * - Deterministic: same container + same profiles = same result
+ * ============================================================================
+ */
+
+"use strict";
+
+const member = (offset, protocol, purpose, optional = false) =>
+    ({ offset, protocol, purpose, optional });
+
+const BUILTIN_GAME_PROFILES = {
+    valheim: {
+        description: "Valheim dedicated server",
+        keywords: ["valheim"],
+        groups: [
+            { name: "game", port: 2456, optional: false, members: [
+                member(0, "udp", "game"),
+                member(1, "udp", "query"),
+                member(2, "udp", "crossplay")
+            ] }
+        ]
+    },
+    ark: {
+        description: "ARK: Survival Evolved server",
+        keywords: ["ark", "ark-se", "arkse", "ark-server"],
+        groups: [
+            { name: "game", port: 7777, optional: false, members: [
+                member(0, "udp", "game"),
+                member(1, "udp", "raw socket")
+            ] },
+            { name: "query", port: 27015, optional: false, members: [
+                member(0, "udp", "steam query")
+            ] },
+            { name: "rcon", port: 27020, optional: true, members: [
+                member(0, "tcp", "rcon")
+            ] }
+        ]
+    },
+    "7dtd": {
+        description: "7 Days to Die server",
+        keywords: ["7dtd", "7daystodie", "seven-days", "sdtd"],
+        groups: [
+            { name: "game", port: 26900, optional: false, members: [
+                member(0, "tcp", "game"),
+                member(0, "udp", "game"),
+                member(1, "udp", "steam"),
+                member(2, "udp", "steam")
+            ] },
+            { name: "web", port: 8080, optional: true, members: [
+                member(0, "tcp", "web panel"),
+                member(1, "tcp", "telnet", true)
+            ] }
+        ]
+    },
+    minecraft: {
+        description: "Minecraft Java server",
+        keywords: ["minecraft"],
+        groups: [
+            { name: "game", port: 25565, optional: false, members: [
+                member(0, "tcp", "game")
+            ] },
+            { name: "rcon", port: 25575, optional: true, members: [
+                member(0, "tcp", "rcon")
+            ] }
+        ]
+    },
+    factorio: {
+        description: "Factorio headless server",
+        keywords: ["factorio"],
+        groups: [
+            { name: "game", port: 34197, optional: false, members: [
+                member(0, "udp", "game")
+            ] },
+            { name: "rcon", port: 27015, optional: true, members: [
+                member(0, "tcp", "rcon")
+            ] }
+        ]
+    },
+    satisfactory: {
+        description: "Satisfactory dedicated server",
+        keywords: ["satisfactory"],
+        groups: [
+            { name: "game", port: 7777, optional: false, members: [
+                member(0, "udp", "game"),
+                member(0, "tcp", "server api", true)
+            ] },
+            { name: "beacon", port: 15000, optional: true, members: [
+                member(0, "udp", "beacon")
+            ] },
+            { name: "query", port: 15777, optional: true, members: [
+                member(0, "udp", "query")
+            ] }
+        ]
+    },
+    conan: {
+        description: "Conan Exiles server",
+        keywords: ["conan", "conan-exiles"],
+        groups: [
+            { name: "game", port: 7777, optional: false, members: [
+                member(0, "udp", "game"),
+                member(1, "udp", "raw socket")
+            ] },
+            { name: "query", port: 27015, optional: false, members: [
+                member(0, "udp", "steam query")
+            ] },
+            { name: "rcon", port: 25575, optional: true, members: [
+                member(0, "tcp", "rcon")
+            ] }
+        ]
+    },
+    rust: {
+        description: "Rust dedicated server",
+        keywords: ["rust", "rust-server"],
+        groups: [
+            { name: "game", port: 28015, optional: false, members: [
+                member(0, "udp", "game"),
+                member(1, "tcp", "rcon", true)
+            ] },
+            { name: "app", port: 28082, optional: true, members: [
+                member(0, "tcp", "rust+ companion")
+            ] }
+        ]
+    },
+    icarus: {
+        description: "Icarus dedicated server",
+        keywords: ["icarus"],
+        groups: [
+            { name: "game", port: 17777, optional: false, members: [
+                member(0, "udp", "game")
+            ] },
+            { name: "query", port: 27015, optional: false, members: [
+                member(0, "udp", "steam query")
+            ] }
+        ]
+    }
+};
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function norm(v) {
+    return String(v || "").toLowerCase();
+}
+
+/**
+ * Keyword match on token boundaries, so "ark" matches "ark-server"
+ * but not "darkstat".
+ */
+function hasKeyword(text, keyword) {
+    const escaped = norm(keyword).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(norm(text));
+}
+
+function formatPort(port, protocol) {
+    return `${port}/${protocol}`;
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Policy "gameProfiles" followed by the built-in profiles
+ * (a policy profile replaces the built-in profile with the same id).
+ * Policy profiles come first so their keywords win.
+ * Returns [{ id, description, keywords, groups }]
+ */
+function getGameProfiles(policy) {
+    const custom = policy?.gameProfiles || {};
+    const builtin = Object.entries(BUILTIN_GAME_PROFILES).filter(([id]) => !custom[id]);
+    return [...Object.entries(custom), ...builtin].map(([id, profile]) => ({ id, ...profile }));
+}
+
+/**
+ * First profile whose keywords match the container name or image, or null.
+ */
+function matchGameProfile(container, profiles) {
+    if (!container) return null;
+    return profiles.find(profile => (profile.keywords || []).some(k =>
+        hasKeyword(container.name, k) || hasKeyword(container.image, k)
+    )) || null;
+}
+
+/**
+ * Map bindings ({ host, container|containerPort, protocol }) onto a profile.
+ *
+ * Bindings are matched on their container-side port (base + offset).
+ * Returns {
+ *   groups:    [{ group, members: [{ binding, offset, protocol, purpose }] }]   (present groups only)
+ *   unmatched: [binding]
+ * }
+ */
+function mapBindingsToProfile(profile, bindings) {
+    const groups = [];
+    const used = new Set();
+
+    for (const group of profile.groups || []) {
+        const members = [];
+        for (const m of group.members || []) {
+            bindings.forEach((b, i) => {
+                const containerPort = Number(b.containerPort ?? b.container);
+                const protocol = norm(b.protocol || "tcp");
+                if (used.has(i) || containerPort !== group.port + m.offset || protocol !== m.protocol) return;
+                used.add(i);
+                members.push({ binding: b, offset: m.offset, protocol, purpose: m.purpose });
+            });
+        }
+        if (members.length > 0) groups.push({ group, members });
+    }
+
+    return {
+        groups,
+        unmatched: bindings.filter((b, i) => !used.has(i))
+    };
+}
+
+/**
+ * Check that a layout keeps the server reachable.
+ * Returns a list of human-readable problems ([] = fine).
+ */
+function validateGameLayout(profile, bindings) {
+    const problems = [];
+    const { groups } = mapBindingsToProfile(profile, bindings);
+
+    for (const group of profile.groups || []) {
+        const present = groups.find(g => g.group === group);
+
+        if (!present) {
+            if (!group.optional) {
+                const ports = group.members
+                    .filter(m => !m.optional)
+                    .map(m => formatPort(group.port + m.offset, m.protocol));
+                problems.push(`${group.name} port(s) ${ports.join(", ")} are not published`);
+            }
+            continue;
+        }
+
+        for (const m of group.members) {
+            if (m.optional) continue;
+            if (!present.members.some(x => x.offset === m.offset && x.protocol === m.protocol)) {
+                problems.push(
+                    `${group.name} group is missing ${formatPort(group.port + m.offset, m.protocol)} (${m.purpose})`
+                );
+            }
+        }
+
+        const bases = new Set(present.members.map(x => x.binding.host - x.offset));
+        if (bases.size > 1) {
+            const hosts = present.members
+                .map(x => `${formatPort(x.binding.host, x.protocol)} (${x.purpose})`)
+                .join(", ");
+            problems.push(`${group.name} ports must keep their fixed offsets: ${hosts}`);
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    BUILTIN_GAME_PROFILES,
+    getGameProfiles,
+    matchGameProfile,
+    mapBindingsToProfile,
+    validateGameLayout
+};
@@ -4,93 +4,252 @@
  * Location: src/planner/policy/policies.js
  *
  * Purpose:
- * - Define all known port and classification policies
- * - Describe desired state without enforcing it (yet)
+ * - Define the built-in default policy document
+ * - Expand a policy document into per-category policy definitions
+ * - Describe desired state without enforcing it
  *
  * HARD RULES:
  * - NO execution
  * - NO Docker mutation
  * - NO planner side effects
  * - Policies may be informational only
+ *
+ * The policy document format is described in docs/policy.example.json and
+ * validated by src/planner/inputs/policy-loader.js.
  * ============================================================================
  */
 
 "use strict";
 
 /**
- * Policy definitions.
+ * Built-in policy document.
+ *
+ * Used when no policy file is configured. Mirrors the port standards from
+ * the README (system / apps / games, reserved 40000-45000).
+ */
+const DEFAULT_POLICY = {
+    version: "1.0",
+    description: "Built-in Port-MCP-Enforcer policy",
+    source: null,
+
+    roles: {
+        apps: {
+            description: "Application services",
+            ports: {
+                ranges: [{ from: 1024, to: 19999 }],
+                protocols: ["tcp"]
+            },
+            networks: null,
+            enforcement: {
+                id: "apps-port-layout",
+                mode: "incremental",
+                enforceable: true,
+                startPort: 5000,
+                protocol: "tcp",
+                description:
+                    "Applications should use a fixed incremental TCP port layout for consistency",
+                rationale:
+                    "Provides predictable ports for dashboards, bookmarks, and proxies"
+            }
+        },
+
+        games: {
+            description: "Game servers (low: 7000-9999, high: 20000-39999)",
+            ports: {
+                ranges: [
+                    { from: 7000, to: 9999 },
+                    { from: 20000, to: 39999 }
+                ],
+                protocols: ["tcp", "udp"]
+            },
+            networks: null,
+            // Block layouts are opt-in through the policy file
+            // (docs/policy.example.json)
+            enforcement: {
+                id: "games-port-review",
+                mode: "manual",
+                enforceable: true,
+                startPort: null,
+                protocol: null,
+                description:
+                    "Game servers require explicit review of port assignments",
+                rationale:
+                    "Game servers often require wide or dynamic port ranges"
+            }
+        },
+
+        system: {
+            description: "Privileged system ports",
+            ports: {
+                ranges: [{ from: 1, to: 1023 }],
+                protocols: ["tcp", "udp"]
+            },
+            networks: null,
+            enforcement: {
+                id: "system-protection",
+                mode: "protected",
+                enforceable: true,
+                startPort: null,
+                protocol: null,
+                description:
+                    "System containers must never have ports modified automatically",
+                rationale:
+                    "Prevents breaking core infrastructure services"
+            }
+        }
+    },
+
+    reserved: [
+        { from: 40000, to: 45000, description: "Reserved for future use" }
+    ],
+
+    // Evaluated in order before keyword heuristics (first match wins).
+    // Covers image families the keyword lists cannot see.
+    classification: {
+        rules: [
+            {
+                id: "itzg-games",
+                match: { imagePrefix: "itzg/" },
+                role: "games",
+                description: "itzg game server images (Minecraft and others)"
+            },
+            {
+                id: "vinanrra-games",
+                match: { imagePrefix: "vinanrra/" },
+                role: "games",
+                description: "vinanrra 7 Days to Die server images"
+            },
+            {
+                id: "wolveix-games",
+                match: { imagePrefix: "wolveix/" },
+                role: "games",
+                description: "wolveix Satisfactory server images"
+            },
+            {
+                id: "binhex-games",
+                match: { imageRegex: "^binhex/arch-(minecraft|terraria|valheim|7dtd|satisfactory)" },
+                role: "games",
+                description: "binhex game server images"
+            },
+            {
+                id: "binhex-apps",
+                match: { imagePrefix: "binhex/" },
+                role: "apps",
+                description: "binhex application images"
+            },
+            {
+                id: "linuxserver-apps",
+                match: { imagePrefix: "linuxserver/" },
+                role: "apps",
+                description: "linuxserver.io application images"
+            }
+        ]
+    },
+
+    // Extra game port profiles (built-ins live in game-profiles.js)
+    gameProfiles: {}
+};
+
+/**
+ * Policy applied to containers that could not be classified.
+ * Not configurable: "unknown" is never a policy role.
+ */
+const UNKNOWN_POLICY = {
+    id: "unknown-classification",
+    appliesTo: "unknown",
+    description:
+        "Unclassified containers require human review before any action",
+    mode: "manual",
+    enforceable: true,
+    rationale:
+        "Insufficient information to safely apply policies",
+    ranges: [],
+    protocols: []
+};
+
+/**
+ * Expand a (validated) policy document into policy definitions.
  *
  * Each policy describes:
  * - who it applies to
  * - what the desired state is
  * - whether it is currently enforceable
- *
- * Enforcement is intentionally deferred.
  */
-const POLICIES = [
-    {
-        id: "apps-port-layout",
-        appliesTo: "apps",
-        description:
-            "Applications should use a fixed incremental TCP port layout for consistency",
-        mode: "incremental",
-        startPort: 5000,
-        protocol: "tcp",
-        enforceable: true,  // ← CHANGED FROM false
-        rationale:
-            "Provides predictable ports for dashboards, bookmarks, and proxies"
-    },
+function policiesFromDocument(policy = DEFAULT_POLICY) {
+    const roles = policy?.roles || {};
 
-    {
-        id: "games-port-review",
-        appliesTo: "games",
-        description:
-            "Game servers require explicit review of port assignments",
-        mode: "manual",
-        enforceable: true,
-        rationale:
-            "Game servers often require wide or dynamic port ranges"
-    },
+    const policies = Object.entries(roles).map(([role, def]) => {
+        const enforcement = def.enforcement || {};
+        return {
+            id: enforcement.id || `${role}-port-policy`,
+            appliesTo: role,
+            description: enforcement.description || def.description || null,
+            mode: enforcement.mode || "manual",
+            startPort: enforcement.startPort ?? null,
+            protocol: enforcement.protocol ?? null,
+            enforceable: enforcement.enforceable !== false,
+            rationale: enforcement.rationale || null,
+            ranges: (def.ports?.ranges || []).map(r => ({ from: r.from, to: r.to })),
+            protocols: [...(def.ports?.protocols || [])],
+            networks: def.networks || null
+        };
+    });
 
-    {
-        id: "system-protection",
-        appliesTo: "system",
-        description:
-            "System containers must never have ports modified automatically",
-        mode: "protected",
-        enforceable: true,
-        rationale:
-            "Prevents breaking core infrastructure services"
-    },
+    policies.push(UNKNOWN_POLICY);
+    return policies;
+}
 
-    {
-        id: "unknown-classification",
-        appliesTo: "unknown",
-        description:
-            "Unclassified containers require human review before any action",
-        mode: "manual",
-        enforceable: true,
-        rationale:
-            "Insufficient information to safely apply policies"
-    }
-];
+const POLICIES = policiesFromDocument(DEFAULT_POLICY);
 
 /**
  * Helper: get policies by category
  */
-function getPoliciesForCategory(category) {
-    return POLICIES.filter(p => p.appliesTo === category);
+function getPoliciesForCategory(category, policy = DEFAULT_POLICY) {
+    const list = policy === DEFAULT_POLICY ? POLICIES : policiesFromDocument(policy);
+    return list.filter(p => p.appliesTo === category);
 }
 
 /**
  * Helper: get policy by id
  */
-function getPolicyById(id) {
-    return POLICIES.find(p => p.id === id) || null;
+function getPolicyById(id, policy = DEFAULT_POLICY) {
+    const list = policy === DEFAULT_POLICY ? POLICIES : policiesFromDocument(policy);
+    return list.find(p => p.id === id) || null;
+}
+
+/**
+ * Helper: role names defined by a policy (never includes "unknown")
+ */
+function getRoleNames(policy = DEFAULT_POLICY) {
+    return Object.keys(policy?.roles || {});
+}
+
+/**
+ * Helper: describe roles for UI consumers (dropdowns, legends, sub-tabs)
+ */
+function describeRoles(policy = DEFAULT_POLICY) {
+    return getRoleNames(policy).map(role => {
+        const p = getPoliciesForCategory(role, policy)[0];
+        return {
+            name: role,
+            policyId: p.id,
+            description: policy.roles[role].description || p.description,
+            mode: p.mode,
+            enforceable: p.enforceable,
+            startPort: p.startPort,
+            protocol: p.protocol,
+            ranges: p.ranges,
+            protocols: p.protocols
+        };
+    });
 }
 
 module.exports = {
+    DEFAULT_POLICY,
     POLICIES,
+    policiesFromDocument,
     getPoliciesForCategory,
-    getPolicyById
-};
\ No newline at end of file
+    getPolicyById,
+    getRoleNames,
+    describeRoles
+};
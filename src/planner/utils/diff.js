@@ -1,7 +1,279 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — State Diff Engine (PURE)
+ * Location: src/planner/utils/diff.js
+ *
+ * Responsibility:
+ * - Compare two normalized states (current -> proposed)
+ * - Report structural changes as a flat list:
+ *
+ *   { kind: "container", change: "added" | "removed", container, image, ports }
+ *   { kind: "port",      change: "added" | "removed" | "changed",
+ *                        container, containerPort, protocol, from, to }
+ *   { kind: "network",   change: "joined" | "left", container, network }
+ *   { kind: "running",   change: "started" | "stopped", container, from, to }
+ *
+ *   Port bindings (from / to) are [{ host, ip }] so a host-IP change
+ *   (0.0.0.0 -> 127.0.0.1) is a change even when the host port is the same.
+ *
+ * Notes:
+ * - Ports / networks of added or removed containers are reported on the
+ *   container entry only
+ * - Bindings come from state.ports and, when present, containers[].ports
+ *   (which carry the host IP)
+ *
+ * HARD RULES:
+ * - Pure functions only
+ * - Never mutates its inputs
+ * - Deterministic ordering (container, kind, port)
+ * ============================================================================
+ */
+
+"use strict";
+
+const KIND_ORDER = ["container", "running", "network", "port"];
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function hasRunState(c) {
+    return c.running !== undefined || c.state !== undefined;
+}
+
+function isRunning(c) {
+    if (typeof c.running === "boolean") return c.running;
+    return c.state === "running";
+}
+
+function networkNames(c) {
+    return [...new Set((c.networks || []).map(n => (typeof n === "string" ? n : n?.name)).filter(Boolean))].sort();
+}
+
+function bindingKey(containerPort, protocol) {
+    return `${containerPort}/${protocol}`;
+}
+
+/**
+ * container name -> Map("<containerPort>/<proto>" -> [{ host, ip }])
+ */
+function collectBindings(state) {
+    const raw = new Map();
+
+    const add = (name, containerPort, protocol, host, ip) => {
+        const cp = Number(containerPort);
+        const hp = Number(host);
+        if (!name || !Number.isInteger(cp) || !Number.isInteger(hp) || hp < 1) return;
+
+        if (!raw.has(name)) raw.set(name, new Map());
+        const byKey = raw.get(name);
+        const key = bindingKey(cp, String(protocol || "tcp").toLowerCase());
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push({ host: hp, ip: ip || null });
+    };
+
+    for (const p of state?.ports || []) {
+        add(p.container, p.containerPort, p.protocol, p.host, p.ip);
+    }
+
+    for (const c of state?.containers || []) {
+        for (const p of c.ports || []) {
+            add(c.name, p.containerPort ?? p.container ?? p.private, p.protocol, p.host ?? p.public, p.ip);
+        }
+    }
+
+    // Dedupe; an IP-less entry is dropped when the same host port is known with its IP
+    const out = new Map();
+    for (const [name, byKey] of raw) {
+        const clean = new Map();
+        for (const [key, list] of byKey) {
+            const withIp = new Set(list.filter(b => b.ip).map(b => b.host));
+            const seen = new Set();
+            const bindings = [];
+            for (const b of list) {
+                if (!b.ip && withIp.has(b.host)) continue;
+                const id = `${b.ip}|${b.host}`;
+                if (seen.has(id)) continue;
+                seen.add(id);
+                bindings.push(b);
+            }
+            bindings.sort((a, b) => a.host - b.host || String(a.ip).localeCompare(String(b.ip)));
+            clean.set(key, bindings);
+        }
+        out.set(name, clean);
+    }
+    return out;
+}
+
+function sameBindings(a, b) {
+    if (a.length !== b.length) return false;
+    return a.every((x, i) => x.host === b[i].host && x.ip === b[i].ip);
+}
+
+function containersByName(state) {
+    const map = new Map();
+    for (const c of state?.containers || []) {
+        if (c?.name) map.set(c.name, c);
+    }
+    return map;
+}
+
+function flattenBindings(byKey) {
+    const out = [];
+    for (const [key, bindings] of byKey || []) {
+        const [containerPort, protocol] = key.split("/");
+        for (const b of bindings) {
+            out.push({ host: b.host, ip: b.ip, containerPort: Number(containerPort), protocol });
+        }
+    }
+    return out;
+}
+
+function diffPorts(name, before, after, changes) {
+    const keys = [...new Set([...before.keys(), ...after.keys()])];
+
+    for (const key of keys) {
+        const [containerPort, protocol] = key.split("/");
+        const from = before.get(key) || null;
+        const to = after.get(key) || null;
+
+        let change = null;
+        if (!from) change = "added";
+        else if (!to) change = "removed";
+        else if (!sameBindings(from, to)) change = "changed";
+        if (!change) continue;
+
+        changes.push({
+            kind: "port",
+            change,
+            container: name,
+            containerPort: Number(containerPort),
+            protocol,
+            from,
+            to
+        });
+    }
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Diff two normalized states.
+ *
+ * @param {Object} current  - State before ({ containers, ports })
+ * @param {Object} proposed - State after
+ * @returns {Array} changes (see header)
+ */
 function diffState(current, proposed) {
-    return [];
+    const changes = [];
+
+    const before = containersByName(current);
+    const after = containersByName(proposed);
+    const bindingsBefore = collectBindings(current);
+    const bindingsAfter = collectBindings(proposed);
+
+    // Containers only known through port bindings still count
+    for (const name of bindingsBefore.keys()) if (!before.has(name)) before.set(name, { name });
+    for (const name of bindingsAfter.keys()) if (!after.has(name)) after.set(name, { name });
+
+    const names = [...new Set([...before.keys(), ...after.keys()])];
+
+    for (const name of names) {
+        const a = before.get(name);
+        const b = after.get(name);
+
+        if (!a || !b) {
+            const c = a || b;
+            changes.push({
+                kind: "container",
+                change: a ? "removed" : "added",
+                container: name,
+                image: c.image || null,
+                ports: flattenBindings((a ? bindingsBefore : bindingsAfter).get(name))
+            });
+            continue;
+        }
+
+        if (hasRunState(a) && hasRunState(b) && isRunning(a) !== isRunning(b)) {
+            changes.push({
+                kind: "running",
+                change: isRunning(b) ? "started" : "stopped",
+                container: name,
+                from: isRunning(a),
+                to: isRunning(b)
+            });
+        }
+
+        if (a.networks && b.networks) {
+            const netsBefore = networkNames(a);
+            const netsAfter = networkNames(b);
+            for (const network of netsAfter.filter(n => !netsBefore.includes(n))) {
+                changes.push({ kind: "network", change: "joined", container: name, network });
+            }
+            for (const network of netsBefore.filter(n => !netsAfter.includes(n))) {
+                changes.push({ kind: "network", change: "left", container: name, network });
+            }
+        }
+
+        diffPorts(
+            name,
+            bindingsBefore.get(name) || new Map(),
+            bindingsAfter.get(name) || new Map(),
+            changes
+        );
+    }
+
+    return changes.sort((x, y) =>
+        x.container.localeCompare(y.container) ||
+        KIND_ORDER.indexOf(x.kind) - KIND_ORDER.indexOf(y.kind) ||
+        (x.containerPort || 0) - (y.containerPort || 0) ||
+        String(x.protocol || x.network || "").localeCompare(String(y.protocol || y.network || ""))
+    );
+}
+
+/**
+ * Published bindings of one container: [{ host, ip, containerPort, protocol }]
+ */
+function containerBindings(state, name) {
+    return flattenBindings(collectBindings(state).get(name));
+}
+
+/**
+ * Count changes per kind: { total, containers, ports, networks, running }
+ */
+function summarizeDiff(changes) {
+    const count = kind => changes.filter(c => c.kind === kind).length;
+    return {
+        total: changes.length,
+        containers: count("container"),
+        ports: count("port"),
+        networks: count("network"),
+        running: count("running")
+    };
+}
+
+/**
+ * One-line human description of a change.
+ */
+function describeChange(c) {
+    const fmt = list => (list && list.length)
+        ? list.map(b => (b.ip ? `${b.ip}:${b.host}` : String(b.host))).join(", ")
+        : "none";
+
+    switch (c.kind) {
+        case "container": return `${c.container}: container ${c.change}`;
+        case "running": return `${c.container}: ${c.change}`;
+        case "network": return `${c.container}: ${c.change} network ${c.network}`;
+        case "port": return `${c.container}: port ${c.containerPort}/${c.protocol} ${fmt(c.from)} -> ${fmt(c.to)}`;
+        default: return `${c.container}: ${c.kind} ${c.change}`;
+    }
 }
 
 module.exports = {
-    diffState
+    diffState,
+    summarizeDiff,
+    describeChange,
+    containerBindings
 };
@@ -5,6 +5,48 @@ class PlannerError extends Error {
     }
 }
 
+/**
+ * Raised when a policy file cannot be read or fails validation.
+ * `problems` lists every validation failure as "<path>: <message>".
+ */
+class PolicyError extends PlannerError {
+    constructor(message, { source = null, problems = [] } = {}) {
+        super(message);
+        this.name = "PolicyError";
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when a plan document cannot be read or fails schema validation.
+ * `problems` lists every validation failure as "<path>: <message>".
+ */
+class PlanError extends PlannerError {
+    constructor(message, { source = null, problems = [] } = {}) {
+        super(message);
+        this.name = "PlanError";
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when an image knowledge file cannot be read or fails validation.
+ * `problems` lists every validation failure as "<path>: <message>".
+ */
+class KnowledgeError extends PlannerError {
+    constructor(message, { source = null, problems = [] } = {}) {
+        super(message);
+        this.name = "KnowledgeError";
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
 module.exports = {
-    PlannerError
+    PlannerError,
+    PolicyError,
+    PlanError,
+    KnowledgeError
 };
@@ -0,0 +1,56 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Image Reference Helpers (PURE)
+ * Location: src/planner/utils/images.js
+ *
+ * Responsibility:
+ * - Normalize Docker image references for matching:
+ *
+ *   "lscr.io/linuxserver/radarr:latest"  -> repository "linuxserver/radarr"
+ *   "ghcr.io/itzg/minecraft-server@sha256:…" -> "itzg/minecraft-server"
+ *   "localhost:5000/tools/app:1.2"       -> "tools/app"
+ *
+ * HARD RULES:
+ * - Pure functions only
+ * - Lower-case output (image references are case-insensitive here)
+ * ============================================================================
+ */
+
+"use strict";
+
+function norm(v) {
+    return String(v || "").toLowerCase();
+}
+
+/**
+ * Strip a registry host ("ghcr.io/", "lscr.io/", "localhost:5000/")
+ * so "ghcr.io/itzg/minecraft-server" matches "itzg/".
+ */
+function stripRegistry(image) {
+    const parts = norm(image).split("/");
+    if (parts.length > 1 && (parts[0].includes(".") || parts[0].includes(":") || parts[0] === "localhost")) {
+        parts.shift();
+    }
+    return parts.join("/");
+}
+
+/**
+ * Repository of an image: registry host, tag and digest removed.
+ * Returns null for empty references.
+ */
+function imageRepository(image) {
+    const path = stripRegistry(image).split("@")[0];
+    if (!path) return null;
+
+    // A ":" after the last "/" is a tag ("repo:tag"), not a port
+    const slash = path.lastIndexOf("/");
+    const colon = path.indexOf(":", slash + 1);
+    const repo = colon === -1 ? path : path.slice(0, colon);
+
+    return repo.startsWith("library/") ? repo.slice("library/".length) : repo || null;
+}
+
+module.exports = {
+    stripRegistry,
+    imageRepository
+};
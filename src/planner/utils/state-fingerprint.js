@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — State Fingerprint (PURE)
+ * Location: src/planner/utils/state-fingerprint.js
+ *
+ * Responsibility:
+ * - Capture the part of a state a plan depends on (its "basis")
+ * - Hash it so a later state can be checked for drift cheaply
+ *
+ * Basis shape (embedded in plans as plan.basis):
+ * {
+ *   fingerprint: "sha256:<hex>",
+ *   capturedAt:  <state.fetchedAt | null>,
+ *   containers:  [{ name, running, networks: [name], ports: [{ host, containerPort, protocol, ip }] }]
+ * }
+ *
+ * Only containers the plan touches are captured; image or container-ID
+ * changes (e.g. an image update that recreated the container) are not
+ * drift as long as ports, networks and running state are the same.
+ *
+ * HARD RULES:
+ * - Pure functions only
+ * - Deterministic: same state + same containers = same fingerprint
+ * ============================================================================
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const { containerBindings } = require("./diff");
+
+/* ============================================================================
+   Helpers
+============================================================================ */
+
+function findContainer(state, name) {
+    return (state?.containers || []).find(c => c?.name === name) || null;
+}
+
+function snapshotContainer(state, name) {
+    const c = findContainer(state, name);
+    const ports = containerBindings(state, name)
+        .map(b => ({ host: b.host, containerPort: b.containerPort, protocol: b.protocol, ip: b.ip }))
+        .sort((a, b) =>
+            a.containerPort - b.containerPort ||
+            a.protocol.localeCompare(b.protocol) ||
+            a.host - b.host ||
+            String(a.ip).localeCompare(String(b.ip))
+        );
+
+    if (!c && ports.length === 0) {
+        return { name, missing: true };
+    }
+
+    return {
+        name,
+        running: c ? (typeof c.running === "boolean" ? c.running : c.state === "running") : null,
+        networks: [...new Set((c?.networks || []).map(n => (typeof n === "string" ? n : n?.name)).filter(Boolean))].sort(),
+        ports
+    };
+}
+
+function hash(containers) {
+    return "sha256:" + crypto.createHash("sha256").update(JSON.stringify(containers)).digest("hex");
+}
+
+/* ============================================================================
+   Public API
+============================================================================ */
+
+/**
+ * Capture the basis of a plan: the current state of the given containers.
+ */
+function createStateBasis(state, containerNames) {
+    const containers = [...new Set(containerNames)]
+        .sort()
+        .map(name => snapshotContainer(state, name));
+
+    return {
+        fingerprint: hash(containers),
+        capturedAt: state?.fetchedAt ?? null,
+        containers
+    };
+}
+
+/**
+ * Fingerprint of a state restricted to the containers of an existing basis.
+ */
+function fingerprintFor(state, basis) {
+    return createStateBasis(state, (basis?.containers || []).map(c => c.name)).fingerprint;
+}
+
+/**
+ * Basis containers as a state document (diffState-compatible).
+ */
+function basisAsState(basis) {
+    return {
+        containers: (basis?.containers || [])
+            .filter(c => !c.missing)
+            .map(c => ({
+                name: c.name,
+                ...(c.running === null ? {} : { running: c.running }),
+                networks: c.networks.map(name => ({ name })),
+                ports: c.ports
+            }))
+    };
+}
+
+module.exports = {
+    createStateBasis,
+    fingerprintFor,
+    basisAsState
+};
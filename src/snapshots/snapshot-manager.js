@@ -4,7 +4,8 @@
  * Location: src/snapshots/snapshot-manager.js
  *
  * Responsibility:
- * - Save job snapshots to disk (JSON files)
+ * - Save job snapshots to disk (JSON files; config-changes.json holds
+ *   the env / label and file rewrites a job ran, so a restore can undo them)
  * - Load snapshots from disk
  * - Restore from snapshot (rollback to any point in time)
  * - Cleanup old snapshots
@@ -16,6 +17,11 @@
 const fs = require("fs");
 const path = require("path");
 
+const { diffState, summarizeDiff } = require("../planner/utils/diff");
+const { buildPortRestoreActions, buildConfigRestoreActions } = require("../planner/output/rollback-plan-builder");
+const { PLAN_SCHEMA_VERSION } = require("../planner/plan/plan-schema");
+const { addRegistrySync } = require("../planner/plan/registry-sync");
+
 // Snapshot directory
 const SNAPSHOTS_DIR = path.join(__dirname, "../../snapshots");
 
@@ -76,16 +82,22 @@ function saveJobSnapshot(job) {
     );
     
     // Generate and save diff
-    const diff = generatePortDiff(
-        job.preState.ports || [],
-        job.postState.ports || []
-    );
+    const diff = generateStateDiff(job.preState, job.postState);
     
     fs.writeFileSync(
         path.join(jobDir, "diff.json"),
         JSON.stringify(diff, null, 2)
     );
     
+    // Save config rewrites (only the changed values, never the full env)
+    const configActions = Array.isArray(job.configActions) ? job.configActions : [];
+    if (configActions.length > 0) {
+        fs.writeFileSync(
+            path.join(jobDir, "config-changes.json"),
+            JSON.stringify(configActions, null, 2)
+        );
+    }
+    
     // Save metadata
     const metadata = {
         jobId: job.id,
@@ -95,7 +107,8 @@ function saveJobSnapshot(job) {
         duration: job.finishedAt - job.startedAt,
         selectedContainers: job.selectedContainers || [],
         dryRun: job.dryRun || false,
-        kind: job.kind || "execution"
+        kind: job.kind || "execution",
+        configChanges: configActions.length
     };
     
     fs.writeFileSync(
@@ -109,69 +122,15 @@ function saveJobSnapshot(job) {
 }
 
 /**
- * Generate port diff showing what changed
+ * Generate the structural diff (containers, ports, networks, running state)
  */
-function generatePortDiff(prePorts, postPorts) {
-    const changes = [];
-    
-    const preMap = new Map();
-    const postMap = new Map();
-    
-    // Build maps
-    for (const p of prePorts) {
-        const key = `${p.container}:${p.containerPort}/${p.protocol}`;
-        preMap.set(key, p);
-    }
-    
-    for (const p of postPorts) {
-        const key = `${p.container}:${p.containerPort}/${p.protocol}`;
-        postMap.set(key, p);
-    }
-    
-    // Find changes
-    for (const [key, post] of postMap.entries()) {
-        const pre = preMap.get(key);
-        
-        if (!pre) {
-            // Added
-            changes.push({
-                type: "added",
-                container: post.container,
-                containerPort: post.containerPort,
-                protocol: post.protocol,
-                from: null,
-                to: post.host
-            });
-        } else if (pre.host !== post.host) {
-            // Changed
-            changes.push({
-                type: "changed",
-                container: post.container,
-                containerPort: post.containerPort,
-                protocol: post.protocol,
-                from: pre.host,
-                to: post.host
-            });
-        }
-    }
-    
-    // Find removed
-    for (const [key, pre] of preMap.entries()) {
-        if (!postMap.has(key)) {
-            changes.push({
-                type: "removed",
-                container: pre.container,
-                containerPort: pre.containerPort,
-                protocol: pre.protocol,
-                from: pre.host,
-                to: null
-            });
-        }
-    }
+function generateStateDiff(preState, postState) {
+    const changes = diffState(preState, postState);
     
     return {
         generatedAt: Date.now(),
         totalChanges: changes.length,
+        summary: summarizeDiff(changes),
         changes
     };
 }
@@ -249,13 +208,20 @@ function loadSnapshot(jobIdOrDir) {
         fs.readFileSync(path.join(snapshotDir, "metadata.json"), "utf8")
     );
     
+    // Older snapshots have no config rewrites
+    const configChangesPath = path.join(snapshotDir, "config-changes.json");
+    const configActions = fs.existsSync(configChangesPath)
+        ? JSON.parse(fs.readFileSync(configChangesPath, "utf8"))
+        : [];
+    
     return {
         directory: matchingDir,
         path: snapshotDir,
         preState,
         postState,
         diff,
-        metadata
+        metadata,
+        configActions
     };
 }
 
@@ -270,93 +236,34 @@ function createRestorePlan(snapshot, selectedContainers = null) {
         throw new Error("Snapshot missing state data");
     }
     
-    const prePorts = preState.ports || [];
-    const postPorts = postState.ports || [];
-    
-    // Filter by selected containers if provided
-    const allowed = selectedContainers 
-        ? new Set(selectedContainers)
-        : null;
-    
-    function shouldInclude(containerName) {
-        return !allowed || allowed.has(containerName);
-    }
-    
-    // Build restore actions (reverse the changes)
-    const actions = [];
-    
-    const preMap = new Map();
-    const postMap = new Map();
-    
-    for (const p of prePorts) {
-        if (!shouldInclude(p.container)) continue;
-        const key = `${p.container}:${p.containerPort}/${p.protocol}`;
-        preMap.set(key, p);
-    }
-    
-    for (const p of postPorts) {
-        if (!shouldInclude(p.container)) continue;
-        const key = `${p.container}:${p.containerPort}/${p.protocol}`;
-        postMap.set(key, p);
-    }
-    
-    // Group by container
-    const byContainer = new Map();
-    
-    // Changes: restore to pre-state
-    for (const [key, pre] of preMap.entries()) {
-        const post = postMap.get(key);
-        
-        if (!byContainer.has(pre.container)) {
-            byContainer.set(pre.container, { from: [], to: [] });
-        }
-        
-        const container = byContainer.get(pre.container);
-        
-        if (post) {
-            // Existed in both - restore old host port
-            container.from.push({
-                host: post.host,
-                container: pre.containerPort,
-                protocol: pre.protocol
-            });
-            container.to.push({
-                host: pre.host,
-                container: pre.containerPort,
-                protocol: pre.protocol
-            });
-        } else {
-            // Only in pre (was removed) - restore it
-            container.from.push(null);
-            container.to.push({
-                host: pre.host,
-                container: pre.containerPort,
-                protocol: pre.protocol
-            });
-        }
-    }
-    
-    // Build actions
-    for (const [containerName, ports] of byContainer.entries()) {
-        if (ports.to.length === 0) continue;
-        
-        actions.push({
-            type: "update-container-ports",
-            container: containerName,
-            from: ports.from.filter(Boolean),
-            to: ports.to,
-            reason: `Restore from snapshot ${snapshot.metadata.jobId}`
-        });
-    }
+    // Restore = move every changed container from post-state back to pre-state
+    const { actions, skipped } = buildPortRestoreActions({
+        current: postState,
+        target: preState,
+        selectedContainers,
+        reason: `Restore from snapshot ${snapshot.metadata.jobId}`
+    });
+    
+    // Env / label rewrites the job made for dependents go back with their moves
+    const configRestores = buildConfigRestoreActions(
+        snapshot.configActions,
+        selectedContainers,
+        `Restore config from snapshot ${snapshot.metadata.jobId}`
+    );
     
-    return {
+    // The post-state registry is what the restore moves away from
+    const plan = addRegistrySync({
+        schemaVersion: PLAN_SCHEMA_VERSION,
         kind: "restore",
         source: snapshot.metadata.jobId,
         sourceTimestamp: snapshot.metadata.finishedAt,
         dryRun: true,
         summary: `Restore ${actions.length} container(s) to snapshot state`,
-        actions
-    };
+        actions,
+        skipped
+    }, postState.registry ?? null);
+    
+    return { ...plan, actions: [...plan.actions, ...configRestores] };
 }
 
 /**
@@ -391,5 +298,6 @@ module.exports = {
     listSnapshots,
     loadSnapshot,
     createRestorePlan,
+    generateStateDiff,
     cleanupOldSnapshots
 };
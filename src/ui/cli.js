@@ -1,8 +1,6 @@
 "use strict";
 
-const { loadState } = require("../planner/inputs/state-loader");
-const classify = require("../planner/classify/classifier");
-const buildPlan = require("../planner/plan/plan-builder");
+const { generatePlan } = require("../planner");
 
 const savePlan = require("../executor/plan-saver");
 const loadPlan = require("../executor/plan-loader");
@@ -30,9 +28,19 @@ async function main() {
             const file = argv[2];
             if (!file) throw new Error("Usage: plan save <file>");
 
-            const state = await loadState({ baseUrl: "http://127.0.0.1:4100" });
-            const classification = classify(state);
-            const plan = buildPlan({ classification, overrides: {} });
+            const enforce = valueOf("--enforce");
+            const { plan } = await generatePlan({
+                mcpUrl: valueOf("--mcp-url"),
+                policyFile: valueOf("--policy"),
+                overridesFile: valueOf("--overrides"),
+                allocationsFile: valueOf("--allocations"),
+                knowledgeFile: valueOf("--knowledge"),
+                enforce: enforce === "all" ? "all" : enforce?.split(","),
+                repack: has("--repack"),
+                reconcileRegistry: has("--reconcile-registry"),
+                rewriteReferences: has("--rewrite-references"),
+                rewriteFiles: has("--rewrite-files")
+            });
 
             savePlan(plan, file);
             console.log(`Plan saved to ${file}`);
@@ -54,15 +62,20 @@ async function main() {
             apply: true,
             yes: has("--yes"),
             allowDockerMutation: has("--allow-docker-mutation"),
+            allowStale: has("--allow-stale"),
+            baseUrl: valueOf("--mcp-url"),
             plan: valueOf("--from-plan")
         });
         return;
     }
 
     console.log("Commands:");
-    console.log("  plan save <file>");
+    console.log("  plan save <file> [--mcp-url <url>] [--policy <file>] [--overrides <file>]");
+    console.log("                   [--allocations <file>] [--enforce <names|all>] [--repack]");
+    console.log("                   [--reconcile-registry] [--knowledge <file>] [--rewrite-references]");
+    console.log("                   [--rewrite-files]");
     console.log("  plan diff <file>");
-    console.log("  apply --from-plan <file> [--yes] [--allow-docker-mutation]");
+    console.log("  apply --from-plan <file> [--yes] [--allow-docker-mutation] [--allow-stale] [--mcp-url <url>]");
 }
 
 main().catch(err => {
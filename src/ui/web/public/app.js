@@ -213,6 +213,7 @@ window.PortImpactUI = {
                             ${c.references ? c.references.map(ref => `
                                 <div class="reference-item">
                                     <span class="ref-type">${ref.type.toUpperCase()}</span>
+                                    <span class="ref-type">${ref.addressing || 'unknown'}</span>
                                     <code class="ref-detail">${this.escapeHtml(ref.detail)}</code>
                                 </div>
                             `).join('') : `<div>${c.reason}</div>`}
@@ -226,40 +227,68 @@ window.PortImpactUI = {
             html += '</div>';
         }
 
-        // LOW CONFIDENCE - Network-based dependencies (INFORMATIONAL)
-        const lowConfidenceContainers = impact.affectedContainers ? 
-            impact.affectedContainers.filter(c => c.priority === 'low') : [];
+        // MEDIUM - Bare port numbers (REVIEW)
+        const reviewContainers = impact.affectedContainers ? 
+            impact.affectedContainers.filter(c => c.priority === 'medium') : [];
         
-        if (lowConfidenceContainers.length > 0) {
+        if (reviewContainers.length > 0) {
             html += '<div class="impact-section affected">';
-            html += `<h4>ðŸ“¦ ${lowConfidenceContainers.length} Container(s) on Shared Network</h4>`;
-            html += `<div class="info-note">â„¹ï¸ These containers share a network but no hardcoded references were detected.</div>`;
-            
-            // Group by category
-            const byCategory = {};
-            lowConfidenceContainers.forEach(c => {
-                const cat = c.category || 'unknown';
-                if (!byCategory[cat]) byCategory[cat] = [];
-                byCategory[cat].push(c);
+            html += `<h4>${reviewContainers.length} Container(s) With Possible References</h4>`;
+            html += `<div class="info-note">These mention port ${impact.currentPort} without an address. Check whether they mean the host port.</div>`;
+            reviewContainers.forEach(c => {
+                html += `<div class="affected-container">
+                    <strong>${c.name}</strong>
+                    <div class="reference-details">
+                        ${c.references.map(ref => `
+                            <div class="reference-item">
+                                <span class="ref-type">${ref.type.toUpperCase()}</span>
+                                <code class="ref-detail">${this.escapeHtml(ref.detail)}</code>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>`;
+            });
+            html += '</div>';
+        }
+
+        // FILES - Proxy / dashboard config lines (REFERENCE_SCAN_DIRS)
+        const fileReferences = (impact.fileReferences || []).filter(r => r.risk !== 'none');
+        
+        if (fileReferences.length > 0) {
+            html += '<div class="impact-section affected">';
+            html += `<h4>${fileReferences.length} Config File Line(s) Referencing Port ${impact.currentPort}</h4>`;
+            fileReferences.forEach(ref => {
+                html += `<div class="affected-container${ref.risk === 'breaking' ? ' critical' : ''}">
+                    <strong>${this.escapeHtml(ref.file)}:${ref.line}</strong>
+                    <div class="reference-details">
+                        <div class="reference-item">
+                            <span class="ref-type">${ref.addressing}</span>
+                            <code class="ref-detail">${this.escapeHtml(ref.text)}</code>
+                        </div>
+                        <div>${this.escapeHtml(ref.note)}</div>
+                    </div>
+                </div>`;
+            });
+            html += '</div>';
+        }
+
+        // NOT AFFECTED - Container-port references and shared networks (INFORMATIONAL)
+        const unaffected = [...(impact.unaffectedReferences || []), ...(impact.networkPeers || [])];
+        
+        if (unaffected.length > 0) {
+            html += '<div class="impact-section">';
+            html += `<h4>${unaffected.length} Container(s) Not Affected</h4>`;
+            html += '<div class="info-note">These reach the container by name, container IP or a shared network. That traffic uses the container port, which does not change.</div>';
+            unaffected.forEach(c => {
+                html += `<div class="affected-container">
+                    &bull; <strong>${c.name}</strong> - ${this.escapeHtml(c.reason)}
+                </div>`;
             });
-            
-            for (const [category, containers] of Object.entries(byCategory)) {
-                html += `<div class="category-group">`;
-                html += `<div class="category-label">${category.toUpperCase()} (${containers.length})</div>`;
-                containers.forEach(c => {
-                    html += `<div class="affected-container">
-                        â€¢ <strong>${c.name}</strong> - ${c.reason}
-                    </div>`;
-                });
-                html += `</div>`;
-            }
-            
-            html += '<div class="manual-note">ðŸ’¡ Review these containers - they may have configuration that references this port.</div>';
             html += '</div>';
         }
 
         // No affected containers at all
-        if (!impact.affectedContainers || impact.affectedContainers.length === 0) {
+        if ((!impact.affectedContainers || impact.affectedContainers.length === 0) && fileReferences.length === 0) {
             html += '<div class="impact-section success">';
             html += '<div class="check success">âœ… No containers appear to be affected</div>';
             html += '</div>';
@@ -271,14 +300,20 @@ window.PortImpactUI = {
         
         if (highConfidenceContainers.length > 0) {
             html += `ðŸ”´ CRITICAL: ${highConfidenceContainers.length} container(s) have hardcoded references that will break!`;
-        } else if (lowConfidenceContainers.length > 0) {
-            html += `âš ï¸ ${lowConfidenceContainers.length} container(s) on shared network - review recommended`;
+        } else if (reviewContainers.length > 0) {
+            html += `âš ï¸ ${reviewContainers.length} container(s) with possible references - review recommended`;
         } else if (impact.checks.portAvailable) {
             html += 'âœ… Port change looks safe!';
         } else if (!impact.checks.portAvailable) {
             html += 'âŒ Port is not available';
         }
         
+        if (fileReferences.length > 0) {
+            html += `<div style="margin-top: 8px;">
+                ${fileReferences.length} config file line(s) mention this port - update or rewrite them with the port change.
+            </div>`;
+        }
+        
         if (impact.summary && impact.summary.highConfidence > 0) {
             html += `<div style="margin-top: 8px; color: #ff6b6b; font-weight: 600;">
                 You must update ${impact.summary.highConfidence} container(s) before proceeding!
@@ -53,7 +53,11 @@ const CategoryOverridesUI = {
     },
 
     openCategoryOverride(containerName, ev) {
-        const categories = ["apps", "games", "system", "unknown"];
+        // Roles come from the active policy (reported by /api/plan)
+        const roles = window.ScanOrchestrator?.getLastPlanData()?.roles;
+        const categories = Array.isArray(roles) && roles.length > 0
+            ? [...roles.map(r => r.name), "unknown"]
+            : ["apps", "games", "system", "unknown"];
 
         const select = document.createElement("select");
         select.innerHTML = `
@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ * Port-MCP Enforcer — Health Tab
+ * Location: src/ui/web/public/health-tab-ui.js
+ *
+ * Responsibility:
+ * - Show analyzer findings from GET /api/analysis:
+ *   - host port collisions
+ *   - Port-MCP registry drift (unregistered ports in use, stale entries)
+ *   - network posture (host network, multi-network containers)
+ *   - network policy findings
+ * - Link every finding to the affected container row
+ * - Reconcile registry drift (reserve-port / release-port only) behind
+ *   the RECONCILE phrase; no container is restarted
+ *
+ * HARD RULES:
+ * - No Docker mutation from this tab
+ * ============================================================================
+ */
+
+"use strict";
+
+window.HealthTabUI = {
+
+    renderHealthView(containers) {
+        // Same pattern as the History tab: placeholder now, fetch in background
+        this.loadAndRenderHealth(containers);
+
+        return `
+<div class="panel">
+    <div id="health-content" style="text-align: center; padding: 4rem 2rem; color: var(--text-secondary);">
+        <div style="font-size: 48px; margin-bottom: 1rem; opacity: 0.5;">⏳</div>
+        <h2 style="font-size: 20px; font-weight: 600; margin-bottom: 0.5rem; color: var(--text-primary);">
+            Analyzing...
+        </h2>
+        <p>Checking port collisions, registry drift and network posture</p>
+    </div>
+</div>
+`;
+    },
+
+    async loadAndRenderHealth(containers) {
+        try {
+            const res = await fetch('/api/analysis');
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load analysis');
+
+            const target = document.getElementById('health-content');
+            if (!target) return; // tab changed while loading
+
+            target.removeAttribute('style');
+            target.innerHTML = this.renderHealthContent(data, containers);
+        } catch (err) {
+            console.error('Failed to load analysis:', err);
+            const target = document.getElementById('health-content');
+            if (target) {
+                target.innerHTML = `
+                    <div style="text-align: center; padding: 2rem; color: var(--accent-red);">
+                        Failed to load analysis: ${this.esc(err.message)}
+                    </div>
+                `;
+            }
+        }
+    },
+
+    renderHealthContent(data, containers) {
+        const known = new Set((containers || []).map(c => c.name));
+        const ports = data.ports || {};
+        const posture = data.networks?.posture || {};
+        const compliance = data.networkCompliance || [];
+
+        const collisions = ports.collisions || [];
+        const unregistered = ports.drift?.unregisteredInUse || [];
+        const stale = ports.drift?.staleRegistry || [];
+        const hostNet = posture.hostNetContainers || [];
+        const multiNet = posture.multiNetworkContainers || [];
+
+        let html = '<div class="history-view">';
+
+        html += `
+<div class="category-section">
+    <div class="health-summary">
+        ${this.renderStat('Collisions', collisions.length)}
+        ${this.renderStat('Unregistered in use', unregistered.length)}
+        ${this.renderStat('Stale registry entries', stale.length)}
+        ${this.renderStat('Network policy findings', compliance.length)}
+        ${this.renderStat('Host network', hostNet.length)}
+        ${this.renderStat('Multi-network', multiNet.length)}
+    </div>
+    ${unregistered.length + stale.length > 0 ? `
+    <div style="margin-top: 16px; display: flex; align-items: center; gap: 12px;">
+        <button class="btn-reconcile" onclick="window.HealthTabUI.reconcileRegistry()">
+            🔧 Reconcile registry
+        </button>
+        <span class="health-muted" style="font-size: 12px;">
+            Registers published ports and releases stale entries in Port-MCP. No container restarts.
+        </span>
+    </div>` : ''}
+</div>
+`;
+
+        html += this.renderSection('💥', 'Port Collisions', '#f85149', collisions, c => `
+<div class="health-row">
+    <span class="health-key">${c.host}/${this.esc(c.protocol)}</span>
+    <span>${c.usedBy.map(u => this.containerLink(u.containerName || u.containerId, known)).join(', ')}</span>
+</div>`, 'No host port is published by more than one container');
+
+        html += this.renderSection('📝', 'Unregistered Ports In Use', '#ff9966', unregistered, p => `
+<div class="health-row">
+    <span class="health-key">${p.host}/${this.esc(p.protocol)}</span>
+    <span>${this.containerLink(p.containerName || p.containerId, known)}</span>
+    <span class="health-muted">→ ${p.containerPort ?? '?'}</span>
+</div>`, 'Every published port is registered in Port-MCP');
+
+        html += this.renderSection('🗑️', 'Stale Registry Entries', '#d29922', stale, r => `
+<div class="health-row">
+    <span class="health-key">${r.host}/${this.esc(r.protocol)}</span>
+    <span>${r.owner ? this.containerLink(r.owner, known) : '<span class="health-muted">no owner</span>'}</span>
+    <span class="health-muted">${this.esc(r.range || '')}${r.createdAt ? ` · registered ${this.esc(r.createdAt)}` : ''}</span>
+</div>`, 'Every registry entry matches a published port');
+
+        html += this.renderSection('🛡️', 'Network Policy', '#f85149', compliance, c => `
+<div class="health-row" style="flex-direction: column; align-items: flex-start; gap: 4px;">
+    <span>${this.containerLink(c.container, known)} <span class="health-muted">(${this.esc(c.role)} · ${this.esc(c.networks.join(', ') || 'no network')})</span></span>
+    ${c.findings.map(f => `
+    <span class="health-${f.severity === 'error' ? 'error' : 'warning'}">
+        ${f.severity === 'error' ? '✖' : '⚠'} ${this.esc(f.message)}${f.fixable ? ' <span class="health-muted">(fixable by plan)</span>' : ''}
+    </span>`).join('')}
+</div>`, 'All containers follow the network rules of their role');
+
+        html += this.renderSection('🌐', 'Host Network Containers', '#58a6ff', hostNet, c => `
+<div class="health-row">
+    <span>${this.containerLink(c.name, known)}</span>
+    <span class="health-muted">shares the host network stack; its ports are not published through Docker</span>
+</div>`, 'No container uses the host network');
+
+        html += this.renderSection('🔀', 'Multi-Network Containers', '#58a6ff', multiNet, c => `
+<div class="health-row">
+    <span>${this.containerLink(c.name, known)}</span>
+    <span class="health-muted">${c.networks.map(n => this.esc(n)).join(', ')}</span>
+</div>`, 'No container is attached to more than one network');
+
+        html += '</div>';
+        return html;
+    },
+
+    renderStat(label, count) {
+        return `
+<div class="health-stat">
+    <strong class="${count > 0 ? 'health-warning' : ''}">${count}</strong>
+    ${label}
+</div>`;
+    },
+
+    renderSection(icon, title, color, items, renderItem, emptyText) {
+        const body = items.length > 0
+            ? items.map(renderItem).join('')
+            : `<div class="health-muted" style="font-size: 13px;">✓ ${emptyText}</div>`;
+
+        return `
+<div class="category-section">
+    <h3 class="category-header" style="border-left-color: ${color};">
+        <span class="category-icon">${icon}</span>
+        ${title}
+        <span class="category-count">${items.length}</span>
+    </h3>
+    <div class="changes-list">
+        ${body}
+    </div>
+</div>
+`;
+    },
+
+    containerLink(name, known) {
+        if (!name) return '<span class="health-muted">unknown</span>';
+        if (!known.has(name)) return this.esc(name);
+
+        const arg = this.esc(JSON.stringify(name));
+        return `<a class="health-link" onclick="window.HealthTabUI.showContainer(${arg})">${this.esc(name)}</a>`;
+    },
+
+    async reconcileRegistry() {
+        let plan;
+        try {
+            const res = await fetch('/api/registry/reconcile');
+            plan = await res.json();
+            if (!res.ok) throw new Error(plan.error || 'Failed to build reconcile plan');
+        } catch (err) {
+            alert(`Reconcile error: ${err.message}`);
+            return;
+        }
+
+        const skipped = plan.reconciliation?.skipped || [];
+        const skippedText = skipped.length > 0
+            ? `\n\nLeft alone (${skipped.length}):\n` +
+              skipped.map(s => `• ${s.host}/${s.protocol}${s.container ? ` (${s.container})` : ''}: ${s.reason}`).join('\n')
+            : '';
+
+        if (plan.actions.length === 0) {
+            alert(`Nothing to reconcile.${skippedText}`);
+            return;
+        }
+
+        const lines = plan.actions.map(a =>
+            `• ${a.type === 'reserve-port' ? 'Reserve' : 'Release'} ` +
+            `${a.ports.map(p => `${p.host}/${p.protocol}`).join(', ')} for ${a.container}`
+        );
+
+        if (!confirm(`Apply these Port-MCP registry changes?\n\n${lines.join('\n')}${skippedText}`)) {
+            return;
+        }
+
+        const confirmPhrase = 'RECONCILE';
+        const typed = prompt(
+            `This changes the Port-MCP registry only (no container restarts).\n\n` +
+            `Type "${confirmPhrase}" to confirm:`
+        );
+
+        if (typed !== confirmPhrase) {
+            alert('Reconcile cancelled');
+            return;
+        }
+
+        try {
+            const res = await fetch('/api/registry/reconcile', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    planObject: plan,
+                    confirmPhrase,
+                    dryRun: false
+                })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                throw new Error(err.error || 'Reconcile failed');
+            }
+
+            const { jobId } = await res.json();
+            const job = await this.waitForJob(jobId);
+
+            if (job.status === 'failed') throw new Error(job.error || 'Reconcile failed');
+
+            alert(`Registry reconciled (${plan.actions.length} action(s)).`);
+            window.TabsUI.switchTab('health');
+        } catch (err) {
+            alert(`Reconcile error: ${err.message}`);
+        }
+    },
+
+    async waitForJob(jobId) {
+        for (;;) {
+            const res = await fetch(`/api/jobs/${jobId}`);
+            if (!res.ok) throw new Error('Lost track of reconcile job');
+
+            const job = await res.json();
+            if (job.status !== 'running') return job;
+
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    },
+
+    /**
+     * Jump to a container row. Standardized containers are not on the
+     * Overview tab, so fall back to the Standardized tab.
+     */
+    showContainer(name) {
+        const selector = `tr[data-container="${CSS.escape(name)}"]`;
+
+        for (const tab of ['overview', 'standardized']) {
+            window.TabsUI.switchTab(tab);
+            const row = document.querySelector(selector);
+            if (!row) continue;
+
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            row.classList.add('row-focus');
+            setTimeout(() => row.classList.remove('row-focus'), 2500);
+            return;
+        }
+    },
+
+    esc(value) {
+        return window.UIHelpers.escapeHtml(value ?? '');
+    }
+};
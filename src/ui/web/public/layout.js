@@ -319,6 +319,84 @@
   font-weight: 600;
 }
 
+/* =========================
+   Health View
+========================= */
+
+.health-summary {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+}
+
+.health-stat {
+  background: var(--bg-tertiary);
+  border: 1px solid var(--border-color);
+  border-radius: 8px;
+  padding: 10px 14px;
+  font-size: 12px;
+  color: var(--text-secondary);
+}
+
+.health-stat strong {
+  display: block;
+  font-size: 18px;
+  color: var(--text-primary);
+}
+
+.health-row {
+  display: flex;
+  align-items: baseline;
+  gap: 12px;
+  padding: 8px 12px;
+  background: var(--bg-tertiary);
+  border: 1px solid var(--border-color);
+  border-radius: 6px;
+  font-size: 13px;
+}
+
+.health-key {
+  font-family: 'JetBrains Mono', 'Fira Code', monospace;
+  font-weight: 600;
+  min-width: 110px;
+  color: var(--text-primary);
+}
+
+.health-link {
+  color: var(--accent-blue);
+  cursor: pointer;
+  text-decoration: none;
+}
+
+.health-link:hover {
+  text-decoration: underline;
+}
+
+.btn-reconcile {
+  background: linear-gradient(135deg, var(--accent-blue), #4a8fe0);
+  color: white;
+  border: none;
+  padding: 8px 16px;
+  border-radius: 6px;
+  font-size: 13px;
+  font-weight: 600;
+  cursor: pointer;
+  box-shadow: var(--shadow-sm);
+}
+
+.btn-reconcile:hover {
+  box-shadow: var(--shadow-md);
+  transform: translateY(-1px);
+}
+
+.health-error { color: var(--accent-red); }
+.health-warning { color: var(--accent-orange); }
+.health-muted { color: var(--text-muted); }
+
+tbody tr.row-focus td {
+  background: rgba(88, 166, 255, 0.15) !important;
+}
+
 /* =========================
    Base Layout
 ========================= */
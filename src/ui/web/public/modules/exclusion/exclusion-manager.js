@@ -6,6 +6,8 @@
  * Responsibility:
  * - Track which containers are excluded from standardization
  * - Persist exclusions to backend
+ * - Merge read-only exclusions declared by container labels
+ *   (port-mcp.exclude=true); those cannot be toggled from the UI
  * - Trigger re-render on changes
  *
  * HARD RULES:
@@ -23,6 +25,7 @@ window.ExclusionManager = (function() {
     ==================================================================== */
     
     let exclusions = new Set();
+    let labelExclusions = new Set();
     
     /* ====================================================================
        Public API
@@ -32,13 +35,32 @@ window.ExclusionManager = (function() {
      * Check if a container is excluded
      */
     function isExcluded(containerName) {
-        return exclusions.has(containerName);
+        return exclusions.has(containerName) || labelExclusions.has(containerName);
+    }
+    
+    /**
+     * Check if a container is excluded by its port-mcp.exclude label
+     */
+    function isLabelExcluded(containerName) {
+        return labelExclusions.has(containerName);
+    }
+    
+    /**
+     * Replace the set of label-excluded containers (from /api/plan)
+     */
+    function setLabelExcluded(containerNames) {
+        labelExclusions = new Set(containerNames || []);
     }
     
     /**
      * Toggle exclusion for a container
      */
     function toggle(containerName) {
+        if (labelExclusions.has(containerName)) {
+            console.warn(`[ExclusionManager] ${containerName} is excluded by container label`);
+            return;
+        }
+        
         if (exclusions.has(containerName)) {
             exclusions.delete(containerName);
         } else {
@@ -56,6 +78,8 @@ window.ExclusionManager = (function() {
      * Set exclusion state for a container
      */
     function setExcluded(containerName, excluded) {
+        if (labelExclusions.has(containerName)) return;
+        
         if (excluded) {
             exclusions.add(containerName);
         } else {
@@ -70,14 +94,14 @@ window.ExclusionManager = (function() {
      * Get all excluded containers
      */
     function getExcluded() {
-        return Array.from(exclusions);
+        return Array.from(new Set([...exclusions, ...labelExclusions]));
     }
     
     /**
      * Get count of excluded containers
      */
     function count() {
-        return exclusions.size;
+        return getExcluded().length;
     }
     
     /**
@@ -140,6 +164,8 @@ window.ExclusionManager = (function() {
     
     return {
         isExcluded,
+        isLabelExcluded,
+        setLabelExcluded,
         toggle,
         setExcluded,
         getExcluded,
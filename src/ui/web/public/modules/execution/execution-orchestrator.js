@@ -67,6 +67,7 @@ window.ExecutionOrchestrator = (function() {
                 selectedContainers,
                 categoryOverrides: window.CategoryOverridesUI?.categoryOverrides || {},
                 policyEnforcement: window.PolicyEnforcementUI?.getIntent() || {},
+                repack: window.PolicyEnforcementUI?.getRepack() || false,
                 allowDockerMutation,
                 dryRun,
                 confirmPhrase: confirmText
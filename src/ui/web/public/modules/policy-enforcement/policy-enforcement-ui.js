@@ -23,6 +23,7 @@ window.PolicyEnforcementUI = (function() {
     ==================================================================== */
     
     let enforcementIntent = {};
+    let repack = false;
     
     /* ====================================================================
        Public API
@@ -89,6 +90,24 @@ window.PolicyEnforcementUI = (function() {
         );
     }
     
+    /**
+     * Whether the next plan should repack incremental layouts
+     * (ignore sticky ledger assignments and renumber from startPort)
+     * @returns {boolean}
+     */
+    function getRepack() {
+        return repack;
+    }
+    
+    /**
+     * Enable / disable repack for the next plan
+     * @param {boolean} enabled
+     */
+    function setRepack(enabled) {
+        repack = enabled === true;
+        triggerReplan();
+    }
+    
     /* ====================================================================
        Internal Helpers
     ==================================================================== */
@@ -121,7 +140,9 @@ window.PolicyEnforcementUI = (function() {
         set,
         clearAll,
         count,
-        getSelectedContainers
+        getSelectedContainers,
+        getRepack,
+        setRepack
     };
 })();
 
@@ -134,3 +155,6 @@ window.setPolicyEnforcementIntent = (name, enabled) =>
 
 window.clearPolicyEnforcementIntent = () =>
     window.PolicyEnforcementUI.clearAll();
+
+window.setPolicyRepack = (enabled) =>
+    window.PolicyEnforcementUI.setRepack(enabled);
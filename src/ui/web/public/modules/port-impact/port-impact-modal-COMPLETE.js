@@ -1,6 +1,10 @@
 /**
  * Port-MCP Enforcer - Enhanced Port Impact Modal
  * v1.0.7 - Fixed to include ALL ports in from/to arrays (not just changed ones)
+ * Companion rewrites: env vars / labels of dependent containers that
+ * hardcode a moved port can be rewritten in the same job (opt-in)
+ * File references: lines of proxy / dashboard configs in the server's
+ * REFERENCE_SCAN_DIRS are listed, and can be rewritten too (opt-in)
  */
 
 "use strict";
@@ -10,6 +14,7 @@ window.PortImpactModalComplete = {
     currentPorts: [],
     originalPorts: [],
     suggestions: {},
+    lastImpact: null,
     
     async show(containerName, portHost = null, portProto = null) {
         const containerData = await this.fetchContainerData(containerName);
@@ -21,6 +26,7 @@ window.PortImpactModalComplete = {
         
         this.currentContainer = containerData;
         this.currentPorts = containerData.ports || [];
+        this.suggestions = {};
         
         await this.fetchOriginalPorts(containerName);
         
@@ -180,11 +186,25 @@ window.PortImpactModalComplete = {
             let suggestion = null;
             
             if (!isProtected) {
-                suggestion = await this.getSuggestion(port.host, port.protocol, suggestedPorts);
+                // Ports of a game group (or the other half of a TCP/UDP pair)
+                // were already suggested together with their sibling
+                suggestion = this.findSiblingSuggestion(port) ||
+                    await this.getSuggestion(port.host, port.protocol, suggestedPorts);
                 
                 if (suggestion) {
                     this.suggestions[`${port.host}-${port.protocol}`] = suggestion;
                     suggestedPorts.add(suggestion.port);
+                    
+                    for (const move of suggestion.groupMoves || []) {
+                        const siblingKey = `${move.host}-${move.protocol}`;
+                        if (this.suggestions[siblingKey]) continue;
+                        this.suggestions[siblingKey] = {
+                            port: move.suggested,
+                            range: suggestion.range,
+                            reason: `Moves with ${port.host}/${port.protocol} (${move.purpose} port)`
+                        };
+                        suggestedPorts.add(move.suggested);
+                    }
                 }
             }
             
@@ -213,13 +233,25 @@ window.PortImpactModalComplete = {
             });
             
             const data = await res.json();
-            return (data.success && data.suggestedPort) ? data.suggestedPort : null;
+            return (data.success && data.suggestedPort)
+                ? { ...data.suggestedPort, groupMoves: data.groupMoves || [] }
+                : null;
         } catch (err) {
             console.error('Failed to get suggestion:', err);
             return null;
         }
     },
     
+    findSiblingSuggestion(port) {
+        const exact = this.suggestions[`${port.host}-${port.protocol}`];
+        if (exact) return exact;
+        
+        const pair = Object.entries(this.suggestions).find(([key]) => key.startsWith(`${port.host}-`));
+        return pair
+            ? { port: pair[1].port, range: pair[1].range, reason: `Moves with its ${pair[0].split('-')[1].toUpperCase()} pair` }
+            : null;
+    },
+    
     renderPortRow(port, suggestion, isProtected = false) {
         const key = `${port.host}-${port.protocol}`;
         const hasAutoSuggestion = suggestion !== null;
@@ -311,8 +343,13 @@ window.PortImpactModalComplete = {
         let combinedImpact = {
             highConfidence: new Set(),
             lowConfidence: new Set(),
+            unaffected: new Set(),
             allAvailable: true,
-            changes: changes
+            changes: changes,
+            rewrites: [],
+            fileReferences: [],
+            fileRewrites: [],
+            skippedReferences: []
         };
         
         for (const change of changes) {
@@ -340,6 +377,26 @@ window.PortImpactModalComplete = {
                         }
                     });
                 }
+                
+                // Container-port references and shared networks survive a host-port move
+                for (const c of [...(impact.unaffectedReferences || []), ...(impact.networkPeers || [])]) {
+                    combinedImpact.unaffected.add(c.name);
+                }
+                
+                // Preview only: the server plans the rewrites again for the whole move
+                for (const action of impact.companionActions || []) {
+                    for (const c of action.env || []) {
+                        combinedImpact.rewrites.push({ container: action.container, what: `env ${c.name}`, from: c.from, to: c.to });
+                    }
+                    for (const c of action.labels || []) {
+                        combinedImpact.rewrites.push({ container: action.container, what: `label ${c.key}`, from: c.from, to: c.to });
+                    }
+                    for (const c of action.changes || []) {
+                        combinedImpact.fileRewrites.push({ file: action.file, line: c.line, from: c.from.trim(), to: c.to.trim() });
+                    }
+                }
+                combinedImpact.fileReferences.push(...(impact.fileReferences || []).filter(r => r.risk !== 'none'));
+                combinedImpact.skippedReferences.push(...(impact.skippedReferences || []));
             } catch (err) {
                 console.error('Impact analysis failed:', err);
             }
@@ -359,25 +416,76 @@ window.PortImpactModalComplete = {
             ? '<div class="alert alert-success">All new ports are available</div>'
             : '<div class="alert alert-error">Some ports are already in use!</div>';
         
+        const esc = value => window.UIHelpers.escapeHtml(value ?? '');
+        
         if (impact.highConfidence.size > 0) {
             html += `
 <div class="impact-critical">
-    <h5>${impact.highConfidence.size} Container(s) With Hardcoded References</h5>
+    <h5>${impact.highConfidence.size} Container(s) Reaching This Port Through the Host</h5>
     <ul>${Array.from(impact.highConfidence).map(name => `<li>${name}</li>`).join('')}</ul>
-    <div class="warning-note">These containers WILL BREAK and must be updated manually!</div>
+    <div class="warning-note">These containers WILL BREAK unless their references are rewritten below or updated manually!</div>
+</div>`;
+        }
+        
+        if (impact.rewrites.length > 0) {
+            html += `
+<div class="impact-info">
+    <h5>${impact.rewrites.length} Reference(s) Can Be Rewritten</h5>
+    <ul>${impact.rewrites.map(r => `<li><strong>${esc(r.container)}</strong> ${esc(r.what)}: <code>${esc(r.from)}</code> -> <code>${esc(r.to)}</code></li>`).join('')}</ul>
+    <label>
+        <input type="checkbox" id="gate-rewrite" onchange="window.PortImpactModalComplete.updateExecutionSummary()">
+        Rewrite these references (recreates ${new Set(impact.rewrites.map(r => r.container)).size} dependent container(s); rolled back with the port change)
+    </label>
+</div>`;
+        }
+        
+        if (impact.fileReferences.length > 0) {
+            html += `
+<div class="impact-critical">
+    <h5>${impact.fileReferences.length} Config File Line(s) Referencing This Port</h5>
+    <ul>${impact.fileReferences.map(r => `<li><strong>${esc(r.file)}:${r.line}</strong> <code>${esc(r.text)}</code> - ${esc(r.note)}</li>`).join('')}</ul>
+</div>`;
+        }
+        
+        if (impact.fileRewrites.length > 0) {
+            html += `
+<div class="impact-info">
+    <h5>${impact.fileRewrites.length} File Line(s) Can Be Rewritten</h5>
+    <ul>${impact.fileRewrites.map(r => `<li><strong>${esc(r.file)}:${r.line}</strong> <code>${esc(r.from)}</code> -> <code>${esc(r.to)}</code></li>`).join('')}</ul>
+    <label>
+        <input type="checkbox" id="gate-rewrite-files" onchange="window.PortImpactModalComplete.updateExecutionSummary()">
+        Rewrite these lines (a backup is kept next to each file; rolled back with the port change)
+    </label>
+</div>`;
+        }
+        
+        if (impact.skippedReferences.length > 0) {
+            html += `
+<div class="impact-info">
+    <h5>References Left Alone</h5>
+    <ul>${impact.skippedReferences.map(r => `<li><strong>${esc(r.file ? r.location : r.container)}</strong>${r.file ? '' : ` ${esc(r.location)}`}: ${esc(r.reason)}</li>`).join('')}</ul>
 </div>`;
         }
         
         if (impact.lowConfidence.size > 0) {
             html += `
 <div class="impact-info">
-    <h5>${impact.lowConfidence.size} Container(s) on Shared Network</h5>
+    <h5>${impact.lowConfidence.size} Container(s) With Possible References</h5>
     <ul>${Array.from(impact.lowConfidence).map(name => `<li>${name}</li>`).join('')}</ul>
-    <div class="info-note">These containers share a network - review recommended</div>
+    <div class="info-note">Bare port numbers without an address - check whether they mean the host port</div>
 </div>`;
         }
         
-        if (impact.highConfidence.size === 0 && impact.lowConfidence.size === 0) {
+        const unaffected = [...impact.unaffected]
+            .filter(name => !impact.highConfidence.has(name) && !impact.lowConfidence.has(name));
+        if (unaffected.length > 0) {
+            html += `
+<div class="info-note">
+    Not affected: ${esc(unaffected.join(', '))} (container name, container IP or shared network - uses the container port)
+</div>`;
+        }
+        
+        if (impact.highConfidence.size === 0 && impact.lowConfidence.size === 0 && impact.fileReferences.length === 0) {
             html += '<div class="alert alert-success">No containers appear to be affected</div>';
         }
         
@@ -385,11 +493,19 @@ window.PortImpactModalComplete = {
         return html;
     },
     
-    updateExecutionSummary(impact) {
+    updateExecutionSummary(impact = this.lastImpact) {
+        this.lastImpact = impact;
+        const rewrite = document.getElementById('gate-rewrite')?.checked === true;
+        const rewriteFiles = document.getElementById('gate-rewrite-files')?.checked === true;
+        const dependents = [...new Set(impact.rewrites.map(r => r.container))];
+        const files = [...new Set(impact.fileRewrites.map(r => r.file))];
+        
         document.getElementById('execution-summary').innerHTML = `
 <div class="summary-box">
     <strong>Changes to apply:</strong>
-    <ul>${impact.changes.map(c => `<li>${c.protocol.toUpperCase()} ${c.currentPort} -> ${c.newPort}</li>`).join('')}</ul>
+    <ul>${impact.changes.map(c => `<li>${c.protocol.toUpperCase()} ${c.currentPort} -> ${c.newPort}</li>`).join('')}
+    ${rewrite && dependents.length > 0 ? `<li>Rewrite references in ${window.UIHelpers.escapeHtml(dependents.join(', '))}</li>` : ''}
+    ${rewriteFiles && files.length > 0 ? `<li>Rewrite ${window.UIHelpers.escapeHtml(files.join(', '))}</li>` : ''}</ul>
 </div>`;
     },
     
@@ -475,7 +591,9 @@ window.PortImpactModalComplete = {
                     allowDockerMutation: mutation,
                     dryRun: dryRun && !mutation,
                     confirmPhrase: "I UNDERSTAND THIS WILL CAUSE DOWNTIME",
-                    planObject: plan
+                    planObject: plan,
+                    rewriteReferences: document.getElementById('gate-rewrite')?.checked === true,
+                    rewriteFiles: document.getElementById('gate-rewrite-files')?.checked === true
                 })
             });
             
@@ -58,6 +58,8 @@ window.RenderOrchestrator = (function() {
             content = renderStandardizedTab(containers, portsByContainer);
         } else if (currentTab === 'history') {
             content = renderHistoryTab(containers);
+        } else if (currentTab === 'health') {
+            content = renderHealthTab(containers);
         }
         
         out.innerHTML = tabBar + content;
@@ -114,10 +116,26 @@ window.RenderOrchestrator = (function() {
             name: c.name || c.container || c.id || "(unknown)",
             category: planData.classification?.[c.name]?.category || "unknown",
             confidence: planData.classification?.[c.name]?.confidence ?? null,
+            source: planData.classification?.[c.name]?.source || null,
+            learnedFrom: planData.classification?.[c.name]?.learnedFrom || null,
+            knownImage: planData.classification?.[c.name]?.knownImage || null,
+            tags: planData.classification?.[c.name]?.tags || [],
             _raw: c
         }));
     }
     
+    /**
+     * UI overrides minus containers whose category comes from a
+     * port-mcp.category label (labels are authoritative)
+     */
+    function effectiveOverrides(containers) {
+        const overrides = { ...(window.CategoryOverridesUI?.categoryOverrides || {}) };
+        for (const c of containers) {
+            if (c.source === "label") delete overrides[c.name];
+        }
+        return overrides;
+    }
+    
     function buildPortsByContainer(scanData) {
         const map = {};
         for (const p of scanData.ports || []) {
@@ -148,7 +166,7 @@ window.RenderOrchestrator = (function() {
             const standardized = window.StandardizedTabUI.getStandardizedContainers(
                 containers,
                 portsByContainer,
-                window.CategoryOverridesUI?.categoryOverrides || {}
+                effectiveOverrides(containers)
             );
             standardizedNames = new Set(standardized.map(c => c.name));
         }
@@ -169,7 +187,7 @@ window.RenderOrchestrator = (function() {
             containers,
             portsByContainer,
             actionsByContainer,
-            categoryOverrides: window.CategoryOverridesUI?.categoryOverrides || {},
+            categoryOverrides: effectiveOverrides(containers),
             isExecuting: window.ExecutionOrchestrator?.isExecuting() || false,
             CONF_OVERRIDE_THRESHOLD,
             plan: planObj,
@@ -191,7 +209,7 @@ window.RenderOrchestrator = (function() {
         return window.StandardizedTabUI.renderStandardizedTab(
             containers,
             portsByContainer,
-            window.CategoryOverridesUI?.categoryOverrides || {},
+            effectiveOverrides(containers),
             window.renderPorts
         );
     }
@@ -205,12 +223,21 @@ window.RenderOrchestrator = (function() {
         );
     }
     
+    function renderHealthTab(containers) {
+        if (!window.HealthTabUI) {
+            return '<div class="panel">Health tab not loaded</div>';
+        }
+        
+        return window.HealthTabUI.renderHealthView(containers);
+    }
+    
     /* ====================================================================
        Info Panel (replaces Execution Gates)
     ==================================================================== */
     
     function renderInfoPanel() {
         const excludedCount = window.ExclusionManager?.count() || 0;
+        const repack = window.PolicyEnforcementUI?.getRepack() || false;
         
         return `
 <div class="panel" style="border-left: 3px solid #58a6ff;">
@@ -256,6 +283,22 @@ window.RenderOrchestrator = (function() {
     </div>
 </div>
 
+<div class="panel" style="border-left: 3px solid #bc8cff;">
+    <h3 style="font-size: 14px; margin-bottom: 10px;">📌 Sticky Port Layout</h3>
+    <div style="font-size: 12px; line-height: 1.6; opacity: 0.9;">
+        <p style="margin-bottom: 8px;">
+            Enforced containers keep their previously assigned ports.
+            Only newly enrolled containers get fresh ports.
+        </p>
+        <label style="display: flex; align-items: center; gap: 6px; cursor: pointer;">
+            <input type="checkbox"
+                   ${repack ? 'checked' : ''}
+                   onchange="window.setPolicyRepack(this.checked)">
+            <span>Repack layouts (renumber enforced containers from the start port)</span>
+        </label>
+    </div>
+</div>
+
 ${excludedCount > 0 ? `
 <div class="panel" style="border-left: 3px solid #ff9966;">
     <h3 style="font-size: 14px; margin-bottom: 10px;">🚫 Excluded Containers</h3>
@@ -58,12 +58,19 @@ window.ScanOrchestrator = (function() {
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
                 categoryOverrides: window.CategoryOverridesUI?.categoryOverrides || {},
-                policyEnforcement: window.PolicyEnforcementUI?.getIntent() || {}
+                policyEnforcement: window.PolicyEnforcementUI?.getIntent() || {},
+                repack: window.PolicyEnforcementUI?.getRepack() || false
             })
         });
         
         lastPlanData = await res.json();
         
+        // Containers excluded via port-mcp.exclude=true label
+        const labelExcluded = Object.entries(lastPlanData.classification || {})
+            .filter(([, info]) => (info.tags || []).includes("excluded-by-label"))
+            .map(([name]) => name);
+        window.ExclusionManager?.setLabelExcluded(labelExcluded);
+        
         if (typeof window.render === 'function') {
             window.render();
         }
@@ -55,7 +55,9 @@ function renderContainersTable({
         const ports = portsByContainer[name] || [];
         const isExcluded = exclusions.has(name);
 
-        const override = categoryOverrides[name];
+        const fromLabel = c.source === "label";
+        const labelExcluded = window.ExclusionManager?.isLabelExcluded?.(name) || false;
+        const override = fromLabel ? null : categoryOverrides[name];
         const confidence = override ? 1.0 : c.confidence;
 
         const blocking = actions.find(a => 
@@ -67,6 +69,12 @@ function renderContainersTable({
         const policyInfo = actions.find(a => 
             a.policyContext?.status === "present-not-enforced"
         );
+        const layoutBlocked = actions.find(a =>
+            String(a.policyContext?.status || "").startsWith("blocked-")
+        );
+        const networkIssue = actions.find(a =>
+            (a.policyContext?.networkFindings || []).length > 0
+        );
 
         let statusText = "OK";
         let statusClass = "status-ok";
@@ -76,6 +84,10 @@ function renderContainersTable({
             statusText = "Manual review";
             statusClass = "status-error";
             title = formatPolicyTitle(blocking);
+        } else if (layoutBlocked) {
+            statusText = "Blocked";
+            statusClass = "status-error";
+            title = formatPolicyTitle(layoutBlocked);
         } else if (enforceable) {
             statusText = "Policy (opt-in)";
             statusClass = "status-warn";
@@ -84,6 +96,10 @@ function renderContainersTable({
             statusText = "Policy present";
             statusClass = "status-info";
             title = formatPolicyTitle(policyInfo);
+        } else if (networkIssue) {
+            statusText = "Network policy";
+            statusClass = "status-warn";
+            title = formatPolicyTitle(networkIssue);
         }
 
         const showCheckbox =
@@ -105,25 +121,42 @@ function renderContainersTable({
             name,
             confidence,
             override,
+            fromLabel,
             CONF_OVERRIDE_THRESHOLD
         });
 
         // VERSION B: Dedicated checkbox column
         // FIX: Use correct method name toggle() not toggleExclusion()
-        const excludeCheckbox = `
+        const excludeCheckbox = labelExcluded
+            ? `
+            <input type="checkbox" 
+                   class="exclude-checkbox"
+                   checked
+                   disabled
+                   title="Excluded by container label port-mcp.exclude">
+        `
+            : `
             <input type="checkbox" 
                    class="exclude-checkbox"
                    ${isExcluded ? 'checked' : ''}
                    onchange="window.ExclusionManager.toggle('${name}')"
                    title="${isExcluded ? 'Click to include in automation' : 'Click to exclude from automation'}">
         `;
+        
+        const categoryHtml = fromLabel
+            ? `${c.category} <span class="label-source" title="Set by container label port-mcp.category">🏷️</span>`
+            : !override && c.learnedFrom
+                ? `${c.category} <span class="label-source" title="${escape(formatLearnedTitle(c.learnedFrom))}">🎓</span>`
+                : !override && c.knownImage
+                    ? `${c.category} <span class="label-source" title="${escape(formatKnownTitle(c.knownImage))}">📚</span>`
+                    : c.category;
 
         html += `
 <tr data-category="${c.category}" data-container="${name}" class="${isExcluded ? 'row-excluded' : ''}">
   <td class="exclude-column">${excludeCheckbox}</td>
   <td>${applyCell}</td>
   <td><strong>${name}</strong></td>
-  <td>${c.category}</td>
+  <td>${categoryHtml}</td>
   <td>${confHtml}</td>
   <td class="container-ports">${renderPorts(ports, c)}</td>
   <td class="${statusClass}" title="${escape(title)}">
@@ -142,12 +175,32 @@ function renderContainersTable({
     return html;
 }
 
+function formatLearnedTitle(learnedFrom) {
+    const via = learnedFrom.via === "image"
+        ? `same image ${learnedFrom.key}`
+        : `same name stem "${learnedFrom.key}"`;
+    return `Learned from your override of ${learnedFrom.containers.join(", ")} (${via}). Click the confidence to set your own.`;
+}
+
+function formatKnownTitle(knownImage) {
+    return `Known image ${knownImage.repository} (image knowledge entry "${knownImage.id}"). Click the confidence to set your own.`;
+}
+
 function renderConfidenceCell({
     name,
     confidence,
     override,
+    fromLabel,
     CONF_OVERRIDE_THRESHOLD
 }) {
+    if (fromLabel) {
+        return `
+<span class="conf-high"
+      title="Category set by container label (port-mcp.category) - change the label to reclassify">
+  1.00 🏷️
+</span>`;
+    }
+
     if (override) {
         return `
 <span class="conf-high"
@@ -192,6 +245,9 @@ function formatPolicyTitle(action) {
     if (typeof ctx.confidenceUsed === "number") {
         parts.push(`Confidence: ${ctx.confidenceUsed.toFixed(2)}`);
     }
+    for (const f of ctx.networkFindings || []) {
+        parts.push(`Network: ${f.message}`);
+    }
     
     return parts.join(" • ");
 }
@@ -112,6 +112,39 @@ window.RestoreUI = {
 `;
     },
     
+    formatBindings(value) {
+        if (value === null || value === undefined) return 'none';
+        if (!Array.isArray(value)) return String(value);
+        if (value.length === 0) return 'none';
+        return value.map(b => b.ip ? `${b.ip}:${b.host}` : String(b.host)).join(', ');
+    },
+    
+    renderDiffChange(c) {
+        // Port changes (diff.json before structural diffs had no "kind")
+        if (!c.kind || c.kind === 'port') {
+            return `
+                <div class="port-change">
+                    <span>${c.container} port ${c.containerPort}/${c.protocol}:</span>
+                    <span class="port-from">${this.formatBindings(c.from)}</span>
+                    <span class="port-arrow">→</span>
+                    <span class="port-to">${this.formatBindings(c.to)}</span>
+                </div>
+            `;
+        }
+        
+        const text = {
+            container: `container ${c.change}`,
+            running: c.change,
+            network: `${c.change} network ${c.network}`
+        }[c.kind] || `${c.kind} ${c.change}`;
+        
+        return `
+                <div class="port-change">
+                    <span>${c.container}: ${text}</span>
+                </div>
+            `;
+    },
+    
     async previewSnapshot(snapshotId) {
         const previewDiv = document.getElementById(`preview-${snapshotId}`);
         
@@ -155,14 +188,7 @@ window.RestoreUI = {
     <div>
         <strong style="color: var(--accent-blue);">Changes (${diff.length})</strong>
         <div style="font-size: 12px; margin-top: 8px;">
-            ${diff.map(c => `
-                <div class="port-change">
-                    <span>${c.container} port ${c.containerPort}/${c.protocol}:</span>
-                    <span class="port-from">${c.from || 'none'}</span>
-                    <span class="port-arrow">→</span>
-                    <span class="port-to">${c.to || 'none'}</span>
-                </div>
-            `).join('')}
+            ${diff.map(c => this.renderDiffChange(c)).join('')}
         </div>
     </div>
     ` : ''}
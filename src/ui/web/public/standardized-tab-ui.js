@@ -45,8 +45,87 @@ window.StandardizedTabUI = {
     
     DAEMON_PORTS: new Set([58846, 58946]),
     
+    // Built-in enforcement modes, used until the server reports policy roles
+    DEFAULT_ROLE_MODES: {
+        system: { mode: 'protected', protocol: null },
+        apps: { mode: 'incremental', protocol: 'tcp' },
+        games: { mode: 'block', protocol: null }
+    },
+    
+    ROLE_ICONS: {
+        system: '⚙️',
+        apps: '📱',
+        games: '🎮',
+        reserved: '🔒'
+    },
+    
+    DEFAULT_ROLE_ICON: '🏷️',
+    
+    /**
+     * Roles from the active policy (via /api/plan), falling back to
+     * the built-in apps/games/system standards.
+     */
+    getRoles() {
+        const planData = window.ScanOrchestrator?.getLastPlanData();
+        if (Array.isArray(planData?.roles) && planData.roles.length > 0) {
+            return planData.roles;
+        }
+        
+        return Object.entries(this.DEFAULT_ROLE_MODES).map(([name, info]) => ({
+            name,
+            description: this.PORT_RANGES[name].description,
+            mode: info.mode,
+            protocol: info.protocol,
+            ranges: this.PORT_RANGES[name].ranges.map(([from, to]) => ({ from, to }))
+        }));
+    },
+    
+    getRole(category) {
+        return this.getRoles().find(r => r.name === category) || null;
+    },
+    
+    getRoleIcon(category) {
+        return this.ROLE_ICONS[category] || this.DEFAULT_ROLE_ICON;
+    },
+    
+    getRoleLabel(category) {
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    },
+    
+    /**
+     * Legend / range lookup in the PORT_RANGES shape, built from policy roles
+     */
+    getPortRanges() {
+        const planData = window.ScanOrchestrator?.getLastPlanData();
+        if (!Array.isArray(planData?.roles) || planData.roles.length === 0) {
+            return this.PORT_RANGES;
+        }
+        
+        const out = {};
+        for (const role of planData.roles) {
+            out[role.name] = {
+                ranges: (role.ranges || []).map(r => [r.from, r.to]),
+                label: this.getRoleLabel(role.name),
+                icon: this.getRoleIcon(role.name),
+                description: role.description || ''
+            };
+        }
+        
+        const reserved = planData.reserved || [];
+        if (reserved.length > 0) {
+            out.reserved = {
+                ranges: reserved.map(r => [r.from, r.to]),
+                label: 'Reserved',
+                icon: this.ROLE_ICONS.reserved,
+                description: reserved[0].description || 'Reserved'
+            };
+        }
+        
+        return out;
+    },
+    
     isPortCompliant(port, category) {
-        const ranges = this.PORT_RANGES[category]?.ranges || [];
+        const ranges = this.getPortRanges()[category]?.ranges || [];
         return ranges.some(([min, max]) => port >= min && port <= max);
     },
     
@@ -59,8 +138,12 @@ window.StandardizedTabUI = {
         // Unknown category = never standardized
         if (!category || category === 'unknown') return false;
         
-        // System category = always standardized (protected)
-        if (category === 'system') {
+        // Category that is not a policy role = needs manual review
+        const role = this.getRole(category);
+        if (!role) return false;
+        
+        // Protected roles (e.g. system) = always standardized
+        if (role.mode === 'protected') {
             return true;
         }
         
@@ -84,29 +167,26 @@ window.StandardizedTabUI = {
         // Low confidence = needs manual review
         if (confidence < 0.9) return false;
         
-        const tcpPorts = ports.filter(p => p.protocol === 'tcp');
-        const udpPorts = ports.filter(p => p.protocol === 'udp');
-        
-        // Games: all ports must be in game ranges
-        if (category === 'games') {
-            const allPorts = [...tcpPorts, ...udpPorts];
-            if (allPorts.length === 0) return true; // No ports to check
-            return allPorts.every(p => this.isPortCompliant(p.host, category));
+        // Block / manual roles (e.g. games): all ports must be in the role's ranges
+        if (role.mode !== 'incremental') {
+            return ports.every(p => this.isPortCompliant(p.host, category));
         }
         
-        // Apps: TCP ports must be in app range (ignoring daemon ports)
-        const relevantTcpPorts = tcpPorts.filter(p => !this.DAEMON_PORTS.has(p.host));
+        // Incremental roles (e.g. apps): layout-protocol ports must be in range (ignoring daemon ports)
+        const protocol = role.protocol || 'tcp';
+        const layoutPorts = ports.filter(p => p.protocol === protocol);
+        const relevantPorts = layoutPorts.filter(p => !this.DAEMON_PORTS.has(p.host));
         
         // Only daemon ports = standardized (VPN containers)
-        if (relevantTcpPorts.length === 0 && tcpPorts.length > 0) {
+        if (relevantPorts.length === 0 && layoutPorts.length > 0) {
             return true;
         }
         
         // No relevant ports to check = standardized
-        if (relevantTcpPorts.length === 0) return true;
+        if (relevantPorts.length === 0) return true;
         
         // Check all relevant ports are compliant
-        return relevantTcpPorts.every(p => this.isPortCompliant(p.host, category));
+        return relevantPorts.every(p => this.isPortCompliant(p.host, category));
     },
     
     getStandardizedContainers(containers, portsByContainer, categoryOverrides) {
@@ -218,9 +298,12 @@ window.StandardizedTabUI = {
     renderSubTabs(byCategory, excluded) {
         const tabs = [
             { id: 'all', label: 'All', icon: '📋', count: Object.values(byCategory).flat().length + excluded.length },
-            { id: 'apps', label: 'Apps', icon: '📱', count: (byCategory.apps || []).length },
-            { id: 'games', label: 'Games', icon: '🎮', count: (byCategory.games || []).length },
-            { id: 'system', label: 'System', icon: '⚙️', count: (byCategory.system || []).length },
+            ...this.getRoles().map(role => ({
+                id: role.name,
+                label: this.getRoleLabel(role.name),
+                icon: this.getRoleIcon(role.name),
+                count: (byCategory[role.name] || []).length
+            })),
             { id: 'excluded', label: 'Excluded', icon: '🚫', count: excluded.length }
         ];
         
@@ -263,7 +346,7 @@ window.StandardizedTabUI = {
 <div class="panel legend-panel" style="padding: 16px;">
     <div style="display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; gap: 16px;">
         <div style="display: flex; align-items: center; gap: 24px; flex-wrap: wrap;">
-            ${Object.entries(this.PORT_RANGES).map(([key, range]) => `
+            ${Object.entries(this.getPortRanges()).map(([key, range]) => `
                 <div style="display: flex; align-items: center; gap: 8px;">
                     <span style="font-size: 16px;">${range.icon}</span>
                     <strong style="font-size: 12px;">${range.label}</strong>
@@ -323,12 +406,11 @@ window.StandardizedTabUI = {
     },
     
     groupByCategory(containers) {
-        const groups = {
-            apps: [],
-            games: [],
-            system: [],
-            unknown: []
-        };
+        const groups = {};
+        for (const role of this.getRoles()) {
+            groups[role.name] = [];
+        }
+        groups.unknown = [];
         
         for (const container of containers) {
             const category = container.effectiveCategory || 'unknown';
@@ -343,7 +425,7 @@ window.StandardizedTabUI = {
     },
     
     renderCategorySection(category, containers, renderPorts) {
-        const info = this.PORT_RANGES[category] || { icon: '❓', label: category };
+        const info = this.getPortRanges()[category] || { icon: '❓', label: category };
         
         return `
 <div class="panel category-panel">
@@ -434,7 +516,16 @@ window.StandardizedTabUI = {
             ? '<span style="opacity: 0.5; font-style: italic;">No exposed ports</span>'
             : renderPorts(ports, container);
         
-        const excludeCheckbox = `
+        const labelExcluded = window.ExclusionManager?.isLabelExcluded?.(container.name) || false;
+        const excludeCheckbox = labelExcluded
+            ? `
+            <input type="checkbox" 
+                   class="exclude-checkbox"
+                   checked
+                   disabled
+                   title="Excluded by container label port-mcp.exclude">
+        `
+            : `
             <input type="checkbox" 
                    class="exclude-checkbox"
                    checked
@@ -451,7 +542,7 @@ window.StandardizedTabUI = {
     <td class="container-category">${container.effectiveCategory}</td>
     <td class="container-ports">${portsDisplay}</td>
     <td class="container-status">
-        <span class="status-badge status-excluded">🚫 Excluded</span>
+        <span class="status-badge status-excluded">${labelExcluded ? '🏷️ Excluded by label' : '🚫 Excluded'}</span>
     </td>
 </tr>
 `;
@@ -4,7 +4,7 @@
  * Location: src/ui/web/public/tabs-ui.js
  *
  * Responsibility:
- * - Tab navigation (Overview / History)
+ * - Tab navigation (Overview / Standardized / History / Health)
  * - History view showing modified containers
  * - Rollback interface per container
  * ============================================================================
@@ -53,6 +53,13 @@ window.TabsUI = {
         <span class="tab-icon">📜</span>
         <span class="tab-label">History & Rollback</span>
     </button>
+    
+    <button class="tab-button ${this.currentTab === 'health' ? 'active' : ''}"
+            data-tab="health" 
+            onclick="window.TabsUI.switchTab('health')">
+        <span class="tab-icon">🩺</span>
+        <span class="tab-label">Health</span>
+    </button>
 </div>
 `;
     },
@@ -455,9 +462,14 @@ window.TabsUI = {
             const confirmPhrase = 'ROLLBACK';
             const typed = prompt(
                 `About to rollback ${containerName}.\n\n` +
-                `Changes:\n${planData.actions.map(a => 
-                    `  ${a.protocol} ${a.from} → ${a.to}`
-                ).join('\n')}\n\n` +
+                `Changes:\n${planData.actions.map(a => {
+                    const fmt = list => list.map(p => `${p.host}:${p.container}/${p.protocol}`).join(', ');
+                    if (a.type === 'reserve-port' || a.type === 'release-port') {
+                        const verb = a.type === 'reserve-port' ? 'reserve' : 'release';
+                        return `  ${a.container}: registry ${verb} ${(a.ports || []).map(p => `${p.host}/${p.protocol}`).join(', ')}`;
+                    }
+                    return `  ${a.container}: ${fmt(a.from)} → ${fmt(a.to)}`;
+                }).join('\n')}\n\n` +
                 `Type "${confirmPhrase}" to confirm:`
             );
             
@@ -48,6 +48,12 @@
 `;
     }
 
+    function formatPorts(list) {
+        return (list || [])
+            .map(p => `${p.host}:${p.container}/${p.protocol}`)
+            .join(", ") || "none";
+    }
+
     /**
      * Fetch rollback plan preview and render it.
      */
@@ -87,8 +93,9 @@
     <li>
       <code>${a.type}</code>
       <strong>${a.container}</strong>
-      ${a.protocol}
-      ${a.from} → ${a.to}
+      ${a.ports
+          ? (a.ports.map(p => `${p.host}/${p.protocol}`).join(", "))
+          : `${formatPorts(a.from)} → ${formatPorts(a.to)}`}
     </li>
   `).join("")}
 </ul>
@@ -5,7 +5,7 @@
  *
  * Phases:
  * - 3.1.B  Rollback plan preview (read-only)
- * - 3.2    Rollback execution (ports-only)
+ * - 3.2    Rollback execution (ports, plus the job's config and file rewrites)
  *
  * HARD RULES:
  * - Rollback is just another plan
@@ -18,6 +18,7 @@
 
 // Planner is authoritative and lives at src/planner/output
 const { buildRollbackPlan } = require("../../../planner/output/rollback-plan-builder");
+const { executedRewrites } = require("../../../planner/plan/config-rewrite");
 
 /**
  * Factory to create rollback route handlers.
@@ -33,6 +34,7 @@ function createRollbackRoutes({
     completeJob,
     failJob,
     pushJobEvent,
+    withWriteBacks,
     confirmPhrase
 }) {
 
@@ -99,7 +101,9 @@ function createRollbackRoutes({
             const plan = buildRollbackPlan({
                 prePorts: job.preState.ports,
                 postPorts: job.postState.ports,
-                selectedContainers: containers
+                selectedContainers: containers,
+                registry: job.postState.registry ?? null,
+                configActions: job.configActions || []
             });
 
             send(res, 200, {
@@ -130,7 +134,8 @@ function createRollbackRoutes({
                 selectedContainers,
                 allowDockerMutation,
                 confirmPhrase: typedPhrase,
-                dryRun
+                dryRun,
+                allowStale
             } = input;
 
             if (!jobId) {
@@ -205,11 +210,14 @@ function createRollbackRoutes({
                     ports: job.preState.ports.length
                 });
 
-                const plan = buildRollbackPlan({
+                // Compose files and Unraid templates are restored too
+                const plan = withWriteBacks(buildRollbackPlan({
                     prePorts: sourceJob.preState.ports,
                     postPorts: sourceJob.postState.ports,
-                    selectedContainers: containers
-                });
+                    selectedContainers: containers,
+                    registry: preFull.registry ?? null,
+                    configActions: sourceJob.configActions || []
+                }), preFull, job);
 
                 pushJobEvent(job, {
                     type: "rollback:planning:complete",
@@ -226,12 +234,17 @@ function createRollbackRoutes({
                     allowDockerMutation: dryRun ? false : true,
                     dryRun: dryRun === true,
                     planObject: plan,
+                    allowStale: allowStale === true,
                     onProgress: evt => pushJobEvent(job, evt)
                 });
 
                 const postFull = await loadState({ baseUrl: "http://127.0.0.1:4100" });
                 job.postState = snapshotPortsOnly(postFull);
 
+                if (dryRun !== true) {
+                    job.configActions = executedRewrites(plan.actions, result?.results);
+                }
+
                 pushJobEvent(job, {
                     type: "job:snapshot:post",
                     ts: Date.now(),
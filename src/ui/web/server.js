@@ -53,7 +53,22 @@ console.log('[Server] Injected no-op confirm module (web UI mode)');
 const { loadState } = require("../../planner/inputs/state-loader");
 const classify = require("../../planner/classify/classifier");
 const buildPlan = require("../../planner/plan/plan-builder");
+const { runAnalysis } = require("../../planner/analyze/analyzer");
+const { buildRegistryPlan } = require("../../planner/plan/registry-reconcile");
+const { addRegistrySync } = require("../../planner/plan/registry-sync");
+const { addConfigRewrites, executedRewrites, isReferenceRewrite } = require("../../planner/plan/config-rewrite");
+const { referenceScanDirs, loadReferenceFiles } = require("../../planner/inputs/reference-files");
+const { addComposeEdits } = require("../../planner/plan/compose-edit");
+const { addTemplateEdits } = require("../../planner/plan/unraid-template");
+const { loadComposeFiles } = require("../../planner/inputs/compose-files");
+const { unraidTemplateDir, loadUnraidTemplates } = require("../../planner/inputs/unraid-templates");
+const { loadPolicy, loadPolicyOrDefault } = require("../../planner/inputs/policy-loader");
+const { loadImageKnowledge, loadImageKnowledgeOrDefault } = require("../../planner/inputs/knowledge-loader");
+const { describeRoles } = require("../../planner/policy/policies");
+const { normalizeLedger, commitAllocations } = require("../../planner/plan/allocation-ledger");
 const runExecutor = require("../../executor");
+const { inspectContainers } = require("../../executor/docker/docker-cli");
+const { diffState, summarizeDiff } = require("../../planner/utils/diff");
 
 /* ============================================================================
    Snapshot Manager
@@ -138,6 +153,74 @@ function writeExclusions(data) {
     fs.renameSync(tmp, EXCLUSIONS_FILE);
 }
 
+/* ============================================================================
+   Allocation Ledger Persistence (sticky incremental layout)
+============================================================================ */
+
+const ALLOCATIONS_FILE = path.join(DATA_DIR, "allocations.json");
+
+function readAllocations() {
+    try {
+        return normalizeLedger(JSON.parse(fs.readFileSync(ALLOCATIONS_FILE, "utf8")));
+    } catch {
+        return normalizeLedger(null);
+    }
+}
+
+function writeAllocations(ledger) {
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = ALLOCATIONS_FILE + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmp, ALLOCATIONS_FILE);
+}
+
+/**
+ * Record the plan's proposed assignments that are live after an apply.
+ */
+function persistAllocations(allocations, postState) {
+    if (!allocations || !postState) return;
+    try {
+        writeAllocations(commitAllocations(readAllocations(), allocations, postState));
+    } catch (err) {
+        console.error("[Allocations] Save failed:", err.message);
+    }
+}
+
+/* ============================================================================
+   Policy (POLICY_FILE env, else data/policy.json, else built-in default)
+============================================================================ */
+
+const POLICY_FILE = path.join(DATA_DIR, "policy.json");
+
+/**
+ * Read the active policy. Re-read on every request so edits take effect
+ * without a restart. An invalid policy file throws PolicyError.
+ */
+function readPolicy() {
+    if (process.env.POLICY_FILE) {
+        return loadPolicy(process.env.POLICY_FILE);
+    }
+    return loadPolicyOrDefault(POLICY_FILE);
+}
+
+/* ============================================================================
+   Image Knowledge (IMAGE_KNOWLEDGE_FILE env, else data/image-knowledge.json,
+   else built-ins only)
+============================================================================ */
+
+const IMAGE_KNOWLEDGE_FILE = path.join(DATA_DIR, "image-knowledge.json");
+
+/**
+ * Read the image knowledge base. Re-read on every request like the policy.
+ * An invalid knowledge file throws KnowledgeError.
+ */
+function readImageKnowledge() {
+    if (process.env.IMAGE_KNOWLEDGE_FILE) {
+        return loadImageKnowledge(process.env.IMAGE_KNOWLEDGE_FILE);
+    }
+    return loadImageKnowledgeOrDefault(IMAGE_KNOWLEDGE_FILE);
+}
+
 /* ============================================================================
    Helpers
 ============================================================================ */
@@ -220,6 +303,85 @@ function snapshotPortsOnly(fullState) {
     };
 }
 
+/**
+ * State without container env / command (may hold secrets; jobs are
+ * served by /api/jobs and saved as snapshots).
+ */
+function withoutContainerConfig(fullState) {
+    return {
+        ...fullState,
+        containers: (fullState.containers || []).map(({ env, command, ...c }) => c)
+    };
+}
+
+/**
+ * Write port moves back to compose files (see plan/compose-edit.js) and,
+ * when UNRAID_TEMPLATES_DIR is set, Unraid user templates (see
+ * plan/unraid-template.js), reported as job events.
+ */
+function withWriteBacks(plan, fullState, job) {
+    const { plan: edited, warnings } = addComposeEdits(plan, fullState, loadComposeFiles(fullState));
+    const services = edited.actions
+        .filter(a => a.compose)
+        .map(a => `${a.compose.project}/${a.compose.service}`);
+
+    if (services.length > 0 || warnings.length > 0) {
+        pushJobEvent(job, { type: "plan:compose-edits", ts: Date.now(), services, warnings });
+    }
+
+    const dir = unraidTemplateDir();
+    if (!dir) return edited;
+
+    const templated = addTemplateEdits(edited, loadUnraidTemplates(fullState, dir));
+    const templates = templated.plan.actions.filter(a => a.template).map(a => a.template.file);
+
+    if (templates.length > 0 || templated.warnings.length > 0) {
+        pushJobEvent(job, {
+            type: "plan:template-edits",
+            ts: Date.now(),
+            templates,
+            warnings: templated.warnings
+        });
+    }
+    return templated.plan;
+}
+
+/**
+ * Resolve one side of /api/state/diff into a state object.
+ * Errors carry statusCode (400 bad spec, 404 unknown snapshot).
+ */
+async function resolveDiffSide(spec, label) {
+    const fail = (statusCode, message) =>
+        Object.assign(new Error(message), { statusCode });
+
+    if (spec === "live") {
+        return loadState({
+            baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+        });
+    }
+
+    if (spec && typeof spec === "object" && spec.snapshot) {
+        const side = spec.side || "post";
+        if (side !== "pre" && side !== "post") {
+            throw fail(400, `${label}.side must be "pre" or "post"`);
+        }
+        let snapshot;
+        try {
+            snapshot = loadSnapshot(String(spec.snapshot));
+        } catch (err) {
+            throw fail(404, err.message);
+        }
+        return side === "pre" ? snapshot.preState : snapshot.postState;
+    }
+
+    if (spec && typeof spec === "object" &&
+        (Array.isArray(spec.containers) || Array.isArray(spec.ports))) {
+        return spec;
+    }
+
+    throw fail(400, `${label} must be "live", { snapshot, side } or a state with containers[] / ports[]`);
+}
+
 /* ============================================================================
    HTTP Server
 ============================================================================ */
@@ -245,6 +407,18 @@ const server = http.createServer(async (req, res) => {
         }
     }
 
+    /* =====================================================================
+       GET /api/policy  (active policy, for inspection)
+    ===================================================================== */
+
+    if (method === "GET" && parsed.pathname === "/api/policy") {
+        try {
+            return json(res, 200, { policy: readPolicy() });
+        } catch (err) {
+            return json(res, 500, { error: err.message, problems: err.problems || [] });
+        }
+    }
+
     /* =====================================================================
        Category Overrides (Stage 2)
     ===================================================================== */
@@ -325,6 +499,175 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    /* =====================================================================
+       GET /api/analysis  (collisions, registry drift, network posture)
+    ===================================================================== */
+
+    if (method === "GET" && parsed.pathname === "/api/analysis") {
+        try {
+            const policy = readPolicy();
+
+            // port-mcp.* labels come from docker inspect when Port-MCP lacks them
+            const state = await loadState({
+                baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100",
+                inspect: inspectContainers
+            });
+
+            const classification = classify(state, {
+                overrides: readCategoryOverrides(),
+                policy,
+                knowledge: readImageKnowledge()
+            });
+
+            const analysis = await runAnalysis({ state, classification, policy });
+
+            // _debug carries the raw analyzer inputs; keep it out of the response
+            const { _debug: _portsDebug, ...ports } = analysis.ports;
+            const { _debug: _networksDebug, ...networks } = analysis.networks;
+
+            return json(res, 200, {
+                summary: analysis.summary,
+                ports,
+                networks,
+                networkCompliance: analysis.networkCompliance || []
+            });
+        } catch (err) {
+            if (err.name === "PolicyError" || err.name === "KnowledgeError") {
+                return json(res, 500, { error: err.message, problems: err.problems });
+            }
+            return json(res, 500, { error: err.message });
+        }
+    }
+
+    /* =====================================================================
+       GET /api/registry/reconcile  (preview registry reconciliation)
+    ===================================================================== */
+
+    if (method === "GET" && parsed.pathname === "/api/registry/reconcile") {
+        try {
+            const state = await loadState({
+                baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+            });
+            return json(res, 200, buildRegistryPlan(state));
+        } catch (err) {
+            return json(res, 500, { error: err.message });
+        }
+    }
+
+    /* =====================================================================
+       POST /api/registry/reconcile  (reserve / release Port-MCP entries)
+       Registry-only: no Docker mutation, so the gate is "RECONCILE"
+       instead of the downtime phrase
+    ===================================================================== */
+
+    if (method === "POST" && parsed.pathname === "/api/registry/reconcile") {
+        let body = "";
+        req.on("data", chunk => (body += chunk));
+        req.on("end", async () => {
+            let input;
+            try {
+                input = JSON.parse(body || "{}");
+            } catch {
+                return badRequest(res, "Invalid JSON");
+            }
+
+            const { confirmPhrase, dryRun, allowStale, planObject } = input;
+
+            if (confirmPhrase !== "RECONCILE") {
+                return badRequest(res, "Confirmation phrase must be RECONCILE");
+            }
+
+            // The lighter gate only covers registry actions
+            if (planObject && Array.isArray(planObject.actions) &&
+                planObject.actions.some(a => a.type !== "reserve-port" && a.type !== "release-port")) {
+                return badRequest(res, "Reconcile plans may only contain reserve-port / release-port actions");
+            }
+
+            const job = createJob({ selectedContainers: [], kind: "reconcile" });
+
+            json(res, 202, { jobId: job.id });
+
+            try {
+                const preFull = await loadState({
+                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                });
+                job.preState = preFull;
+
+                // Reviewed preview if supplied (checked for staleness by the executor)
+                const plan = planObject && Array.isArray(planObject.actions)
+                    ? planObject
+                    : buildRegistryPlan(preFull);
+
+                pushJobEvent(job, {
+                    type: "plan:loaded",
+                    ts: Date.now(),
+                    actionCount: plan.actions.length,
+                    dryRun: dryRun === true
+                });
+
+                const result = await runExecutor({
+                    apply: true,
+                    yes: true,
+                    allowDockerMutation: false,
+                    dryRun: dryRun === true,
+                    planObject: plan,
+                    allowStale: allowStale === true,
+                    onProgress: evt => pushJobEvent(job, evt)
+                });
+
+                job.postState = await loadState({
+                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                });
+
+                completeJob(job, result);
+            } catch (err) {
+                failJob(job, err);
+            }
+        });
+        return;
+    }
+
+    /* =====================================================================
+       POST /api/state/diff  (compare any two states, READ-ONLY)
+       Each side: "live" | { snapshot: "<id>", side: "pre"|"post" } | state
+    ===================================================================== */
+
+    if (method === "POST" && parsed.pathname === "/api/state/diff") {
+        let body = "";
+        req.on("data", chunk => (body += chunk));
+        req.on("end", async () => {
+            let input;
+            try {
+                input = JSON.parse(body || "{}");
+            } catch {
+                return badRequest(res, "Invalid JSON");
+            }
+
+            const { from, to } = input;
+
+            if (!from || !to) {
+                return badRequest(res, "from and to are required");
+            }
+
+            let current;
+            let proposed;
+            try {
+                current = await resolveDiffSide(from, "from");
+                proposed = await resolveDiffSide(to, "to");
+            } catch (err) {
+                return json(res, err.statusCode || 500, { error: err.message });
+            }
+
+            const changes = diffState(current, proposed);
+            return json(res, 200, {
+                generatedAt: Date.now(),
+                summary: summarizeDiff(changes),
+                changes
+            });
+        });
+        return;
+    }
+
     /* =====================================================================
        POST /api/check-ports  (Port Accessibility Check)
     ===================================================================== */
@@ -381,12 +724,19 @@ const server = http.createServer(async (req, res) => {
             };
 
             try {
+                const policy = readPolicy();
+                const knowledge = readImageKnowledge();
+
+                // port-mcp.* labels come from docker inspect when Port-MCP lacks them
                 const state = await loadState({
-                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100",
+                    inspect: inspectContainers
                 });
 
                 const classificationResult = classify(state, {
-                    overrides: mergedOverrides
+                    overrides: mergedOverrides,
+                    policy,
+                    knowledge
                 });
 
                 const classificationByName = {};
@@ -394,7 +744,11 @@ const server = http.createServer(async (req, res) => {
                     classificationByName[c.name] = {
                         category: c.category,
                         confidence: c.confidence,
-                        reason: c.reasons
+                        reason: c.reasons,
+                        source: c.source,
+                        learnedFrom: c.learnedFrom || null,
+                        knownImage: c.knownImage || null,
+                        tags: c.tags
                     };
                 }
 
@@ -402,14 +756,23 @@ const server = http.createServer(async (req, res) => {
                     classification: classificationResult,
                     state: state,
                     overrides: mergedOverrides,
-                    policyEnforcement: input.policyEnforcement || {}
+                    policyEnforcement: input.policyEnforcement || {},
+                    policy,
+                    allocations: readAllocations(),
+                    repack: input.repack === true,
+                    knowledge
                 });
 
                 return json(res, 200, {
                     classification: classificationByName,
+                    roles: describeRoles(policy),
+                    reserved: policy.reserved || [],
                     plan
                 });
             } catch (err) {
+                if (err.name === "PolicyError" || err.name === "KnowledgeError") {
+                    return json(res, 500, { error: err.message, problems: err.problems });
+                }
                 return json(res, 500, { error: err.message });
             }
         });
@@ -441,16 +804,22 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
         try {
             const { analyzePortChangeImpact } = require("../../planner/analyze/port-impact");
             
+            // Reference scanning needs env / command / labels (cached per container id)
             const state = await loadState({
-                baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100",
+                inspect: inspectContainers
             });
 
+            const scanDirs = referenceScanDirs();
+
             const impact = analyzePortChangeImpact({
                 containerName,
                 currentPort: Number(currentPort),
                 newPort: newPort ? Number(newPort) : null,
                 state,
-                alreadySuggested: alreadySuggested || []
+                alreadySuggested: alreadySuggested || [],
+                policy: readPolicy(),
+                referenceFiles: scanDirs.length > 0 ? loadReferenceFiles(scanDirs) : null
             });
 
             return json(res, 200, impact);
@@ -482,7 +851,11 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                 policyEnforcement = {},
                 allowDockerMutation,
                 dryRun,
-                planObject
+                planObject,
+                repack,
+                allowStale,
+                rewriteReferences,
+                rewriteFiles
             } = input;
 
             const job = createJob({ selectedContainers });
@@ -492,28 +865,48 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
             try {
                 pushJobEvent(job, { type: "job:planning:start", ts: Date.now() });
 
+                // Labels (planning) and env (rewriting references) come from
+                // docker inspect when Port-MCP lacks them (see inputs/container-config.js)
                 const preFull = await loadState({
-                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                    baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100",
+                    inspect: inspectContainers
                 });
-                job.preState = preFull;
+                job.preState = withoutContainerConfig(preFull);
 
                 let executablePlan;
+                let proposedAllocations = null;
 
                 // Use provided plan if available (from modal), otherwise build from scratch
                 if (planObject && Array.isArray(planObject.actions)) {
-                    executablePlan = planObject;
+                    const hasRegistrySteps = planObject.actions.some(a =>
+                        a.type === "reserve-port" || a.type === "release-port"
+                    );
+                    executablePlan = hasRegistrySteps
+                        ? planObject
+                        : addRegistrySync(planObject, preFull.registry ?? null);
                 } else {
+                    const policy = readPolicy();
+                    const knowledge = readImageKnowledge();
+
                     const classification = classify(preFull, {
-                        overrides: categoryOverrides || {}
+                        overrides: categoryOverrides || {},
+                        policy,
+                        knowledge
                     });
 
                     const plan = buildPlan({
                         classification,
                         state: preFull,
                         overrides: categoryOverrides || {},
-                        policyEnforcement: policyEnforcement || {}
+                        policyEnforcement: policyEnforcement || {},
+                        policy,
+                        allocations: readAllocations(),
+                        repack: repack === true,
+                        knowledge
                     });
 
+                    proposedAllocations = plan.allocations || null;
+
                     // Filter to only executable actions
                     executablePlan = {
                         ...plan,
@@ -521,6 +914,31 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                     };
                 }
 
+                // Dependents' env / labels and reference files follow the moves
+                // (opt-in from the impact modal)
+                const scanDirs = rewriteFiles === true ? referenceScanDirs() : [];
+                if ((rewriteReferences === true || scanDirs.length > 0) &&
+                    !executablePlan.actions.some(isReferenceRewrite)) {
+                    const { plan: rewritten, skipped } = addConfigRewrites(executablePlan, preFull, {
+                        containers: rewriteReferences === true,
+                        files: scanDirs.length > 0 ? loadReferenceFiles(scanDirs) : null
+                    });
+                    executablePlan = rewritten;
+                    pushJobEvent(job, {
+                        type: "plan:config-rewrites",
+                        ts: Date.now(),
+                        containers: rewritten.actions
+                            .filter(a => a.type === "update-container-config")
+                            .map(a => a.container),
+                        files: rewritten.actions
+                            .filter(a => a.type === "rewrite-file")
+                            .map(a => a.file),
+                        skipped
+                    });
+                }
+
+                executablePlan = withWriteBacks(executablePlan, preFull, job);
+
                 pushJobEvent(job, {
                     type: "plan:loaded",
                     ts: Date.now(),
@@ -528,19 +946,45 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                     dryRun: dryRun === true
                 });
 
-                const result = await runExecutor({
-                    apply: true,
-                    yes: true,
-                    allowDockerMutation: dryRun ? false : allowDockerMutation,
-                    dryRun: dryRun === true,
-                    planObject: executablePlan,
-                    onProgress: evt => pushJobEvent(job, evt)
-                });
+                let result;
+                try {
+                    result = await runExecutor({
+                        apply: true,
+                        yes: true,
+                        allowDockerMutation: dryRun ? false : allowDockerMutation,
+                        dryRun: dryRun === true,
+                        planObject: executablePlan,
+                        allowStale: allowStale === true,
+                        onProgress: evt => pushJobEvent(job, evt)
+                    });
+                } catch (err) {
+                    // Partial failure: record what went live (assignments, post
+                    // state, the rewrites that ran) so rollback can undo it
+                    if (dryRun !== true) {
+                        job.configActions = executedRewrites(executablePlan.actions, err?.results);
+                        try {
+                            const postFull = await loadState({
+                                baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
+                            });
+                            job.postState = withoutContainerConfig(postFull);
+                            if (proposedAllocations) persistAllocations(proposedAllocations, postFull);
+                        } catch {
+                            // state unavailable; ledger stays as it was
+                        }
+                    }
+                    throw err;
+                }
 
                 const postFull = await loadState({
                     baseUrl: process.env.PORT_MCP_URL || "http://127.0.0.1:4100"
                 });
-                job.postState = postFull;
+                job.postState = withoutContainerConfig(postFull);
+
+                if (dryRun !== true) {
+                    persistAllocations(proposedAllocations, postFull);
+                    // Rolled back together with the port moves
+                    job.configActions = executedRewrites(executablePlan.actions, result?.results);
+                }
 
                 completeJob(job, result);
                 
@@ -552,6 +996,15 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                 }
             } catch (err) {
                 failJob(job, err);
+
+                // A partial apply can be rolled back from its snapshot too
+                if (job.preState && job.postState) {
+                    try {
+                        saveJobSnapshot(job);
+                    } catch (saveErr) {
+                        console.error("[Snapshot] Save failed:", saveErr.message);
+                    }
+                }
             }
         });
         return;
@@ -570,6 +1023,7 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
         completeJob,
         failJob,
         pushJobEvent,
+        withWriteBacks,
         confirmPhrase: "ROLLBACK"
     });
 
@@ -672,7 +1126,8 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                 selectedContainers,
                 allowDockerMutation,
                 confirmPhrase,
-                dryRun
+                dryRun,
+                allowStale
             } = input;
             
             if (!snapshotId) {
@@ -688,7 +1143,7 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                 const snapshot = loadSnapshot(snapshotId);
                 
                 // Generate restore plan
-                const plan = createRestorePlan(snapshot, selectedContainers);
+                let plan = createRestorePlan(snapshot, selectedContainers);
                 
                 // Create job
                 const job = createJob({
@@ -712,6 +1167,8 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                     });
                     job.preState = preFull;
                     
+                    plan = withWriteBacks(plan, preFull, job);
+                    
                     pushJobEvent(job, {
                         type: "restore:plan:loaded",
                         ts: Date.now(),
@@ -726,6 +1183,7 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                         allowDockerMutation: dryRun ? false : allowDockerMutation,
                         dryRun: dryRun === true,
                         planObject: plan,
+                        allowStale: allowStale === true,
                         onProgress: evt => pushJobEvent(job, evt)
                     });
                     
@@ -735,6 +1193,10 @@ if (method === "POST" && parsed.pathname === "/api/port-impact") {
                     });
                     job.postState = postFull;
                     
+                    if (dryRun !== true) {
+                        job.configActions = executedRewrites(plan.actions, result?.results);
+                    }
+                    
                     completeJob(job, result);
                     
                     // Save restore job too